@@ -1,11 +1,88 @@
-import { useAppState } from '@aragon/api-react'
-import { Box } from '@aragon/ui'
-import React from 'react'
+import { useAppState, useAragonApi } from '@aragon/api-react'
+import { Box, LoadingRing } from '@aragon/ui'
+import {
+  calculateStakeLimit,
+  createStakeLimitState,
+  getBlocksUntilStakeLimit,
+} from '@lido/lido/src/stake-limit'
+import React, { useEffect, useState } from 'react'
+import { formatBlocksDuration } from '../utils'
 import { ListItem, LoadableElement, RestorationRate, Tooltip } from './shared'
 import { Ether } from './shared/Ether'
 
+const BLOCK_POLLING_INTERVAL = 12000
+
+const useBlockNumber = () => {
+  const { api } = useAragonApi()
+  const [blockNumber, setBlockNumber] = useState()
+
+  useEffect(() => {
+    if (!api) {
+      return
+    }
+    const update = () =>
+      api
+        .web3Eth('getBlockNumber')
+        .toPromise()
+        .then((number) => setBlockNumber(Number(number)))
+        .catch(console.warn)
+
+    update()
+    const interval = setInterval(update, BLOCK_POLLING_INTERVAL)
+    return () => clearInterval(interval)
+  }, [api])
+
+  return blockNumber
+}
+
+const AvailableToStake = ({ info, blockNumber }) => {
+  if (!info || typeof blockNumber === 'undefined') {
+    return <LoadingRing />
+  }
+  if (info.isStakingPaused) {
+    return <span>Paused</span>
+  }
+  if (!info.isStakingLimitSet) {
+    return <span>Unlimited</span>
+  }
+  const state = createStakeLimitState(info)
+  // the polled block may lag behind the block of the last stake
+  const stakeLimit = calculateStakeLimit(
+    state,
+    Math.max(blockNumber, state.prevStakeBlockNumber)
+  )
+  return <Ether ether={String(stakeLimit)} />
+}
+
+const RestorationEta = ({ info, blockNumber }) => {
+  if (!info || typeof blockNumber === 'undefined') {
+    return <LoadingRing />
+  }
+  if (info.isStakingPaused || !info.isStakingLimitSet) {
+    return <span>N/A</span>
+  }
+  const state = createStakeLimitState(info)
+  const blocks = getBlocksUntilStakeLimit(
+    state,
+    state.maxStakeLimit,
+    Math.max(blockNumber, state.prevStakeBlockNumber)
+  )
+  if (blocks === null) {
+    return <span>Never</span>
+  }
+  if (blocks === 0) {
+    return <span>Fully restored</span>
+  }
+  return (
+    <span>
+      {formatBlocksDuration(blocks)} ({blocks} blocks)
+    </span>
+  )
+}
+
 export const StakingLimitState = () => {
   const { stakingLimitInfo } = useAppState()
+  const blockNumber = useBlockNumber()
 
   return (
     <Box heading="Staking status">
@@ -25,6 +102,15 @@ export const StakingLimitState = () => {
           {stakingLimitInfo?.isStakingLimitSet ? 'Yes' : 'No'}
         </LoadableElement>
       </ListItem>
+      <ListItem
+        label={
+          <Tooltip tooltip="Amount of ether that can be staked right now, calculated from the stake limit state for the latest block.">
+            Available now
+          </Tooltip>
+        }
+      >
+        <AvailableToStake info={stakingLimitInfo} blockNumber={blockNumber} />
+      </ListItem>
       <ListItem
         label={
           <Tooltip tooltip="Hard cap on staking limit, i.e. staking limit will not be restored past this limit.">
@@ -46,6 +132,15 @@ export const StakingLimitState = () => {
           blocks={stakingLimitInfo?.maxStakeLimitGrowthBlocks}
         />
       </ListItem>
+      <ListItem
+        label={
+          <Tooltip tooltip="Estimated time until the staking limit is restored up to the max limit if no user funds are submitted, assuming 12 second blocks.">
+            Full restoration
+          </Tooltip>
+        }
+      >
+        <RestorationEta info={stakingLimitInfo} blockNumber={blockNumber} />
+      </ListItem>
     </Box>
   )
 }
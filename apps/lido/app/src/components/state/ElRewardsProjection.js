@@ -0,0 +1,94 @@
+import { useAppState, useAragonApi } from '@aragon/api-react'
+import { LoadingRing } from '@aragon/ui'
+import {
+  createELRewardsState,
+  projectELRewardsWithdrawals,
+} from '@lido/lido/src/el-rewards'
+import React, { useEffect, useState } from 'react'
+import { constants } from 'ethers'
+import { ListItem, Tooltip } from '../shared'
+import { Ether } from '../shared/Ether'
+
+export const useElRewardsVaultBalance = () => {
+  const { api } = useAragonApi()
+  const { elRewardsVault, totalPooledEther } = useAppState()
+  const [vaultBalance, setVaultBalance] = useState()
+
+  useEffect(() => {
+    if (!api || !elRewardsVault) {
+      return
+    }
+    if (elRewardsVault === constants.AddressZero) {
+      setVaultBalance('0')
+      return
+    }
+    // the balance is withdrawn on reports, which also change the total pooled ether
+    api
+      .web3Eth('getBalance', elRewardsVault)
+      .toPromise()
+      .then(setVaultBalance)
+      .catch(console.warn)
+  }, [api, elRewardsVault, totalPooledEther])
+
+  return vaultBalance
+}
+
+const ReportsUntilDrained = ({ projection }) => {
+  if (!projection) {
+    return <LoadingRing />
+  }
+  if (!projection.drained) {
+    return <span>Never</span>
+  }
+  return <span>{projection.reports}</span>
+}
+
+// The lib EL rewards state, undefined while loading
+export const useElRewardsState = () => {
+  const { elRewardsWithdrawalLimit, totalPooledEther } = useAppState()
+  const vaultBalance = useElRewardsVaultBalance()
+
+  if (
+    typeof vaultBalance === 'undefined' ||
+    typeof totalPooledEther === 'undefined' ||
+    typeof elRewardsWithdrawalLimit === 'undefined'
+  ) {
+    return undefined
+  }
+  return createELRewardsState({
+    vaultBalance,
+    totalPooledEther,
+    withdrawalLimitPoints: elRewardsWithdrawalLimit,
+  })
+}
+
+// The amount the next report moves to the buffer
+export const getNextWithdrawal = (projection) =>
+  String(projection.withdrawals.length ? projection.withdrawals[0].amount : 0)
+
+export const ElRewardsProjection = () => {
+  const vaultBalance = useElRewardsVaultBalance()
+  const state = useElRewardsState()
+  const projection = state ? projectELRewardsWithdrawals(state) : null
+
+  return (
+    <>
+      <ListItem label="EL Rewards Vault Balance" nested>
+        <Ether ether={vaultBalance} />
+      </ListItem>
+      <ListItem label="Next Report Withdrawal" nested>
+        <Ether ether={projection ? getNextWithdrawal(projection) : undefined} />
+      </ListItem>
+      <ListItem
+        label={
+          <Tooltip tooltip="Oracle reports it takes to move the vault balance to the buffer with the current withdrawal limit, assuming no new rewards">
+            Reports Until Drained
+          </Tooltip>
+        }
+        nested
+      >
+        <ReportsUntilDrained projection={projection} />
+      </ListItem>
+    </>
+  )
+}
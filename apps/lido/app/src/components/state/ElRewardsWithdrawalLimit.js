@@ -1,5 +1,7 @@
 import { useAppState, useAragonApi } from '@aragon/api-react'
 import { Button, IconEdit, SidePanel } from '@aragon/ui'
+import { compareELRewardsWithdrawalLimits } from '@lido/lido/src/el-rewards'
+import { constants } from 'ethers'
 import { Field, Form, Formik } from 'formik'
 import React, { useState } from 'react'
 import * as yup from 'yup'
@@ -11,8 +13,47 @@ import {
   ListItem,
   TextField,
 } from '../shared'
-import { toBasisPoints } from '../../utils'
+import { formatEth, toBasisPoints } from '../../utils'
 import { BasisPoints } from '../shared/BasisPoints'
+import { getNextWithdrawal, useElRewardsState } from './ElRewardsProjection'
+
+const LIMIT_REGEX = /^\d{1,3}(\.\d{1,2})?$/
+
+const toProposedLimitPoints = (limit) =>
+  LIMIT_REGEX.test(limit) && Number(limit) <= 100 ? toBasisPoints(limit) : null
+
+const describeProjection = (projection) =>
+  projection.drained
+    ? `${projection.reports} report${projection.reports === 1 ? '' : 's'}`
+    : 'never'
+
+const ElRewardsLimitPreview = ({ limitPoints }) => {
+  const state = useElRewardsState()
+  if (!state) {
+    return null
+  }
+
+  const { current, proposed } = compareELRewardsWithdrawalLimits(
+    state,
+    limitPoints === null ? state.withdrawalLimitPoints : limitPoints
+  )
+
+  return (
+    <InfoSpaced title="Projection">
+      The vault holds {constants.EtherSymbol}
+      {formatEth(String(state.vaultBalance))}. With the current limit it is
+      drained in {describeProjection(current)}
+      {limitPoints !== null && (
+        <>
+          , with the proposed one in {describeProjection(proposed)} moving up to{' '}
+          {constants.EtherSymbol}
+          {formatEth(getNextWithdrawal(proposed))} on the next report
+        </>
+      )}
+      .
+    </InfoSpaced>
+  )
+}
 
 export const ElRewardsWithdrawalLimit = () => {
   const { api } = useAragonApi()
@@ -58,17 +99,14 @@ export const ElRewardsWithdrawalLimit = () => {
               .test(
                 'limit',
                 'Limit must a number with up to 2 optional decimal places.',
-                (value) => {
-                  const regex = /^\d{1,3}(\.\d{1,2})?$/
-                  return regex.test(value)
-                }
+                (value) => LIMIT_REGEX.test(value)
               ),
           })}
           validateOnBlur={false}
           validateOnChange={false}
           onSubmit={submit}
         >
-          {({ submitForm, isSubmitting, isValidating }) => {
+          {({ values, submitForm, isSubmitting, isValidating }) => {
             const handleSubmit = (event) => {
               event.preventDefault()
               submitForm()
@@ -82,6 +120,9 @@ export const ElRewardsWithdrawalLimit = () => {
                   label="Limit (%)"
                   component={TextField}
                 />
+                <ElRewardsLimitPreview
+                  limitPoints={toProposedLimitPoints(values.limit)}
+                />
                 <Button
                   mode="strong"
                   wide
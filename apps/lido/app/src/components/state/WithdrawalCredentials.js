@@ -1,7 +1,17 @@
 import { useAragonApi } from '@aragon/api-react'
-import { Button, IconEdit, SidePanel } from '@aragon/ui'
+import {
+  Button,
+  IconEdit,
+  IdentityBadge,
+  LoadingRing,
+  SidePanel,
+} from '@aragon/ui'
+import {
+  decodeWithdrawalCredentials,
+  validateWithdrawalCredentials,
+} from '@lido/lido/src/withdrawal-credentials'
 import { Field, Form, Formik } from 'formik'
-import React, { useState } from 'react'
+import React, { useEffect, useState } from 'react'
 import * as yup from 'yup'
 import {
   BytesBadge,
@@ -12,6 +22,11 @@ import {
   LoadableElement,
   TextField,
 } from '../shared'
+import {
+  capitalizeFirstLetter,
+  getUnusedSigningKeysAsync,
+  toWithdrawalCredentials,
+} from '../../utils'
 
 const fieldName = 'credentials'
 
@@ -19,30 +34,83 @@ const initialValues = {
   [fieldName]: '',
 }
 
-const validationSchema = yup.object().shape({
-  credentials: yup
-    .string('Credentials must be a string.')
-    .test(
-      fieldName,
-      'Credentials must be a 32-byte hexadecimal number with `0x` prefix.',
-      (credentials) => {
-        const regex = /^0x[a-fA-F0-9]{64}$/
-        return regex.test(credentials)
-      }
-    ),
-})
+const createValidationSchema = (currentCredentials) =>
+  yup.object().shape({
+    credentials: yup
+      .string('Credentials must be a string.')
+      .test(fieldName, function (value) {
+        const credentials = toWithdrawalCredentials(value || '')
+        const [error] = validateWithdrawalCredentials(credentials)
+        if (error) {
+          return this.createError({
+            message: `${capitalizeFirstLetter(error)}.`,
+          })
+        }
+        if (
+          currentCredentials &&
+          decodeWithdrawalCredentials(credentials).credentials ===
+            currentCredentials.toLowerCase()
+        ) {
+          return this.createError({
+            message: 'Withdrawal credentials are already set to this value.',
+          })
+        }
+        return true
+      }),
+  })
+
+const CredentialsPreview = ({ value, unusedSigningKeys }) => {
+  const credentials = toWithdrawalCredentials(value)
+  if (validateWithdrawalCredentials(credentials).length > 0) {
+    return null
+  }
+  const { type, address } = decodeWithdrawalCredentials(credentials)
+
+  return (
+    <InfoSpaced title="Preview">
+      <ListItem label="Credentials">
+        <BytesBadge bytes={credentials} />
+      </ListItem>
+      <ListItem label="Type">{type}</ListItem>
+      {address && (
+        <ListItem label="Withdrawal address">
+          <IdentityBadge entity={address} />
+        </ListItem>
+      )}
+      <ListItem label="Unused keys to remove">
+        {unusedSigningKeys ? unusedSigningKeys.total : <LoadingRing />}
+      </ListItem>
+    </InfoSpaced>
+  )
+}
 
 export const WithdrawalCredentials = () => {
   const { api, appState } = useAragonApi()
-  const { withdrawalCredentials } = appState
+  const { withdrawalCredentials, nodeOperatorsRegistry } = appState
 
   const [sidePanelOpen, setSidePanelOpen] = useState(false)
   const openSidePanel = () => setSidePanelOpen(true)
   const closeSidePanel = () => setSidePanelOpen(false)
 
+  const [unusedSigningKeys, setUnusedSigningKeys] = useState(null)
+
+  useEffect(() => {
+    if (!sidePanelOpen || !api || !nodeOperatorsRegistry) {
+      return
+    }
+    setUnusedSigningKeys(null)
+    getUnusedSigningKeysAsync(api, nodeOperatorsRegistry)
+      .then(setUnusedSigningKeys)
+      .catch(console.warn)
+  }, [sidePanelOpen, api, nodeOperatorsRegistry])
+
   const submit = ({ credentials }) => {
     api
-      .setWithdrawalCredentials(credentials)
+      .setWithdrawalCredentials(
+        // the credentials may be entered without the 0x prefix
+        decodeWithdrawalCredentials(toWithdrawalCredentials(credentials))
+          .credentials
+      )
       .toPromise()
       .catch(console.error)
       .finally(closeSidePanel)
@@ -63,16 +131,23 @@ export const WithdrawalCredentials = () => {
       >
         <InfoSpaced title="Action">
           Set new withdrawal credentials. This action discards all unused
-          signing keys as the signatures are invalidated.
+          signing keys as the signatures are invalidated. Enter an execution
+          layer address to withdraw to it with 0x01 credentials.
         </InfoSpaced>
+        {unusedSigningKeys && unusedSigningKeys.total > 0 && (
+          <InfoSpaced mode="warning">
+            {unusedSigningKeys.total} unused signing keys of{' '}
+            {unusedSigningKeys.operators} node operators will be removed.
+          </InfoSpaced>
+        )}
         <Formik
           initialValues={initialValues}
-          validationSchema={validationSchema}
+          validationSchema={createValidationSchema(withdrawalCredentials)}
           validateOnBlur={false}
           validateOnChange={false}
           onSubmit={submit}
         >
-          {({ submitForm, isSubmitting, isValidating }) => {
+          {({ values, submitForm, isSubmitting, isValidating }) => {
             const handleSubmit = (event) => {
               event.preventDefault()
               submitForm()
@@ -83,9 +158,13 @@ export const WithdrawalCredentials = () => {
                 <Field
                   name={fieldName}
                   type="text"
-                  label="Credentials"
+                  label="Credentials or execution address"
                   component={TextField}
                 />
+                <CredentialsPreview
+                  value={values[fieldName]}
+                  unusedSigningKeys={unusedSigningKeys}
+                />
                 <Button
                   mode="strong"
                   wide
@@ -2,6 +2,7 @@ import { Box } from '@aragon/ui'
 import React from 'react'
 import { BufferedEther } from './BufferedEther'
 import { DepositContract } from './DepositContract'
+import { ElRewardsProjection } from './ElRewardsProjection'
 import { ElRewardsVault } from './ElRewardsVault'
 import { ElRewardsWithdrawalLimit } from './ElRewardsWithdrawalLimit'
 import { Fee } from './Fee'
@@ -21,6 +22,7 @@ export const State = () => {
       <WithdrawalCredentials />
       <ElRewardsWithdrawalLimit />
       <ElRewardsVault />
+      <ElRewardsProjection />
       <BufferedEther />
       <TotalPooledEther />
       <DepositContract />
@@ -1,4 +1,6 @@
+import { deriveWithdrawalCredentials } from '@lido/lido/src/withdrawal-credentials'
 import BN from 'bn.js'
+import { isAddress } from 'web3-utils'
 
 const TEN_TO_15 = new BN(10).pow(new BN(15))
 
@@ -48,3 +50,69 @@ export function sum(n1, n2, n3) {
 export function capitalizeFirstLetter(string) {
   return string.charAt(0).toUpperCase() + string.slice(1)
 }
+
+/**
+ * Formats a number of blocks as an approximate duration
+ * @param {number} blocks number of blocks
+ * @param {number} secondsPerBlock average block time
+ * @returns {string} duration, e.g. `~1 h 5 min`
+ */
+export function formatBlocksDuration(blocks, secondsPerBlock = 12) {
+  const minutes = Math.ceil((blocks * secondsPerBlock) / 60)
+  const hours = Math.floor(minutes / 60)
+  if (hours === 0) {
+    return `~${minutes} min`
+  }
+  return `~${hours} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`
+}
+
+/**
+ * Resolves an execution layer address or withdrawal credentials input
+ * @param {string} value address or 32-byte withdrawal credentials
+ * @returns {string} withdrawal credentials
+ */
+export function toWithdrawalCredentials(value) {
+  return isAddress(value) ? deriveWithdrawalCredentials(value) : value
+}
+
+const NODE_OPERATORS_REGISTRY_ABI = [
+  {
+    constant: true,
+    inputs: [],
+    name: 'getNodeOperatorsCount',
+    outputs: [{ name: '', type: 'uint256' }],
+    payable: false,
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    constant: true,
+    inputs: [{ name: '_operator_id', type: 'uint256' }],
+    name: 'getUnusedSigningKeyCount',
+    outputs: [{ name: '', type: 'uint256' }],
+    payable: false,
+    stateMutability: 'view',
+    type: 'function',
+  },
+]
+
+/**
+ * Counts the unused signing keys that changing withdrawal credentials removes
+ * @param {object} api Aragon api
+ * @param {string} registryAddress node operators registry address
+ * @returns {Promise<object>} `total` number of keys and the number of
+ * node `operators` they belong to
+ */
+export async function getUnusedSigningKeysAsync(api, registryAddress) {
+  const registry = api.external(registryAddress, NODE_OPERATORS_REGISTRY_ABI)
+  const count = Number(await registry.getNodeOperatorsCount().toPromise())
+  const unusedKeys = await Promise.all(
+    Array.from({ length: count }, (_, id) =>
+      registry.getUnusedSigningKeyCount(id).toPromise().then(Number)
+    )
+  )
+  return {
+    total: unusedKeys.reduce((sum, keys) => sum + keys, 0),
+    operators: unusedKeys.filter((keys) => keys > 0).length,
+  }
+}
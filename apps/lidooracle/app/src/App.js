@@ -23,6 +23,7 @@ import IconEdit from '@aragon/ui/dist/IconEdit'
 import ChangeIncreaseSidePanel from './components/ChangeIncreaseSidePanel'
 import ChangeDecreaseSidePanel from './components/ChangeDecreaseSidePanel'
 import { constants, ethers } from 'ethers'
+import { normalizeReportVariant } from '@lido/lido/src/report-utils'
 
 export default function App() {
   const { api, appState, currentApp, guiStyle } = useAragonApi()
@@ -280,13 +281,25 @@ export default function App() {
               Current Report Variants
             </p>
             <DataView
-              fields={['#', 'Beacon balance', 'Beacon validators', 'Count']}
-              entries={currentReportVariants}
-              renderEntry={({ beaconBalance, beaconValidators, count }, i) => [
+              fields={[
+                '#',
+                'Beacon balance',
+                'Beacon validators',
+                'Count',
+                'Quorum',
+              ]}
+              entries={currentReportVariants.map((variant) =>
+                normalizeReportVariant(variant, quorum)
+              )}
+              renderEntry={(variant, i) => [
                 <strong>{i}</strong>,
-                <strong>{beaconBalance} gwei</strong>,
-                <strong>{beaconValidators}</strong>,
-                <strong>{count}</strong>,
+                <strong>
+                  {constants.EtherSymbol}
+                  {ethers.utils.formatEther(variant.beaconBalanceEth1)}
+                </strong>,
+                <strong>{variant.beaconValidators}</strong>,
+                <strong>{variant.count}</strong>,
+                <span>{renderQuorumProgress(variant)}</span>,
               ]}
             />
             <p
@@ -416,6 +429,11 @@ function renderLastCompletedReportDelta(lastCompletedReportDelta) {
   )
 }
 
+function renderQuorumProgress({ count, quorum, votesToQuorum, isQuorum }) {
+  if (isQuorum) return `${count}/${quorum}, reached`
+  return `${count}/${quorum}, ${votesToQuorum} more needed`
+}
+
 function LabelValue({ label, value }) {
   return (
     <div
@@ -7,6 +7,7 @@ import {
   Header,
   IconCheck,
   IconClose,
+  IconView,
   IconWrite,
   IdentityBadge,
   Main,
@@ -20,14 +21,21 @@ import AddSigningKeysSidePanel from './components/AddSigningKeysSidePanel'
 import MenuItem from './components/MenuItem'
 import IconQuestion from '@aragon/ui/dist/IconQuestion'
 import InfoBox from './components/InfoBox'
-import { getEndingBasedOnNumber } from './utils/helpers'
+import {
+  createSigningKeysReader,
+  getDepositVerificationParamsAsync,
+  getEndingBasedOnNumber,
+} from './utils/helpers'
 import ChangeLimitPanel from './components/ChangeLimitPanel'
+import SigningKeysPanel from './components/SigningKeysPanel'
+import { exportDepositData, listSigningKeys } from '@lido/lido/src/signing-keys'
 import IconGroup from '@aragon/ui/dist/IconGroup'
 
 function App() {
-  const { api, appState, connectedAccount } = useAragonApi()
+  const { api, appState, connectedAccount, network } = useAragonApi()
   const { appearance } = useGuiStyle()
   const {
+    lidoAddress,
     nodeOperatorsCount,
     activeNodeOperatorsCount,
     nodeOperators,
@@ -93,6 +101,15 @@ function App() {
         .toPromise(),
     [api, addSigningKeysToOperatorId]
   )
+  const getDepositVerificationParams = useCallback(
+    () =>
+      getDepositVerificationParamsAsync(
+        api,
+        lidoAddress,
+        network && network.id
+      ),
+    [api, lidoAddress, network]
+  )
 
   // ADD SIGNING KEYS FOR NodeOperator
   const currentUserOperatorId = useMemo(() => {
@@ -119,6 +136,31 @@ function App() {
     [api, changeLimitOperatorId]
   )
 
+  // SIGNING KEYS TABLE
+  const [signingKeysOperatorId, setSigningKeysOperatorId] = useState(null)
+  const openSigningKeysPanel = useCallback(
+    (id) => setSigningKeysOperatorId(id),
+    []
+  )
+  const closeSigningKeysPanel = useCallback(
+    () => setSigningKeysOperatorId(null),
+    []
+  )
+  const signingKeysReader = useMemo(() => createSigningKeysReader(api), [api])
+  const listOperatorSigningKeys = useCallback(
+    (opts) => listSigningKeys(signingKeysReader, signingKeysOperatorId, opts),
+    [signingKeysReader, signingKeysOperatorId]
+  )
+  const exportOperatorDepositData = useCallback(
+    async () =>
+      exportDepositData(
+        signingKeysReader,
+        signingKeysOperatorId,
+        await getDepositVerificationParams()
+      ),
+    [signingKeysReader, signingKeysOperatorId, getDepositVerificationParams]
+  )
+
   // GET SIGNING KEYS
   const getSigningKeys = useCallback(
     (id) => {
@@ -221,6 +263,11 @@ function App() {
                   icon={<IconGroup />}
                   label="change staking limit"
                 />
+                <MenuItem
+                  onClick={() => openSigningKeysPanel(id)}
+                  icon={<IconView />}
+                  label="view signing keys"
+                />
                 <Toast>
                   {(toast) => (
                     <MenuItem
@@ -281,6 +328,7 @@ function App() {
         opened={addSigningKeysToOperatorId !== null}
         onClose={closeAddSKSidePanel}
         api={addSKManagerApi}
+        getDepositVerificationParams={getDepositVerificationParams}
       />
       <ChangeLimitPanel
         title="Change staking limit"
@@ -288,6 +336,14 @@ function App() {
         onClose={closeChangeLimitPanel}
         api={changeLimitApi}
       />
+      <SigningKeysPanel
+        title="Signing keys"
+        opened={signingKeysOperatorId !== null}
+        onClose={closeSigningKeysPanel}
+        operatorId={signingKeysOperatorId}
+        listSigningKeys={listOperatorSigningKeys}
+        exportDepositData={exportOperatorDepositData}
+      />
     </Main>
   )
 }
@@ -1,5 +1,5 @@
 import { Button, GU, SidePanel, Info, SyncIndicator } from '@aragon/ui'
-import React, { useCallback } from 'react'
+import React, { useCallback, useMemo } from 'react'
 import { Formik, Field } from 'formik'
 import * as yup from 'yup'
 import TextField from './TextField'
@@ -9,7 +9,6 @@ import {
   hasDuplicatePubkeys,
   hasDuplicateSigs,
   isHexadecimal,
-  SIGNATURE_VERIFY_ENDPOINT,
   SUBGRAPH_ENDPOINT,
   verifySignaturesAsync,
 } from '../utils/helpers'
@@ -23,92 +22,131 @@ const initialValues = {
   useAdvancedV8n: false,
 }
 
-const validationSchema = yup
-  .object()
-  .shape({
-    json: yup.string().required(),
-  })
-  .test('basic', 'Invalid json file', function ({ json }) {
-    let data
-    try {
-      data = JSON.parse(json)
-      if (!Array.isArray(data)) {
-        throw new Error('JSON must be an array')
-      }
-    } catch (e) {
-      return this.createError({
-        path: 'json',
-        message: e.message || 'Invalid JSON',
-      })
+// the verification fetches the withdrawal credentials and checks every BLS
+// signature, so it only runs again once the JSON changes
+const memoizeVerification = (getDepositVerificationParams) => {
+  let lastJson = null
+  let lastResult = null
+  return (json, data) => {
+    if (json !== lastJson) {
+      lastJson = json
+      lastResult = getDepositVerificationParams()
+        .then((params) => verifySignaturesAsync(data, params))
+        .catch((e) => {
+          lastJson = null
+          throw e
+        })
     }
+    return lastResult
+  }
+}
 
-    const quantity = data.length
-    if (quantity < 1)
-      return this.createError({
-        path: 'json',
-        message: `Expected one or more keys but got ${quantity}.`,
-      })
-
-    if (quantity > LIMIT)
-      return this.createError({
-        path: 'json',
-        message: `Expected ${LIMIT} signing keys max per submission but got ${quantity}.`,
-      })
-
-    if (hasDuplicatePubkeys(data))
-      return this.createError({
-        path: 'json',
-        message: 'Includes duplicate public keys',
-      })
-
-    if (hasDuplicateSigs(data))
-      return this.createError({
-        path: 'json',
-        message: 'Includes duplicate signatures',
-      })
-
-    for (let i = 0; i < data.length; i++) {
-      const { pubkey, signature } = data[i]
-
-      if (!isHexadecimal(pubkey, 96))
+const createValidationSchema = (verifySignatures) =>
+  yup
+    .object()
+    .shape({
+      json: yup.string().required(),
+    })
+    .test('basic', 'Invalid json file', async function ({ json }) {
+      let data
+      try {
+        data = JSON.parse(json)
+        if (!Array.isArray(data)) {
+          throw new Error('JSON must be an array')
+        }
+      } catch (e) {
         return this.createError({
           path: 'json',
-          message: `Invalid pubkey at index ${i}.`,
+          message: e.message || 'Invalid JSON',
         })
-      if (!isHexadecimal(signature, 192))
+      }
+
+      const quantity = data.length
+      if (quantity < 1)
         return this.createError({
           path: 'json',
-          message: `Invalid signature at index ${i}.`,
+          message: `Expected one or more keys but got ${quantity}.`,
         })
-    }
 
-    return true
-  })
-  .test('advanced', 'Invalid keys', async function ({ json, useAdvancedV8n }) {
-    if (!useAdvancedV8n) return true
+      if (quantity > LIMIT)
+        return this.createError({
+          path: 'json',
+          message: `Expected ${LIMIT} signing keys max per submission but got ${quantity}.`,
+        })
 
-    const signingKeys = JSON.parse(json)
+      if (hasDuplicatePubkeys(data))
+        return this.createError({
+          path: 'json',
+          message: 'Includes duplicate public keys',
+        })
 
-    const duplicates = await checkForDuplicatesAsync(signingKeys)
-    if (duplicates.length) {
-      return this.createError({
-        path: 'json',
-        message: `Public keys already in use: ${duplicates.join(', ')}`,
-      })
-    }
+      if (hasDuplicateSigs(data))
+        return this.createError({
+          path: 'json',
+          message: 'Includes duplicate signatures',
+        })
 
-    const invalidSignatures = await verifySignaturesAsync(signingKeys)
-    if (invalidSignatures.length) {
-      return this.createError({
-        path: 'json',
-        message: `Invalid signatures: ${invalidSignatures.join(', ')}`,
-      })
-    }
+      for (let i = 0; i < data.length; i++) {
+        const { pubkey, signature } = data[i]
+
+        if (!isHexadecimal(pubkey, 96))
+          return this.createError({
+            path: 'json',
+            message: `Invalid pubkey at index ${i}.`,
+          })
+        if (!isHexadecimal(signature, 192))
+          return this.createError({
+            path: 'json',
+            message: `Invalid signature at index ${i}.`,
+          })
+      }
+
+      let invalidSignatures
+      try {
+        invalidSignatures = await verifySignatures(json, data)
+      } catch (e) {
+        return this.createError({
+          path: 'json',
+          message: e.message || 'Unable to verify the signatures',
+        })
+      }
+      if (invalidSignatures.length)
+        return this.createError({
+          path: 'json',
+          message: `Invalid signatures of public keys: ${invalidSignatures.join(
+            ', '
+          )}`,
+        })
 
-    return true
-  })
+      return true
+    })
+    .test(
+      'advanced',
+      'Invalid keys',
+      async function ({ json, useAdvancedV8n }) {
+        if (!useAdvancedV8n) return true
+
+        const signingKeys = JSON.parse(json)
+
+        const duplicates = await checkForDuplicatesAsync(signingKeys)
+        if (duplicates.length) {
+          return this.createError({
+            path: 'json',
+            message: `Public keys already in use: ${duplicates.join(', ')}`,
+          })
+        }
+
+        return true
+      }
+    )
+
+function PanelContent({ api, getDepositVerificationParams, onClose }) {
+  const validationSchema = useMemo(
+    () =>
+      createValidationSchema(memoizeVerification(getDepositVerificationParams)),
+    [getDepositVerificationParams]
+  )
 
-function PanelContent({ api, onClose }) {
   const onSubmit = useCallback(
     async ({ json }) => {
       const { quantity, pubkeys, signatures } = formatJsonData(json)
@@ -157,7 +195,7 @@ function PanelContent({ api, onClose }) {
               component={TextField}
               multiline
             />
-            {SIGNATURE_VERIFY_ENDPOINT && SUBGRAPH_ENDPOINT && (
+            {SUBGRAPH_ENDPOINT && (
               <Field name="useAdvancedV8n" component={CheckBox} />
             )}
             <Button
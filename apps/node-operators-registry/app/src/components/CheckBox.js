@@ -34,8 +34,7 @@ const CheckBox = React.forwardRef(({ label, field, form }, ref) => {
       </label>
       <Info style={{ marginTop: 5 }} mode="warning">
         By checking this box, you agree to using an external api to check your
-        signing keys for duplicates against already submitted keys and to verify
-        your signatures.
+        signing keys for duplicates against already submitted keys.
       </Info>
     </div>
   )
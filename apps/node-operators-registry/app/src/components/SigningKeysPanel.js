@@ -0,0 +1,112 @@
+import { Button, DataView, GU, Info, SidePanel, useTheme } from '@aragon/ui'
+import React, { useCallback, useEffect, useState } from 'react'
+import { downloadJson, shortenHex } from '../utils/helpers'
+
+const PAGE_SIZE = 20
+
+function PanelContent({ operatorId, listSigningKeys, exportDepositData }) {
+  const theme = useTheme()
+  const [keys, setKeys] = useState([])
+  const [total, setTotal] = useState(null)
+  const [nextOffset, setNextOffset] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [exporting, setExporting] = useState(false)
+
+  const loadPage = useCallback(
+    (offset) => {
+      setLoading(true)
+      return listSigningKeys({ offset, limit: PAGE_SIZE })
+        .then((page) => {
+          setKeys((loaded) =>
+            offset === 0 ? page.keys : [...loaded, ...page.keys]
+          )
+          setTotal(page.total)
+          setNextOffset(page.nextOffset)
+        })
+        .catch(console.error)
+        .finally(() => setLoading(false))
+    },
+    [listSigningKeys]
+  )
+
+  useEffect(() => {
+    loadPage(0)
+  }, [loadPage])
+
+  const onExport = useCallback(() => {
+    setExporting(true)
+    exportDepositData()
+      .then((depositData) =>
+        downloadJson(`deposit_data-operator-${operatorId}.json`, depositData)
+      )
+      .catch(console.error)
+      .finally(() => setExporting(false))
+  }, [exportDepositData, operatorId])
+
+  return (
+    <div
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+    >
+      <Info
+        title="Signing keys"
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        {total === null
+          ? 'Loading signing keys...'
+          : `Showing ${keys.length} of ${total} signing keys.`}
+      </Info>
+      <DataView
+        mode="table"
+        fields={['#', 'Public key', 'Status']}
+        entries={keys}
+        entriesPerPage={keys.length || PAGE_SIZE}
+        status={loading && keys.length === 0 ? 'loading' : 'default'}
+        renderEntry={({ index, pubkey, used }) => [
+          // eslint-disable-next-line react/jsx-key
+          <strong>{index}</strong>,
+          // eslint-disable-next-line react/jsx-key
+          <span title={pubkey}>0x{shortenHex(pubkey)}</span>,
+          // eslint-disable-next-line react/jsx-key
+          <strong
+            css={`
+              color: ${used ? theme.surfaceContentSecondary : theme.positive};
+            `}
+          >
+            {used ? 'USED' : 'UNUSED'}
+          </strong>,
+        ]}
+      />
+      {nextOffset !== null && (
+        <Button
+          wide
+          label="Load more"
+          disabled={loading}
+          onClick={() => loadPage(nextOffset)}
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+        />
+      )}
+      <Button
+        mode="strong"
+        wide
+        label="Export deposit data"
+        disabled={exporting || !total}
+        onClick={onExport}
+        css={`
+          margin-top: ${2 * GU}px;
+        `}
+      />
+    </div>
+  )
+}
+
+export default (props) => (
+  <SidePanel {...props}>
+    {props.operatorId !== null && <PanelContent {...props} />}
+  </SidePanel>
+)
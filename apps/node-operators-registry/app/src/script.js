@@ -4,6 +4,10 @@ import Aragon, { events } from '@aragon/api'
 
 const app = new Aragon()
 
+// keccak256("lido.NodeOperatorsRegistry.lido"), the registry keeps the Lido address there
+const LIDO_POSITION =
+  '0x55ace4018640fb35d3c436039b2e7726cad60d4a14d1c6fc67903411f950a626'
+
 app.store(
   async (state, { event }) => {
     const nextState = {
@@ -62,6 +66,7 @@ function initializeState() {
     const nodeOperatorsCount = await getNodeOperatorsCount()
     return {
       ...cachedState,
+      lidoAddress: await getLidoAddress(),
       nodeOperatorsCount,
       activeNodeOperatorsCount: await getActiveNodeOperatorsCount(),
       nodeOperators: await getNodeOperators(nodeOperatorsCount),
@@ -69,6 +74,14 @@ function initializeState() {
   }
 }
 
+async function getLidoAddress() {
+  const { appAddress } = await app.currentApp().toPromise()
+  const slot = await app
+    .web3Eth('getStorageAt', appAddress, LIDO_POSITION)
+    .toPromise()
+  return '0x' + slot.slice(-40)
+}
+
 async function getNodeOperatorsCount() {
   return await app.call('getNodeOperatorsCount').toPromise()
 }
@@ -1,3 +1,8 @@
+import {
+  getGenesisForkVersion,
+  getInvalidDepositData,
+} from '@lido/lido/src/deposit-data'
+
 export function getEndingBasedOnNumber(
   number,
   wordInSingular,
@@ -63,18 +68,43 @@ export function hasDuplicateSigs(signingKeys) {
   return false
 }
 
-export async function myFetch(url, method = 'GET', body) {
-  const response = await fetch(url, {
-    method,
-    body: JSON.stringify(body),
-    headers: {
-      'Content-type': 'application/json',
-    },
-  })
-  return response.json()
+// set for networks the lib doesn't know the beacon chain genesis fork version of
+export const GENESIS_FORK_VERSION = process.env.GENESIS_FORK_VERSION
+
+const LIDO_ABI = [
+  {
+    constant: true,
+    inputs: [],
+    name: 'getWithdrawalCredentials',
+    outputs: [{ name: '', type: 'bytes32' }],
+    payable: false,
+    stateMutability: 'view',
+    type: 'function',
+  },
+]
+
+export async function getDepositVerificationParamsAsync(
+  api,
+  lidoAddress,
+  chainId
+) {
+  const forkVersion = GENESIS_FORK_VERSION || getKnownForkVersion(chainId)
+  const withdrawalCredentials = await api
+    .external(lidoAddress, LIDO_ABI)
+    .getWithdrawalCredentials()
+    .toPromise()
+  return { withdrawalCredentials, forkVersion }
 }
 
-export const SIGNATURE_VERIFY_ENDPOINT = process.env.SIGNATURE_VERIFY_ENDPOINT
+function getKnownForkVersion(chainId) {
+  try {
+    return getGenesisForkVersion(chainId)
+  } catch (e) {
+    throw new Error(
+      `Unknown genesis fork version of chain ${chainId}, set GENESIS_FORK_VERSION to verify the signatures`
+    )
+  }
+}
 
 function withoutPrefix(hexString) {
   if (hexString.slice(0, 2) === '0x') {
@@ -83,21 +113,43 @@ function withoutPrefix(hexString) {
   return hexString
 }
 
-function shortenHex(hexString) {
+export function shortenHex(hexString) {
   const hexNoPrefix = withoutPrefix(hexString)
   const len = hexNoPrefix.length
   const upTo = 4
   return `${hexNoPrefix.slice(0, upTo)}...${hexNoPrefix.slice(len - upTo)}`
 }
 
-export async function verifySignaturesAsync(signingKeys) {
-  const body = signingKeys.map(({ pubkey, signature }) => ({
+export async function verifySignaturesAsync(signingKeys, params) {
+  const keys = signingKeys.map(({ pubkey, signature }) => ({
     pubkey,
     signature,
   }))
 
-  const invalidSigs = await myFetch(SIGNATURE_VERIFY_ENDPOINT, 'POST', body)
-  return invalidSigs.map(shortenHex)
+  const invalidKeys = await getInvalidDepositData(keys, params)
+  return invalidKeys.map(({ pubkey }) => shortenHex(pubkey))
+}
+
+// the calls the lib needs to page through signing keys, see `listSigningKeys`
+export function createSigningKeysReader(api) {
+  return {
+    getNodeOperator: (id, fullInfo) =>
+      api.call('getNodeOperator', id, fullInfo).toPromise(),
+    getSigningKey: (id, index) =>
+      api.call('getSigningKey', id, index).toPromise(),
+  }
+}
+
+export function downloadJson(fileName, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: 'application/json',
+  })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
 }
 
 export const SUBGRAPH_ENDPOINT = process.env.SUBGRAPH_ENDPOINT
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { runCli } = require('../src/cli')
+
+runCli(process.argv.slice(2)).catch((err) => {
+  console.error(`error: ${err.message}`)
+  process.exitCode = 1
+})
@@ -1,3 +1,5 @@
+const fs = require('fs')
+const path = require('path')
 const truffleContract = require('@truffle/contract')
 
 const abiByName = {}
@@ -16,4 +18,11 @@ function getABI(name) {
   return abiByName[name] || (abiByName[name] = require(`../abi/${name}.json`))
 }
 
-module.exports = { getABI, getContract }
+function listABINames() {
+  return fs
+    .readdirSync(path.join(__dirname, '..', 'abi'))
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => path.basename(file, '.json'))
+}
+
+module.exports = { getABI, getContract, listABINames }
@@ -0,0 +1,214 @@
+const Web3 = require('web3')
+
+const { getContract, getABI, listABINames } = require('./abi')
+const { ZERO_ADDR, addressEqual } = require('./utils')
+const { indexEvents } = require('./indexer')
+
+const ACL = getContract('ACL')
+const Kernel = getContract('Kernel')
+
+const ANY_ENTITY = '0xffffffffffffffffffffffffffffffffffffffff'
+
+const PERMISSION_EVENTS = ['SetPermission', 'SetPermissionParams', 'ChangePermissionManager']
+
+// ACL.Op and the special argument ids from ACLSyntaxSugar / ACL.sol
+const PARAM_OPS = ['NONE', 'EQ', 'NEQ', 'GT', 'LT', 'GTE', 'LTE', 'RET', 'NOT', 'AND', 'OR', 'XOR', 'IF_ELSE']
+const PARAM_IDS = { 200: 'BLOCK_NUMBER', 201: 'TIMESTAMP', 203: 'ORACLE', 204: 'LOGIC_OP', 205: 'PARAM_VALUE' }
+
+async function getACL(web3, address) {
+  ACL.setProvider(web3.currentProvider)
+  return await ACL.at(address)
+}
+
+async function getKernel(web3, address) {
+  Kernel.setProvider(web3.currentProvider)
+  return await Kernel.at(address)
+}
+
+async function getKernelACL(kernel) {
+  ACL.setProvider(kernel.contract.currentProvider)
+  return await ACL.at(await kernel.acl())
+}
+
+// The events are fetched by the event indexer in block-range chunks, since nodes limit the number
+// of logs returned at once and the DAO history is too long for a single request
+async function getPermissionEvents(acl, fromBlock = 0, toBlock = 'latest', { chunkSize, log } = {}) {
+  const source = { name: 'ACL', instance: acl, events: PERMISSION_EVENTS, fromBlock: +fromBlock }
+  const { rows } = await indexEvents([source], { toBlock, chunkSize, log })
+  return rows
+}
+
+// Maps role hashes to role ids and names. Roles are collected from `*_ROLE`-like constant getters
+// in lib/abi and from the `roles` section of the given parsed `arapp.json` files.
+function createRoleBook(arapps = []) {
+  const book = {}
+  const add = (id, name = null) => {
+    const hash = Web3.utils.keccak256(id)
+    book[hash] = { id, name: name || (book[hash] && book[hash].name) || null }
+  }
+
+  for (const abiName of listABINames()) {
+    getABI(abiName)
+      .filter((item) => item.type === 'function' && item.inputs.length === 0 && /^[A-Z0-9_]+$/.test(item.name))
+      .filter((item) => item.outputs.length === 1 && item.outputs[0].type === 'bytes32')
+      .forEach((item) => add(item.name))
+  }
+  for (const arapp of arapps) {
+    for (const role of arapp.roles || []) {
+      add(role.id, role.name)
+    }
+  }
+  return book
+}
+
+// Replays permission events in the order they were emitted and returns the resulting permissions,
+// one entry per (app, role) pair that ever had a grantee or a manager
+function buildPermissionMatrix(events) {
+  const permissions = {}
+  const getPermission = (app, role) => {
+    const key = `${app.toLowerCase()}:${role.toLowerCase()}`
+    return (
+      permissions[key] ||
+      (permissions[key] = { app: Web3.utils.toChecksumAddress(app), role: role.toLowerCase(), manager: null, grantees: {} })
+    )
+  }
+
+  const sorted = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+  for (const { event, args } of sorted) {
+    const permission = getPermission(args.app, args.role)
+    if (event === 'ChangePermissionManager') {
+      permission.manager = addressEqual(args.manager, ZERO_ADDR) ? null : Web3.utils.toChecksumAddress(args.manager)
+    } else if (event === 'SetPermission') {
+      const entity = args.entity.toLowerCase()
+      if (args.allowed) {
+        // a grant without params is not followed by SetPermissionParams
+        permission.grantees[entity] = { address: Web3.utils.toChecksumAddress(args.entity), paramsHash: null }
+      } else {
+        delete permission.grantees[entity]
+      }
+    } else if (event === 'SetPermissionParams') {
+      const grantee = permission.grantees[args.entity.toLowerCase()]
+      if (grantee) {
+        grantee.paramsHash = args.paramsHash
+      }
+    }
+  }
+
+  return Object.values(permissions)
+    .map((permission) => ({ ...permission, grantees: Object.values(permission.grantees) }))
+    .filter((permission) => permission.manager || permission.grantees.length)
+}
+
+async function getPermissionParams(acl, entity, app, role) {
+  const length = +(await acl.getPermissionParamsLength(entity, app, role))
+  const params = await Promise.all(Array.from({ length }, (_, i) => acl.getPermissionParam(entity, app, role, i)))
+  return params.map((param) => ({
+    id: +param[0],
+    op: PARAM_OPS[+param[1]] || String(param[1]),
+    value: param[2].toString()
+  }))
+}
+
+function formatPermissionParam({ id, op, value }) {
+  const subject = PARAM_IDS[id] || `arg${id}`
+  if (op === 'RET') {
+    return `${subject} returns true`
+  }
+  return `${subject} ${op} ${value}`
+}
+
+// Builds the current role matrix of the DAO with role, app and entity names resolved
+async function inspectPermissions(
+  acl,
+  { fromBlock = 0, toBlock = 'latest', addressBook = {}, roleBook = createRoleBook(), chunkSize, log } = {}
+) {
+  const matrix = buildPermissionMatrix(await getPermissionEvents(acl, fromBlock, toBlock, { chunkSize, log }))
+  const nameOf = (address) => {
+    if (addressEqual(address, ANY_ENTITY)) {
+      return 'ANY_ENTITY'
+    }
+    if (addressEqual(address, acl.address)) {
+      return 'ACL'
+    }
+    const entry = addressBook[address.toLowerCase()]
+    return entry ? entry.name : null
+  }
+
+  const result = []
+  for (const permission of matrix) {
+    const role = roleBook[permission.role] || { id: null, name: null }
+    const grantees = []
+    for (const grantee of permission.grantees) {
+      const params = grantee.paramsHash ? await getPermissionParams(acl, grantee.address, permission.app, permission.role) : []
+      grantees.push({ address: grantee.address, name: nameOf(grantee.address), params })
+    }
+    result.push({
+      app: permission.app,
+      appName: nameOf(permission.app),
+      role: permission.role,
+      roleId: role.id,
+      roleName: role.name,
+      manager: permission.manager,
+      managerName: permission.manager && nameOf(permission.manager),
+      grantees
+    })
+  }
+
+  return result.sort(
+    (a, b) => String(a.appName || a.app).localeCompare(b.appName || b.app) || (a.roleId || a.role).localeCompare(b.roleId || b.role)
+  )
+}
+
+// Returns `{ method: [roleId, ...] }` for functions of a Solidity source guarded by the `auth`,
+// `authP` modifiers or the `_auth` call
+function getFunctionRoles(source) {
+  const roles = {}
+  const chunks = source.split(/\bfunction\s+/).slice(1)
+  for (const chunk of chunks) {
+    const name = chunk.match(/^(\w+)\s*\(/)
+    const auth = chunk.match(/\b_?authP?\(\s*([A-Z][A-Z0-9_]*)/)
+    if (name && auth) {
+      roles[name[1]] = [...new Set([...(roles[name[1]] || []), auth[1]])]
+    }
+  }
+  return roles
+}
+
+// Who can currently call a method guarded by one of `roleIds` on `app`
+function findMethodPermissions(permissions, app, roleIds) {
+  return permissions.filter((permission) => addressEqual(permission.app, app) && roleIds.includes(permission.roleId))
+}
+
+function formatPermissionsMarkdown(permissions) {
+  const entity = (address, name) => (name ? `${name} (\`${address}\`)` : `\`${address}\``)
+  const rows = permissions.map((permission) => {
+    const grantees = permission.grantees
+      .map((grantee) => {
+        const params = grantee.params.length ? ` if ${grantee.params.map(formatPermissionParam).join(', ')}` : ''
+        return entity(grantee.address, grantee.name) + params
+      })
+      .join('<br>')
+    const role = permission.roleId ? `${permission.roleId}${permission.roleName ? ` (${permission.roleName})` : ''}` : permission.role
+    const manager = permission.manager ? entity(permission.manager, permission.managerName) : '—'
+    return `| ${entity(permission.app, permission.appName)} | ${role} | ${grantees || '—'} | ${manager} |`
+  })
+  return ['| App | Role | Grantees | Manager |', '| --- | --- | --- | --- |', ...rows].join('\n')
+}
+
+module.exports = {
+  ACL,
+  Kernel,
+  ANY_ENTITY,
+  getACL,
+  getKernel,
+  getKernelACL,
+  getPermissionEvents,
+  createRoleBook,
+  buildPermissionMatrix,
+  getPermissionParams,
+  formatPermissionParam,
+  inspectPermissions,
+  getFunctionRoles,
+  findMethodPermissions,
+  formatPermissionsMarkdown
+}
@@ -0,0 +1,139 @@
+const BN = require('bn.js')
+const Web3 = require('web3')
+
+const { getBeaconSpec } = require('./oracle')
+const { indexEvents, queryEvents } = require('./indexer')
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60
+const E18 = new BN(10).pow(new BN(18))
+// APR values are calculated with 6 decimal places of a percent
+const APR_PRECISION = 1e6
+
+const CSV_COLUMNS = [
+  'epochId',
+  'timestamp',
+  'blockNumber',
+  'transactionHash',
+  'preTotalPooledEther',
+  'postTotalPooledEther',
+  'timeElapsed',
+  'totalShares',
+  'shareRate',
+  'apr',
+  'shareRateApr',
+  'movingAverageApr'
+]
+
+// Pairs `Completed` and `PostTotalShares` rows of the event indexer emitted by the same report
+function collectOracleReports(rows) {
+  const epochByTx = {}
+  for (const row of rows.filter((row) => row.event === 'Completed')) {
+    epochByTx[row.transactionHash] = +row.args.epochId
+  }
+  return rows
+    .filter((row) => row.event === 'PostTotalShares' && epochByTx[row.transactionHash] !== undefined)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map((row) => ({
+      epochId: epochByTx[row.transactionHash],
+      blockNumber: row.blockNumber,
+      transactionHash: row.transactionHash,
+      preTotalPooledEther: row.args.preTotalPooledEther,
+      postTotalPooledEther: row.args.postTotalPooledEther,
+      timeElapsed: +row.args.timeElapsed,
+      totalShares: row.args.totalShares
+    }))
+}
+
+async function getOracleReports(oracle, { fromBlock = 0, toBlock = 'latest', cache, cachePath, log } = {}) {
+  const source = { name: 'LidoOracle', instance: oracle, events: ['Completed', 'PostTotalShares'], fromBlock }
+  const indexed = await indexEvents([source], { cache, cachePath, toBlock, log })
+  // a shared cache may hold rows of other oracle deployments
+  return collectOracleReports(queryEvents(indexed, { contract: 'LidoOracle', address: oracle.address, fromBlock }))
+}
+
+// Computes per-report APR from the pooled ether change reported by the oracle (before fees), the
+// share rate after each report (wei of pooled ether per 10^18 shares) and the APR implied by the
+// share rate change between consecutive reports (after fees, what stETH holders actually got).
+// APRs are in percent, the moving average is weighted by the time elapsed in each report.
+function computeAprHistory(reports, beaconSpec, { window = 7 } = {}) {
+  const { genesisTime, slotsPerEpoch, secondsPerSlot } = beaconSpec
+  const history = []
+
+  for (const report of reports) {
+    const pre = new BN(String(report.preTotalPooledEther))
+    const post = new BN(String(report.postTotalPooledEther))
+    const totalShares = new BN(String(report.totalShares))
+    const timestamp = genesisTime + report.epochId * slotsPerEpoch * secondsPerSlot
+    const shareRate = totalShares.isZero() ? new BN(0) : post.mul(E18).div(totalShares)
+
+    const prev = history[history.length - 1]
+    const shareRateApr = prev ? annualize(new BN(prev.shareRate), shareRate, timestamp - prev.timestamp) : null
+
+    history.push({
+      epochId: report.epochId,
+      timestamp,
+      blockNumber: report.blockNumber,
+      transactionHash: report.transactionHash,
+      preTotalPooledEther: pre.toString(),
+      postTotalPooledEther: post.toString(),
+      timeElapsed: report.timeElapsed,
+      totalShares: totalShares.toString(),
+      shareRate: shareRate.toString(),
+      apr: annualize(pre, post, report.timeElapsed),
+      shareRateApr,
+      movingAverageApr: null
+    })
+
+    const windowReports = history.slice(-window).filter((item) => item.apr !== null)
+    const windowTime = windowReports.reduce((sum, item) => sum + item.timeElapsed, 0)
+    history[history.length - 1].movingAverageApr =
+      windowTime === 0 ? null : round(windowReports.reduce((sum, item) => sum + item.apr * item.timeElapsed, 0) / windowTime)
+  }
+
+  return history
+}
+
+async function getAprHistory(oracle, opts = {}) {
+  const [reports, beaconSpec] = await Promise.all([getOracleReports(oracle, opts), getBeaconSpec(oracle)])
+  return computeAprHistory(reports, beaconSpec, opts)
+}
+
+// Annual percentage rate of the change from `from` to `to` over `seconds`, null when undefined
+function annualize(from, to, seconds) {
+  if (from.isZero() || seconds <= 0) {
+    return null
+  }
+  const scaled = to
+    .sub(from)
+    .mul(new BN(SECONDS_PER_YEAR))
+    .mul(new BN(100 * APR_PRECISION))
+    .div(from.mul(new BN(seconds)))
+  return scaled.toNumber() / APR_PRECISION
+}
+
+function round(value) {
+  return Math.round(value * APR_PRECISION) / APR_PRECISION
+}
+
+function formatAprHistoryCsv(history) {
+  const lines = history.map((item) =>
+    CSV_COLUMNS.map((column) => {
+      if (column === 'timestamp') {
+        return new Date(item.timestamp * 1000).toISOString()
+      }
+      if (column === 'shareRate') {
+        return Web3.utils.fromWei(item.shareRate)
+      }
+      return item[column] === null ? '' : String(item[column])
+    }).join(',')
+  )
+  return [CSV_COLUMNS.join(','), ...lines].join('\n')
+}
+
+module.exports = {
+  collectOracleReports,
+  getOracleReports,
+  computeAprHistory,
+  getAprHistory,
+  formatAprHistoryCsv
+}
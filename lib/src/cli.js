@@ -0,0 +1,500 @@
+const fs = require('fs')
+const path = require('path')
+const BN = require('bn.js')
+const Web3 = require('web3')
+
+const { getLido, submitEther } = require('./lido')
+const { getRegistry, listOperators, addSigningKeys, removeSigningKeys } = require('./node-operators-registry')
+const { getOracle, getBeaconSpec } = require('./oracle')
+const { getVoting, getTokenManager, createVoteBuilder, callAction } = require('./dao')
+const { createAddressBook, decodeScript, decodeVote, formatCalls } = require('./evm-script')
+const { getDepositVerificationParams, getInvalidDepositData } = require('./deposit-data')
+const { sendTx } = require('./revert-reasons')
+
+// The `lido` command-line tool. Contract addresses are read from `deployed-<network>.json`, the same
+// network state file the deployment scripts write, and transactions are sent from an account unlocked
+// in the node at `--rpc`. Progress goes to stderr and results to stdout, as JSON with `--json`.
+// With `--dry-run` transactions are only simulated and the revert reason is printed if they would fail.
+
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545'
+const BOOLEAN_OPTIONS = ['json', 'help', 'active', 'skip-verify', 'dry-run']
+
+const GLOBAL_OPTIONS = [
+  ['--network <name>', 'network of the deployed-<network>.json state file, NETWORK_NAME env or mainnet by default'],
+  ['--state-dir <dir>', 'directory of the network state file, the current one by default'],
+  ['--rpc <url>', `node RPC URL, RPC_URL env or ${DEFAULT_RPC_URL} by default`],
+  ['--from <address>', 'sender of transactions, the first account of the node by default'],
+  ['--dry-run', 'simulate transactions instead of sending them'],
+  ['--json', 'print the result as JSON']
+]
+
+const COMMANDS = {
+  'operators list': {
+    usage: 'operators list [--active]',
+    description: 'List node operators with their signing keys stats',
+    async run(ctx, args, opts) {
+      const operators = (await listOperators(await ctx.registry())).map((op, id) => ({ id, ...op }))
+      return opts.active ? operators.filter((op) => op.active) : operators
+    },
+    print(operators, out) {
+      for (const op of operators) {
+        out(
+          `#${op.id} ${op.name} (${op.active ? 'active' : 'inactive'}) ${op.rewardAddress}: ` +
+            `keys ${op.usedSigningKeys} used / ${op.totalSigningKeys} total, limit ${op.stakingLimit}, stopped ${op.stoppedValidators}`
+        )
+      }
+    }
+  },
+  'keys add': {
+    usage: 'keys add <operatorId> <deposit_data.json> [--fork-version <hex>] [--skip-verify]',
+    description: 'Add signing keys from a deposit CLI file, directly from the operator reward address or via a vote',
+    async run(ctx, [operatorId, file], opts) {
+      requireArgs({ operatorId, file })
+      const keys = readDepositData(file)
+      if (!opts['skip-verify']) {
+        const forkVersion = opts['fork-version'] === undefined ? null : toForkVersion(opts['fork-version'])
+        const params = await getDepositVerificationParams(ctx.web3, await ctx.lido(), forkVersion)
+        const invalid = await getInvalidDepositData(keys, params)
+        if (invalid.length > 0) {
+          throw new Error(`${invalid.length} of ${keys.length} keys have invalid deposit signatures, the first one is ${invalid[0].pubkey}`)
+        }
+      }
+      ctx.log(`adding ${keys.length} signing keys to operator ${operatorId}...`)
+      const result = await addSigningKeys(
+        await ctx.registry(),
+        keys.map(({ pubkey }) => pubkey),
+        keys.map(({ signature }) => signature),
+        { operatorId: toInt(operatorId, 'operatorId'), ...(await ctx.votingOpts()), ...ctx.txOpts }
+      )
+      return summarizeResult(result)
+    },
+    print: printTxSummary
+  },
+  'keys remove': {
+    usage: 'keys remove <operatorId> <fromIndex> [toIndex]',
+    description: 'Remove unused signing keys #fromIndex..#toIndex, directly from the operator reward address or via a vote',
+    async run(ctx, [operatorId, fromIndex, toIndex = fromIndex]) {
+      requireArgs({ operatorId, fromIndex })
+      const result = await removeSigningKeys(await ctx.registry(), toInt(fromIndex, 'fromIndex'), toInt(toIndex, 'toIndex'), {
+        operatorId: toInt(operatorId, 'operatorId'),
+        log: ctx.log,
+        ...(await ctx.votingOpts()),
+        ...ctx.txOpts
+      })
+      return summarizeResult(result)
+    },
+    print: printTxSummary
+  },
+  'oracle spec': {
+    usage: 'oracle spec',
+    description: 'Print the beacon chain spec of the oracle',
+    async run(ctx) {
+      return await getBeaconSpec(await ctx.oracle())
+    }
+  },
+  'vote create': {
+    usage: 'vote create <actions.json>',
+    description:
+      'Start a vote running the actions from the file, `[{ to, method, args, description }]` or `[{ to, calldata, description }]`',
+    async run(ctx, [file]) {
+      requireArgs({ file })
+      const builder = createVoteBuilder(await ctx.voting(), await ctx.tokenManager())
+      builder.add(...readVoteActions(file, ctx.addressBook))
+      const preview = builder.preview(ctx.addressBook)
+      ctx.log(`starting a vote with the script of ${preview.size} bytes:`)
+      formatCalls(preview.calls).forEach((line) => ctx.log(line))
+      return { ...summarizeResult(await builder.submit(ctx.txOpts)), description: preview.description }
+    },
+    print: printTxSummary
+  },
+  'vote decode': {
+    usage: 'vote decode [voteId] [--script <hex>]',
+    description: 'Print the calls a vote would execute, the latest vote by default, or the calls of a raw EVM script',
+    async run(ctx, [voteId], opts) {
+      if (opts.script) {
+        return { calls: decodeScript(opts.script, ctx.addressBook) }
+      }
+      const voting = await ctx.voting()
+      const id = voteId === undefined ? +(await voting.votesLength()) - 1 : toInt(voteId, 'voteId')
+      if (id < 0) {
+        throw new Error(`there are no votes yet`)
+      }
+      return await decodeVote(voting, id, ctx.addressBook)
+    },
+    print(vote, out) {
+      if (vote.voteId !== undefined) {
+        out(`vote #${vote.voteId}: open ${vote.open}, executed ${vote.executed}`)
+      }
+      formatCalls(vote.calls).forEach((line) => out(line))
+    }
+  },
+  'vote execute': {
+    usage: 'vote execute <voteId>',
+    description: 'Execute a passed vote',
+    async run(ctx, [voteId]) {
+      requireArgs({ voteId })
+      const voting = await ctx.voting()
+      if (!(await voting.canExecute(voteId))) {
+        const vote = await voting.getVote(voteId)
+        throw new Error(`vote ${voteId} can't be executed: ${vote.executed ? 'already executed' : vote.open ? 'still open' : 'rejected'}`)
+      }
+      ctx.log(`executing vote ${voteId}...`)
+      return summarizeResult(await sendTx(voting, 'executeVote', [voteId], ctx.txOpts))
+    },
+    print: printTxSummary
+  },
+  submit: {
+    usage: 'submit <amountInEther> [--referral <address>]',
+    description: 'Stake ether in Lido',
+    async run(ctx, [amount], opts) {
+      requireArgs({ amount })
+      const lido = await ctx.lido()
+      const value = new BN(Web3.utils.toWei(String(amount), 'ether'))
+      if (await lido.isStakingPaused()) {
+        throw new Error(`staking is paused`)
+      }
+      const stakeLimit = await lido.getCurrentStakeLimit()
+      if (value.gt(stakeLimit)) {
+        throw new Error(`${amount} ether exceeds the current stake limit of ${Web3.utils.fromWei(stakeLimit)} ether`)
+      }
+      ctx.log(`submitting ${amount} ether...`)
+      return { ...summarizeResult(await submitEther(lido, value, ctx.txOpts, opts.referral)), amount: value }
+    },
+    print: printTxSummary
+  },
+  status: {
+    usage: 'status',
+    description: 'Print the state of Lido, the oracle and the node operators registry',
+    async run(ctx) {
+      const [lido, oracle, registry] = await Promise.all([ctx.lido(), ctx.oracle(), ctx.registry()])
+      const [
+        isStopped,
+        isStakingPaused,
+        currentStakeLimit,
+        totalPooledEther,
+        bufferedEther,
+        totalShares,
+        fee,
+        withdrawalCredentials,
+        beaconStat,
+        totalELRewardsCollected,
+        lastCompletedEpochId,
+        quorum,
+        operatorsCount,
+        activeOperatorsCount
+      ] = await Promise.all([
+        lido.isStopped(),
+        lido.isStakingPaused(),
+        lido.getCurrentStakeLimit(),
+        lido.getTotalPooledEther(),
+        lido.getBufferedEther(),
+        lido.getTotalShares(),
+        lido.getFee(),
+        lido.getWithdrawalCredentials(),
+        lido.getBeaconStat(),
+        lido.getTotalELRewardsCollected(),
+        oracle.getLastCompletedEpochId(),
+        oracle.getQuorum(),
+        registry.getNodeOperatorsCount(),
+        registry.getActiveNodeOperatorsCount()
+      ])
+      return {
+        lido: {
+          address: lido.address,
+          isStopped,
+          isStakingPaused,
+          currentStakeLimit,
+          totalPooledEther,
+          bufferedEther,
+          totalShares,
+          feeBasisPoints: +fee,
+          withdrawalCredentials,
+          depositedValidators: +beaconStat.depositedValidators,
+          beaconValidators: +beaconStat.beaconValidators,
+          beaconBalance: beaconStat.beaconBalance,
+          totalELRewardsCollected
+        },
+        oracle: { address: oracle.address, lastCompletedEpochId: +lastCompletedEpochId, quorum: +quorum },
+        nodeOperatorsRegistry: { address: registry.address, operatorsCount: +operatorsCount, activeOperatorsCount: +activeOperatorsCount }
+      }
+    }
+  }
+}
+
+// Runs the command from `argv`, e.g. `['operators', 'list', '--json']`, and prints its result. `web3` and
+// `state` override the ones created from the options, `stdout` and `stderr` override the console.
+async function runCli(argv, { web3, state, stdout = console.log, stderr = console.error } = {}) {
+  const { positional, options } = parseArgs(argv)
+  const [name, command, args] = findCommand(positional)
+  if (!command || options.help) {
+    printUsage(stdout)
+    if (!command && positional.length > 0 && positional[0] !== 'help') {
+      throw new Error(`unknown command ${positional.join(' ')}`)
+    }
+    return null
+  }
+
+  const network = options.network || process.env.NETWORK_NAME || 'mainnet'
+  const networkState = state || readDeployedState(network, options['state-dir'])
+  const client = web3 || new Web3(options.rpc || process.env.RPC_URL || DEFAULT_RPC_URL)
+  if (!state && networkState.networkId !== undefined) {
+    const netId = await client.eth.net.getId()
+    if (netId !== networkState.networkId) {
+      throw new Error(`network id ${netId} of the node doesn't match the one of ${network} in the state file (${networkState.networkId})`)
+    }
+  }
+
+  const ctx = createContext(client, networkState, { opts: options, log: stderr })
+  stderr(`running ${name} on ${network}`)
+  const result = await command.run(ctx, args, options)
+  if (options.json) {
+    stdout(JSON.stringify(toPlain(result), null, 2))
+  } else {
+    const print = command.print || printObject
+    print(toPlain(result), stdout)
+  }
+  return result
+}
+
+function parseArgs(argv) {
+  const positional = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '-h') {
+      options.help = true
+    } else if (arg.startsWith('--')) {
+      const [key, inlineValue] = arg.slice(2).split(/=(.*)/s)
+      if (inlineValue !== undefined) {
+        options[key] = inlineValue
+      } else if (BOOLEAN_OPTIONS.includes(key)) {
+        options[key] = true
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        options[key] = argv[++i]
+      } else {
+        throw new Error(`option --${key} requires a value`)
+      }
+    } else {
+      positional.push(arg)
+    }
+  }
+  return { positional, options }
+}
+
+function findCommand(positional) {
+  const twoWords = positional.slice(0, 2).join(' ')
+  if (COMMANDS[twoWords]) {
+    return [twoWords, COMMANDS[twoWords], positional.slice(2)]
+  }
+  return [positional[0], COMMANDS[positional[0]], positional.slice(1)]
+}
+
+function readDeployedState(network, dir = '.') {
+  const fileName = path.resolve(dir, `deployed-${network}.json`)
+  if (!fs.existsSync(fileName)) {
+    throw new Error(`network state file ${fileName} doesn't exist, pass --network and --state-dir`)
+  }
+  return JSON.parse(fs.readFileSync(fileName, 'utf8'))
+}
+
+// Contract instances are only created when a command needs them, so a state file missing some
+// of the addresses still works for the other commands
+function createContext(web3, state, { opts = {}, log = () => {} } = {}) {
+  const instances = {}
+  const lazy = (name, key, getInstance) => () => instances[name] || (instances[name] = getInstance(web3, getStateAddress(state, key)))
+
+  const ctx = {
+    web3,
+    state,
+    log,
+    addressBook: createAddressBook(state),
+    txOpts: { ...(opts.from && { from: opts.from }), ...(opts['dry-run'] && { dryRun: true }) },
+    lido: lazy('lido', 'app:lido', getLido),
+    oracle: lazy('oracle', 'app:oracle', getOracle),
+    registry: lazy('registry', 'app:node-operators-registry', getRegistry),
+    voting: lazy('voting', 'app:aragon-voting', getVoting),
+    tokenManager: lazy('tokenManager', 'app:aragon-token-manager', getTokenManager),
+    async votingOpts() {
+      return { voting: await ctx.voting(), tokenManager: await ctx.tokenManager() }
+    }
+  }
+  return ctx
+}
+
+function getStateAddress(state, key) {
+  const value = state[key]
+  const address = value && typeof value === 'object' ? value.proxyAddress : value
+  if (!address) {
+    throw new Error(`${key} address is missing from the network state file`)
+  }
+  return address
+}
+
+function readDepositData(file) {
+  const entries = readJSON(file)
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${file} must contain a non-empty array of deposit data entries`)
+  }
+  return entries.map(({ pubkey, signature }, i) => {
+    if (!pubkey || !signature) {
+      throw new Error(`entry #${i} of ${file} has no pubkey or signature`)
+    }
+    return { pubkey: with0x(pubkey), signature: with0x(signature) }
+  })
+}
+
+function readVoteActions(file, addressBook) {
+  const actions = readJSON(file)
+  if (!Array.isArray(actions) || actions.length === 0) {
+    throw new Error(`${file} must contain a non-empty array of vote actions`)
+  }
+  return actions.map(({ to, method, args = [], calldata, description }, i) => {
+    const address = resolveAddress(to, addressBook)
+    if (calldata) {
+      return { to: address, calldata, description: description || `Call ${address} with ${calldata}` }
+    }
+    if (!method) {
+      throw new Error(`action #${i} of ${file} must have either method or calldata`)
+    }
+    return callAction(address, method, args, description)
+  })
+}
+
+// Accepts an address or a contract name from the network state file, e.g. `Lido` or `Voting`
+function resolveAddress(nameOrAddress, addressBook) {
+  if (Web3.utils.isAddress(nameOrAddress)) {
+    return nameOrAddress
+  }
+  const entry = Object.entries(addressBook).find(([, { name }]) => name === nameOrAddress)
+  if (!entry) {
+    throw new Error(`unknown contract ${nameOrAddress}, expected an address or a name from the network state file`)
+  }
+  return Web3.utils.toChecksumAddress(entry[0])
+}
+
+function summarizeResult(result) {
+  const dryRuns = getDryRuns(result)
+  if (dryRuns) {
+    return { dryRuns: dryRuns.map(({ ok, gas, revert, skipped }) => ({ ok, gas, revert, skipped })) }
+  }
+  if (Array.isArray(result)) {
+    return { txs: result.map(({ tx }) => tx) }
+  }
+  if (result.voteId !== undefined) {
+    return { voteId: +result.voteId, tx: result.result.tx }
+  }
+  if (result.submitResult) {
+    return { tx: result.submitResult.tx, depositTx: result.depositResult.tx }
+  }
+  return { tx: result.tx }
+}
+
+function getDryRuns(result) {
+  const txResults = Array.isArray(result)
+    ? result
+    : result.voteId !== undefined
+    ? [result.result]
+    : result.submitResult
+    ? [result.submitResult, result.depositResult]
+    : [result]
+  return txResults.length > 0 && txResults[0].dryRun ? txResults : null
+}
+
+function printTxSummary(summary, out) {
+  if (summary.dryRuns) {
+    summary.dryRuns.forEach(({ ok, gas, revert, skipped }) => {
+      if (ok) {
+        out(`dry run succeeded, estimated gas ${gas}`)
+      } else if (skipped) {
+        out(`dry run skipped: ${skipped}`)
+      } else {
+        const reason = revert.reason && revert.reason !== revert.code ? ` (${revert.reason})` : ''
+        out(`dry run reverted with ${revert.code}${reason}: ${revert.explanation}`)
+      }
+    })
+  } else if (summary.voteId !== undefined) {
+    out(`started vote #${summary.voteId}, tx ${summary.tx}`)
+  } else if (summary.txs) {
+    summary.txs.forEach((tx) => out(`tx ${tx}`))
+  } else {
+    out(`tx ${summary.tx}`)
+  }
+}
+
+function printObject(obj, out, indent = '') {
+  for (const [key, value] of Object.entries(obj)) {
+    if (value && typeof value === 'object') {
+      out(`${indent}${key}:`)
+      printObject(value, out, indent + '  ')
+    } else {
+      out(`${indent}${key}: ${value}`)
+    }
+  }
+}
+
+function printUsage(out) {
+  const width = Math.max(...Object.values(COMMANDS).map(({ usage }) => usage.length))
+  out(`Usage: lido <command> [options]`)
+  out(``)
+  out(`Commands:`)
+  for (const { usage, description } of Object.values(COMMANDS)) {
+    out(`  ${usage.padEnd(width)}  ${description}`)
+  }
+  out(``)
+  out(`Options:`)
+  for (const [option, description] of GLOBAL_OPTIONS) {
+    out(`  ${option.padEnd(width)}  ${description}`)
+  }
+}
+
+// BN and BigNumber values as decimal strings, so the result can be printed as is or as JSON
+function toPlain(value) {
+  if (BN.isBN(value) || (value && value._isBigNumber)) {
+    return value.toString()
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain)
+  }
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]))
+  }
+  return value
+}
+
+function requireArgs(args) {
+  const missing = Object.keys(args).filter((name) => args[name] === undefined)
+  if (missing.length > 0) {
+    throw new Error(`missing arguments: ${missing.join(', ')}`)
+  }
+}
+
+function toInt(value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`${name} must be a non-negative integer, got ${value}`)
+  }
+  return +value
+}
+
+function toForkVersion(value) {
+  if (!/^(0x)?[0-9a-fA-F]{8}$/.test(value)) {
+    throw new Error(`fork-version must be 4 bytes hex, got ${value}`)
+  }
+  return with0x(value)
+}
+
+function with0x(hex) {
+  return hex.startsWith('0x') ? hex : '0x' + hex
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+module.exports = {
+  COMMANDS,
+  runCli,
+  parseArgs,
+  readDeployedState,
+  createContext,
+  toPlain
+}
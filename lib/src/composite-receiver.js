@@ -0,0 +1,137 @@
+const Web3 = require('web3')
+
+const { getContract } = require('./abi')
+const { addressEqual, ZERO_ADDR } = require('./utils')
+const { callAction } = require('./dao')
+
+const CompositePostRebaseBeaconReceiver = getContract('CompositePostRebaseBeaconReceiver')
+
+const ERC165_INTERFACE_ID = '0x01ffc9a7'
+const INVALID_INTERFACE_ID = '0xffffffff'
+// ERC165Checker limits the supportsInterface call gas the same way
+const SUPPORTS_INTERFACE_GAS = 30000
+
+async function getCompositeReceiver(web3, address) {
+  CompositePostRebaseBeaconReceiver.setProvider(web3.currentProvider)
+  return await CompositePostRebaseBeaconReceiver.at(address)
+}
+
+// Same as ERC165Checker.supportsInterface: the contract must support ERC-165 itself and `interfaceId`.
+// Reverts and malformed return data mean the interface is not supported.
+async function supportsInterface(web3, address, interfaceId) {
+  const { eth } = new Web3(web3.currentProvider)
+  const call = async (id) => {
+    try {
+      const data = eth.abi.encodeFunctionCall(
+        { name: 'supportsInterface', type: 'function', inputs: [{ type: 'bytes4', name: 'interfaceId' }] },
+        [id]
+      )
+      const result = await eth.call({ to: address, data, gas: SUPPORTS_INTERFACE_GAS })
+      return result.length >= 66 && !/^0x0*$/.test(result.slice(0, 66))
+    } catch (err) {
+      return false
+    }
+  }
+  return (await call(ERC165_INTERFACE_ID)) && !(await call(INVALID_INTERFACE_ID)) && (await call(interfaceId))
+}
+
+// Returns `{ requiredInterface, maxCallbacksCount, callbacks }`, `callbacks` being `{ index, address, supported }`
+// in the order they are called on oracle reports, `supported` telling whether the callback still supports
+// the interface the receiver requires on adding
+async function listCallbacks(receiver) {
+  const [requiredInterface, maxCallbacksCount, length] = await Promise.all([
+    receiver.REQUIRED_INTERFACE(),
+    receiver.MAX_CALLBACKS_COUNT(),
+    receiver.callbacksLength()
+  ])
+  const addresses = await Promise.all(Array.from({ length: +length }, (_, index) => receiver.callbacks(index)))
+  const callbacks = await Promise.all(
+    addresses.map(async (address, index) => ({
+      index,
+      address,
+      supported: await supportsInterface(receiver.contract, address, requiredInterface)
+    }))
+  )
+  return { requiredInterface, maxCallbacksCount: +maxCallbacksCount, callbacks }
+}
+
+// Applies `{ type: 'add', callback }`, `{ type: 'insert', callback, index }` or `{ type: 'remove', index }`
+// to the list of callback addresses the same way OrderedCallbacksArray does, throwing where it would revert
+// except for the interface check
+function applyCallbackChange(callbacks, change, maxCallbacksCount = Infinity) {
+  const result = [...callbacks]
+  switch (change.type) {
+    case 'add':
+    case 'insert': {
+      const index = change.type === 'add' ? result.length : +change.index
+      if (!change.callback || addressEqual(change.callback, ZERO_ADDR)) {
+        throw new Error(`callback address must be non-zero`)
+      }
+      if (!Number.isInteger(index) || index < 0 || index > result.length) {
+        throw new Error(`index ${change.index} is out of range, the receiver has ${result.length} callbacks`)
+      }
+      if (result.length >= maxCallbacksCount) {
+        throw new Error(`the receiver already has the max of ${maxCallbacksCount} callbacks`)
+      }
+      result.splice(index, 0, change.callback)
+      return result
+    }
+    case 'remove': {
+      const index = +change.index
+      if (!Number.isInteger(index) || index < 0 || index >= result.length) {
+        throw new Error(`index ${change.index} is out of range, the receiver has ${result.length} callbacks`)
+      }
+      result.splice(index, 1)
+      return result
+    }
+    default:
+      throw new Error(`unknown callback change type ${change.type}, expected add, insert or remove`)
+  }
+}
+
+function callbackChangeAction(receiver, change) {
+  switch (change.type) {
+    case 'add':
+      return callAction(receiver, 'addCallback', [change.callback], `Add beacon report callback ${change.callback}`)
+    case 'insert':
+      return callAction(
+        receiver,
+        'insertCallback',
+        [change.callback, String(change.index)],
+        `Insert beacon report callback ${change.callback} at index ${change.index}`
+      )
+    case 'remove':
+      return callAction(receiver, 'removeCallback', [String(change.index)], `Remove beacon report callback at index ${change.index}`)
+    default:
+      throw new Error(`unknown callback change type ${change.type}, expected add, insert or remove`)
+  }
+}
+
+// Checks the `changes` applied one after another against the current callbacks and returns `{ before, after,
+// actions }`: the callback order now and once the vote is executed, and the vote actions for `createVoteBuilder`.
+// Throws if any change would revert, including added callbacks not supporting the required interface.
+async function planCallbackChanges(receiver, changes) {
+  const { requiredInterface, maxCallbacksCount, callbacks } = await listCallbacks(receiver)
+  const before = callbacks.map(({ address }) => address)
+
+  let after = before
+  for (const change of changes) {
+    after = applyCallbackChange(after, change, maxCallbacksCount)
+    if (change.type !== 'remove' && !(await supportsInterface(receiver.contract, change.callback, requiredInterface))) {
+      throw new Error(`callback ${change.callback} doesn't support the required interface ${requiredInterface}`)
+    }
+  }
+
+  return { before, after, actions: changes.map((change) => callbackChangeAction(receiver, change)) }
+}
+
+module.exports = {
+  CompositePostRebaseBeaconReceiver,
+  ERC165_INTERFACE_ID,
+  getCompositeReceiver,
+  supportsInterface,
+  listCallbacks,
+  applyCallbackChange,
+  callbackChangeAction,
+  planCallbackChanges
+}
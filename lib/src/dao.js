@@ -1,12 +1,18 @@
 const BN = require('bn.js')
+const Web3 = require('web3')
 const { getEventArgument } = require('@aragon/contract-helpers-test')
 const { encodeCallScript } = require('@aragon/contract-helpers-test/src/aragon-os')
 
 const { getContract, getABI } = require('./abi')
+const { trim0x } = require('./utils')
+const { decodeScript } = require('./evm-script')
+const { sendTx } = require('./revert-reasons')
 
 const Voting = getContract('Voting')
 const TokenManager = getContract('TokenManager')
 
+const abiCoder = new Web3().eth.abi
+
 async function getVoting(web3, address) {
   Voting.setProvider(web3.currentProvider)
   return await Voting.at(address)
@@ -18,19 +24,19 @@ async function getTokenManager(web3, address) {
 }
 
 async function proposeChangingVotingQuorum(voting, tokenManager, newQuorumPct, txOpts) {
-  const newQuorumBp = percentToBp18(newQuorumPct)
-  const calldata = await voting.contract.methods.changeMinAcceptQuorumPct(newQuorumBp).encodeABI()
-  const evmScript = encodeCallScript([{ to: voting.address, calldata }])
-  const voteDesc = `Change min acceptance quorum to ${newQuorumPct}%`
-  return await createVote(voting, tokenManager, voteDesc, evmScript, txOpts)
+  return await createSingleActionVote(voting, tokenManager, changeVotingQuorumAction(voting, newQuorumPct), txOpts)
 }
 
 async function proposeChangingVotingSupport(voting, tokenManager, newSupportPct, txOpts) {
-  const newSupportBp = percentToBp18(newSupportPct)
-  const calldata = await voting.contract.methods.changeSupportRequiredPct(newSupportBp).encodeABI()
-  const evmScript = encodeCallScript([{ to: voting.address, calldata }])
-  const voteDesc = `Change min support required to ${newSupportPct}%`
-  return await createVote(voting, tokenManager, voteDesc, evmScript, txOpts)
+  return await createSingleActionVote(voting, tokenManager, changeVotingSupportAction(voting, newSupportPct), txOpts)
+}
+
+function changeVotingQuorumAction(voting, newQuorumPct) {
+  return callAction(voting, 'changeMinAcceptQuorumPct', [percentToBp18(newQuorumPct)], `Change min acceptance quorum to ${newQuorumPct}%`)
+}
+
+function changeVotingSupportAction(voting, newSupportPct) {
+  return callAction(voting, 'changeSupportRequiredPct', [percentToBp18(newSupportPct)], `Change min support required to ${newSupportPct}%`)
 }
 
 const TEN_TO_16 = new BN(10).pow(new BN(16))
@@ -49,11 +55,103 @@ async function createVote(voting, tokenManager, voteDesc, evmScript, txOpts) {
       calldata: await voting.contract.methods.newVote(evmScript, voteDesc, false, false).encodeABI()
     }
   ])
-  const result = await tokenManager.forward(newVoteEvmScript, txOpts)
+  const result = await sendTx(tokenManager, 'forward', [newVoteEvmScript], txOpts)
+  if (result.dryRun) {
+    return { result, voteId: null }
+  }
   const voteId = getEventArgument(result, 'StartVote', 'voteId', { decodeForAbi: getABI('Voting') })
   return { result, voteId }
 }
 
+// A vote action is a single call of the vote script along with its human-readable description.
+// `to` is either a Truffle instance, then `method` is a function name or signature, or a plain
+// address, then `method` must be a full signature like `setFee(uint16)`.
+function callAction(to, method, args = [], description = null) {
+  if (typeof to === 'string') {
+    return {
+      to,
+      calldata: encodeSignatureCall(method, args),
+      description: description || `Call ${method} on ${to} with (${args.join(', ')})`
+    }
+  }
+  if (!to.contract.methods[method]) {
+    throw new Error(`contract at ${to.address} has no method ${method}`)
+  }
+  return {
+    to: to.address,
+    calldata: to.contract.methods[method](...args).encodeABI(),
+    description: description || `Call ${method} on ${to.address} with (${args.join(', ')})`
+  }
+}
+
+function encodeSignatureCall(signature, args) {
+  const match = /^\w+\(([\w\[\],]*)\)$/.exec(signature)
+  if (!match) {
+    throw new Error(`invalid function signature ${signature}, expected something like setFee(uint16)`)
+  }
+  const types = match[1] ? match[1].split(',') : []
+  if (types.length !== args.length) {
+    throw new Error(`${signature} expects ${types.length} arguments, got ${args.length}`)
+  }
+  return abiCoder.encodeFunctionSignature(signature) + trim0x(abiCoder.encodeParameters(types, args))
+}
+
+function formatVoteDescription(actions) {
+  if (actions.length === 1) {
+    return actions[0].description
+  }
+  return actions.map((action, i) => `${i + 1}) ${action.description}`).join('\n')
+}
+
+// Collects actions produced by the `*Action` helpers or `addCall` and starts a single vote running
+// all of them in the order they were added
+function createVoteBuilder(voting, tokenManager) {
+  const actions = []
+
+  const builder = {
+    actions,
+    add(...newActions) {
+      for (const action of newActions) {
+        if (!action || !action.to || !action.calldata || !action.description) {
+          throw new Error(`a vote action must have to, calldata and description`)
+        }
+        actions.push(action)
+      }
+      return builder
+    },
+    addCall(to, method, args, description) {
+      return builder.add(callAction(to, method, args, description))
+    },
+    getDescription() {
+      return formatVoteDescription(actions)
+    },
+    getScript() {
+      if (actions.length === 0) {
+        throw new Error(`the vote has no actions`)
+      }
+      return encodeCallScript(actions.map(({ to, calldata }) => ({ to, calldata })))
+    },
+    preview(addressBook = {}) {
+      const script = builder.getScript()
+      return {
+        description: builder.getDescription(),
+        script,
+        size: trim0x(script).length / 2,
+        calls: decodeScript(script, addressBook)
+      }
+    },
+    async submit(txOpts) {
+      return await createVote(voting, tokenManager, builder.getDescription(), builder.getScript(), txOpts)
+    }
+  }
+
+  return builder
+}
+
+async function createSingleActionVote(voting, tokenManager, action, txOpts) {
+  return await createVoteBuilder(voting, tokenManager).add(action).submit(txOpts)
+}
+
 module.exports = {
   Voting,
   TokenManager,
@@ -61,5 +159,11 @@ module.exports = {
   getTokenManager,
   proposeChangingVotingQuorum,
   proposeChangingVotingSupport,
-  createVote
+  createVote,
+  percentToBp18,
+  callAction,
+  changeVotingQuorumAction,
+  changeVotingSupportAction,
+  createVoteBuilder,
+  createSingleActionVote
 }
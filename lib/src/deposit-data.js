@@ -0,0 +1,161 @@
+const BN = require('bn.js')
+const { sha256 } = require('ethereumjs-util')
+const { PointG2, verify } = require('@noble/bls12-381')
+
+// Offline verification of validator deposit data, see `compute_signing_root` and `DepositMessage`
+// in the consensus specs and `_stake` in Lido.sol for the deposit data root
+
+const PUBKEY_LENGTH = 48
+const SIGNATURE_LENGTH = 96
+// 32 ether in gwei, Lido deposits the same amount for every key
+const DEPOSIT_AMOUNT = 32e9
+
+const DOMAIN_DEPOSIT = '03000000'
+const BLS_SIGNATURE_DST = 'BLS_SIG_BLS12381G2_XMD:SHA-256_SSWU_RO_POP_'
+
+// GENESIS_FORK_VERSION of the beacon chains by the chain id of their deposit contract network
+const GENESIS_FORK_VERSIONS = {
+  1: '0x00000000',
+  5: '0x00001020'
+}
+
+function getGenesisForkVersion(chainId) {
+  const forkVersion = GENESIS_FORK_VERSIONS[+chainId]
+  if (!forkVersion) {
+    throw new Error(`unknown genesis fork version for chain ${chainId}, pass forkVersion explicitly`)
+  }
+  return forkVersion
+}
+
+// Withdrawal credentials and the fork version to verify the deposit data of the protocol against
+async function getDepositVerificationParams(web3, lido, forkVersion = null) {
+  const [withdrawalCredentials, chainId] = await Promise.all([lido.getWithdrawalCredentials(), web3.eth.getChainId()])
+  return { withdrawalCredentials, forkVersion: forkVersion || getGenesisForkVersion(chainId) }
+}
+
+// Deposits are signed with the genesis fork version and a zero genesis validators root,
+// so the domain doesn't change between forks
+function computeDepositDomain(forkVersion) {
+  const forkDataRoot = hashPair(toBytes(forkVersion, 4, 32), Buffer.alloc(32))
+  return Buffer.concat([Buffer.from(DOMAIN_DEPOSIT, 'hex'), forkDataRoot.slice(0, 28)])
+}
+
+function computeDepositMessageRoot(pubkey, withdrawalCredentials, amount = DEPOSIT_AMOUNT) {
+  return hashPair(hashPair(getPubkeyRoot(pubkey), toBytes(withdrawalCredentials, 32)), hashPair(toLittleEndian64(amount), Buffer.alloc(32)))
+}
+
+function computeSigningRoot(objectRoot, domain) {
+  return hashPair(toBytes(objectRoot, 32), toBytes(domain, 32))
+}
+
+function computeDepositSigningRoot(pubkey, withdrawalCredentials, forkVersion, amount = DEPOSIT_AMOUNT) {
+  return computeSigningRoot(computeDepositMessageRoot(pubkey, withdrawalCredentials, amount), computeDepositDomain(forkVersion))
+}
+
+// Same as the deposit data root Lido passes to the deposit contract
+function computeDepositDataRoot(pubkey, withdrawalCredentials, signature, amount = DEPOSIT_AMOUNT) {
+  const sig = toBytes(signature, SIGNATURE_LENGTH)
+  const signatureRoot = hashPair(sha256(sig.slice(0, 64)), sha256(toBytes(sig.slice(64), 32, 64)))
+  return (
+    '0x' +
+    hashPair(
+      hashPair(getPubkeyRoot(pubkey), toBytes(withdrawalCredentials, 32)),
+      hashPair(toLittleEndian64(amount), signatureRoot)
+    ).toString('hex')
+  )
+}
+
+// Resolves to false for malformed keys and signatures as well as for signatures that don't match
+async function verifyDepositSignature(pubkey, signature, { withdrawalCredentials, forkVersion, amount = DEPOSIT_AMOUNT }) {
+  if (!isHex(pubkey, PUBKEY_LENGTH) || !isHex(signature, SIGNATURE_LENGTH)) {
+    return false
+  }
+  const signingRoot = computeDepositSigningRoot(pubkey, withdrawalCredentials, forkVersion, amount)
+  const message = await PointG2.hashToCurve(signingRoot, { DST: BLS_SIGNATURE_DST })
+  try {
+    return await verify(trim0x(signature), message, trim0x(pubkey))
+  } catch (err) {
+    // the key or the signature is not a valid curve point
+    return false
+  }
+}
+
+// Verifies each `{ pubkey, signature }` and adds `valid` and `depositDataRoot` to it
+async function verifyDepositData(keys, { withdrawalCredentials, forkVersion, amount = DEPOSIT_AMOUNT }) {
+  const result = []
+  for (const { pubkey, signature } of keys) {
+    const wellFormed = isHex(pubkey, PUBKEY_LENGTH) && isHex(signature, SIGNATURE_LENGTH)
+    result.push({
+      pubkey,
+      signature,
+      valid: await verifyDepositSignature(pubkey, signature, { withdrawalCredentials, forkVersion, amount }),
+      depositDataRoot: wellFormed ? computeDepositDataRoot(pubkey, withdrawalCredentials, signature, amount) : null
+    })
+  }
+  return result
+}
+
+async function getInvalidDepositData(keys, params) {
+  return (await verifyDepositData(keys, params)).filter(({ valid }) => !valid)
+}
+
+// Entries of `deposit_data.json` as the deposit CLI generates them, hex strings are without the 0x prefix
+function toDepositDataJson(keys, { withdrawalCredentials, forkVersion, amount = DEPOSIT_AMOUNT }) {
+  return keys.map(({ pubkey, signature }) => ({
+    pubkey: trim0x(pubkey),
+    withdrawal_credentials: trim0x(withdrawalCredentials),
+    amount: Number(amount),
+    signature: trim0x(signature),
+    deposit_message_root: computeDepositMessageRoot(pubkey, withdrawalCredentials, amount).toString('hex'),
+    deposit_data_root: trim0x(computeDepositDataRoot(pubkey, withdrawalCredentials, signature, amount)),
+    fork_version: trim0x(forkVersion)
+  }))
+}
+
+function getPubkeyRoot(pubkey) {
+  return sha256(toBytes(pubkey, PUBKEY_LENGTH, 64))
+}
+
+function hashPair(left, right) {
+  return sha256(Buffer.concat([left, right]))
+}
+
+function toLittleEndian64(value) {
+  return new BN(String(value)).toArrayLike(Buffer, 'le', 32)
+}
+
+// Converts hex or bytes of the given length to a Buffer, right-padded with zeros to `paddedLength`
+function toBytes(value, length, paddedLength = length) {
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(trim0x(value), 'hex')
+  if (bytes.length !== length) {
+    throw new Error(`expected ${length} bytes, got ${bytes.length}`)
+  }
+  return Buffer.concat([bytes, Buffer.alloc(paddedLength - length)])
+}
+
+// not using ./utils to keep web3 out of the node operators app bundle
+function trim0x(value) {
+  return value.startsWith('0x') ? value.slice(2) : value
+}
+
+function isHex(value, length) {
+  return typeof value === 'string' && new RegExp(`^(0x)?[0-9a-fA-F]{${length * 2}}$`).test(value)
+}
+
+module.exports = {
+  PUBKEY_LENGTH,
+  SIGNATURE_LENGTH,
+  DEPOSIT_AMOUNT,
+  GENESIS_FORK_VERSIONS,
+  getGenesisForkVersion,
+  getDepositVerificationParams,
+  computeDepositDomain,
+  computeDepositMessageRoot,
+  computeSigningRoot,
+  computeDepositSigningRoot,
+  computeDepositDataRoot,
+  verifyDepositSignature,
+  verifyDepositData,
+  getInvalidDepositData,
+  toDepositDataJson
+}
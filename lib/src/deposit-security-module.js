@@ -0,0 +1,177 @@
+const Web3 = require('web3')
+const BN = require('bn.js')
+const { ecsign, ecrecover, pubToAddress } = require('ethereumjs-util')
+
+const { getContract } = require('./abi')
+const { trim0x } = require('./utils')
+const { sendTx } = require('./revert-reasons')
+
+const DepositSecurityModule = getContract('DepositSecurityModule')
+const IDepositContract = getContract('IDepositContract')
+const NodeOperatorsRegistry = getContract('NodeOperatorsRegistry')
+
+const ZERO_BYTES32 = '0x' + '0'.repeat(64)
+
+async function getDepositSecurityModule(web3, address) {
+  DepositSecurityModule.setProvider(web3.currentProvider)
+  return await DepositSecurityModule.at(address)
+}
+
+async function getAttestData(dsm, blockNumber = 'latest') {
+  const provider = dsm.contract.currentProvider
+  IDepositContract.setProvider(provider)
+  NodeOperatorsRegistry.setProvider(provider)
+
+  const [attestMessagePrefix, depositContractAddr, registryAddr] = await Promise.all([
+    dsm.ATTEST_MESSAGE_PREFIX(),
+    dsm.DEPOSIT_CONTRACT(),
+    dsm.getNodeOperatorsRegistry()
+  ])
+  const [depositContract, registry] = await Promise.all([IDepositContract.at(depositContractAddr), NodeOperatorsRegistry.at(registryAddr)])
+
+  const block = await new Web3(provider).eth.getBlock(blockNumber)
+  const [depositRoot, keysOpIndex] = await Promise.all([
+    depositContract.get_deposit_root({}, block.number),
+    registry.getKeysOpIndex({}, block.number)
+  ])
+
+  return {
+    attestMessagePrefix,
+    depositRoot,
+    keysOpIndex: +keysOpIndex,
+    blockNumber: block.number,
+    blockHash: block.hash
+  }
+}
+
+function encodeAttestMessage({ attestMessagePrefix, depositRoot, keysOpIndex, blockNumber, blockHash }) {
+  return (
+    '0x' + trim0x(attestMessagePrefix) + trim0x(depositRoot) + toUint256Hex(keysOpIndex) + toUint256Hex(blockNumber) + trim0x(blockHash)
+  )
+}
+
+function encodePauseMessage(pauseMessagePrefix, blockNumber) {
+  return '0x' + trim0x(pauseMessagePrefix) + toUint256Hex(blockNumber)
+}
+
+function signAttestMessage(attestData, guardianPrivateKey) {
+  return signMessage(encodeAttestMessage(attestData), guardianPrivateKey)
+}
+
+function signPauseMessage(pauseMessagePrefix, blockNumber, guardianPrivateKey) {
+  return signMessage(encodePauseMessage(pauseMessagePrefix, blockNumber), guardianPrivateKey)
+}
+
+function signMessage(message, privateKey) {
+  const hash = Buffer.from(trim0x(Web3.utils.keccak256(message)), 'hex')
+  const { v, r, s } = ecsign(hash, Buffer.from(trim0x(privateKey), 'hex'))
+  return toEip2098({ v, r: '0x' + r.toString('hex'), s: '0x' + s.toString('hex') })
+}
+
+// Converts a ECDSA signature to the format provided in https://eips.ethereum.org/EIPS/eip-2098.
+function toEip2098({ v, r, s }) {
+  const vs = Buffer.from(trim0x(s), 'hex')
+  if (vs[0] >> 7 === 1) {
+    throw new Error(`invalid signature 's' value`)
+  }
+  vs[0] |= v % 27 << 7
+  return { r, vs: '0x' + vs.toString('hex') }
+}
+
+function recoverSigner(message, { r, vs }) {
+  const hash = Buffer.from(trim0x(Web3.utils.keccak256(message)), 'hex')
+  const s = Buffer.from(trim0x(vs), 'hex')
+  const v = 27 + (s[0] >> 7)
+  s[0] &= 0x7f
+  const pubKey = ecrecover(hash, v, Buffer.from(trim0x(r), 'hex'), s)
+  return Web3.utils.toChecksumAddress('0x' + pubToAddress(pubKey).toString('hex'))
+}
+
+// Validates guardian signatures of the attest message and orders them the way
+// `_verifySignatures` requires: strictly ascending by signer address.
+async function assembleGuardianSignatures(dsm, attestData, signatures) {
+  const [guardians, quorum] = await Promise.all([dsm.getGuardians(), dsm.getGuardianQuorum()])
+  const guardianAddrs = guardians.map((addr) => addr.toLowerCase())
+  const message = encodeAttestMessage(attestData)
+
+  const bySigner = {}
+  for (const sig of signatures) {
+    const signer = recoverSigner(message, sig).toLowerCase()
+    if (!guardianAddrs.includes(signer)) {
+      throw new Error(`signature by ${signer} is not a guardian signature`)
+    }
+    bySigner[signer] = sig
+  }
+
+  // lowercase hex addresses of equal length sort lexicographically in numeric order
+  const sortedSigners = Object.keys(bySigner).sort()
+  if (+quorum === 0 || sortedSigners.length < +quorum) {
+    throw new Error(`no guardian quorum: got ${sortedSigners.length} signatures, required ${quorum}`)
+  }
+
+  return sortedSigners.map((signer) => bySigner[signer])
+}
+
+async function depositBufferedEther(dsm, attestData, signatures, txOpts = {}) {
+  if (!(await dsm.canDeposit())) {
+    throw new Error(`deposits are paused, no guardian quorum is set or the last deposit was too recent`)
+  }
+
+  const current = await getAttestData(dsm)
+  if (current.depositRoot.toLowerCase() !== attestData.depositRoot.toLowerCase()) {
+    throw new Error(`deposit root changed: attested ${attestData.depositRoot}, current ${current.depositRoot}`)
+  }
+  if (current.keysOpIndex !== +attestData.keysOpIndex) {
+    throw new Error(`keys op index changed: attested ${attestData.keysOpIndex}, current ${current.keysOpIndex}`)
+  }
+
+  const sortedSignatures = await assembleGuardianSignatures(dsm, attestData, signatures)
+  return await sendTx(
+    dsm,
+    'depositBufferedEther',
+    [
+      attestData.depositRoot,
+      attestData.keysOpIndex,
+      attestData.blockNumber,
+      attestData.blockHash,
+      sortedSignatures.map(({ r, vs }) => [r, vs])
+    ],
+    txOpts
+  )
+}
+
+// When `sig` is omitted the transaction must be sent by a guardian itself.
+async function pauseDeposits(dsm, blockNumber, sig = null, txOpts = {}) {
+  if (await dsm.isPaused()) {
+    return null
+  }
+
+  const web3 = new Web3(dsm.contract.currentProvider)
+  const [currentBlock, validityPeriod] = await Promise.all([web3.eth.getBlockNumber(), dsm.getPauseIntentValidityPeriodBlocks()])
+  // the transaction will be included in the next block at the earliest
+  if (currentBlock + 1 - blockNumber > +validityPeriod) {
+    throw new Error(`pause intent expired: block ${blockNumber} is older than ${validityPeriod} blocks`)
+  }
+
+  const { r, vs } = sig || { r: ZERO_BYTES32, vs: ZERO_BYTES32 }
+  return await sendTx(dsm, 'pauseDeposits', [blockNumber, [r, vs]], txOpts)
+}
+
+function toUint256Hex(value) {
+  return new BN(String(value)).toString('hex', 64)
+}
+
+module.exports = {
+  DepositSecurityModule,
+  getDepositSecurityModule,
+  getAttestData,
+  encodeAttestMessage,
+  encodePauseMessage,
+  signAttestMessage,
+  signPauseMessage,
+  toEip2098,
+  recoverSigner,
+  assembleGuardianSignatures,
+  depositBufferedEther,
+  pauseDeposits
+}
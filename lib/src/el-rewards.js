@@ -0,0 +1,95 @@
+const BN = require('bn.js')
+const Web3 = require('web3')
+
+const { addressEqual, ZERO_ADDR } = require('./utils')
+
+// Projects the withdrawals Lido.handleOracleReport makes from LidoExecutionLayerRewardsVault. Each report
+// withdraws at most `getELRewardsWithdrawalLimit` basis points of the total pooled ether, so a large vault
+// balance is moved to the buffer over several reports.
+
+const TOTAL_BASIS_POINTS = 10000
+const DEFAULT_MAX_REPORTS = 1000
+
+async function getELRewardsState(lido) {
+  const [vault, withdrawalLimitPoints, totalPooledEther, totalELRewardsCollected] = await Promise.all([
+    lido.getELRewardsVault(),
+    lido.getELRewardsWithdrawalLimit(),
+    lido.getTotalPooledEther(),
+    lido.getTotalELRewardsCollected()
+  ])
+  const vaultBalance = addressEqual(vault, ZERO_ADDR) ? 0 : await new Web3(lido.contract.currentProvider).eth.getBalance(vault)
+  return createELRewardsState({ vault, vaultBalance, withdrawalLimitPoints, totalPooledEther, totalELRewardsCollected })
+}
+
+function createELRewardsState(info) {
+  return {
+    vault: info.vault,
+    vaultBalance: toBN(info.vaultBalance),
+    withdrawalLimitPoints: +info.withdrawalLimitPoints,
+    totalPooledEther: toBN(info.totalPooledEther),
+    totalELRewardsCollected: toBN(info.totalELRewardsCollected || 0)
+  }
+}
+
+// Withdrawals of the following reports until the vault is drained, with `withdrawalLimitPoints` instead of
+// the current limit if passed. Beacon balance changes are not accounted for, so the total pooled ether only
+// grows by the withdrawn rewards, and the vault receives `vaultInflowPerReport` wei between reports.
+// Returns `{ drained, reports, withdrawals, totalWithdrawn }`, `withdrawals` being `{ report, cap, amount,
+// vaultBalance, totalPooledEther }` with the balances right after the report; `drained` is false if no
+// report empties the vault within `maxReports` or nothing can be withdrawn with the limit.
+function projectELRewardsWithdrawals(
+  state,
+  { withdrawalLimitPoints = state.withdrawalLimitPoints, vaultInflowPerReport = 0, maxReports = DEFAULT_MAX_REPORTS } = {}
+) {
+  const limitPoints = +withdrawalLimitPoints
+  if (!Number.isInteger(limitPoints) || limitPoints < 0 || limitPoints > TOTAL_BASIS_POINTS) {
+    throw new Error(`withdrawal limit must be from 0 to ${TOTAL_BASIS_POINTS} basis points, got ${withdrawalLimitPoints}`)
+  }
+  const inflow = toBN(vaultInflowPerReport)
+  let vaultBalance = toBN(state.vaultBalance)
+  let totalPooledEther = toBN(state.totalPooledEther)
+  let totalWithdrawn = new BN(0)
+  let drained = vaultBalance.isZero()
+  const withdrawals = []
+
+  while (!drained && withdrawals.length < maxReports) {
+    const cap = totalPooledEther.muln(limitPoints).divn(TOTAL_BASIS_POINTS)
+    if (cap.isZero()) {
+      break
+    }
+    const amount = BN.min(vaultBalance, cap)
+    vaultBalance = vaultBalance.sub(amount)
+    totalPooledEther = totalPooledEther.add(amount)
+    totalWithdrawn = totalWithdrawn.add(amount)
+    withdrawals.push({ report: withdrawals.length + 1, cap, amount, vaultBalance, totalPooledEther })
+    drained = vaultBalance.isZero()
+    vaultBalance = vaultBalance.add(inflow)
+  }
+
+  return { drained, reports: withdrawals.length, withdrawals, totalWithdrawn }
+}
+
+// Projections with the current and the `proposedLimitPoints` withdrawal limit, e.g. to check a
+// setELRewardsWithdrawalLimit vote
+function compareELRewardsWithdrawalLimits(state, proposedLimitPoints, opts = {}) {
+  return {
+    current: projectELRewardsWithdrawals(state, { ...opts, withdrawalLimitPoints: state.withdrawalLimitPoints }),
+    proposed: projectELRewardsWithdrawals(state, { ...opts, withdrawalLimitPoints: proposedLimitPoints })
+  }
+}
+
+async function getELRewardsProjection(lido, opts = {}) {
+  return projectELRewardsWithdrawals(await getELRewardsState(lido), opts)
+}
+
+function toBN(value) {
+  return BN.isBN(value) ? value : new BN(String(value))
+}
+
+module.exports = {
+  getELRewardsState,
+  createELRewardsState,
+  projectELRewardsWithdrawals,
+  compareELRewardsWithdrawalLimits,
+  getELRewardsProjection
+}
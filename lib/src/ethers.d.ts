@@ -0,0 +1,164 @@
+import { BigNumberish, Contract, ContractReceipt, PayableOverrides, Signer, providers, utils } from 'ethers'
+
+import { BeaconSpec, Logger, NodeOperator, RevertExplanation, UnusedSigningKeys, WithdrawalCredentialsChange } from './index'
+
+// Typings for the helpers exported from ./ethers.js, scripts/extract-abi.js fails if the names
+// or the parameters declared here don't match the ones ./ethers.js exports
+
+export type SignerOrProvider = Signer | providers.Provider
+
+export interface EthersTxOverrides extends PayableOverrides {
+  dryRun?: boolean
+}
+
+export interface EthersDryRunResult {
+  dryRun: true
+  ok: boolean
+  gas: number | null
+  returnValue: any
+  revert: RevertExplanation | null
+}
+
+export type EthersTxResult = ContractReceipt | EthersDryRunResult
+
+export interface EthersVoteResult {
+  result: EthersTxResult
+  voteId: number | null
+}
+
+export interface EthersWithdrawalCredentialsVoteResult extends EthersVoteResult {
+  unusedSigningKeys: UnusedSigningKeys
+}
+
+export interface EthersSigningKeysOptions extends EthersTxOverrides {
+  operatorId?: number
+  voting?: Contract
+  tokenManager?: Contract
+}
+
+export interface EthersRemoveSigningKeysOptions extends EthersSigningKeysOptions {
+  log?: Logger
+  maxBatchGas?: BigNumberish
+}
+
+export function getInterface(name: string): utils.Interface
+export function getContract(name: string, signerOrProvider: SignerOrProvider, address: string): Contract
+
+// helpers for obtaining ethers.Contract instances
+export function getLido(signerOrProvider: SignerOrProvider, address: string): Contract
+export function getStETH(signerOrProvider: SignerOrProvider, address: string): Contract
+export function getWstETH(signerOrProvider: SignerOrProvider, address: string): Contract
+export function getNodeOperatorsRegistry(signerOrProvider: SignerOrProvider, address: string): Contract
+export function getOracle(signerOrProvider: SignerOrProvider, address: string): Contract
+export function getVoting(signerOrProvider: SignerOrProvider, address: string): Contract
+export function getTokenManager(signerOrProvider: SignerOrProvider, address: string): Contract
+
+// tx helpers
+export function submitEther(
+  lido: Contract,
+  amount: BigNumberish,
+  overrides?: EthersTxOverrides,
+  referral?: string | null,
+  doDeposit?: false
+): Promise<EthersTxResult>
+export function submitEther(
+  lido: Contract,
+  amount: BigNumberish,
+  overrides: EthersTxOverrides,
+  referral: string | null,
+  doDeposit: true
+): Promise<{ submitResult: EthersTxResult; depositResult: EthersTxResult }>
+
+export function checkWithdrawalCredentialsChange(lido: Contract, credentials: string): Promise<WithdrawalCredentialsChange>
+
+export function setWithdrawalCredentials(
+  lido: Contract,
+  voting: Contract,
+  tokenManager: Contract,
+  credentials: string,
+  overrides?: EthersTxOverrides & { log?: Logger }
+): Promise<EthersWithdrawalCredentialsVoteResult>
+
+export function setFeeDistribution(
+  lido: Contract,
+  voting: Contract,
+  tokenManager: Contract,
+  treasuryFeeBasisPoints: number,
+  insuranceFeeBasisPoints: number,
+  operatorsFeeBasisPoints: number,
+  overrides?: EthersTxOverrides
+): Promise<EthersVoteResult>
+
+export const nodeOperators: {
+  list(registry: Contract): Promise<NodeOperator[]>
+  addSigningKeys(
+    registry: Contract,
+    pubkeys: string[],
+    signatures: string[],
+    opts?: EthersSigningKeysOptions
+  ): Promise<EthersTxResult | EthersVoteResult>
+  removeSigningKeys(
+    registry: Contract,
+    startKeyIndex: number,
+    endKeyIndex: number,
+    opts?: EthersRemoveSigningKeysOptions
+  ): Promise<EthersTxResult[] | EthersVoteResult>
+  setStakingLimit(
+    registry: Contract,
+    voting: Contract,
+    tokenManager: Contract,
+    operatorId: number,
+    newLimit: number,
+    overrides?: EthersTxOverrides
+  ): Promise<EthersVoteResult>
+}
+
+export const oracle: {
+  getBeaconSpec(oracle: Contract): Promise<BeaconSpec>
+  proposeBeaconSpecChange(
+    oracle: Contract,
+    voting: Contract,
+    tokenManager: Contract,
+    newSpec: Partial<BeaconSpec>,
+    overrides?: EthersTxOverrides
+  ): Promise<EthersVoteResult>
+}
+
+export const dao: {
+  proposeChangingVotingQuorum(
+    voting: Contract,
+    tokenManager: Contract,
+    newQuorumPct: number,
+    overrides?: EthersTxOverrides
+  ): Promise<EthersVoteResult>
+  proposeChangingVotingSupport(
+    voting: Contract,
+    tokenManager: Contract,
+    newSupportPct: number,
+    overrides?: EthersTxOverrides
+  ): Promise<EthersVoteResult>
+  createVote(
+    voting: Contract,
+    tokenManager: Contract,
+    voteDesc: string,
+    evmScript: string,
+    overrides?: EthersTxOverrides
+  ): Promise<EthersVoteResult>
+}
+
+// shared with the Truffle-based entry point
+export function normalizeNodeOperator(op: {
+  name: string
+  active: boolean
+  rewardAddress: string
+  stakingLimit: BigNumberish
+  stoppedValidators: BigNumberish
+  totalSigningKeys: BigNumberish
+  usedSigningKeys: BigNumberish
+}): NodeOperator
+export function normalizeBeaconSpec(spec: {
+  epochsPerFrame: BigNumberish
+  slotsPerEpoch: BigNumberish
+  secondsPerSlot: BigNumberish
+  genesisTime: BigNumberish
+}): BeaconSpec
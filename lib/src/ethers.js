@@ -0,0 +1,316 @@
+const { ethers } = require('ethers')
+const { encodeCallScript } = require('@aragon/contract-helpers-test/src/aragon-os')
+
+const { getABI } = require('./abi')
+const { ZERO_ADDR, addressEqual, trim0x } = require('./utils')
+const { percentToBp18 } = require('./dao')
+const { DEFAULT_MAX_BATCH_GAS, normalizeNodeOperator, assertKeysRemovable, assertCanVote } = require('./node-operators-registry')
+const { normalizeBeaconSpec } = require('./oracle')
+const { decodeRevertReason, explainRevert, isRevertError } = require('./revert-reasons')
+const { validateWithdrawalCredentials, compareWithdrawalCredentials, getUnusedSigningKeys } = require('./withdrawal-credentials')
+
+// ethers.js v5 counterparts of the Truffle-based helpers. Getters take an ethers
+// `Signer` or `Provider`, tx helpers wait for the transaction to be mined and
+// return its receipt, or only simulate it when `dryRun` is set in the overrides.
+
+const interfaceByName = {}
+
+function getInterface(name) {
+  return interfaceByName[name] || (interfaceByName[name] = new ethers.utils.Interface(getABI(name)))
+}
+
+function getContract(name, signerOrProvider, address) {
+  return new ethers.Contract(address, getInterface(name), signerOrProvider)
+}
+
+const getLido = (signerOrProvider, address) => getContract('Lido', signerOrProvider, address)
+const getStETH = (signerOrProvider, address) => getContract('StETH', signerOrProvider, address)
+const getWstETH = (signerOrProvider, address) => getContract('WstETH', signerOrProvider, address)
+const getNodeOperatorsRegistry = (signerOrProvider, address) => getContract('NodeOperatorsRegistry', signerOrProvider, address)
+const getOracle = (signerOrProvider, address) => getContract('LidoOracle', signerOrProvider, address)
+const getVoting = (signerOrProvider, address) => getContract('Voting', signerOrProvider, address)
+const getTokenManager = (signerOrProvider, address) => getContract('TokenManager', signerOrProvider, address)
+
+async function sendTx(contract, method, args, { dryRun = false, ...overrides } = {}) {
+  if (dryRun) {
+    return await dryRunTx(contract, method, args, overrides)
+  }
+  const tx = await contract[method](...args, overrides)
+  return await tx.wait()
+}
+
+async function dryRunTx(contract, method, args, overrides) {
+  try {
+    const returnValue = await contract.callStatic[method](...args, overrides)
+    const gas = await contract.estimateGas[method](...args, overrides)
+    return { dryRun: true, ok: true, gas: gas.toNumber(), returnValue, revert: null }
+  } catch (err) {
+    if (!isRevertError(err)) {
+      throw err
+    }
+    return { dryRun: true, ok: false, gas: null, returnValue: null, revert: explainRevert(decodeRevertReason(err)) }
+  }
+}
+
+function callScript(contract, method, args) {
+  return encodeCallScript([{ to: contract.address, calldata: contract.interface.encodeFunctionData(method, args) }])
+}
+
+// Lido
+
+async function submitEther(lido, amount, overrides = {}, referral = null, doDeposit = false) {
+  const submitResult = await sendTx(lido, 'submit', [referral || ZERO_ADDR], { ...overrides, value: amount })
+  if (!doDeposit) {
+    return submitResult
+  }
+  const depositOverrides = { ...(overrides.gasPrice && { gasPrice: overrides.gasPrice }), dryRun: overrides.dryRun }
+  const depositResult = await sendTx(lido, 'depositBufferedEther()', [], depositOverrides)
+  return { submitResult, depositResult }
+}
+
+async function checkWithdrawalCredentialsChange(lido, credentials) {
+  const errors = validateWithdrawalCredentials(credentials)
+  if (errors.length > 0) {
+    throw new Error(`invalid withdrawal credentials ${credentials}: ${errors.join(', ')}`)
+  }
+  const [current, registryAddr] = await Promise.all([lido.getWithdrawalCredentials(), lido.getOperators()])
+  const operators = await listOperators(getNodeOperatorsRegistry(lido.signer || lido.provider, registryAddr))
+  return { ...compareWithdrawalCredentials(current, credentials), unusedSigningKeys: getUnusedSigningKeys(operators) }
+}
+
+async function setWithdrawalCredentials(lido, voting, tokenManager, credentials, { log, ...overrides } = {}) {
+  const change = await checkWithdrawalCredentialsChange(lido, credentials)
+  if (!change.changed) {
+    throw new Error(`withdrawal credentials are already set to ${change.to.credentials}`)
+  }
+  const { total, operators } = change.unusedSigningKeys
+  if (total > 0) {
+    log && log(`the change will remove ${total} unused signing keys of ${operators.length} node operators`)
+  }
+  const evmScript = callScript(lido, 'setWithdrawalCredentials', [credentials])
+  const voteDesc = `Set withdrawal credentials to ${credentials}`
+  const vote = await createVote(voting, tokenManager, voteDesc, evmScript, overrides)
+  return { ...vote, unusedSigningKeys: change.unusedSigningKeys }
+}
+
+async function setFeeDistribution(
+  lido,
+  voting,
+  tokenManager,
+  treasuryFeeBasisPoints,
+  insuranceFeeBasisPoints,
+  operatorsFeeBasisPoints,
+  overrides = {}
+) {
+  if (treasuryFeeBasisPoints + insuranceFeeBasisPoints + operatorsFeeBasisPoints !== 10000) {
+    throw new Error(`the sum of all fees must equal 10000`)
+  }
+  const evmScript = callScript(lido, 'setFeeDistribution', [treasuryFeeBasisPoints, insuranceFeeBasisPoints, operatorsFeeBasisPoints])
+  const voteDesc =
+    `Set fee distribution to: (treasury ${treasuryFeeBasisPoints}, ` +
+    `insurance ${insuranceFeeBasisPoints}, operators ${operatorsFeeBasisPoints})`
+  return await createVote(voting, tokenManager, voteDesc, evmScript, overrides)
+}
+
+// NodeOperatorsRegistry
+
+async function listOperators(registry) {
+  const count = (await registry.getNodeOperatorsCount()).toNumber()
+  const ops = await Promise.all(Array.from({ length: count }, (_, i) => registry.getNodeOperator(i, true)))
+  return ops.map(normalizeNodeOperator)
+}
+
+async function addSigningKeys(registry, pubkeys, signatures, { operatorId, voting, tokenManager, ...overrides } = {}) {
+  const totalKeys = pubkeys.length
+  if (totalKeys === 0) {
+    throw new Error(`you should provide at least one public key`)
+  }
+  if (signatures.length !== totalKeys) {
+    throw new Error(`the number of provided signatures must match the number of provided pubkeys`)
+  }
+  const pubkeysData = pubkeys.map(trim0x).join('')
+  const signaturesData = signatures.map(trim0x).join('')
+  if (pubkeysData.length !== 48 * 2 * totalKeys) {
+    throw new Error(`each pubkey must be 48 bytes long`)
+  }
+  if (signaturesData.length !== 96 * 2 * totalKeys) {
+    throw new Error(`each signature must be 96 bytes long`)
+  }
+
+  const args = ['0x' + pubkeysData, '0x' + signaturesData]
+  const { opIndex, op, isOperator } = await resolveOperator(registry, operatorId)
+  if (isOperator) {
+    return await sendTx(registry, 'addSigningKeysOperatorBH', [opIndex, totalKeys, ...args], overrides)
+  }
+
+  assertCanVote(voting, tokenManager, `add signing keys`)
+  const evmScript = callScript(registry, 'addSigningKeys', [opIndex, totalKeys, ...args])
+  const voteDesc = `Add ${totalKeys} signing keys to operator '${op.name}' (id ${opIndex}, reward address ${op.rewardAddress})`
+  return await createVote(voting, tokenManager, voteDesc, evmScript, overrides)
+}
+
+async function removeSigningKeys(
+  registry,
+  startKeyIndex,
+  endKeyIndex,
+  { log, operatorId, voting, tokenManager, maxBatchGas = DEFAULT_MAX_BATCH_GAS, dryRun = false, ...overrides } = {}
+) {
+  if (endKeyIndex < startKeyIndex) {
+    throw new Error(`the end key index must not be less than the start key index`)
+  }
+
+  const { opIndex, op, isOperator } = await resolveOperator(registry, operatorId)
+  assertKeysRemovable(opIndex, op, startKeyIndex, endKeyIndex)
+
+  if (!isOperator) {
+    assertCanVote(voting, tokenManager, `remove signing keys`)
+    const amount = endKeyIndex - startKeyIndex + 1
+    const evmScript = callScript(registry, 'removeSigningKeys', [opIndex, startKeyIndex, amount])
+    const voteDesc =
+      `Remove ${amount} signing keys #${startKeyIndex}..#${endKeyIndex} of operator '${op.name}' ` +
+      `(id ${opIndex}, reward address ${op.rewardAddress})`
+    return await createVote(voting, tokenManager, voteDesc, evmScript, { ...overrides, dryRun })
+  }
+
+  if (dryRun) {
+    return [await dryRunTx(registry, 'removeSigningKeysOperatorBH', [opIndex, startKeyIndex, endKeyIndex - startKeyIndex + 1], overrides)]
+  }
+
+  // the same batching as in the Truffle-based helper, keys are removed from the highest index down
+  const receipts = []
+  let batchSize = endKeyIndex - startKeyIndex + 1
+  let keysLeft = batchSize
+
+  while (keysLeft > 0) {
+    let amount = Math.min(batchSize, keysLeft)
+    let index = startKeyIndex + keysLeft - amount
+    let gas = await registry.estimateGas.removeSigningKeysOperatorBH(opIndex, index, amount, overrides)
+
+    while (gas.gt(maxBatchGas) && amount > 1) {
+      amount = Math.ceil(amount / 2)
+      index = startKeyIndex + keysLeft - amount
+      gas = await registry.estimateGas.removeSigningKeysOperatorBH(opIndex, index, amount, overrides)
+    }
+    batchSize = amount
+
+    log && log(`removing signing keys #${index}..#${index + amount - 1} of operator ${opIndex} (estimated gas ${gas})...`)
+    const receipt = await sendTx(registry, 'removeSigningKeysOperatorBH', [opIndex, index, amount], overrides)
+    keysLeft -= amount
+    log && log(`done, tx: ${receipt.transactionHash}, ${keysLeft} keys left`)
+    receipts.push(receipt)
+  }
+
+  return receipts
+}
+
+async function resolveOperator(registry, operatorId) {
+  const fromAddr = await registry.signer.getAddress()
+  if (operatorId !== undefined && operatorId !== null) {
+    const op = normalizeNodeOperator(await registry.getNodeOperator(operatorId, true))
+    return { opIndex: +operatorId, op, isOperator: addressEqual(fromAddr, op.rewardAddress) }
+  }
+
+  const ops = await listOperators(registry)
+  const opIndex = ops.findIndex((op) => addressEqual(fromAddr, op.rewardAddress))
+  if (opIndex === -1) {
+    throw new Error(`${fromAddr} is not a node operator reward address, pass operatorId to manage keys via DAO voting`)
+  }
+  return { opIndex, op: ops[opIndex], isOperator: true }
+}
+
+async function setStakingLimit(registry, voting, tokenManager, operatorId, newLimit, overrides = {}) {
+  const evmScript = callScript(registry, 'setNodeOperatorStakingLimit', [operatorId, newLimit])
+  const op = normalizeNodeOperator(await registry.getNodeOperator(operatorId, true))
+  const voteDesc =
+    `Change staking limit of operator '${op.name}' (id ${operatorId}, reward ` +
+    `address ${op.rewardAddress}) from ${op.stakingLimit} to ${newLimit}`
+  return await createVote(voting, tokenManager, voteDesc, evmScript, overrides)
+}
+
+// LidoOracle
+
+async function getBeaconSpec(oracle) {
+  return normalizeBeaconSpec(await oracle.getBeaconSpec())
+}
+
+async function proposeBeaconSpecChange(oracle, voting, tokenManager, newSpec, overrides = {}) {
+  const currentSpec = await getBeaconSpec(oracle)
+  const updatedSpec = { ...currentSpec, ...newSpec }
+  const evmScript = callScript(oracle, 'setBeaconSpec', [
+    updatedSpec.epochsPerFrame,
+    updatedSpec.slotsPerEpoch,
+    updatedSpec.secondsPerSlot,
+    updatedSpec.genesisTime
+  ])
+  const updatesDesc = Object.entries(newSpec)
+    .map(([key, newValue]) => `${key} from ${currentSpec[key]} to ${newValue}`)
+    .join(', ')
+  const voteDesc = `Update Beacon chain spec: change ${updatesDesc}`
+  return await createVote(voting, tokenManager, voteDesc, evmScript, overrides)
+}
+
+// DAO
+
+async function proposeChangingVotingQuorum(voting, tokenManager, newQuorumPct, overrides = {}) {
+  const evmScript = callScript(voting, 'changeMinAcceptQuorumPct', [percentToBp18(newQuorumPct)])
+  const voteDesc = `Change min acceptance quorum to ${newQuorumPct}%`
+  return await createVote(voting, tokenManager, voteDesc, evmScript, overrides)
+}
+
+async function proposeChangingVotingSupport(voting, tokenManager, newSupportPct, overrides = {}) {
+  const evmScript = callScript(voting, 'changeSupportRequiredPct', [percentToBp18(newSupportPct)])
+  const voteDesc = `Change min support required to ${newSupportPct}%`
+  return await createVote(voting, tokenManager, voteDesc, evmScript, overrides)
+}
+
+async function createVote(voting, tokenManager, voteDesc, evmScript, overrides = {}) {
+  const newVoteEvmScript = callScript(voting, 'newVote(bytes,string,bool,bool)', [evmScript, voteDesc, false, false])
+  const result = await sendTx(tokenManager, 'forward', [newVoteEvmScript], overrides)
+  if (result.dryRun) {
+    return { result, voteId: null }
+  }
+  const startVoteTopic = voting.interface.getEventTopic('StartVote')
+  const startVoteLog = result.logs
+    .filter((log) => addressEqual(log.address, voting.address) && log.topics[0] === startVoteTopic)
+    .map((log) => voting.interface.parseLog(log))[0]
+  if (!startVoteLog) {
+    throw new Error(`no StartVote event found in tx ${result.transactionHash}`)
+  }
+  return { result, voteId: startVoteLog.args.voteId.toNumber() }
+}
+
+module.exports = {
+  getInterface,
+  getContract,
+  // helpers for obtaining ethers.Contract instances
+  getLido,
+  getStETH,
+  getWstETH,
+  getNodeOperatorsRegistry,
+  getOracle,
+  getVoting,
+  getTokenManager,
+  // tx helpers
+  submitEther,
+  checkWithdrawalCredentialsChange,
+  setWithdrawalCredentials,
+  setFeeDistribution,
+  nodeOperators: {
+    list: listOperators,
+    addSigningKeys,
+    removeSigningKeys,
+    setStakingLimit
+  },
+  oracle: {
+    getBeaconSpec,
+    proposeBeaconSpecChange
+  },
+  dao: {
+    proposeChangingVotingQuorum,
+    proposeChangingVotingSupport,
+    createVote
+  },
+  // shared with the Truffle-based entry point
+  normalizeNodeOperator,
+  normalizeBeaconSpec
+}
@@ -0,0 +1,208 @@
+const Web3 = require('web3')
+
+const { getABI, listABINames } = require('./abi')
+const { trim0x } = require('./utils')
+
+// Aragon CallsScript, spec id 1: repeated `address to (20 bytes) | uint32 calldataLength | bytes calldata`
+const CALLSCRIPT_ID = '00000001'
+
+const abiCoder = new Web3().eth.abi
+
+// Names and ABIs of the contracts referenced from `deployed-*.json` network state files
+const KNOWN_APPS = {
+  'app:lido': 'Lido',
+  'app:oracle': 'LidoOracle',
+  'app:node-operators-registry': 'NodeOperatorsRegistry',
+  'app:aragon-agent': 'Vault',
+  'app:aragon-finance': 'Finance',
+  'app:aragon-token-manager': 'TokenManager',
+  'app:aragon-voting': 'Voting'
+}
+
+const KNOWN_ADDRESSES = {
+  daoAddress: 'Kernel',
+  daoTemplateAddress: 'LidoTemplate',
+  wstethContractAddress: 'WstETH',
+  depositorAddress: 'DepositSecurityModule',
+  executionLayerRewardsVaultAddress: 'LidoExecutionLayerRewardsVault',
+  compositePostRebaseBeaconReceiverAddress: 'CompositePostRebaseBeaconReceiver',
+  selfOwnedStETHBurnerAddress: 'SelfOwnedStETHBurner'
+}
+
+const APP_LABELS = {
+  'app:aragon-agent': 'Agent'
+}
+
+let functionsBySelector = null
+
+function decodeCallScript(script) {
+  const data = trim0x(script).toLowerCase()
+  if (data.substr(0, 8) !== CALLSCRIPT_ID) {
+    throw new Error(`unsupported EVM script spec id 0x${data.substr(0, 8)}, only CallsScript (0x${CALLSCRIPT_ID}) is supported`)
+  }
+
+  const calls = []
+  let pos = 8
+  while (pos < data.length) {
+    if (data.length < pos + 48) {
+      throw new Error(`malformed call script: truncated call header at byte ${pos / 2}`)
+    }
+    const to = Web3.utils.toChecksumAddress('0x' + data.substr(pos, 40))
+    const calldataLength = parseInt(data.substr(pos + 40, 8), 16)
+    pos += 48
+    if (data.length < pos + calldataLength * 2) {
+      throw new Error(`malformed call script: calldata of call #${calls.length} to ${to} is truncated`)
+    }
+    calls.push({ to, calldata: '0x' + data.substr(pos, calldataLength * 2) })
+    pos += calldataLength * 2
+  }
+  return calls
+}
+
+// Builds a map from lowercase addresses to contract names and ABI names out of a parsed
+// `deployed-<network>.json` file
+function createAddressBook(networkState) {
+  const book = {}
+  const add = (address, name, abiName = null) => {
+    if (address) {
+      book[address.toLowerCase()] = { name, abiName }
+    }
+  }
+
+  for (const [key, value] of Object.entries(networkState)) {
+    if (KNOWN_APPS[key]) {
+      const name = APP_LABELS[key] || KNOWN_APPS[key]
+      add(value.proxyAddress, name, KNOWN_APPS[key])
+      add(value.baseAddress, `${name} implementation`, KNOWN_APPS[key])
+    } else if (KNOWN_ADDRESSES[key]) {
+      add(value, KNOWN_ADDRESSES[key], KNOWN_ADDRESSES[key])
+    } else if (/Address$/.test(key) && typeof value === 'string') {
+      add(value, key.replace(/Address$/, ''))
+    }
+  }
+
+  const { beaconSpec } = networkState.daoInitialSettings || {}
+  if (beaconSpec && beaconSpec.depositContractAddress) {
+    add(beaconSpec.depositContractAddress, 'DepositContract', 'IDepositContract')
+  }
+  return book
+}
+
+// Decodes calldata against the ABI of the target contract when it's known, otherwise against
+// the first ABI in `lib/abi` having a function with the same selector
+function decodeCalldata(calldata, abiName = null, addressBook = {}) {
+  const data = trim0x(calldata)
+  const selector = '0x' + data.substr(0, 8).toLowerCase()
+  const ownFn = abiName ? getFunctions(abiName).find((item) => item.selector === selector) : null
+  const fn = ownFn || (getFunctionsBySelector()[selector] || [])[0]
+  if (!fn) {
+    return null
+  }
+
+  const decoded = abiCoder.decodeParameters(fn.abi.inputs, '0x' + data.substr(8))
+  const args = fn.abi.inputs.map((input, i) => {
+    const value = decoded[i]
+    const arg = { name: input.name, type: input.type, value }
+    const nested = input.type === 'bytes' && tryDecodeScript(value, addressBook)
+    return nested ? { ...arg, calls: nested } : arg
+  })
+
+  return { method: fn.abi.name, signature: fn.signature, abiName: fn.abiName, guessed: !ownFn, args }
+}
+
+function decodeScript(script, addressBook = {}) {
+  return decodeCallScript(script).map(({ to, calldata }) => {
+    const contract = addressBook[to.toLowerCase()] || null
+    const decoded = decodeCalldata(calldata, contract && contract.abiName, addressBook)
+    return {
+      to,
+      toName: contract ? contract.name : null,
+      calldata,
+      ...(decoded || { method: null, signature: null, abiName: null, guessed: false, args: [] })
+    }
+  })
+}
+
+async function getVoteScript(voting, voteId) {
+  const vote = await voting.getVote(voteId)
+  return vote.script
+}
+
+async function decodeVote(voting, voteId, addressBook = {}) {
+  const vote = await voting.getVote(voteId)
+  return {
+    voteId: +voteId,
+    open: vote.open,
+    executed: vote.executed,
+    script: vote.script,
+    calls: decodeScript(vote.script, addressBook)
+  }
+}
+
+// Returns lines like `Lido (0xae7a...).setFee(_feeBasisPoints: 1000)`, nested scripts are indented
+function formatCalls(calls, indent = '') {
+  return calls.flatMap((call, i) => {
+    const target = call.toName ? `${call.toName} (${call.to})` : call.to
+    if (!call.method) {
+      return [`${indent}${i + 1}. ${target}: unknown method, calldata ${call.calldata}`]
+    }
+    const guess = call.guessed ? ` [decoded with ${call.abiName} ABI]` : ''
+    const args = call.args
+      .map((arg) => `${arg.name || arg.type}: ${arg.calls ? `<script, ${arg.calls.length} calls>` : formatValue(arg.value)}`)
+      .join(', ')
+    const lines = [`${indent}${i + 1}. ${target}.${call.method}(${args})${guess}`]
+    for (const arg of call.args) {
+      if (arg.calls) {
+        lines.push(`${indent}   ${arg.name || arg.type} script:`, ...formatCalls(arg.calls, indent + '     '))
+      }
+    }
+    return lines
+  })
+}
+
+function formatValue(value) {
+  return Array.isArray(value) ? `[${value.map(formatValue).join(', ')}]` : String(value)
+}
+
+function tryDecodeScript(value, addressBook) {
+  if (typeof value !== 'string' || trim0x(value).substr(0, 8) !== CALLSCRIPT_ID) {
+    return null
+  }
+  try {
+    return decodeScript(value, addressBook)
+  } catch (err) {
+    return null
+  }
+}
+
+function getFunctions(abiName) {
+  return getABI(abiName)
+    .filter((item) => item.type === 'function')
+    .map((item) => {
+      const signature = Web3.utils._jsonInterfaceMethodToString(item)
+      return { abi: item, abiName, signature, selector: abiCoder.encodeFunctionSignature(signature) }
+    })
+}
+
+function getFunctionsBySelector() {
+  if (!functionsBySelector) {
+    functionsBySelector = {}
+    for (const abiName of listABINames()) {
+      for (const fn of getFunctions(abiName)) {
+        functionsBySelector[fn.selector] = [...(functionsBySelector[fn.selector] || []), fn]
+      }
+    }
+  }
+  return functionsBySelector
+}
+
+module.exports = {
+  CALLSCRIPT_ID,
+  decodeCallScript,
+  createAddressBook,
+  decodeCalldata,
+  decodeScript,
+  getVoteScript,
+  decodeVote,
+  formatCalls
+}
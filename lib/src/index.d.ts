@@ -0,0 +1,1209 @@
+import BN from 'bn.js'
+
+import { ContractInstance, NumberLike, TransactionDetails, TransactionResult } from '../types/common'
+import {
+  ACLContract,
+  ACLInstance,
+  CompositePostRebaseBeaconReceiverContract,
+  CompositePostRebaseBeaconReceiverInstance,
+  DepositSecurityModuleContract,
+  DepositSecurityModuleInstance,
+  KernelContract,
+  KernelInstance,
+  LidoContract,
+  LidoInstance,
+  LidoOracleContract,
+  LidoOracleInstance,
+  NodeOperatorsRegistryContract,
+  NodeOperatorsRegistryInstance,
+  SelfOwnedStETHBurnerContract,
+  SelfOwnedStETHBurnerInstance,
+  StETHContract,
+  StETHInstance,
+  TokenManagerContract,
+  TokenManagerInstance,
+  VotingContract,
+  VotingInstance,
+  WstETHContract,
+  WstETHInstance
+} from '../types/contracts'
+
+export * from '../types/common'
+export * from '../types/contracts'
+
+// Typings for the helpers exported from ./index.js, contract typings are generated into ../types
+// by scripts/extract-abi.js, which also fails if the names or the parameters declared here don't match ./index.js
+
+export interface Web3Like {
+  currentProvider: any
+}
+
+export type Logger = (message: string) => void
+
+export interface TxOptions extends TransactionDetails {
+  dryRun?: boolean
+}
+
+export interface RevertExplanation {
+  code: string
+  reason: string | null
+  contracts: string[]
+  explanation: string
+}
+
+export interface DryRunResult {
+  dryRun: true
+  ok: boolean | null
+  gas: number | null
+  returnValue: any
+  revert: RevertExplanation | null
+  skipped?: string
+}
+
+export type TxResult = TransactionResult | DryRunResult
+
+export interface VoteResult {
+  result: TxResult
+  voteId: string | null
+}
+
+export interface VoteAction {
+  to: string
+  calldata: string
+  description: string
+}
+
+export interface VotePreview {
+  description: string
+  script: string
+  size: number
+  calls: DecodedCall[]
+}
+
+export interface VoteBuilder {
+  actions: VoteAction[]
+  add(...actions: VoteAction[]): VoteBuilder
+  addCall(to: string | { address: string; contract: any }, method: string, args?: any[], description?: string | null): VoteBuilder
+  getDescription(): string
+  getScript(): string
+  preview(addressBook?: AddressBook): VotePreview
+  submit(txOpts?: TxOptions): Promise<VoteResult>
+}
+
+// NodeOperatorsRegistry
+
+export interface NodeOperator {
+  name: string
+  active: boolean
+  rewardAddress: string
+  stakingLimit: number
+  stoppedValidators: number
+  totalSigningKeys: number
+  usedSigningKeys: number
+}
+
+export interface SigningKeysOptions extends TxOptions {
+  operatorId?: number
+  voting?: VotingInstance
+  tokenManager?: TokenManagerInstance
+}
+
+export interface RemoveSigningKeysOptions extends SigningKeysOptions {
+  log?: Logger
+  maxBatchGas?: number
+}
+
+export interface SigningKey {
+  index: number
+  pubkey: string
+  signature: string
+  used: boolean
+}
+
+export interface ListSigningKeysOptions {
+  offset?: number
+  limit?: number
+  concurrency?: number
+  used?: boolean | null
+}
+
+export interface SigningKeysPage {
+  operatorId: number
+  total: number
+  offset: number
+  keys: SigningKey[]
+  nextOffset: number | null
+}
+
+// any object with these calls works, e.g. the Aragon app api wrapped into promises
+export interface SigningKeysReader {
+  getNodeOperator(id: NumberLike, fullInfo: boolean): Promise<{ totalSigningKeys: NumberLike; usedSigningKeys: NumberLike }>
+  getSigningKey(id: NumberLike, index: NumberLike): Promise<{ key: string; depositSignature: string; used: boolean }>
+}
+
+// LidoOracle
+
+export interface BeaconSpec {
+  epochsPerFrame: number
+  slotsPerEpoch: number
+  secondsPerSlot: number
+  genesisTime: number
+}
+
+export interface ReportingState {
+  expectedEpochId: number
+  frameEpochId: number
+  frameStartTime: number
+  frameEndTime: number
+  reportableEpochId: number | null
+  quorum: number
+  members: string[]
+  memberIndex: number
+  isMember: boolean
+  hasReported: boolean
+}
+
+export interface BeaconReport {
+  epochId?: number
+  beaconBalanceGwei: NumberLike
+  beaconValidators: number
+}
+
+export type ReportFailureCode =
+  | 'MEMBER_NOT_FOUND'
+  | 'EPOCH_IS_TOO_OLD'
+  | 'UNEXPECTED_EPOCH'
+  | 'ALREADY_SUBMITTED'
+  | 'REPORTED_MORE_DEPOSITED'
+  | 'REPORTED_LESS_VALIDATORS'
+  | 'ALLOWED_BEACON_BALANCE_INCREASE'
+  | 'ALLOWED_BEACON_BALANCE_DECREASE'
+
+export interface ReportFailure {
+  code: ReportFailureCode
+  message: string
+}
+
+export interface ReportSanityParams {
+  postTotalPooledEther: NumberLike
+  preTotalPooledEther: NumberLike
+  timeElapsed: NumberLike
+  allowedAnnualRelativeIncrease: NumberLike
+  allowedRelativeDecrease: NumberLike
+}
+
+export interface ReportDelta {
+  preTotalPooledEther: BN
+  postTotalPooledEther: BN
+  timeElapsed: number
+  depositedValidators: number
+  prevBeaconValidators: number
+}
+
+export interface CompletedReportDelta {
+  postTotalPooledEther: string
+  preTotalPooledEther: string
+  timeElapsed: number
+}
+
+export interface ReportValidation {
+  state: ReportingState
+  delta: ReportDelta
+  lastCompletedDelta: CompletedReportDelta
+  reasons: ReportFailure[]
+}
+
+export type ReportBeaconResult =
+  | { reported: true; epochId: number; result: TransactionResult }
+  | { reported: false; epochId?: number; reasons: ReportFailure[] }
+  | { reported: false; epochId: number; result: DryRunResult; reasons: { code: string; message: string }[] }
+
+export interface DecodedReport {
+  beaconBalance: string
+  beaconValidators: number
+}
+
+export interface DecodedReportWithCount extends DecodedReport {
+  count: number
+}
+
+export interface ReportVariant extends DecodedReportWithCount {
+  beaconBalanceEth1: string
+  quorum: number
+  votesToQuorum: number
+  isQuorum: boolean
+}
+
+// WstETH
+
+export interface WrapOptions extends TxOptions {
+  log?: Logger
+}
+
+export interface WrapResult {
+  approveResult: TxResult | null
+  wrapResult: TxResult
+}
+
+// SelfOwnedStETHBurner
+
+export interface BurnRequestOptions extends TxOptions {
+  isCover?: boolean
+  log?: Logger
+}
+
+export interface BurnRequestResult {
+  approveResult: TxResult | null
+  requestResult: TxResult
+}
+
+export interface PendingBurnRequests {
+  coverShares: BN
+  nonCoverShares: BN
+}
+
+export interface EventsRangeOptions {
+  fromBlock?: number
+  toBlock?: number | string
+}
+
+export interface BurnerState {
+  coverSharesBurnt: BN
+  nonCoverSharesBurnt: BN
+  excessStETH: BN
+  burnAmountPerRunQuota: number
+  pending: PendingBurnRequests
+}
+
+export interface BurnRun {
+  run: number
+  coverSharesBurnt: BN
+  nonCoverSharesBurnt: BN
+  coverStETHBurnt: BN
+  nonCoverStETHBurnt: BN
+  coverSharesLeft: BN
+  nonCoverSharesLeft: BN
+  totalShares: BN
+  shareRate: BN
+}
+
+export interface BurnPlan {
+  reports: number
+  runs: BurnRun[]
+  shareRate: BN
+}
+
+// CompositePostRebaseBeaconReceiver
+
+export interface ReceiverCallback {
+  index: number
+  address: string
+  supported: boolean
+}
+
+export interface ReceiverCallbacks {
+  requiredInterface: string
+  maxCallbacksCount: number
+  callbacks: ReceiverCallback[]
+}
+
+export type CallbackChange =
+  | { type: 'add'; callback: string }
+  | { type: 'insert'; callback: string; index: number }
+  | { type: 'remove'; index: number }
+
+export interface CallbackChangesPlan {
+  before: string[]
+  after: string[]
+  actions: VoteAction[]
+}
+
+export interface PermitMessage {
+  owner: string
+  spender: string
+  value: string
+  nonce: string
+  deadline: string
+}
+
+export interface PermitTypedData {
+  types: { [type: string]: Array<{ name: string; type: string }> }
+  primaryType: 'Permit'
+  domain: { name: string; version: string; chainId: number; verifyingContract: string }
+  message: PermitMessage
+}
+
+export interface PermitParams {
+  owner: string
+  spender: string
+  value: NumberLike
+  deadline: NumberLike
+  nonce?: NumberLike
+}
+
+export interface EcdsaSignature {
+  v: number
+  r: string
+  s: string
+}
+
+// StETH share math
+
+export interface SharesSnapshot {
+  totalPooledEther: BN
+  totalShares: BN
+}
+
+export interface SharesTransfer {
+  sharesToTransfer: BN
+  transferredEth: BN
+  senderShares: BN
+  recipientShares: BN
+  senderBalance: BN
+  recipientBalance: BN
+}
+
+export interface EthTransfer extends SharesTransfer {
+  dust: BN
+}
+
+export interface RebaseState {
+  totalPooledEther?: NumberLike
+  totalShares?: NumberLike
+}
+
+export interface PostRebaseBalance {
+  preBalance: BN
+  postBalance: BN
+  change: BN
+}
+
+// Rewards distribution simulator
+
+export interface RewardsSnapshotOperator {
+  id: number
+  name: string
+  active: boolean
+  rewardAddress: string
+  usedSigningKeys: number
+  stoppedValidators: number
+}
+
+export interface RewardsSnapshot extends SharesSnapshot {
+  feeBasisPoints: number
+  treasuryFeeBasisPoints: number
+  insuranceFeeBasisPoints: number
+  operatorsFeeBasisPoints: number
+  depositedValidators: number
+  beaconValidators: number
+  beaconBalance: BN
+  treasury: string
+  insuranceFund: string
+  operators: RewardsSnapshotOperator[]
+}
+
+export interface RewardsSnapshotState {
+  totalPooledEther: NumberLike
+  totalShares: NumberLike
+  feeBasisPoints: NumberLike
+  treasuryFeeBasisPoints: NumberLike
+  insuranceFeeBasisPoints: NumberLike
+  operatorsFeeBasisPoints: NumberLike
+  depositedValidators?: NumberLike
+  beaconValidators?: NumberLike
+  beaconBalance?: NumberLike
+  treasury: string
+  insuranceFund: string
+  operators: Pick<NodeOperator, 'name' | 'active' | 'rewardAddress' | 'usedSigningKeys' | 'stoppedValidators'>[]
+}
+
+export interface OperatorReward {
+  id: number
+  name: string
+  rewardAddress: string
+  activeValidators: number
+  shares: BN
+}
+
+export interface FeeRecipientReward {
+  address: string
+  shares: BN
+  amount: BN
+}
+
+export interface FeeDistribution {
+  totalRewards: BN
+  totalPooledEther: BN
+  totalShares: BN
+  sharesToMint: BN
+  insuranceFund: FeeRecipientReward
+  nodeOperators: (OperatorReward & { amount: BN })[]
+  treasury: FeeRecipientReward
+  operatorsDust: BN
+}
+
+export interface SimulatedOracleReport {
+  beaconValidators: number
+  beaconBalance: NumberLike
+  executionLayerRewards?: NumberLike
+}
+
+// Stake limit predictor
+
+export interface StakeLimitState {
+  maxStakeLimit: BN
+  maxStakeLimitGrowthBlocks: number
+  prevStakeLimit: BN
+  prevStakeBlockNumber: number
+}
+
+export interface StakeLimitInfo {
+  maxStakeLimit: NumberLike
+  maxStakeLimitGrowthBlocks: NumberLike
+  prevStakeLimit: NumberLike
+  prevStakeBlockNumber: NumberLike
+}
+
+export interface PlannedSubmission {
+  amount: BN
+  blockNumber: number
+  stakeLimit: BN
+}
+
+// Execution layer rewards withdrawal projector
+
+export interface ELRewardsState {
+  vault: string
+  vaultBalance: BN
+  withdrawalLimitPoints: number
+  totalPooledEther: BN
+  totalELRewardsCollected: BN
+}
+
+export interface ELRewardsInfo {
+  vault: string
+  vaultBalance: NumberLike
+  withdrawalLimitPoints: NumberLike
+  totalPooledEther: NumberLike
+  totalELRewardsCollected?: NumberLike
+}
+
+export interface ELRewardsProjectionOptions {
+  withdrawalLimitPoints?: NumberLike
+  vaultInflowPerReport?: NumberLike
+  maxReports?: number
+}
+
+export interface ELRewardsWithdrawal {
+  report: number
+  cap: BN
+  amount: BN
+  vaultBalance: BN
+  totalPooledEther: BN
+}
+
+export interface ELRewardsProjection {
+  drained: boolean
+  reports: number
+  withdrawals: ELRewardsWithdrawal[]
+  totalWithdrawn: BN
+}
+
+export interface ELRewardsLimitsComparison {
+  current: ELRewardsProjection
+  proposed: ELRewardsProjection
+}
+
+// Deposit data verification
+
+export interface DepositKey {
+  pubkey: string
+  signature: string
+}
+
+export interface DepositVerificationParams {
+  withdrawalCredentials: string
+  forkVersion: string
+  amount?: NumberLike
+}
+
+export interface VerifiedDepositKey extends DepositKey {
+  valid: boolean
+  depositDataRoot: string | null
+}
+
+export interface DepositDataJsonEntry {
+  pubkey: string
+  withdrawal_credentials: string
+  amount: number
+  signature: string
+  deposit_message_root: string
+  deposit_data_root: string
+  fork_version: string
+}
+
+// Withdrawal credentials
+
+export interface DecodedWithdrawalCredentials {
+  credentials: string
+  type: string
+  address: string | null
+}
+
+export interface WithdrawalCredentialsComparison {
+  from: DecodedWithdrawalCredentials
+  to: DecodedWithdrawalCredentials
+  changed: boolean
+  typeChanged: boolean
+  addressChanged: boolean
+}
+
+export interface UnusedSigningKeys {
+  total: number
+  operators: { id: number; name: string; unusedSigningKeys: number }[]
+}
+
+export interface WithdrawalCredentialsChange extends WithdrawalCredentialsComparison {
+  unusedSigningKeys: UnusedSigningKeys
+}
+
+export interface WithdrawalCredentialsVoteResult extends VoteResult {
+  unusedSigningKeys: UnusedSigningKeys
+}
+
+// DepositSecurityModule
+
+export interface AttestData {
+  attestMessagePrefix: string
+  depositRoot: string
+  keysOpIndex: number
+  blockNumber: number
+  blockHash: string
+}
+
+export interface GuardianSignature {
+  r: string
+  vs: string
+}
+
+// EVM scripts
+
+export interface ScriptCall {
+  to: string
+  calldata: string
+}
+
+export interface AddressBookEntry {
+  name: string
+  abiName: string | null
+}
+
+export interface AddressBook {
+  [lowercaseAddress: string]: AddressBookEntry
+}
+
+export interface DecodedArg {
+  name: string
+  type: string
+  value: any
+  calls?: DecodedCall[]
+}
+
+export interface DecodedCalldata {
+  method: string
+  signature: string
+  abiName: string
+  guessed: boolean
+  args: DecodedArg[]
+}
+
+export interface DecodedCall extends ScriptCall {
+  toName: string | null
+  method: string | null
+  signature: string | null
+  abiName: string | null
+  guessed: boolean
+  args: DecodedArg[]
+}
+
+export interface DecodedVote {
+  voteId: number
+  open: boolean
+  executed: boolean
+  script: string
+  calls: DecodedCall[]
+}
+
+// Safe Transaction Builder batches
+
+export interface BatchCallInput {
+  to: string
+  data?: string
+  calldata?: string
+  value?: NumberLike
+  description?: string
+}
+
+export interface BatchCall {
+  to: string
+  value: string
+  data: string
+  description: string | null
+}
+
+export interface SafeContractMethod {
+  inputs: { internalType: string; name: string; type: string; components?: any[] }[]
+  name: string
+  payable: boolean
+}
+
+export interface SafeTransaction {
+  to: string
+  value: string
+  data: string | null
+  contractMethod: SafeContractMethod | null
+  contractInputsValues: { [inputName: string]: string } | null
+}
+
+export interface SafeBatch {
+  version: string
+  chainId: string
+  createdAt: number
+  meta: {
+    name: string
+    description: string
+    txBuilderVersion: string
+    createdFromSafeAddress: string
+    createdFromOwnerAddress: string
+    checksum?: string
+  }
+  transactions: SafeTransaction[]
+}
+
+export interface SafeBatchOptions {
+  chainId: NumberLike
+  safeAddress?: string
+  ownerAddress?: string
+  name?: string
+  description?: string | null
+  addressBook?: AddressBook
+  createdAt?: number
+}
+
+export interface DecodedBatchCall extends DecodedCall {
+  value: string
+}
+
+// ACL
+
+export interface RoleBook {
+  [roleHash: string]: { id: string; name: string | null }
+}
+
+export interface PermissionEvent {
+  event: string
+  blockNumber: number
+  logIndex: number
+  args: any
+}
+
+export interface PermissionState {
+  app: string
+  role: string
+  manager: string | null
+  grantees: Array<{ address: string; paramsHash: string | null }>
+}
+
+export interface PermissionParam {
+  id: number
+  op: string
+  value: string
+}
+
+export interface Permission {
+  app: string
+  appName: string | null
+  role: string
+  roleId: string | null
+  roleName: string | null
+  manager: string | null
+  managerName: string | null
+  grantees: Array<{ address: string; name: string | null; params: PermissionParam[] }>
+}
+
+export interface PermissionEventsOptions {
+  chunkSize?: number
+  log?: Logger
+}
+
+export interface InspectPermissionsOptions extends PermissionEventsOptions {
+  fromBlock?: number
+  toBlock?: number | 'latest'
+  addressBook?: AddressBook
+  roleBook?: RoleBook
+}
+
+// Event indexer
+
+export interface EventRow {
+  contract: string
+  address: string
+  event: string
+  blockNumber: number
+  transactionHash: string
+  logIndex: number
+  args: { [name: string]: string | boolean | null }
+  accounts: string[]
+}
+
+export interface EventCache {
+  version: number
+  checkpoints: { [sourceKey: string]: { block: number; events: string[] } }
+  rows: EventRow[]
+}
+
+export interface EventSource {
+  name: string
+  instance: { address: string; contract: any; getPastEvents(event: string, options?: object): Promise<any[]> }
+  events: string[]
+  fromBlock?: number
+}
+
+export interface IndexEventsOptions {
+  cachePath?: string
+  cache?: EventCache
+  toBlock?: number | 'latest'
+  chunkSize?: number
+  saveEvery?: number
+  log?: Logger
+}
+
+export interface EventQuery {
+  contract?: string
+  address?: string
+  event?: string | string[]
+  account?: string
+  fromBlock?: number
+  toBlock?: number
+}
+
+// APR history
+
+export interface OracleReport {
+  epochId: number
+  blockNumber: number
+  transactionHash: string
+  preTotalPooledEther: string
+  postTotalPooledEther: string
+  timeElapsed: number
+  totalShares: string
+}
+
+export interface AprHistoryItem extends OracleReport {
+  timestamp: number
+  shareRate: string
+  apr: number | null
+  shareRateApr: number | null
+  movingAverageApr: number | null
+}
+
+export interface OracleReportsOptions {
+  fromBlock?: number
+  toBlock?: number | 'latest'
+  cache?: EventCache
+  cachePath?: string
+  log?: Logger
+}
+
+export interface AprHistoryOptions extends OracleReportsOptions {
+  window?: number
+}
+
+// truffle contract constructors
+export const NodeOperatorsRegistry: NodeOperatorsRegistryContract
+export const Lido: LidoContract
+export const StETH: StETHContract
+export const WstETH: WstETHContract
+export const DepositSecurityModule: DepositSecurityModuleContract
+export const SelfOwnedStETHBurner: SelfOwnedStETHBurnerContract
+export const CompositePostRebaseBeaconReceiver: CompositePostRebaseBeaconReceiverContract
+export const Voting: VotingContract
+export const TokenManager: TokenManagerContract
+
+// helpers for obtaining Truffle instances
+export function getNodeOperatorsRegistry(web3: Web3Like, address: string): Promise<NodeOperatorsRegistryInstance>
+export function getLido(web3: Web3Like, address: string): Promise<LidoInstance>
+export function getStETH(web3: Web3Like, address: string): Promise<StETHInstance>
+export function getWstETH(web3: Web3Like, address: string): Promise<WstETHInstance>
+export function getDepositSecurityModule(web3: Web3Like, address: string): Promise<DepositSecurityModuleInstance>
+export function getSelfOwnedStETHBurner(web3: Web3Like, address: string): Promise<SelfOwnedStETHBurnerInstance>
+export function getCompositeReceiver(web3: Web3Like, address: string): Promise<CompositePostRebaseBeaconReceiverInstance>
+export function getVoting(web3: Web3Like, address: string): Promise<VotingInstance>
+export function getTokenManager(web3: Web3Like, address: string): Promise<TokenManagerInstance>
+
+// tx helpers
+export function submitEther(
+  lido: LidoInstance,
+  amount: NumberLike,
+  txOpts?: TxOptions,
+  referral?: string | null,
+  doDeposit?: false
+): Promise<TxResult>
+export function submitEther(
+  lido: LidoInstance,
+  amount: NumberLike,
+  txOpts: TxOptions,
+  referral: string | null,
+  doDeposit: true
+): Promise<{ submitResult: TxResult; depositResult: TxResult }>
+
+export function checkWithdrawalCredentialsChange(lido: LidoInstance, credentials: string): Promise<WithdrawalCredentialsChange>
+
+export function setWithdrawalCredentials(
+  lido: LidoInstance,
+  voting: VotingInstance,
+  tokenManager: TokenManagerInstance,
+  credentials: string,
+  txOpts?: TxOptions & { log?: Logger }
+): Promise<WithdrawalCredentialsVoteResult>
+
+export function setFeeDistribution(
+  lido: LidoInstance,
+  voting: VotingInstance,
+  tokenManager: TokenManagerInstance,
+  treasuryFeeBasisPoints: number,
+  insuranceFeeBasisPoints: number,
+  operatorsFeeBasisPoints: number,
+  txOpts?: TxOptions
+): Promise<VoteResult>
+
+export function setWithdrawalCredentialsAction(lido: LidoInstance, credentials: string): VoteAction
+export function setFeeDistributionAction(
+  lido: LidoInstance,
+  treasuryFeeBasisPoints: number,
+  insuranceFeeBasisPoints: number,
+  operatorsFeeBasisPoints: number
+): VoteAction
+
+export const nodeOperators: {
+  list(registry: NodeOperatorsRegistryInstance): Promise<NodeOperator[]>
+  addSigningKeys(
+    registry: NodeOperatorsRegistryInstance,
+    pubkeys: string[],
+    signatures: string[],
+    opts?: SigningKeysOptions
+  ): Promise<TxResult | VoteResult>
+  removeSigningKeys(
+    registry: NodeOperatorsRegistryInstance,
+    startKeyIndex: number,
+    endKeyIndex: number,
+    opts?: RemoveSigningKeysOptions
+  ): Promise<TxResult[] | VoteResult>
+  setStakingLimit(
+    registry: NodeOperatorsRegistryInstance,
+    voting: VotingInstance,
+    tokenManager: TokenManagerInstance,
+    operatorId: number,
+    newLimit: number,
+    txOpts?: TxOptions
+  ): Promise<VoteResult>
+  setStakingLimitAction(registry: NodeOperatorsRegistryInstance, operatorId: number, newLimit: number): Promise<VoteAction>
+  listSigningKeys(
+    registry: NodeOperatorsRegistryInstance | SigningKeysReader,
+    operatorId: number,
+    opts?: ListSigningKeysOptions
+  ): Promise<SigningKeysPage>
+  getAllSigningKeys(
+    registry: NodeOperatorsRegistryInstance | SigningKeysReader,
+    operatorId: number,
+    opts?: ListSigningKeysOptions
+  ): Promise<SigningKey[]>
+  exportDepositData(
+    registry: NodeOperatorsRegistryInstance | SigningKeysReader,
+    operatorId: number,
+    params: DepositVerificationParams,
+    opts?: ListSigningKeysOptions
+  ): Promise<DepositDataJsonEntry[]>
+}
+
+export const oracle: {
+  LidoOracle: LidoOracleContract
+  getOracle(web3: Web3Like, address: string): Promise<LidoOracleInstance>
+  getBeaconSpec(oracle: LidoOracleInstance): Promise<BeaconSpec>
+  proposeBeaconSpecChange(
+    oracle: LidoOracleInstance,
+    voting: VotingInstance,
+    tokenManager: TokenManagerInstance,
+    newSpec: Partial<BeaconSpec>,
+    txOpts?: TxOptions
+  ): Promise<VoteResult>
+  beaconSpecChangeAction(oracle: LidoOracleInstance, newSpec: Partial<BeaconSpec>): Promise<VoteAction>
+  getReportingState(oracle: LidoOracleInstance, memberAddr: string): Promise<ReportingState>
+  getLastCompletedReportDelta(oracle: LidoOracleInstance): Promise<CompletedReportDelta>
+  checkReportSanity(params: ReportSanityParams): ReportFailure | null
+  validateReport(oracle: LidoOracleInstance, memberAddr: string, report: Required<BeaconReport>): Promise<ReportValidation>
+  reportBeacon(oracle: LidoOracleInstance, report: BeaconReport, txOpts?: TxOptions): Promise<ReportBeaconResult>
+  getReportVariants(oracle: LidoOracleInstance): Promise<ReportVariant[]>
+  reportUtils: {
+    encode(beaconBalance: NumberLike, beaconValidators: NumberLike, count?: NumberLike): BN
+    decode(value: NumberLike): DecodedReport
+    decodeWithCount(value: NumberLike): DecodedReportWithCount
+    isDifferent(value: NumberLike, that: NumberLike): boolean
+    getCount(value: NumberLike): number
+    normalizeReportVariant(
+      variant: NumberLike | { beaconBalance: NumberLike; beaconValidators: NumberLike; count: NumberLike },
+      quorum: NumberLike
+    ): ReportVariant
+  }
+}
+
+export const burner: {
+  requestBurnMyStETH(burner: SelfOwnedStETHBurnerInstance, stETHAmount: NumberLike, opts?: BurnRequestOptions): Promise<BurnRequestResult>
+  requestBurnMyStETHForCover(
+    burner: SelfOwnedStETHBurnerInstance,
+    stETHAmount: NumberLike,
+    txOpts?: Omit<BurnRequestOptions, 'isCover'>
+  ): Promise<BurnRequestResult>
+  requestBurnActions(burner: SelfOwnedStETHBurnerInstance, stETHAmount: NumberLike, opts?: { isCover?: boolean }): Promise<VoteAction[]>
+  getPendingBurnRequests(burner: SelfOwnedStETHBurnerInstance, opts?: EventsRangeOptions): Promise<PendingBurnRequests>
+  getBurnerState(burner: SelfOwnedStETHBurnerInstance, opts?: EventsRangeOptions): Promise<BurnerState>
+  planBurns(
+    pending: { coverShares: NumberLike; nonCoverShares: NumberLike },
+    snapshot: { totalPooledEther: NumberLike; totalShares: NumberLike },
+    burnAmountPerRunQuota: NumberLike
+  ): BurnPlan
+  getBurnPlan(burner: SelfOwnedStETHBurnerInstance, opts?: EventsRangeOptions): Promise<BurnPlan>
+}
+
+export const compositeReceiver: {
+  ERC165_INTERFACE_ID: string
+  supportsInterface(web3: Web3Like, address: string, interfaceId: string): Promise<boolean>
+  listCallbacks(receiver: CompositePostRebaseBeaconReceiverInstance): Promise<ReceiverCallbacks>
+  applyCallbackChange(callbacks: string[], change: CallbackChange, maxCallbacksCount?: number): string[]
+  callbackChangeAction(receiver: CompositePostRebaseBeaconReceiverInstance, change: CallbackChange): VoteAction
+  planCallbackChanges(receiver: CompositePostRebaseBeaconReceiverInstance, changes: CallbackChange[]): Promise<CallbackChangesPlan>
+}
+
+export const wsteth: {
+  wrap(wsteth: WstETHInstance, stETHAmount: NumberLike, opts?: WrapOptions): Promise<WrapResult>
+  unwrap(wsteth: WstETHInstance, wstETHAmount: NumberLike, txOpts?: TxOptions): Promise<TxResult>
+  previewWrap(wsteth: WstETHInstance, stETHAmount: NumberLike): Promise<BN>
+  previewUnwrap(wsteth: WstETHInstance, wstETHAmount: NumberLike): Promise<BN>
+  getPermitTypedData(wsteth: WstETHInstance, params: PermitParams): Promise<PermitTypedData>
+  signPermit(typedData: PermitTypedData, privateKey: string): EcdsaSignature
+  permit(wsteth: WstETHInstance, typedData: PermitTypedData, signature: EcdsaSignature, txOpts?: TxOptions): Promise<TxResult>
+}
+
+export const rewardsDistribution: {
+  TOTAL_BASIS_POINTS: BN
+  getRewardsSnapshot(lido: LidoInstance, registry: NodeOperatorsRegistryInstance): Promise<RewardsSnapshot>
+  createRewardsSnapshot(state: RewardsSnapshotState): RewardsSnapshot
+  getRewardsDistribution(operators: RewardsSnapshotOperator[], totalRewardShares: NumberLike): OperatorReward[]
+  distributeFee(snapshot: RewardsSnapshot, totalRewards: NumberLike): FeeDistribution
+  simulateOracleReport(snapshot: RewardsSnapshot, report: SimulatedOracleReport): FeeDistribution
+}
+
+export const stakeLimit: {
+  MAX_UINT256: BN
+  getStakeLimitState(lido: LidoInstance): Promise<StakeLimitState>
+  createStakeLimitState(info: StakeLimitInfo): StakeLimitState
+  isStakingPaused(state: StakeLimitState): boolean
+  isStakingLimitSet(state: StakeLimitState): boolean
+  getStakeLimitIncreasePerBlock(state: StakeLimitState): BN
+  calculateStakeLimit(state: StakeLimitState, blockNumber: number): BN
+  getCurrentStakeLimit(state: StakeLimitState, blockNumber: number): BN
+  getBlocksUntilStakeLimit(state: StakeLimitState, amount: NumberLike, blockNumber: number): number | null
+  submitToStakeLimit(state: StakeLimitState, amount: NumberLike, blockNumber: number): StakeLimitState
+  planSubmissions(state: StakeLimitState, amounts: NumberLike[], fromBlock: number): PlannedSubmission[]
+}
+
+export const elRewards: {
+  getELRewardsState(lido: LidoInstance): Promise<ELRewardsState>
+  createELRewardsState(info: ELRewardsInfo): ELRewardsState
+  projectELRewardsWithdrawals(state: ELRewardsState, opts?: ELRewardsProjectionOptions): ELRewardsProjection
+  compareELRewardsWithdrawalLimits(
+    state: ELRewardsState,
+    proposedLimitPoints: NumberLike,
+    opts?: Omit<ELRewardsProjectionOptions, 'withdrawalLimitPoints'>
+  ): ELRewardsLimitsComparison
+  getELRewardsProjection(lido: LidoInstance, opts?: ELRewardsProjectionOptions): Promise<ELRewardsProjection>
+}
+
+export const shareMath: {
+  getSharesSnapshot(steth: StETHInstance | LidoInstance): Promise<SharesSnapshot>
+  createSharesSnapshot(totalPooledEther: NumberLike, totalShares: NumberLike): SharesSnapshot
+  getSharesByPooledEth(snapshot: SharesSnapshot, ethAmount: NumberLike): BN
+  getPooledEthByShares(snapshot: SharesSnapshot, sharesAmount: NumberLike): BN
+  balanceOf(snapshot: SharesSnapshot, shares: NumberLike): BN
+  transfer(snapshot: SharesSnapshot, senderShares: NumberLike, recipientShares: NumberLike, amount: NumberLike): EthTransfer
+  transferShares(snapshot: SharesSnapshot, senderShares: NumberLike, recipientShares: NumberLike, sharesAmount: NumberLike): SharesTransfer
+  rebase(snapshot: SharesSnapshot, newState?: RebaseState): SharesSnapshot
+  getPostRebaseBalance(snapshot: SharesSnapshot, shares: NumberLike, newState?: RebaseState): PostRebaseBalance
+}
+
+export const depositSecurityModule: {
+  getAttestData(dsm: DepositSecurityModuleInstance, blockNumber?: number | string): Promise<AttestData>
+  encodeAttestMessage(attestData: AttestData): string
+  encodePauseMessage(pauseMessagePrefix: string, blockNumber: NumberLike): string
+  signAttestMessage(attestData: AttestData, guardianPrivateKey: string): GuardianSignature
+  signPauseMessage(pauseMessagePrefix: string, blockNumber: NumberLike, guardianPrivateKey: string): GuardianSignature
+  assembleGuardianSignatures(
+    dsm: DepositSecurityModuleInstance,
+    attestData: AttestData,
+    signatures: GuardianSignature[]
+  ): Promise<GuardianSignature[]>
+  depositBufferedEther(
+    dsm: DepositSecurityModuleInstance,
+    attestData: AttestData,
+    signatures: GuardianSignature[],
+    txOpts?: TxOptions
+  ): Promise<TxResult>
+  pauseDeposits(
+    dsm: DepositSecurityModuleInstance,
+    blockNumber: number,
+    sig?: GuardianSignature | null,
+    txOpts?: TxOptions
+  ): Promise<TxResult | null>
+}
+
+export const withdrawalCredentials: {
+  BLS_WITHDRAWAL_PREFIX: string
+  ETH1_ADDRESS_WITHDRAWAL_PREFIX: string
+  deriveWithdrawalCredentials(executionAddress: string): string
+  deriveBlsWithdrawalCredentials(withdrawalPubkey: string): string
+  decodeWithdrawalCredentials(credentials: string): DecodedWithdrawalCredentials
+  validateWithdrawalCredentials(credentials: string): string[]
+  compareWithdrawalCredentials(current: string, next: string): WithdrawalCredentialsComparison
+  getUnusedSigningKeys(operators: NodeOperator[]): UnusedSigningKeys
+}
+
+export const depositData: {
+  GENESIS_FORK_VERSIONS: Record<number, string>
+  getGenesisForkVersion(chainId: NumberLike): string
+  getDepositVerificationParams(
+    web3: Web3Like & { eth: { getChainId(): Promise<number> } },
+    lido: LidoInstance,
+    forkVersion?: string | null
+  ): Promise<DepositVerificationParams>
+  computeDepositDomain(forkVersion: string): Buffer
+  computeDepositMessageRoot(pubkey: string | Buffer, withdrawalCredentials: string | Buffer, amount?: NumberLike): Buffer
+  computeSigningRoot(objectRoot: string | Buffer, domain: string | Buffer): Buffer
+  computeDepositSigningRoot(
+    pubkey: string | Buffer,
+    withdrawalCredentials: string | Buffer,
+    forkVersion: string,
+    amount?: NumberLike
+  ): Buffer
+  computeDepositDataRoot(
+    pubkey: string | Buffer,
+    withdrawalCredentials: string | Buffer,
+    signature: string | Buffer,
+    amount?: NumberLike
+  ): string
+  verifyDepositSignature(pubkey: string, signature: string, params: DepositVerificationParams): Promise<boolean>
+  verifyDepositData(keys: DepositKey[], params: DepositVerificationParams): Promise<VerifiedDepositKey[]>
+  getInvalidDepositData(keys: DepositKey[], params: DepositVerificationParams): Promise<VerifiedDepositKey[]>
+  toDepositDataJson(keys: DepositKey[], params: DepositVerificationParams): DepositDataJsonEntry[]
+}
+
+export const dao: {
+  proposeChangingVotingQuorum(
+    voting: VotingInstance,
+    tokenManager: TokenManagerInstance,
+    newQuorumPct: number,
+    txOpts?: TxOptions
+  ): Promise<VoteResult>
+  proposeChangingVotingSupport(
+    voting: VotingInstance,
+    tokenManager: TokenManagerInstance,
+    newSupportPct: number,
+    txOpts?: TxOptions
+  ): Promise<VoteResult>
+  createVote(
+    voting: VotingInstance,
+    tokenManager: TokenManagerInstance,
+    voteDesc: string,
+    evmScript: string,
+    txOpts?: TxOptions
+  ): Promise<VoteResult>
+  createVoteBuilder(voting: VotingInstance, tokenManager: TokenManagerInstance): VoteBuilder
+  callAction(to: string | { address: string; contract: any }, method: string, args?: any[], description?: string | null): VoteAction
+  changeVotingQuorumAction(voting: VotingInstance, newQuorumPct: number): VoteAction
+  changeVotingSupportAction(voting: VotingInstance, newSupportPct: number): VoteAction
+}
+
+export const revertReasons: {
+  REVERT_REASONS: { [reason: string]: { code: string; contracts: string[]; explanation: string } }
+  decodeRevertReason(errorOrData: any): string | null
+  explainRevert(reason: string | null): RevertExplanation
+  dryRunTx(instance: ContractInstance, method: string, args?: any[], txOpts?: TransactionDetails): Promise<DryRunResult>
+  sendTx(instance: ContractInstance, method: string, args?: any[], txOpts?: TxOptions): Promise<TxResult>
+}
+
+export const evmScript: {
+  decodeCallScript(script: string): ScriptCall[]
+  createAddressBook(networkState: object): AddressBook
+  decodeCalldata(calldata: string, abiName?: string | null, addressBook?: AddressBook): DecodedCalldata | null
+  decodeScript(script: string, addressBook?: AddressBook): DecodedCall[]
+  getVoteScript(voting: VotingInstance, voteId: NumberLike): Promise<string>
+  decodeVote(voting: VotingInstance, voteId: NumberLike, addressBook?: AddressBook): Promise<DecodedVote>
+  formatCalls(calls: DecodedCall[], indent?: string): string[]
+}
+
+export const safeBatch: {
+  SAFE_BATCH_VERSION: string
+  toBatchCall(item: BatchCallInput, index?: number): BatchCall
+  createSafeBatch(calls: BatchCallInput[], opts: SafeBatchOptions): SafeBatch
+  encodeSafeTransaction(transaction: SafeTransaction): string
+  getBatchCalls(batch: SafeBatch): { to: string; value: string; data: string }[]
+  decodeSafeBatch(batch: SafeBatch, addressBook?: AddressBook): DecodedBatchCall[]
+  calculateBatchChecksum(batch: SafeBatch): string
+  readSafeBatch(json: string | object): SafeBatch
+  verifySafeBatch(batch: SafeBatch, expectedCalls: BatchCallInput[], opts?: { chainId?: NumberLike | null }): string[]
+}
+
+export const acl: {
+  ACL: ACLContract
+  Kernel: KernelContract
+  ANY_ENTITY: string
+  getACL(web3: Web3Like, address: string): Promise<ACLInstance>
+  getKernel(web3: Web3Like, address: string): Promise<KernelInstance>
+  getKernelACL(kernel: KernelInstance): Promise<ACLInstance>
+  getPermissionEvents(
+    acl: ACLInstance,
+    fromBlock?: number,
+    toBlock?: number | 'latest',
+    opts?: PermissionEventsOptions
+  ): Promise<PermissionEvent[]>
+  createRoleBook(arapps?: Array<{ roles?: Array<{ id: string; name: string }> }>): RoleBook
+  buildPermissionMatrix(events: PermissionEvent[]): PermissionState[]
+  getPermissionParams(acl: ACLInstance, entity: string, app: string, role: string): Promise<PermissionParam[]>
+  inspectPermissions(acl: ACLInstance, opts?: InspectPermissionsOptions): Promise<Permission[]>
+  getFunctionRoles(source: string): { [method: string]: string[] }
+  findMethodPermissions(permissions: Permission[], app: string, roleIds: string[]): Permission[]
+  formatPermissionParam(param: PermissionParam): string
+  formatPermissionsMarkdown(permissions: Permission[]): string
+}
+
+export const indexer: {
+  DEFAULT_EVENTS: { Lido: string[]; LidoOracle: string[]; NodeOperatorsRegistry: string[] }
+  createCache(): EventCache
+  loadCache(cachePath: string): EventCache
+  saveCache(cachePath: string, cache: EventCache): void
+  getDefaultSources(
+    instances: { lido?: LidoInstance; oracle?: LidoOracleInstance; registry?: NodeOperatorsRegistryInstance },
+    fromBlock?: number
+  ): EventSource[]
+  indexEvents(sources: EventSource[], opts?: IndexEventsOptions): Promise<EventCache>
+  normalizeEvent(contractName: string, evt: any): EventRow
+  queryEvents(cache: EventCache, query?: EventQuery): EventRow[]
+  getCheckpoint(cache: EventCache, source: EventSource): number | null
+}
+
+export const apr: {
+  collectOracleReports(rows: EventRow[]): OracleReport[]
+  getOracleReports(oracle: LidoOracleInstance, opts?: OracleReportsOptions): Promise<OracleReport[]>
+  computeAprHistory(reports: OracleReport[], beaconSpec: BeaconSpec, opts?: { window?: number }): AprHistoryItem[]
+  getAprHistory(oracle: LidoOracleInstance, opts?: AprHistoryOptions): Promise<AprHistoryItem[]>
+  formatAprHistoryCsv(history: AprHistoryItem[]): string
+}
@@ -1,40 +1,254 @@
 const lido = require('./lido')
 const nodeOperators = require('./node-operators-registry')
+const signingKeys = require('./signing-keys')
 const oracle = require('./oracle')
 const dao = require('./dao')
+const revertReasons = require('./revert-reasons')
+const wsteth = require('./wsteth')
+const burner = require('./self-owned-steth-burner')
+const compositeReceiver = require('./composite-receiver')
+const shareMath = require('./share-math')
+const rewardsDistribution = require('./rewards-distribution')
+const stakeLimit = require('./stake-limit')
+const elRewards = require('./el-rewards')
+const depositSecurityModule = require('./deposit-security-module')
+const depositData = require('./deposit-data')
+const withdrawalCredentials = require('./withdrawal-credentials')
+const reportUtils = require('./report-utils')
+const evmScript = require('./evm-script')
+const safeBatch = require('./safe-batch')
+const acl = require('./acl')
+const indexer = require('./indexer')
+const apr = require('./apr')
 
 module.exports = {
   // truffle contract constructors
   NodeOperatorsRegistry: nodeOperators.NodeOperatorsRegistry,
   Lido: lido.Lido,
   StETH: lido.StETH,
+  WstETH: wsteth.WstETH,
+  DepositSecurityModule: depositSecurityModule.DepositSecurityModule,
+  SelfOwnedStETHBurner: burner.SelfOwnedStETHBurner,
+  CompositePostRebaseBeaconReceiver: compositeReceiver.CompositePostRebaseBeaconReceiver,
   Voting: dao.Voting,
   TokenManager: dao.TokenManager,
   // helpers for obtaining Truffle instances
   getNodeOperatorsRegistry: nodeOperators.getRegistry,
   getLido: lido.getLido,
   getStETH: lido.getStETH,
+  getWstETH: wsteth.getWstETH,
+  getDepositSecurityModule: depositSecurityModule.getDepositSecurityModule,
+  getSelfOwnedStETHBurner: burner.getSelfOwnedStETHBurner,
+  getCompositeReceiver: compositeReceiver.getCompositeReceiver,
   getVoting: dao.getVoting,
   getTokenManager: dao.getTokenManager,
   // tx helpers
   submitEther: lido.submitEther,
+  checkWithdrawalCredentialsChange: lido.checkWithdrawalCredentialsChange,
   setWithdrawalCredentials: lido.setWithdrawalCredentials,
   setFeeDistribution: lido.setFeeDistribution,
+  // vote actions for dao.createVoteBuilder
+  setWithdrawalCredentialsAction: lido.setWithdrawalCredentialsAction,
+  setFeeDistributionAction: lido.setFeeDistributionAction,
   nodeOperators: {
     list: nodeOperators.listOperators,
     addSigningKeys: nodeOperators.addSigningKeys,
     removeSigningKeys: nodeOperators.removeSigningKeys,
-    setStakingLimit: nodeOperators.setStakingLimit
+    setStakingLimit: nodeOperators.setStakingLimit,
+    setStakingLimitAction: nodeOperators.setStakingLimitAction,
+    listSigningKeys: signingKeys.listSigningKeys,
+    getAllSigningKeys: signingKeys.getAllSigningKeys,
+    exportDepositData: signingKeys.exportDepositData
   },
   oracle: {
     LidoOracle: oracle.LidoOracle,
     getOracle: oracle.getOracle,
     getBeaconSpec: oracle.getBeaconSpec,
-    proposeBeaconSpecChange: oracle.proposeBeaconSpecChange
+    proposeBeaconSpecChange: oracle.proposeBeaconSpecChange,
+    beaconSpecChangeAction: oracle.beaconSpecChangeAction,
+    getReportingState: oracle.getReportingState,
+    getLastCompletedReportDelta: oracle.getLastCompletedReportDelta,
+    checkReportSanity: oracle.checkReportSanity,
+    validateReport: oracle.validateReport,
+    reportBeacon: oracle.reportBeacon,
+    getReportVariants: oracle.getReportVariants,
+    reportUtils: {
+      encode: reportUtils.encode,
+      decode: reportUtils.decode,
+      decodeWithCount: reportUtils.decodeWithCount,
+      isDifferent: reportUtils.isDifferent,
+      getCount: reportUtils.getCount,
+      normalizeReportVariant: reportUtils.normalizeReportVariant
+    }
+  },
+  wsteth: {
+    wrap: wsteth.wrap,
+    unwrap: wsteth.unwrap,
+    previewWrap: wsteth.previewWrap,
+    previewUnwrap: wsteth.previewUnwrap,
+    getPermitTypedData: wsteth.getPermitTypedData,
+    signPermit: wsteth.signPermit,
+    permit: wsteth.permit
+  },
+  burner: {
+    requestBurnMyStETH: burner.requestBurnMyStETH,
+    requestBurnMyStETHForCover: burner.requestBurnMyStETHForCover,
+    requestBurnActions: burner.requestBurnActions,
+    getPendingBurnRequests: burner.getPendingBurnRequests,
+    getBurnerState: burner.getBurnerState,
+    planBurns: burner.planBurns,
+    getBurnPlan: burner.getBurnPlan
+  },
+  compositeReceiver: {
+    ERC165_INTERFACE_ID: compositeReceiver.ERC165_INTERFACE_ID,
+    supportsInterface: compositeReceiver.supportsInterface,
+    listCallbacks: compositeReceiver.listCallbacks,
+    applyCallbackChange: compositeReceiver.applyCallbackChange,
+    callbackChangeAction: compositeReceiver.callbackChangeAction,
+    planCallbackChanges: compositeReceiver.planCallbackChanges
+  },
+  shareMath: {
+    getSharesSnapshot: shareMath.getSharesSnapshot,
+    createSharesSnapshot: shareMath.createSharesSnapshot,
+    getSharesByPooledEth: shareMath.getSharesByPooledEth,
+    getPooledEthByShares: shareMath.getPooledEthByShares,
+    balanceOf: shareMath.balanceOf,
+    transfer: shareMath.transfer,
+    transferShares: shareMath.transferShares,
+    rebase: shareMath.rebase,
+    getPostRebaseBalance: shareMath.getPostRebaseBalance
+  },
+  rewardsDistribution: {
+    TOTAL_BASIS_POINTS: rewardsDistribution.TOTAL_BASIS_POINTS,
+    getRewardsSnapshot: rewardsDistribution.getRewardsSnapshot,
+    createRewardsSnapshot: rewardsDistribution.createRewardsSnapshot,
+    getRewardsDistribution: rewardsDistribution.getRewardsDistribution,
+    distributeFee: rewardsDistribution.distributeFee,
+    simulateOracleReport: rewardsDistribution.simulateOracleReport
+  },
+  stakeLimit: {
+    MAX_UINT256: stakeLimit.MAX_UINT256,
+    getStakeLimitState: stakeLimit.getStakeLimitState,
+    createStakeLimitState: stakeLimit.createStakeLimitState,
+    isStakingPaused: stakeLimit.isStakingPaused,
+    isStakingLimitSet: stakeLimit.isStakingLimitSet,
+    getStakeLimitIncreasePerBlock: stakeLimit.getStakeLimitIncreasePerBlock,
+    calculateStakeLimit: stakeLimit.calculateStakeLimit,
+    getCurrentStakeLimit: stakeLimit.getCurrentStakeLimit,
+    getBlocksUntilStakeLimit: stakeLimit.getBlocksUntilStakeLimit,
+    submitToStakeLimit: stakeLimit.submitToStakeLimit,
+    planSubmissions: stakeLimit.planSubmissions
+  },
+  elRewards: {
+    getELRewardsState: elRewards.getELRewardsState,
+    createELRewardsState: elRewards.createELRewardsState,
+    projectELRewardsWithdrawals: elRewards.projectELRewardsWithdrawals,
+    compareELRewardsWithdrawalLimits: elRewards.compareELRewardsWithdrawalLimits,
+    getELRewardsProjection: elRewards.getELRewardsProjection
+  },
+  depositSecurityModule: {
+    getAttestData: depositSecurityModule.getAttestData,
+    encodeAttestMessage: depositSecurityModule.encodeAttestMessage,
+    encodePauseMessage: depositSecurityModule.encodePauseMessage,
+    signAttestMessage: depositSecurityModule.signAttestMessage,
+    signPauseMessage: depositSecurityModule.signPauseMessage,
+    assembleGuardianSignatures: depositSecurityModule.assembleGuardianSignatures,
+    depositBufferedEther: depositSecurityModule.depositBufferedEther,
+    pauseDeposits: depositSecurityModule.pauseDeposits
+  },
+  withdrawalCredentials: {
+    BLS_WITHDRAWAL_PREFIX: withdrawalCredentials.BLS_WITHDRAWAL_PREFIX,
+    ETH1_ADDRESS_WITHDRAWAL_PREFIX: withdrawalCredentials.ETH1_ADDRESS_WITHDRAWAL_PREFIX,
+    deriveWithdrawalCredentials: withdrawalCredentials.deriveWithdrawalCredentials,
+    deriveBlsWithdrawalCredentials: withdrawalCredentials.deriveBlsWithdrawalCredentials,
+    decodeWithdrawalCredentials: withdrawalCredentials.decodeWithdrawalCredentials,
+    validateWithdrawalCredentials: withdrawalCredentials.validateWithdrawalCredentials,
+    compareWithdrawalCredentials: withdrawalCredentials.compareWithdrawalCredentials,
+    getUnusedSigningKeys: withdrawalCredentials.getUnusedSigningKeys
+  },
+  depositData: {
+    GENESIS_FORK_VERSIONS: depositData.GENESIS_FORK_VERSIONS,
+    getGenesisForkVersion: depositData.getGenesisForkVersion,
+    getDepositVerificationParams: depositData.getDepositVerificationParams,
+    computeDepositDomain: depositData.computeDepositDomain,
+    computeDepositMessageRoot: depositData.computeDepositMessageRoot,
+    computeSigningRoot: depositData.computeSigningRoot,
+    computeDepositSigningRoot: depositData.computeDepositSigningRoot,
+    computeDepositDataRoot: depositData.computeDepositDataRoot,
+    verifyDepositSignature: depositData.verifyDepositSignature,
+    verifyDepositData: depositData.verifyDepositData,
+    getInvalidDepositData: depositData.getInvalidDepositData,
+    toDepositDataJson: depositData.toDepositDataJson
   },
   dao: {
     proposeChangingVotingQuorum: dao.proposeChangingVotingQuorum,
     proposeChangingVotingSupport: dao.proposeChangingVotingSupport,
-    createVote: dao.createVote
+    createVote: dao.createVote,
+    createVoteBuilder: dao.createVoteBuilder,
+    callAction: dao.callAction,
+    changeVotingQuorumAction: dao.changeVotingQuorumAction,
+    changeVotingSupportAction: dao.changeVotingSupportAction
+  },
+  revertReasons: {
+    REVERT_REASONS: revertReasons.REVERT_REASONS,
+    decodeRevertReason: revertReasons.decodeRevertReason,
+    explainRevert: revertReasons.explainRevert,
+    dryRunTx: revertReasons.dryRunTx,
+    sendTx: revertReasons.sendTx
+  },
+  evmScript: {
+    decodeCallScript: evmScript.decodeCallScript,
+    createAddressBook: evmScript.createAddressBook,
+    decodeCalldata: evmScript.decodeCalldata,
+    decodeScript: evmScript.decodeScript,
+    getVoteScript: evmScript.getVoteScript,
+    decodeVote: evmScript.decodeVote,
+    formatCalls: evmScript.formatCalls
+  },
+  safeBatch: {
+    SAFE_BATCH_VERSION: safeBatch.SAFE_BATCH_VERSION,
+    toBatchCall: safeBatch.toBatchCall,
+    createSafeBatch: safeBatch.createSafeBatch,
+    encodeSafeTransaction: safeBatch.encodeSafeTransaction,
+    getBatchCalls: safeBatch.getBatchCalls,
+    decodeSafeBatch: safeBatch.decodeSafeBatch,
+    calculateBatchChecksum: safeBatch.calculateBatchChecksum,
+    readSafeBatch: safeBatch.readSafeBatch,
+    verifySafeBatch: safeBatch.verifySafeBatch
+  },
+  acl: {
+    ACL: acl.ACL,
+    Kernel: acl.Kernel,
+    ANY_ENTITY: acl.ANY_ENTITY,
+    getACL: acl.getACL,
+    getKernel: acl.getKernel,
+    getKernelACL: acl.getKernelACL,
+    getPermissionEvents: acl.getPermissionEvents,
+    createRoleBook: acl.createRoleBook,
+    buildPermissionMatrix: acl.buildPermissionMatrix,
+    getPermissionParams: acl.getPermissionParams,
+    inspectPermissions: acl.inspectPermissions,
+    getFunctionRoles: acl.getFunctionRoles,
+    findMethodPermissions: acl.findMethodPermissions,
+    formatPermissionParam: acl.formatPermissionParam,
+    formatPermissionsMarkdown: acl.formatPermissionsMarkdown
+  },
+  indexer: {
+    DEFAULT_EVENTS: indexer.DEFAULT_EVENTS,
+    createCache: indexer.createCache,
+    loadCache: indexer.loadCache,
+    saveCache: indexer.saveCache,
+    getDefaultSources: indexer.getDefaultSources,
+    indexEvents: indexer.indexEvents,
+    normalizeEvent: indexer.normalizeEvent,
+    queryEvents: indexer.queryEvents,
+    getCheckpoint: indexer.getCheckpoint
+  },
+  apr: {
+    collectOracleReports: apr.collectOracleReports,
+    getOracleReports: apr.getOracleReports,
+    computeAprHistory: apr.computeAprHistory,
+    getAprHistory: apr.getAprHistory,
+    formatAprHistoryCsv: apr.formatAprHistoryCsv
   }
 }
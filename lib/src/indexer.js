@@ -0,0 +1,185 @@
+const fs = require('fs')
+const path = require('path')
+const Web3 = require('web3')
+
+const { getABI } = require('./abi')
+
+const CACHE_VERSION = 1
+const DEFAULT_CHUNK_SIZE = 10000
+const DEFAULT_SAVE_EVERY = 50
+
+const DEFAULT_EVENTS = {
+  Lido: ['Submitted', 'Transfer', 'TransferShares', 'SharesBurnt', 'Unbuffered', 'ELRewardsReceived'],
+  LidoOracle: ['Completed', 'PostTotalShares'],
+  NodeOperatorsRegistry: [
+    'NodeOperatorAdded',
+    'SigningKeyAdded',
+    'SigningKeyRemoved',
+    'KeysOpIndexSet',
+    'NodeOperatorStakingLimitSet',
+    'NodeOperatorTotalKeysTrimmed'
+  ]
+}
+
+function createCache() {
+  return { version: CACHE_VERSION, checkpoints: {}, rows: [] }
+}
+
+function loadCache(cachePath) {
+  if (!fs.existsSync(cachePath)) {
+    return createCache()
+  }
+  const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'))
+  if (cache.version !== CACHE_VERSION) {
+    throw new Error(`unsupported cache version ${cache.version} in ${cachePath}, expected ${CACHE_VERSION}`)
+  }
+  return cache
+}
+
+function saveCache(cachePath, cache) {
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true })
+  // write to a temp file first so an interrupted run never leaves a truncated cache behind
+  fs.writeFileSync(`${cachePath}.tmp`, JSON.stringify(cache))
+  fs.renameSync(`${cachePath}.tmp`, cachePath)
+}
+
+// Sources for the default set of protocol events, `fromBlock` is usually the block the contract was deployed at
+function getDefaultSources({ lido, oracle, registry }, fromBlock = 0) {
+  return [
+    lido && { name: 'Lido', instance: lido, events: DEFAULT_EVENTS.Lido, fromBlock },
+    oracle && { name: 'LidoOracle', instance: oracle, events: DEFAULT_EVENTS.LidoOracle, fromBlock },
+    registry && { name: 'NodeOperatorsRegistry', instance: registry, events: DEFAULT_EVENTS.NodeOperatorsRegistry, fromBlock }
+  ].filter(Boolean)
+}
+
+// Fetches events of each source in block-range chunks starting right after the source checkpoint.
+// When `cachePath` is given the cache is loaded from it and saved every `saveEvery` chunks and when
+// indexing stops, also on errors, so an interrupted run resumes where it stopped. The checkpoint of
+// a source is moved together with adding the rows of a chunk, so any saved cache is consistent.
+async function indexEvents(
+  sources,
+  { cachePath, cache, toBlock = 'latest', chunkSize = DEFAULT_CHUNK_SIZE, saveEvery = DEFAULT_SAVE_EVERY, log } = {}
+) {
+  if (sources.length === 0) {
+    return cache || createCache()
+  }
+  cache = cache || (cachePath ? loadCache(cachePath) : createCache())
+
+  const web3 = new Web3(sources[0].instance.contract.currentProvider)
+  const lastBlock = toBlock === 'latest' ? await web3.eth.getBlockNumber() : +toBlock
+  let unsavedChunks = 0
+
+  try {
+    for (const source of sources) {
+      const key = getCheckpointKey(source)
+      const events = [...source.events].sort()
+      const checkpoint = cache.checkpoints[key]
+
+      if (checkpoint && checkpoint.events.join() !== events.join()) {
+        log && log(`the list of ${source.name} events changed, reindexing it from block ${source.fromBlock || 0}`)
+        cache.rows = cache.rows.filter((row) => getCheckpointKey(row) !== key)
+        delete cache.checkpoints[key]
+        ++unsavedChunks
+      }
+
+      let fromBlock = cache.checkpoints[key] ? cache.checkpoints[key].block + 1 : +(source.fromBlock || 0)
+      let size = chunkSize
+
+      while (fromBlock <= lastBlock) {
+        const chunkEnd = Math.min(fromBlock + size - 1, lastBlock)
+        let logs
+        try {
+          logs = await source.instance.getPastEvents('allEvents', { fromBlock, toBlock: chunkEnd })
+        } catch (err) {
+          // nodes limit the number of logs returned at once, retry with a smaller range
+          if (size === 1) {
+            throw err
+          }
+          size = Math.ceil(size / 2)
+          log && log(`fetching ${source.name} events failed (${err.message}), retrying with ${size} blocks chunks`)
+          continue
+        }
+
+        const rows = logs.filter((evt) => events.includes(evt.event)).map((evt) => normalizeEvent(source.name, evt))
+        cache.rows.push(...rows)
+        cache.checkpoints[key] = { block: chunkEnd, events }
+        if (cachePath && ++unsavedChunks >= saveEvery) {
+          saveCache(cachePath, cache)
+          unsavedChunks = 0
+        }
+        log && log(`${source.name}: indexed blocks ${fromBlock}..${chunkEnd}, ${rows.length} events`)
+        fromBlock = chunkEnd + 1
+      }
+    }
+  } finally {
+    if (cachePath && unsavedChunks > 0) {
+      saveCache(cachePath, cache)
+    }
+  }
+
+  return cache
+}
+
+// Converts a Truffle/web3 event to a plain JSON row. Numbers are kept as decimal strings and
+// addresses from the event arguments are collected into `accounts` for querying by account.
+function normalizeEvent(contractName, evt) {
+  const abi = getABI(contractName).find((item) => item.type === 'event' && item.name === evt.event)
+  const values = evt.args || evt.returnValues
+  const args = {}
+  const accounts = []
+  for (const input of abi ? abi.inputs : []) {
+    const value = values[input.name]
+    args[input.name] = value == null || typeof value === 'boolean' ? value : String(value)
+    if (input.type === 'address' && value) {
+      accounts.push(String(value).toLowerCase())
+    }
+  }
+  return {
+    contract: contractName,
+    address: evt.address,
+    event: evt.event,
+    blockNumber: evt.blockNumber,
+    transactionHash: evt.transactionHash,
+    logIndex: evt.logIndex,
+    args,
+    accounts
+  }
+}
+
+function queryEvents(cache, { contract, address, event, account, fromBlock = 0, toBlock = Infinity } = {}) {
+  const events = event ? [].concat(event) : null
+  const contractAddr = address && address.toLowerCase()
+  const accountAddr = account && account.toLowerCase()
+  return cache.rows
+    .filter(
+      (row) =>
+        (!contract || row.contract === contract) &&
+        (!contractAddr || row.address.toLowerCase() === contractAddr) &&
+        (!events || events.includes(row.event)) &&
+        (!accountAddr || row.accounts.includes(accountAddr)) &&
+        row.blockNumber >= fromBlock &&
+        row.blockNumber <= toBlock
+    )
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+}
+
+function getCheckpoint(cache, source) {
+  const checkpoint = cache.checkpoints[getCheckpointKey(source)]
+  return checkpoint ? checkpoint.block : null
+}
+
+function getCheckpointKey({ name, contract, instance, address }) {
+  return `${name || contract}:${(instance ? instance.address : address).toLowerCase()}`
+}
+
+module.exports = {
+  DEFAULT_EVENTS,
+  createCache,
+  loadCache,
+  saveCache,
+  getDefaultSources,
+  indexEvents,
+  normalizeEvent,
+  queryEvents,
+  getCheckpoint
+}
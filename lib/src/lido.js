@@ -1,8 +1,9 @@
-const { encodeCallScript } = require('@aragon/contract-helpers-test/src/aragon-os')
-
 const { getContract } = require('./abi')
 const { ZERO_ADDR } = require('./utils')
-const { createVote } = require('./dao')
+const { sendTx } = require('./revert-reasons')
+const { callAction, createSingleActionVote } = require('./dao')
+const { NodeOperatorsRegistry, listOperators } = require('./node-operators-registry')
+const { validateWithdrawalCredentials, compareWithdrawalCredentials, getUnusedSigningKeys } = require('./withdrawal-credentials')
 
 const Lido = getContract('Lido')
 const StETH = getContract('StETH')
@@ -19,26 +20,42 @@ async function getStETH(web3, address) {
 
 async function submitEther(lido, amount, txOpts = {}, referral = null, doDeposit = false) {
   const submitTxOpts = { ...txOpts, value: amount }
-  const submitResult = await lido.submit(referral || ZERO_ADDR, submitTxOpts)
+  const submitResult = await sendTx(lido, 'submit', [referral || ZERO_ADDR], submitTxOpts)
   if (!doDeposit) {
     return submitResult
   }
-  const depositResult = await lido.depositBufferedEther({
+  // a dry run simulates the deposit against the current buffer, without the submitted ether
+  const depositResult = await sendTx(lido, 'depositBufferedEther()', [], {
     gasPrice: txOpts.gasPrice,
-    from: txOpts.from
+    from: txOpts.from,
+    dryRun: txOpts.dryRun
   })
   return { submitResult, depositResult }
 }
 
-async function setWithdrawalCredentials(lido, voting, tokenManager, credentials, txOpts = {}) {
-  const evmScript = encodeCallScript([
-    {
-      to: lido.address,
-      calldata: await lido.contract.methods.setWithdrawalCredentials(credentials).encodeABI()
-    }
-  ])
-  const voteDesc = `Set withdrawal credentials to ${credentials}`
-  return await createVote(voting, tokenManager, voteDesc, evmScript, txOpts)
+// Compares the credentials to the current ones and counts the signing keys the change would trim
+async function checkWithdrawalCredentialsChange(lido, credentials) {
+  const errors = validateWithdrawalCredentials(credentials)
+  if (errors.length > 0) {
+    throw new Error(`invalid withdrawal credentials ${credentials}: ${errors.join(', ')}`)
+  }
+  NodeOperatorsRegistry.setProvider(lido.contract.currentProvider)
+  const [current, registryAddr] = await Promise.all([lido.getWithdrawalCredentials(), lido.getOperators()])
+  const operators = await listOperators(await NodeOperatorsRegistry.at(registryAddr))
+  return { ...compareWithdrawalCredentials(current, credentials), unusedSigningKeys: getUnusedSigningKeys(operators) }
+}
+
+async function setWithdrawalCredentials(lido, voting, tokenManager, credentials, { log, ...txOpts } = {}) {
+  const change = await checkWithdrawalCredentialsChange(lido, credentials)
+  if (!change.changed) {
+    throw new Error(`withdrawal credentials are already set to ${change.to.credentials}`)
+  }
+  const { total, operators } = change.unusedSigningKeys
+  if (total > 0) {
+    log && log(`the change will remove ${total} unused signing keys of ${operators.length} node operators`)
+  }
+  const vote = await createSingleActionVote(voting, tokenManager, setWithdrawalCredentialsAction(lido, credentials), txOpts)
+  return { ...vote, unusedSigningKeys: change.unusedSigningKeys }
 }
 
 async function setFeeDistribution(
@@ -50,21 +67,22 @@ async function setFeeDistribution(
   operatorsFeeBasisPoints,
   txOpts = {}
 ) {
+  const action = setFeeDistributionAction(lido, treasuryFeeBasisPoints, insuranceFeeBasisPoints, operatorsFeeBasisPoints)
+  return await createSingleActionVote(voting, tokenManager, action, txOpts)
+}
+
+function setWithdrawalCredentialsAction(lido, credentials) {
+  return callAction(lido, 'setWithdrawalCredentials', [credentials], `Set withdrawal credentials to ${credentials}`)
+}
+
+function setFeeDistributionAction(lido, treasuryFeeBasisPoints, insuranceFeeBasisPoints, operatorsFeeBasisPoints) {
   if (treasuryFeeBasisPoints + insuranceFeeBasisPoints + operatorsFeeBasisPoints !== 10000) {
     throw new Error(`the sum of all fees must equal 10000`)
   }
-  const evmScript = encodeCallScript([
-    {
-      to: lido.address,
-      calldata: await lido.contract.methods
-        .setFeeDistribution(treasuryFeeBasisPoints, insuranceFeeBasisPoints, operatorsFeeBasisPoints)
-        .encodeABI()
-    }
-  ])
   const voteDesc =
     `Set fee distribution to: (treasury ${treasuryFeeBasisPoints}, ` +
     `insurance ${insuranceFeeBasisPoints}, operators ${operatorsFeeBasisPoints})`
-  return await createVote(voting, tokenManager, voteDesc, evmScript, txOpts)
+  return callAction(lido, 'setFeeDistribution', [treasuryFeeBasisPoints, insuranceFeeBasisPoints, operatorsFeeBasisPoints], voteDesc)
 }
 
 module.exports = {
@@ -73,6 +91,9 @@ module.exports = {
   getLido,
   getStETH,
   submitEther,
+  checkWithdrawalCredentialsChange,
   setWithdrawalCredentials,
-  setFeeDistribution
+  setFeeDistribution,
+  setWithdrawalCredentialsAction,
+  setFeeDistributionAction
 }
@@ -1,8 +1,7 @@
-const { encodeCallScript } = require('@aragon/contract-helpers-test/src/aragon-os')
-
 const { getContract } = require('./abi')
 const { getSenderAddr, addressEqual, trim0x } = require('./utils')
-const { createVote } = require('./dao')
+const { callAction, createSingleActionVote } = require('./dao')
+const { sendTx, dryRunTx } = require('./revert-reasons')
 
 const NodeOperatorsRegistry = getContract('NodeOperatorsRegistry')
 
@@ -18,7 +17,7 @@ async function listOperators(registry) {
   return ops.map(normalizeNodeOperator)
 }
 
-async function addSigningKeys(registry, pubkeys, signatures, opts) {
+async function addSigningKeys(registry, pubkeys, signatures, { operatorId, voting, tokenManager, ...opts } = {}) {
   const totalKeys = pubkeys.length
   if (totalKeys === 0) {
     throw new Error(`you should provide at least one public key`)
@@ -39,52 +38,121 @@ async function addSigningKeys(registry, pubkeys, signatures, opts) {
     throw new Error(`each signature must be 96 bytes long`)
   }
 
-  const fromAddr = await getSenderAddr(registry, opts)
-  const ops = await listOperators(registry)
+  const pubkeysHex = '0x' + pubkeysData
+  const signaturesHex = '0x' + signaturesData
+  const { opIndex, op, isOperator } = await resolveOperator(registry, operatorId, await getSenderAddr(registry, opts))
 
-  const opIndex = ops.findIndex((op) => addressEqual(fromAddr, op.rewardAddress))
-  if (opIndex === -1) {
-    // TODO: support DAO voting
-    throw new Error(`only node operators are allowed to add signing keys`)
+  if (isOperator) {
+    return await sendTx(registry, 'addSigningKeysOperatorBH', [opIndex, totalKeys, pubkeysHex, signaturesHex], opts)
   }
 
-  return await registry.addSigningKeysOperatorBH(opIndex, totalKeys, '0x' + pubkeysData, '0x' + signaturesData, opts)
+  assertCanVote(voting, tokenManager, `add signing keys`)
+  const voteDesc = `Add ${totalKeys} signing keys to operator '${op.name}' (id ${opIndex}, reward address ${op.rewardAddress})`
+  const action = callAction(registry, 'addSigningKeys', [opIndex, totalKeys, pubkeysHex, signaturesHex], voteDesc)
+  return await createSingleActionVote(voting, tokenManager, action, opts)
 }
 
-async function removeSigningKeys(registry, startKeyIndex, endKeyIndex, { log, ...opts } = {}) {
-  const fromAddr = await getSenderAddr(registry, opts)
-  const ops = await listOperators(registry)
+const DEFAULT_MAX_BATCH_GAS = 5000000
 
-  const opIndex = ops.findIndex((op) => addressEqual(fromAddr, op.rewardAddress))
-  if (opIndex === -1) {
-    // TODO: support DAO voting
-    throw new Error(`only node operators are allowed to add signing keys`)
+async function removeSigningKeys(
+  registry,
+  startKeyIndex,
+  endKeyIndex,
+  { log, operatorId, voting, tokenManager, maxBatchGas = DEFAULT_MAX_BATCH_GAS, dryRun = false, ...opts } = {}
+) {
+  if (endKeyIndex < startKeyIndex) {
+    throw new Error(`the end key index must not be less than the start key index`)
   }
 
+  const { opIndex, op, isOperator } = await resolveOperator(registry, operatorId, await getSenderAddr(registry, opts))
+  assertKeysRemovable(opIndex, op, startKeyIndex, endKeyIndex)
+
+  if (!isOperator) {
+    assertCanVote(voting, tokenManager, `remove signing keys`)
+    const amount = endKeyIndex - startKeyIndex + 1
+    const voteDesc =
+      `Remove ${amount} signing keys #${startKeyIndex}..#${endKeyIndex} of operator '${op.name}' ` +
+      `(id ${opIndex}, reward address ${op.rewardAddress})`
+    const action = callAction(registry, 'removeSigningKeys', [opIndex, startKeyIndex, amount], voteDesc)
+    return await createSingleActionVote(voting, tokenManager, action, { ...opts, dryRun })
+  }
+
+  // a dry run checks the whole range in a single call instead of splitting it into batches
+  if (dryRun) {
+    return [await dryRunTx(registry, 'removeSigningKeysOperatorBH', [opIndex, startKeyIndex, endKeyIndex - startKeyIndex + 1], opts)]
+  }
+
+  // Keys are removed from the highest index down, the same order the contract uses within a
+  // single call, so splitting the range into batches doesn't change the resulting key order.
   const results = []
+  let batchSize = endKeyIndex - startKeyIndex + 1
+  let keysLeft = batchSize
+
+  while (keysLeft > 0) {
+    let amount = Math.min(batchSize, keysLeft)
+    let index = startKeyIndex + keysLeft - amount
+    let gas = await registry.removeSigningKeysOperatorBH.estimateGas(opIndex, index, amount, opts)
+
+    while (gas > maxBatchGas && amount > 1) {
+      amount = Math.ceil(amount / 2)
+      index = startKeyIndex + keysLeft - amount
+      gas = await registry.removeSigningKeysOperatorBH.estimateGas(opIndex, index, amount, opts)
+    }
+    batchSize = amount
 
-  for (let keyIndex = endKeyIndex; keyIndex >= startKeyIndex; --keyIndex) {
-    log && log(`removing signing key #${keyIndex} of operator ${opIndex}...`)
-    const result = await registry.removeSigningKeyOperatorBH(opIndex, keyIndex, opts)
-    log && log(`done, tx: ${result.tx}`)
+    log && log(`removing signing keys #${index}..#${index + amount - 1} of operator ${opIndex} (estimated gas ${gas})...`)
+    const result = await registry.removeSigningKeysOperatorBH(opIndex, index, amount, opts)
+    keysLeft -= amount
+    log && log(`done, tx: ${result.tx}, ${keysLeft} keys left`)
     results.push(result)
   }
 
   return results
 }
 
+// Operators manage their own keys directly; anyone else has to go through a DAO vote.
+async function resolveOperator(registry, operatorId, fromAddr) {
+  if (operatorId !== undefined && operatorId !== null) {
+    const op = normalizeNodeOperator(await registry.getNodeOperator(operatorId, true))
+    return { opIndex: +operatorId, op, isOperator: addressEqual(fromAddr, op.rewardAddress) }
+  }
+
+  const ops = await listOperators(registry)
+  const opIndex = ops.findIndex((op) => addressEqual(fromAddr, op.rewardAddress))
+  if (opIndex === -1) {
+    throw new Error(`${fromAddr} is not a node operator reward address, pass operatorId to manage keys via DAO voting`)
+  }
+  return { opIndex, op: ops[opIndex], isOperator: true }
+}
+
+function assertKeysRemovable(opIndex, op, startKeyIndex, endKeyIndex) {
+  if (endKeyIndex >= op.totalSigningKeys) {
+    throw new Error(`operator ${opIndex} has only ${op.totalSigningKeys} signing keys, key #${endKeyIndex} doesn't exist`)
+  }
+  if (startKeyIndex < op.usedSigningKeys) {
+    throw new Error(
+      `keys #${startKeyIndex}..#${Math.min(endKeyIndex, op.usedSigningKeys - 1)} of operator ${opIndex} ` +
+        `were already used and can't be removed`
+    )
+  }
+}
+
+function assertCanVote(voting, tokenManager, action) {
+  if (!voting || !tokenManager) {
+    throw new Error(`only node operators are allowed to ${action} directly, pass voting and tokenManager to create a vote`)
+  }
+}
+
 async function setStakingLimit(registry, voting, tokenManager, operatorId, newLimit, txOpts) {
-  const evmScript = encodeCallScript([
-    {
-      to: registry.address,
-      calldata: await registry.contract.methods.setNodeOperatorStakingLimit(operatorId, newLimit).encodeABI()
-    }
-  ])
+  return await createSingleActionVote(voting, tokenManager, await setStakingLimitAction(registry, operatorId, newLimit), txOpts)
+}
+
+async function setStakingLimitAction(registry, operatorId, newLimit) {
   const op = normalizeNodeOperator(await registry.getNodeOperator(operatorId, true))
   const voteDesc =
     `Change staking limit of operator '${op.name}' (id ${operatorId}, reward ` +
     `address ${op.rewardAddress}) from ${op.stakingLimit} to ${newLimit}`
-  return await createVote(voting, tokenManager, voteDesc, evmScript, txOpts)
+  return callAction(registry, 'setNodeOperatorStakingLimit', [operatorId, newLimit], voteDesc)
 }
 
 function normalizeNodeOperator(op) {
@@ -105,5 +173,11 @@ module.exports = {
   listOperators,
   addSigningKeys,
   removeSigningKeys,
-  setStakingLimit
+  setStakingLimit,
+  setStakingLimitAction,
+  normalizeNodeOperator,
+  // shared with the ethers-based entry point
+  DEFAULT_MAX_BATCH_GAS,
+  assertKeysRemovable,
+  assertCanVote
 }
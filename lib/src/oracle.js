@@ -1,9 +1,19 @@
-const { encodeCallScript } = require('@aragon/contract-helpers-test/src/aragon-os')
+const BN = require('bn.js')
+const Web3 = require('web3')
 
 const { getContract } = require('./abi')
-const { createVote } = require('./dao')
+const { getSenderAddr, addressEqual, ZERO_ADDR } = require('./utils')
+const { callAction, createSingleActionVote } = require('./dao')
+const { normalizeReportVariant } = require('./report-utils')
+const { sendTx } = require('./revert-reasons')
 
 const LidoOracle = getContract('LidoOracle')
+const Lido = getContract('Lido')
+
+const DENOMINATION_OFFSET = new BN(10).pow(new BN(9))
+const DEPOSIT_SIZE = new BN(32).mul(new BN(10).pow(new BN(18)))
+const TOTAL_BASIS_POINTS = 10000
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60
 
 async function getOracle(web3, address) {
   LidoOracle.setProvider(web3.currentProvider)
@@ -11,22 +21,216 @@ async function getOracle(web3, address) {
 }
 
 async function getBeaconSpec(oracle) {
-  const spec = await oracle.beaconSpec()
+  const spec = await oracle.getBeaconSpec()
   return normalizeBeaconSpec(spec)
 }
 
 async function proposeBeaconSpecChange(oracle, voting, tokenManager, newSpec, txOpts = {}) {
+  return await createSingleActionVote(voting, tokenManager, await beaconSpecChangeAction(oracle, newSpec), txOpts)
+}
+
+async function beaconSpecChangeAction(oracle, newSpec) {
   const currentSpec = await getBeaconSpec(oracle)
   const updatedSpec = { ...currentSpec, ...newSpec }
-  const calldata = await oracle.contract.methods
-    .setBeaconSpec(updatedSpec.epochsPerFrame, updatedSpec.slotsPerEpoch, updatedSpec.secondsPerSlot, updatedSpec.genesisTime)
-    .encodeABI()
-  const evmScript = encodeCallScript([{ to: oracle.address, calldata }])
   const updatesDesc = Object.entries(newSpec)
     .map(([key, newValue]) => `${key} from ${currentSpec[key]} to ${newValue}`)
     .join(', ')
-  const voteDesc = `Update Beacon chain spec: change ${updatesDesc}`
-  return await createVote(voting, tokenManager, voteDesc, evmScript, txOpts)
+  return callAction(
+    oracle,
+    'setBeaconSpec',
+    [updatedSpec.epochsPerFrame, updatedSpec.slotsPerEpoch, updatedSpec.secondsPerSlot, updatedSpec.genesisTime],
+    `Update Beacon chain spec: change ${updatesDesc}`
+  )
+}
+
+async function getReportingState(oracle, memberAddr) {
+  const [expectedEpochId, frame, members, reportStatus, quorum] = await Promise.all([
+    oracle.getExpectedEpochId(),
+    oracle.getCurrentFrame(),
+    oracle.getOracleMembers(),
+    oracle.getCurrentOraclesReportStatus(),
+    oracle.getQuorum()
+  ])
+
+  const frameEpochId = +frame.frameEpochId
+  const memberIndex = members.findIndex((member) => addressEqual(member, memberAddr))
+  // a report for a later frame than the expected one clears the bitmask before it's checked
+  const frameAdvanced = frameEpochId > +expectedEpochId
+  const reportedMembers = frameAdvanced ? [] : decodeReportStatus(reportStatus, members)
+
+  return {
+    expectedEpochId: +expectedEpochId,
+    frameEpochId,
+    frameStartTime: +frame.frameStartTime,
+    frameEndTime: +frame.frameEndTime,
+    reportableEpochId: frameEpochId >= +expectedEpochId ? frameEpochId : null,
+    quorum: +quorum,
+    members,
+    memberIndex,
+    isMember: memberIndex !== -1,
+    hasReported: memberIndex !== -1 && reportedMembers.some((member) => addressEqual(member, memberAddr))
+  }
+}
+
+function decodeReportStatus(bitmask, members) {
+  const mask = new BN(String(bitmask))
+  return members.filter((_, index) => mask.testn(index))
+}
+
+// Mirrors LidoOracle._reportSanityChecks, returns null when the report is within the allowed boundaries
+function checkReportSanity({
+  postTotalPooledEther,
+  preTotalPooledEther,
+  timeElapsed,
+  allowedAnnualRelativeIncrease,
+  allowedRelativeDecrease
+}) {
+  const post = new BN(String(postTotalPooledEther))
+  const pre = new BN(String(preTotalPooledEther))
+  if (post.gte(pre)) {
+    const annualIncrease = new BN(TOTAL_BASIS_POINTS * SECONDS_PER_YEAR).mul(post.sub(pre))
+    const allowed = new BN(String(allowedAnnualRelativeIncrease)).mul(pre).mul(new BN(String(timeElapsed)))
+    if (annualIncrease.gt(allowed)) {
+      return {
+        code: 'ALLOWED_BEACON_BALANCE_INCREASE',
+        message: `total pooled ether increase from ${pre} to ${post} in ${timeElapsed}s exceeds ${allowedAnnualRelativeIncrease} bp/year`
+      }
+    }
+  } else {
+    const decrease = new BN(TOTAL_BASIS_POINTS).mul(pre.sub(post))
+    const allowed = new BN(String(allowedRelativeDecrease)).mul(pre)
+    if (decrease.gt(allowed)) {
+      return {
+        code: 'ALLOWED_BEACON_BALANCE_DECREASE',
+        message: `total pooled ether decrease from ${pre} to ${post} exceeds ${allowedRelativeDecrease} bp`
+      }
+    }
+  }
+  return null
+}
+
+// Predicts the total pooled ether change Lido.handleOracleReport would produce for the report
+async function predictReportDelta(oracle, epochId, beaconBalanceGwei, beaconValidators) {
+  Lido.setProvider(oracle.contract.currentProvider)
+  const lido = await Lido.at(await oracle.getLido())
+
+  const [spec, lastCompletedEpochId, stat, bufferedEther, preTotalPooledEther, elRewardsVault, elRewardsLimit] = await Promise.all([
+    getBeaconSpec(oracle),
+    oracle.getLastCompletedEpochId(),
+    lido.getBeaconStat(),
+    lido.getBufferedEther(),
+    lido.getTotalPooledEther(),
+    lido.getELRewardsVault(),
+    lido.getELRewardsWithdrawalLimit()
+  ])
+
+  const depositedValidators = +stat.depositedValidators
+  const transientBalance = DEPOSIT_SIZE.muln(Math.max(depositedValidators - beaconValidators, 0))
+  const beaconBalance = new BN(String(beaconBalanceGwei)).mul(DENOMINATION_OFFSET)
+
+  // the limit is taken from the total pooled ether with the new beacon stat already applied
+  const reportedTotalPooledEther = bufferedEther.add(beaconBalance).add(transientBalance)
+
+  let elRewards = new BN(0)
+  if (!addressEqual(elRewardsVault, ZERO_ADDR)) {
+    const vaultBalance = new BN(await new Web3(oracle.contract.currentProvider).eth.getBalance(elRewardsVault))
+    const limit = reportedTotalPooledEther.mul(elRewardsLimit).divn(TOTAL_BASIS_POINTS)
+    elRewards = BN.min(vaultBalance, limit)
+  }
+
+  return {
+    preTotalPooledEther,
+    postTotalPooledEther: reportedTotalPooledEther.add(elRewards),
+    timeElapsed: (epochId - +lastCompletedEpochId) * spec.slotsPerEpoch * spec.secondsPerSlot,
+    depositedValidators,
+    prevBeaconValidators: +stat.beaconValidators
+  }
+}
+
+// Runs the checks `reportBeacon` would revert on and returns the list of failures. Balance
+// boundaries are only enforced by the contract once the quorum is reached, but a member should
+// never push a report that fails them.
+async function validateReport(oracle, memberAddr, { epochId, beaconBalanceGwei, beaconValidators }) {
+  const state = await getReportingState(oracle, memberAddr)
+  const reasons = []
+
+  if (!state.isMember) {
+    reasons.push({ code: 'MEMBER_NOT_FOUND', message: `${memberAddr} is not an oracle member` })
+  }
+  if (epochId < state.expectedEpochId) {
+    reasons.push({ code: 'EPOCH_IS_TOO_OLD', message: `epoch ${epochId} is before the expected epoch ${state.expectedEpochId}` })
+  } else if (epochId > state.expectedEpochId && epochId !== state.frameEpochId) {
+    reasons.push({
+      code: 'UNEXPECTED_EPOCH',
+      message: `epoch ${epochId} is not the first epoch of the current frame ${state.frameEpochId}`
+    })
+  }
+  if (state.hasReported && epochId === state.expectedEpochId) {
+    reasons.push({ code: 'ALREADY_SUBMITTED', message: `${memberAddr} has already reported epoch ${epochId}` })
+  }
+
+  const delta = await predictReportDelta(oracle, epochId, beaconBalanceGwei, beaconValidators)
+  if (beaconValidators > delta.depositedValidators) {
+    reasons.push({
+      code: 'REPORTED_MORE_DEPOSITED',
+      message: `reported ${beaconValidators} validators, only ${delta.depositedValidators} deposited`
+    })
+  }
+  if (beaconValidators < delta.prevBeaconValidators) {
+    reasons.push({
+      code: 'REPORTED_LESS_VALIDATORS',
+      message: `reported ${beaconValidators} validators, previously reported ${delta.prevBeaconValidators}`
+    })
+  }
+
+  const [allowedAnnualRelativeIncrease, allowedRelativeDecrease] = await Promise.all([
+    oracle.getAllowedBeaconBalanceAnnualRelativeIncrease(),
+    oracle.getAllowedBeaconBalanceRelativeDecrease()
+  ])
+  const sanityFailure = checkReportSanity({ ...delta, allowedAnnualRelativeIncrease, allowedRelativeDecrease })
+  if (sanityFailure) {
+    reasons.push(sanityFailure)
+  }
+
+  return { state, delta, lastCompletedDelta: await getLastCompletedReportDelta(oracle), reasons }
+}
+
+async function reportBeacon(oracle, { epochId, beaconBalanceGwei, beaconValidators }, txOpts = {}) {
+  const memberAddr = await getSenderAddr(oracle, txOpts)
+  if (epochId === undefined) {
+    const state = await getReportingState(oracle, memberAddr)
+    if (state.reportableEpochId === null) {
+      return { reported: false, reasons: [{ code: 'EPOCH_IS_TOO_OLD', message: `the current frame is already completed` }] }
+    }
+    epochId = state.reportableEpochId
+  }
+
+  const { reasons } = await validateReport(oracle, memberAddr, { epochId, beaconBalanceGwei, beaconValidators })
+  if (reasons.length) {
+    return { reported: false, epochId, reasons }
+  }
+
+  const result = await sendTx(oracle, 'reportBeacon', [epochId, beaconBalanceGwei, beaconValidators], { ...txOpts, from: memberAddr })
+  if (result.dryRun) {
+    const reasons = result.revert ? [{ code: result.revert.code, message: result.revert.explanation }] : []
+    return { reported: false, epochId, result, reasons }
+  }
+  return { reported: true, epochId, result }
+}
+
+async function getReportVariants(oracle) {
+  const [size, quorum] = await Promise.all([oracle.getCurrentReportVariantsSize(), oracle.getQuorum()])
+  const variants = await Promise.all(Array.from({ length: +size }, (_, i) => oracle.getCurrentReportVariant(i)))
+  return variants.map((variant) => normalizeReportVariant(variant, quorum))
+}
+
+async function getLastCompletedReportDelta(oracle) {
+  const delta = await oracle.getLastCompletedReportDelta()
+  return {
+    postTotalPooledEther: delta.postTotalPooledEther.toString(),
+    preTotalPooledEther: delta.preTotalPooledEther.toString(),
+    timeElapsed: +delta.timeElapsed
+  }
 }
 
 function normalizeBeaconSpec(spec) {
@@ -42,5 +246,15 @@ module.exports = {
   LidoOracle,
   getOracle,
   getBeaconSpec,
-  proposeBeaconSpecChange
+  proposeBeaconSpecChange,
+  beaconSpecChangeAction,
+  getReportingState,
+  decodeReportStatus,
+  checkReportSanity,
+  predictReportDelta,
+  validateReport,
+  reportBeacon,
+  getReportVariants,
+  getLastCompletedReportDelta,
+  normalizeBeaconSpec
 }
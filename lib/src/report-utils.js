@@ -0,0 +1,75 @@
+const BN = require('bn.js')
+
+// JS counterpart of contracts/0.4.24/oracle/ReportUtils.sol. A report is packed into a single uint256:
+//
+// +00 | uint16 | count            | number of reports received exactly like this
+// +16 | uint32 | beaconValidators | number of Lido's validators in beacon chain
+// +48 | uint64 | beaconBalance    | total amount of their balance, in gwei
+
+const COUNT_OUTMASK = new BN('FFFFFFFFFFFFFFFFFFFFFFFF0000', 16)
+const DENOMINATION_OFFSET = new BN(10).pow(new BN(9))
+
+function encode(beaconBalance, beaconValidators, count = 0) {
+  return toUint(beaconBalance, 64, 'beaconBalance')
+    .shln(48)
+    .or(toUint(beaconValidators, 32, 'beaconValidators').shln(16))
+    .or(toUint(count, 16, 'count'))
+}
+
+function decode(value) {
+  const { beaconBalance, beaconValidators } = decodeWithCount(value)
+  return { beaconBalance, beaconValidators }
+}
+
+function decodeWithCount(value) {
+  const packed = toBN(value)
+  return {
+    beaconBalance: packed.shrn(48).maskn(64).toString(),
+    beaconValidators: packed.shrn(16).maskn(32).toNumber(),
+    count: getCount(packed)
+  }
+}
+
+function isDifferent(value, that) {
+  return !toBN(value).and(COUNT_OUTMASK).eq(toBN(that))
+}
+
+function getCount(value) {
+  return toBN(value).maskn(16).toNumber()
+}
+
+// Accepts either a packed value or the `(beaconBalance, beaconValidators, count)` tuple returned by
+// LidoOracle.getCurrentReportVariant and adds the quorum progress of the variant
+function normalizeReportVariant(variant, quorum) {
+  const { beaconBalance, beaconValidators, count } = BN.isBN(variant) || typeof variant !== 'object' ? decodeWithCount(variant) : variant
+  return {
+    beaconBalance: String(beaconBalance),
+    beaconBalanceEth1: toBN(beaconBalance).mul(DENOMINATION_OFFSET).toString(),
+    beaconValidators: +beaconValidators,
+    count: +count,
+    quorum: +quorum,
+    votesToQuorum: Math.max(+quorum - +count, 0),
+    isQuorum: +count >= +quorum
+  }
+}
+
+function toUint(value, bits, name) {
+  const bn = toBN(value)
+  if (bn.isNeg() || bn.bitLength() > bits) {
+    throw new Error(`${name} ${value} doesn't fit into uint${bits}`)
+  }
+  return bn
+}
+
+function toBN(value) {
+  return BN.isBN(value) ? value : new BN(String(value))
+}
+
+module.exports = {
+  encode,
+  decode,
+  decodeWithCount,
+  isDifferent,
+  getCount,
+  normalizeReportVariant
+}
@@ -0,0 +1,370 @@
+const Web3 = require('web3')
+
+const { getSenderAddr } = require('./utils')
+
+const abiCoder = new Web3().eth.abi
+
+// Error(string) and Panic(uint256) selectors
+const ERROR_SELECTOR = '0x08c379a0'
+const PANIC_SELECTOR = '0x4e487b71'
+
+const reason = (code, contracts, explanation) => ({ code, contracts, explanation })
+
+// Revert strings of the Lido and Aragon contracts, keyed by the string itself. Strings shared by several
+// contracts are listed once with all of them.
+const REVERT_REASONS = {
+  // Lido
+  ZERO_DEPOSIT: reason('ZERO_DEPOSIT', ['Lido'], 'no ether was sent along with the submission'),
+  STAKING_PAUSED: reason('STAKING_PAUSED', ['Lido'], 'staking is paused, submissions are not accepted'),
+  STAKE_LIMIT: reason('STAKE_LIMIT', ['Lido'], 'the amount exceeds the current stake limit, wait for it to restore or submit less'),
+  NON_EMPTY_DATA: reason('NON_EMPTY_DATA', ['Lido'], 'ether sent to Lido with calldata, call submit instead'),
+  EMPTY_WITHDRAWAL_CREDENTIALS: reason(
+    'EMPTY_WITHDRAWAL_CREDENTIALS',
+    ['Lido'],
+    'withdrawal credentials are not set, deposits are impossible'
+  ),
+  EXPECTING_DEPOSIT_TO_HAPPEN: reason('EXPECTING_DEPOSIT_TO_HAPPEN', ['Lido'], 'the deposit contract did not take the deposited ether'),
+  VALUE_OVER_100_PERCENT: reason('VALUE_OVER_100_PERCENT', ['Lido'], 'the value in basis points is over 10000'),
+  FEES_DONT_ADD_UP: reason('FEES_DONT_ADD_UP', ['Lido'], 'the treasury, insurance and operators fees must sum up to 10000 basis points'),
+  REPORTED_MORE_DEPOSITED: reason('REPORTED_MORE_DEPOSITED', ['Lido'], 'the oracle reported more validators than were deposited'),
+  REPORTED_LESS_VALIDATORS: reason('REPORTED_LESS_VALIDATORS', ['Lido'], 'the oracle reported fewer validators than the previous report'),
+  ORACLE_ZERO_ADDRESS: reason('ORACLE_ZERO_ADDRESS', ['Lido', 'CompositePostRebaseBeaconReceiver'], 'the oracle address is zero'),
+  TREASURY_ZERO_ADDRESS: reason(
+    'TREASURY_ZERO_ADDRESS',
+    ['Lido', 'LidoExecutionLayerRewardsVault', 'SelfOwnedStETHBurner'],
+    'the treasury address is zero'
+  ),
+  INSURANCE_FUND_ZERO_ADDRESS: reason('INSURANCE_FUND_ZERO_ADDRESS', ['Lido'], 'the insurance fund address is zero'),
+  REGISTRY_INCONSISTENT_PUBKEYS_LEN: reason('REGISTRY_INCONSISTENT_PUBKEYS_LEN', ['Lido'], 'the registry returned malformed public keys'),
+  REGISTRY_INCONSISTENT_SIG_LEN: reason('REGISTRY_INCONSISTENT_SIG_LEN', ['Lido'], 'the registry returned malformed signatures'),
+  REGISTRY_INCONSISTENT_SIG_COUNT: reason(
+    'REGISTRY_INCONSISTENT_SIG_COUNT',
+    ['Lido'],
+    'the registry returned a different number of keys and signatures'
+  ),
+  TOO_LARGE_MAX_STAKE_LIMIT: reason('TOO_LARGE_MAX_STAKE_LIMIT', ['Lido'], 'the max stake limit is too large'),
+  ZERO_MAX_STAKE_LIMIT: reason('ZERO_MAX_STAKE_LIMIT', ['Lido'], 'the max stake limit must be non-zero'),
+  TOO_LARGE_LIMIT_INCREASE: reason(
+    'TOO_LARGE_LIMIT_INCREASE',
+    ['Lido'],
+    'the stake limit increase per block is larger than the max stake limit'
+  ),
+  TOO_SMALL_LIMIT_INCREASE: reason(
+    'TOO_SMALL_LIMIT_INCREASE',
+    ['Lido'],
+    'the stake limit increase per block is too small to restore the limit'
+  ),
+  CONTRACT_IS_STOPPED: reason('CONTRACT_IS_STOPPED', ['Lido'], 'the protocol is stopped'),
+  CONTRACT_IS_ACTIVE: reason('CONTRACT_IS_ACTIVE', ['Lido'], 'the protocol is already running'),
+  // StETH
+  TRANSFER_AMOUNT_EXCEEDS_BALANCE: reason('TRANSFER_AMOUNT_EXCEEDS_BALANCE', ['StETH'], 'the sender has not enough stETH'),
+  TRANSFER_AMOUNT_EXCEEDS_ALLOWANCE: reason(
+    'TRANSFER_AMOUNT_EXCEEDS_ALLOWANCE',
+    ['StETH'],
+    'the stETH allowance is too low, approve more first'
+  ),
+  TRANSFER_TO_THE_ZERO_ADDRESS: reason('TRANSFER_TO_THE_ZERO_ADDRESS', ['StETH'], 'stETH cannot be transferred to the zero address'),
+  TRANSFER_FROM_THE_ZERO_ADDRESS: reason('TRANSFER_FROM_THE_ZERO_ADDRESS', ['StETH'], 'stETH cannot be transferred from the zero address'),
+  APPROVE_TO_ZERO_ADDRESS: reason('APPROVE_TO_ZERO_ADDRESS', ['StETH'], 'stETH cannot be approved to the zero address'),
+  DECREASED_ALLOWANCE_BELOW_ZERO: reason('DECREASED_ALLOWANCE_BELOW_ZERO', ['StETH'], 'the allowance is lower than the decrease'),
+  BURN_AMOUNT_EXCEEDS_BALANCE: reason('BURN_AMOUNT_EXCEEDS_BALANCE', ['StETH'], 'the account has fewer shares than requested to burn'),
+  // NodeOperatorsRegistry
+  NODE_OPERATOR_NOT_FOUND: reason('NODE_OPERATOR_NOT_FOUND', ['NodeOperatorsRegistry'], 'there is no node operator with this id'),
+  KEY_NOT_FOUND: reason('KEY_NOT_FOUND', ['NodeOperatorsRegistry'], 'the operator has no signing key with this index'),
+  KEY_WAS_USED: reason('KEY_WAS_USED', ['NodeOperatorsRegistry'], 'the signing key was already used for a deposit and cannot be removed'),
+  NO_KEYS: reason('NO_KEYS', ['NodeOperatorsRegistry'], 'the number of keys must be non-zero'),
+  INVALID_LENGTH: reason(
+    'INVALID_LENGTH',
+    ['NodeOperatorsRegistry'],
+    'the public keys or signatures length does not match the number of keys'
+  ),
+  EMPTY_KEY: reason('EMPTY_KEY', ['NodeOperatorsRegistry'], 'a public key consists of zero bytes only'),
+  EMPTY_ADDRESS: reason('EMPTY_ADDRESS', ['NodeOperatorsRegistry'], 'the reward address is zero'),
+  EMPTY_VALUE: reason('EMPTY_VALUE', ['NodeOperatorsRegistry'], 'the stopped validators increment must be non-zero'),
+  STOPPED_MORE_THAN_LAUNCHED: reason(
+    'STOPPED_MORE_THAN_LAUNCHED',
+    ['NodeOperatorsRegistry'],
+    'more validators stopped than the operator launched'
+  ),
+  MAX_NODE_OPERATORS_COUNT_EXCEEDED: reason('MAX_NODE_OPERATORS_COUNT_EXCEEDED', ['NodeOperatorsRegistry'], 'the registry is full'),
+  NODE_OPERATOR_ACTIVITY_ALREADY_SET: reason(
+    'NODE_OPERATOR_ACTIVITY_ALREADY_SET',
+    ['NodeOperatorsRegistry'],
+    'the operator is already in this state'
+  ),
+  NODE_OPERATOR_NAME_IS_THE_SAME: reason('NODE_OPERATOR_NAME_IS_THE_SAME', ['NodeOperatorsRegistry'], 'the operator already has this name'),
+  NODE_OPERATOR_ADDRESS_IS_THE_SAME: reason(
+    'NODE_OPERATOR_ADDRESS_IS_THE_SAME',
+    ['NodeOperatorsRegistry'],
+    'the operator already has this reward address'
+  ),
+  NODE_OPERATOR_STAKING_LIMIT_IS_THE_SAME: reason(
+    'NODE_OPERATOR_STAKING_LIMIT_IS_THE_SAME',
+    ['NodeOperatorsRegistry'],
+    'the operator already has this staking limit'
+  ),
+  // LidoOracle
+  EPOCH_IS_TOO_OLD: reason('EPOCH_IS_TOO_OLD', ['LidoOracle'], 'the epoch is before the current frame'),
+  UNEXPECTED_EPOCH: reason('UNEXPECTED_EPOCH', ['LidoOracle'], 'the epoch is not the first epoch of a frame'),
+  ALREADY_SUBMITTED: reason('ALREADY_SUBMITTED', ['LidoOracle'], 'the member already reported for this frame'),
+  MEMBER_NOT_FOUND: reason('MEMBER_NOT_FOUND', ['LidoOracle'], 'the sender is not an oracle member'),
+  MEMBER_EXISTS: reason('MEMBER_EXISTS', ['LidoOracle'], 'the address is already an oracle member'),
+  TOO_MANY_MEMBERS: reason('TOO_MANY_MEMBERS', ['LidoOracle'], 'the oracle has the max number of members'),
+  QUORUM_WONT_BE_MADE: reason('QUORUM_WONT_BE_MADE', ['LidoOracle'], 'the quorum is larger than the number of members'),
+  ALLOWED_BEACON_BALANCE_INCREASE: reason(
+    'ALLOWED_BEACON_BALANCE_INCREASE',
+    ['LidoOracle'],
+    'the reported balance grew faster than the allowed annual relative increase'
+  ),
+  ALLOWED_BEACON_BALANCE_DECREASE: reason(
+    'ALLOWED_BEACON_BALANCE_DECREASE',
+    ['LidoOracle'],
+    'the reported balance dropped more than the allowed relative decrease'
+  ),
+  BAD_EPOCHS_PER_FRAME: reason('BAD_EPOCHS_PER_FRAME', ['LidoOracle'], 'the epochs per frame must be non-zero'),
+  BAD_SLOTS_PER_EPOCH: reason('BAD_SLOTS_PER_EPOCH', ['LidoOracle'], 'the slots per epoch must be non-zero'),
+  BAD_SECONDS_PER_SLOT: reason('BAD_SECONDS_PER_SLOT', ['LidoOracle'], 'the seconds per slot must be non-zero'),
+  BAD_GENESIS_TIME: reason('BAD_GENESIS_TIME', ['LidoOracle'], 'the genesis time must be non-zero'),
+  BAD_BEACON_REPORT_RECEIVER: reason('BAD_BEACON_REPORT_RECEIVER', ['LidoOracle'], 'the receiver does not support the callback interface'),
+  // DepositSecurityModule
+  'deposits are paused': reason('DSM_DEPOSITS_PAUSED', ['DepositSecurityModule'], 'a guardian paused deposits'),
+  'no guardian quorum': reason('DSM_NO_GUARDIAN_QUORUM', ['DepositSecurityModule'], 'fewer guardians signed than the quorum requires'),
+  'too frequent deposits': reason('DSM_TOO_FREQUENT_DEPOSITS', ['DepositSecurityModule'], 'too few blocks passed since the last deposit'),
+  'deposit root changed': reason(
+    'DSM_DEPOSIT_ROOT_CHANGED',
+    ['DepositSecurityModule'],
+    'the deposit contract root changed since the attestation'
+  ),
+  'keys op index changed': reason('DSM_KEYS_OP_INDEX_CHANGED', ['DepositSecurityModule'], 'the signing keys changed since the attestation'),
+  'unexpected block hash': reason(
+    'DSM_UNEXPECTED_BLOCK_HASH',
+    ['DepositSecurityModule'],
+    'the attested block hash does not match the block number'
+  ),
+  'invalid signature': reason('DSM_INVALID_SIGNATURE', ['DepositSecurityModule'], 'a signature does not recover to a guardian'),
+  'signatures not sorted': reason(
+    'DSM_SIGNATURES_NOT_SORTED',
+    ['DepositSecurityModule'],
+    'guardian signatures must be sorted by signer address'
+  ),
+  'not a guardian': reason('DSM_NOT_A_GUARDIAN', ['DepositSecurityModule'], 'the sender or signer is not a guardian'),
+  'pause intent expired': reason('DSM_PAUSE_INTENT_EXPIRED', ['DepositSecurityModule'], 'the pause message block is too old'),
+  'not an owner': reason('DSM_NOT_AN_OWNER', ['DepositSecurityModule'], 'only the owner can call this'),
+  // SelfOwnedStETHBurner
+  ZERO_BURN_AMOUNT: reason('ZERO_BURN_AMOUNT', ['SelfOwnedStETHBurner'], 'the amount of stETH to burn must be non-zero'),
+  TOO_LARGE_BURN_AMOUNT_PER_RUN: reason(
+    'TOO_LARGE_BURN_AMOUNT_PER_RUN',
+    ['SelfOwnedStETHBurner'],
+    'the max burn amount per run is over 100%'
+  ),
+  ZERO_BURN_AMOUNT_PER_RUN: reason('ZERO_BURN_AMOUNT_PER_RUN', ['SelfOwnedStETHBurner'], 'the max burn amount per run must be non-zero'),
+  STETH_RECOVER_WRONG_FUNC: reason('STETH_RECOVER_WRONG_FUNC', ['SelfOwnedStETHBurner'], 'stETH is recovered with recoverExcessStETH'),
+  ZERO_RECOVERY_AMOUNT: reason(
+    'ZERO_RECOVERY_AMOUNT',
+    ['SelfOwnedStETHBurner', 'LidoExecutionLayerRewardsVault'],
+    'the amount to recover must be non-zero'
+  ),
+  INCOMING_ETH_IS_FORBIDDEN: reason('INCOMING_ETH_IS_FORBIDDEN', ['SelfOwnedStETHBurner'], 'the contract does not accept ether'),
+  ONLY_LIDO_CAN_WITHDRAW: reason('ONLY_LIDO_CAN_WITHDRAW', ['LidoExecutionLayerRewardsVault'], 'only Lido can withdraw the rewards'),
+  // CompositePostRebaseBeaconReceiver
+  MSG_SENDER_MUST_BE_VOTING: reason(
+    'MSG_SENDER_MUST_BE_VOTING',
+    ['CompositePostRebaseBeaconReceiver', 'SelfOwnedStETHBurner'],
+    'only the DAO voting can call this, create a vote instead'
+  ),
+  MSG_SENDER_MUST_BE_ORACLE: reason('MSG_SENDER_MUST_BE_ORACLE', ['CompositePostRebaseBeaconReceiver'], 'only the oracle can call this'),
+  CALLBACK_ZERO_ADDRESS: reason('CALLBACK_ZERO_ADDRESS', ['CompositePostRebaseBeaconReceiver'], 'the callback address is zero'),
+  BAD_CALLBACK_INTERFACE: reason(
+    'BAD_CALLBACK_INTERFACE',
+    ['CompositePostRebaseBeaconReceiver'],
+    'the callback does not support the required interface'
+  ),
+  INDEX_IS_OUT_OF_RANGE: reason('INDEX_IS_OUT_OF_RANGE', ['CompositePostRebaseBeaconReceiver'], 'there is no callback with this index'),
+  MAX_CALLBACKS_COUNT_EXCEEDED: reason(
+    'MAX_CALLBACKS_COUNT_EXCEEDED',
+    ['CompositePostRebaseBeaconReceiver'],
+    'the receiver has the max number of callbacks'
+  ),
+  // WstETH
+  'wstETH: zero amount unwrap not allowed': reason('WSTETH_ZERO_UNWRAP', ['WstETH'], 'the amount of wstETH to unwrap must be non-zero'),
+  // Aragon
+  APP_AUTH_FAILED: reason(
+    'APP_AUTH_FAILED',
+    ['Lido', 'NodeOperatorsRegistry', 'SelfOwnedStETHBurner', 'Aragon apps'],
+    'the sender lacks the permission or role required for the call'
+  ),
+  INIT_ALREADY_INITIALIZED: reason('INIT_ALREADY_INITIALIZED', ['Aragon apps'], 'the app is already initialized'),
+  INIT_NOT_INITIALIZED: reason('INIT_NOT_INITIALIZED', ['Aragon apps'], 'the app is not initialized yet'),
+  RECOVER_DISALLOWED: reason('RECOVER_DISALLOWED', ['Lido', 'Aragon apps'], 'the token cannot be recovered to the vault'),
+  TM_CAN_NOT_FORWARD: reason('TM_CAN_NOT_FORWARD', ['TokenManager'], 'the sender holds no DAO tokens, so it cannot create votes'),
+  VOTING_CAN_NOT_FORWARD: reason('VOTING_CAN_NOT_FORWARD', ['Voting'], 'the sender has no permission to create votes'),
+  VOTING_NO_VOTE: reason('VOTING_NO_VOTE', ['Voting'], 'there is no vote with this id'),
+  VOTING_CAN_NOT_VOTE: reason('VOTING_CAN_NOT_VOTE', ['Voting'], 'the vote is closed or the sender had no tokens at its snapshot'),
+  VOTING_CAN_NOT_EXECUTE: reason('VOTING_CAN_NOT_EXECUTE', ['Voting'], 'the vote is still open, did not pass or was already executed'),
+  VOTING_NO_VOTING_POWER: reason('VOTING_NO_VOTING_POWER', ['Voting'], 'the DAO token has no supply at the vote snapshot'),
+  VOTING_CHANGE_SUPP_TOO_BIG: reason('VOTING_CHANGE_SUPP_TOO_BIG', ['Voting'], 'the support required must be below 100%'),
+  VOTING_CHANGE_QUORUM_PCTS: reason('VOTING_CHANGE_QUORUM_PCTS', ['Voting'], 'the quorum must not exceed the support required'),
+  VOTING_CHANGE_SUPPORT_PCTS: reason('VOTING_CHANGE_SUPPORT_PCTS', ['Voting'], 'the support required must not be below the quorum'),
+  EVMCALLS_BLACKLISTED_CALL: reason('EVMCALLS_BLACKLISTED_CALL', ['Aragon EVM scripts'], 'the vote script calls a blacklisted address'),
+  EVMCALLS_INVALID_LENGTH: reason('EVMCALLS_INVALID_LENGTH', ['Aragon EVM scripts'], 'the vote script is malformed'),
+  EVMRUN_EXECUTOR_UNAVAILABLE: reason('EVMRUN_EXECUTOR_UNAVAILABLE', ['Aragon EVM scripts'], 'the script spec id has no executor'),
+  MATH_ADD_OVERFLOW: reason('MATH_ADD_OVERFLOW', ['SafeMath'], 'an addition overflowed'),
+  MATH_SUB_UNDERFLOW: reason('MATH_SUB_UNDERFLOW', ['SafeMath'], 'a subtraction underflowed, usually an amount over the balance'),
+  MATH_MUL_OVERFLOW: reason('MATH_MUL_OVERFLOW', ['SafeMath'], 'a multiplication overflowed'),
+  MATH_DIV_ZERO: reason('MATH_DIV_ZERO', ['SafeMath'], 'a division by zero'),
+  // Solidity 0.8 panics
+  'Panic(0x01)': reason('PANIC_ASSERT', [], 'an assertion failed'),
+  'Panic(0x11)': reason('PANIC_ARITHMETIC', [], 'an arithmetic operation overflowed or underflowed'),
+  'Panic(0x12)': reason('PANIC_DIVISION_BY_ZERO', [], 'a division or modulo by zero'),
+  'Panic(0x32)': reason('PANIC_ARRAY_INDEX', [], 'an array index is out of bounds')
+}
+
+// Extracts the revert reason from ABI-encoded revert data, a node error message or an error thrown by
+// web3, Truffle or ethers. Returns null if there is none, e.g. for a bare `revert()`.
+function decodeRevertReason(errorOrData) {
+  if (!errorOrData) {
+    return null
+  }
+  if (typeof errorOrData === 'string') {
+    return /^0x[0-9a-f]*$/i.test(errorOrData) ? decodeRevertData(errorOrData) : parseRevertMessage(errorOrData)
+  }
+  if (typeof errorOrData.reason === 'string' && errorOrData.reason && errorOrData.reason !== 'execution reverted') {
+    // ethers keeps the node message around the reason, e.g. `execution reverted: STAKING_PAUSED`
+    return parseRevertMessage(errorOrData.reason) || errorOrData.reason
+  }
+  const { data } = errorOrData
+  if (typeof data === 'string') {
+    const reason = decodeRevertReason(data)
+    if (reason !== null) {
+      return reason
+    }
+  } else if (data && typeof data === 'object') {
+    // ganache keys the revert by the tx hash: `{ [hash]: { error, reason, return } }`
+    for (const value of Object.values(data)) {
+      const reason = value && typeof value === 'object' ? value.reason || decodeRevertReason(value.return) : null
+      if (reason) {
+        return reason
+      }
+    }
+    const reason = decodeRevertReason(data.data || data.message)
+    if (reason !== null) {
+      return reason
+    }
+  }
+  for (const nested of [errorOrData.error, errorOrData.innerError, errorOrData.body && tryParseJSON(errorOrData.body)]) {
+    const reason = nested ? decodeRevertReason(nested.error || nested) : null
+    if (reason !== null) {
+      return reason
+    }
+  }
+  return typeof errorOrData.message === 'string' ? parseRevertMessage(errorOrData.message) : null
+}
+
+function decodeRevertData(data) {
+  const selector = data.slice(0, 10).toLowerCase()
+  try {
+    if (selector === ERROR_SELECTOR) {
+      return abiCoder.decodeParameter('string', '0x' + data.slice(10))
+    }
+    if (selector === PANIC_SELECTOR) {
+      return `Panic(0x${(+abiCoder.decodeParameter('uint256', '0x' + data.slice(10))).toString(16).padStart(2, '0')})`
+    }
+  } catch (err) {
+    return null
+  }
+  return null
+}
+
+function parseRevertMessage(message) {
+  let match = /reverted with reason string '((?:.|\n)*)'/.exec(message)
+  if (match) {
+    return match[1]
+  }
+  match = /reverted with panic code (0x[0-9a-f]+)/i.exec(message)
+  if (match) {
+    return `Panic(0x${parseInt(match[1], 16).toString(16).padStart(2, '0')})`
+  }
+  match = /(?:VM Exception while processing transaction: revert|execution reverted:) ((?:.|\n)+?)(?: -- Reason given: .*)?$/.exec(message)
+  if (match) {
+    return match[1].trim()
+  }
+  match = /0x08c379a0[0-9a-f]*/i.exec(message)
+  return match ? decodeRevertData(match[0]) : null
+}
+
+function tryParseJSON(str) {
+  try {
+    return JSON.parse(str)
+  } catch (err) {
+    return null
+  }
+}
+
+function isRevertError(err) {
+  return decodeRevertReason(err) !== null || /revert|invalid opcode/i.test((err && err.message) || '')
+}
+
+// Returns `{ code, reason, contracts, explanation }` for the revert reason, `code` being `UNKNOWN` if the
+// reason is not in the catalogue and `NO_REASON` if the call reverted without one
+function explainRevert(reason) {
+  if (reason === null || reason === undefined || reason === '') {
+    return { code: 'NO_REASON', reason: null, contracts: [], explanation: 'the call reverted without a reason' }
+  }
+  const known = REVERT_REASONS[reason]
+  if (!known) {
+    return { code: 'UNKNOWN', reason, contracts: [], explanation: `the call reverted with ${reason}` }
+  }
+  return { code: known.code, reason, contracts: known.contracts, explanation: known.explanation }
+}
+
+// Runs the call with `eth_call` and `eth_estimateGas` instead of sending it and returns `{ dryRun, ok, gas,
+// returnValue, revert }`, `revert` being the `explainRevert` result if the transaction would fail.
+// `method` is a function name or, for overloaded functions, a signature like `depositBufferedEther()`.
+async function dryRunTx(instance, method, args = [], txOpts = {}) {
+  if (!instance.contract.methods[method]) {
+    throw new Error(`contract at ${instance.address} has no method ${method}`)
+  }
+  const { value, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas } = txOpts
+  const callOpts = { from: await getSenderAddr(instance, txOpts) }
+  Object.entries({ value, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas }).forEach(([key, val]) => {
+    if (val !== undefined && val !== null) {
+      callOpts[key] = val
+    }
+  })
+
+  const call = instance.contract.methods[method](...args)
+  try {
+    const returnValue = await call.call(callOpts)
+    const estimatedGas = await call.estimateGas(callOpts)
+    return { dryRun: true, ok: true, gas: estimatedGas, returnValue, revert: null }
+  } catch (err) {
+    if (!isRevertError(err)) {
+      throw err
+    }
+    return { dryRun: true, ok: false, gas: null, returnValue: null, revert: explainRevert(decodeRevertReason(err)) }
+  }
+}
+
+// Sends the transaction via the Truffle instance, or dry-runs it if `txOpts.dryRun` is set
+async function sendTx(instance, method, args = [], { dryRun = false, ...txOpts } = {}) {
+  if (dryRun) {
+    return await dryRunTx(instance, method, args, txOpts)
+  }
+  const fn = method.includes('(') ? instance.methods[method] : instance[method]
+  return await fn(...args, txOpts)
+}
+
+// The result of a transaction which can't be dry-run yet because it depends on another one being mined
+function skippedDryRun(explanation) {
+  return { dryRun: true, ok: null, gas: null, returnValue: null, revert: null, skipped: explanation }
+}
+
+module.exports = {
+  REVERT_REASONS,
+  decodeRevertReason,
+  explainRevert,
+  isRevertError,
+  dryRunTx,
+  sendTx,
+  skippedDryRun
+}
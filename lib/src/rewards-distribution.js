@@ -0,0 +1,157 @@
+const BN = require('bn.js')
+
+const { listOperators } = require('./node-operators-registry')
+const { createSharesSnapshot, getPooledEthByShares } = require('./share-math')
+
+// Offline counterpart of the fee distribution done on oracle reports. Mirrors Lido.handleOracleReport,
+// Lido.distributeFee, Lido._distributeNodeOperatorsReward and NodeOperatorsRegistry.getRewardsDistribution
+// step by step, so every division truncates in the same place and the rounding dust ends up where the
+// contracts put it.
+
+const TOTAL_BASIS_POINTS = new BN(10000)
+const DEPOSIT_SIZE = new BN(10).pow(new BN(18)).muln(32)
+
+async function getRewardsSnapshot(lido, registry) {
+  const [totalPooledEther, totalShares, fee, feeDistribution, beaconStat, treasury, insuranceFund, operators] = await Promise.all([
+    lido.getTotalPooledEther(),
+    lido.getTotalShares(),
+    lido.getFee(),
+    lido.getFeeDistribution(),
+    lido.getBeaconStat(),
+    lido.getTreasury(),
+    lido.getInsuranceFund(),
+    listOperators(registry)
+  ])
+  return createRewardsSnapshot({
+    totalPooledEther,
+    totalShares,
+    feeBasisPoints: fee,
+    treasuryFeeBasisPoints: feeDistribution.treasuryFeeBasisPoints,
+    insuranceFeeBasisPoints: feeDistribution.insuranceFeeBasisPoints,
+    operatorsFeeBasisPoints: feeDistribution.operatorsFeeBasisPoints,
+    depositedValidators: beaconStat.depositedValidators,
+    beaconValidators: beaconStat.beaconValidators,
+    beaconBalance: beaconStat.beaconBalance,
+    treasury,
+    insuranceFund,
+    operators
+  })
+}
+
+// `operators` are in the `listOperators` format, ids are their indexes in the list
+function createRewardsSnapshot(state) {
+  return {
+    totalPooledEther: toBN(state.totalPooledEther),
+    totalShares: toBN(state.totalShares),
+    feeBasisPoints: +state.feeBasisPoints,
+    treasuryFeeBasisPoints: +state.treasuryFeeBasisPoints,
+    insuranceFeeBasisPoints: +state.insuranceFeeBasisPoints,
+    operatorsFeeBasisPoints: +state.operatorsFeeBasisPoints,
+    depositedValidators: +(state.depositedValidators || 0),
+    beaconValidators: +(state.beaconValidators || 0),
+    beaconBalance: toBN(state.beaconBalance || 0),
+    treasury: state.treasury,
+    insuranceFund: state.insuranceFund,
+    operators: state.operators.map((op, id) => ({
+      id,
+      name: op.name,
+      active: op.active,
+      rewardAddress: op.rewardAddress,
+      usedSigningKeys: +op.usedSigningKeys,
+      stoppedValidators: +op.stoppedValidators
+    }))
+  }
+}
+
+// Same as NodeOperatorsRegistry.getRewardsDistribution: active operators only, rewarded per active validator
+function getRewardsDistribution(operators, totalRewardShares) {
+  const recipients = operators
+    .filter((op) => op.active)
+    .map((op) => ({
+      id: op.id,
+      name: op.name,
+      rewardAddress: op.rewardAddress,
+      activeValidators: op.usedSigningKeys - op.stoppedValidators
+    }))
+  const activeValidatorsTotal = recipients.reduce((sum, op) => sum + op.activeValidators, 0)
+
+  // with no active validators the registry returns the validator counts as is
+  if (activeValidatorsTotal === 0) {
+    return recipients.map((op) => ({ ...op, shares: new BN(op.activeValidators) }))
+  }
+
+  const perValidatorReward = toBN(totalRewardShares).divn(activeValidatorsTotal)
+  return recipients.map((op) => ({ ...op, shares: perValidatorReward.muln(op.activeValidators) }))
+}
+
+// Distributes the fee from `totalRewards` the way Lido.distributeFee does. The snapshot must already
+// include the rewards in `totalPooledEther`, as it is at the time the contract mints the fee.
+function distributeFee(snapshot, totalRewards) {
+  const rewards = toBN(totalRewards)
+  const feeBasis = new BN(snapshot.feeBasisPoints)
+  const sharesToMint = rewards.isZero()
+    ? new BN(0)
+    : rewards
+        .mul(feeBasis)
+        .mul(snapshot.totalShares)
+        .div(snapshot.totalPooledEther.mul(TOTAL_BASIS_POINTS).sub(feeBasis.mul(rewards)))
+
+  const operatorsShares = sharesToMint.muln(snapshot.operatorsFeeBasisPoints).div(TOTAL_BASIS_POINTS)
+  const toInsuranceFund = sharesToMint.muln(snapshot.insuranceFeeBasisPoints).div(TOTAL_BASIS_POINTS)
+  const operators = getRewardsDistribution(snapshot.operators, operatorsShares)
+  const distributedToOperators = operators.reduce((sum, op) => sum.add(op.shares), new BN(0))
+  // the rest, including what operators didn't get due to rounding, goes to the treasury
+  const toTreasury = sharesToMint.sub(toInsuranceFund).sub(distributedToOperators)
+
+  const postRebase = createSharesSnapshot(snapshot.totalPooledEther, snapshot.totalShares.add(sharesToMint))
+  const withAmount = (item) => ({ ...item, amount: getPooledEthByShares(postRebase, item.shares) })
+
+  return {
+    totalRewards: rewards,
+    totalPooledEther: postRebase.totalPooledEther,
+    totalShares: postRebase.totalShares,
+    sharesToMint,
+    insuranceFund: withAmount({ address: snapshot.insuranceFund, shares: toInsuranceFund }),
+    nodeOperators: operators.map(withAmount),
+    treasury: withAmount({ address: snapshot.treasury, shares: toTreasury }),
+    operatorsDust: operatorsShares.sub(distributedToOperators)
+  }
+}
+
+// Predicts the outcome of Lido.handleOracleReport for a snapshot taken right before the report.
+// `executionLayerRewards` is the amount the report withdraws from the execution layer rewards vault.
+function simulateOracleReport(snapshot, { beaconValidators, beaconBalance, executionLayerRewards = 0 }) {
+  if (beaconValidators > snapshot.depositedValidators) {
+    throw new Error(`reported ${beaconValidators} validators, only ${snapshot.depositedValidators} deposited`)
+  }
+  if (beaconValidators < snapshot.beaconValidators) {
+    throw new Error(`reported ${beaconValidators} validators, less than previously reported ${snapshot.beaconValidators}`)
+  }
+
+  const balance = toBN(beaconBalance)
+  const elRewards = toBN(executionLayerRewards)
+  const rewardBase = DEPOSIT_SIZE.muln(beaconValidators - snapshot.beaconValidators).add(snapshot.beaconBalance)
+  // appeared validators move from the transient balance to the beacon balance, only the difference
+  // to the reward base changes the total pooled ether
+  const totalPooledEther = snapshot.totalPooledEther.add(balance.sub(rewardBase)).add(elRewards)
+  const reported = { ...snapshot, totalPooledEther, beaconValidators, beaconBalance: balance }
+
+  // no fee is taken on a non-profitable report
+  if (balance.lte(rewardBase)) {
+    return distributeFee({ ...reported, feeBasisPoints: 0 }, 0)
+  }
+  return distributeFee(reported, balance.sub(rewardBase).add(elRewards))
+}
+
+function toBN(value) {
+  return BN.isBN(value) ? value : new BN(String(value))
+}
+
+module.exports = {
+  TOTAL_BASIS_POINTS,
+  getRewardsSnapshot,
+  createRewardsSnapshot,
+  getRewardsDistribution,
+  distributeFee,
+  simulateOracleReport
+}
@@ -0,0 +1,235 @@
+const Web3 = require('web3')
+
+const { getABI } = require('./abi')
+const { addressEqual } = require('./utils')
+const { decodeCalldata } = require('./evm-script')
+
+// Batch files of the Gnosis Safe Transaction Builder app, see `meta.txBuilderVersion` for the app version
+// the format is taken from
+const SAFE_BATCH_VERSION = '1.0'
+const TX_BUILDER_VERSION = '1.10.0'
+
+const abiCoder = new Web3().eth.abi
+
+// Accepts tx-data files written by `saveCallTxData`, vote actions like `callAction` returns and
+// plain `{ to, data, value }` objects, returns `{ to, value, data, description }`
+function toBatchCall(item, index = 0) {
+  const data = item.data || item.calldata
+  if (!item.to || !data) {
+    throw new Error(`call #${index} must have to and data or calldata`)
+  }
+  return {
+    to: Web3.utils.toChecksumAddress(item.to),
+    value: Web3.utils.toBN(item.value || 0).toString(),
+    data: data.toLowerCase(),
+    description: item.description || null
+  }
+}
+
+// Turns the calls into a Transaction Builder batch. Calls decodable with the ABIs in `lib/abi` get the
+// method metadata the app shows for review, the rest are added as raw data.
+function createSafeBatch(
+  calls,
+  {
+    chainId,
+    safeAddress = '',
+    ownerAddress = '',
+    name = 'Transactions Batch',
+    description = null,
+    addressBook = {},
+    createdAt = Date.now()
+  }
+) {
+  if (!chainId) {
+    throw new Error(`chainId is required`)
+  }
+  const batchCalls = calls.map(toBatchCall)
+  if (batchCalls.length === 0) {
+    throw new Error(`the batch has no calls`)
+  }
+  const batch = {
+    version: SAFE_BATCH_VERSION,
+    chainId: String(chainId),
+    createdAt,
+    meta: {
+      name,
+      description: description || formatBatchDescription(batchCalls),
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress,
+      createdFromOwnerAddress: ownerAddress
+    },
+    transactions: batchCalls.map((call) => toSafeTransaction(call, addressBook))
+  }
+  return { ...batch, meta: { ...batch.meta, checksum: calculateBatchChecksum(batch) } }
+}
+
+function formatBatchDescription(calls) {
+  const descriptions = calls.map(({ description, to }) => description || `Call ${to}`)
+  return descriptions.length === 1 ? descriptions[0] : descriptions.map((desc, i) => `${i + 1}) ${desc}`).join('\n')
+}
+
+function toSafeTransaction({ to, value, data }, addressBook) {
+  const raw = { to, value, data, contractMethod: null, contractInputsValues: null }
+  const contract = addressBook[to.toLowerCase()] || null
+  const decoded = decodeCalldata(data, contract && contract.abiName)
+  if (!decoded) {
+    return raw
+  }
+  const fnAbi = findFunctionAbi(decoded.abiName, data)
+  const contractMethod = {
+    inputs: fnAbi.inputs.map(({ internalType, name, type, components }) => ({
+      internalType: internalType || type,
+      name,
+      type,
+      ...(components && { components })
+    })),
+    name: fnAbi.name,
+    payable: fnAbi.stateMutability === 'payable' || !!fnAbi.payable
+  }
+  const contractInputsValues = {}
+  decoded.args.forEach((arg, i) => {
+    contractInputsValues[fnAbi.inputs[i].name] = toInputValue(arg.value)
+  })
+  // calldata with extra bytes or unnamed inputs can't be rebuilt from the metadata
+  const transaction = { to, value, data: null, contractMethod, contractInputsValues }
+  return fnAbi.inputs.every((input) => input.name) && encodeSafeTransaction(transaction) === data ? transaction : raw
+}
+
+function findFunctionAbi(abiName, data) {
+  const selector = data.slice(0, 10)
+  return getABI(abiName).find((item) => item.type === 'function' && abiCoder.encodeFunctionSignature(item) === selector)
+}
+
+// The app takes strings for all inputs, with arrays and tuples as JSON
+function toInputValue(value) {
+  if (typeof value === 'string') {
+    return value
+  }
+  if (typeof value === 'boolean') {
+    return String(value)
+  }
+  return JSON.stringify(toPlainValue(value))
+}
+
+function toPlainValue(value) {
+  if (value && typeof value === 'object' && '__length__' in value) {
+    return Array.from({ length: value.__length__ }, (_, i) => toPlainValue(value[i]))
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue)
+  }
+  return value
+}
+
+function fromInputValue(value, type) {
+  if (type.endsWith(']') || type === 'tuple') {
+    return JSON.parse(value)
+  }
+  if (type === 'bool') {
+    return value === 'true'
+  }
+  return value
+}
+
+// Returns the calldata of a batch transaction, encoding it from the method metadata when `data` is empty
+function encodeSafeTransaction(transaction) {
+  if (!transaction.contractMethod) {
+    return (transaction.data || '0x').toLowerCase()
+  }
+  const { inputs, name } = transaction.contractMethod
+  const values = inputs.map((input) => fromInputValue((transaction.contractInputsValues || {})[input.name], input.type))
+  return abiCoder.encodeFunctionCall({ name, type: 'function', inputs }, values).toLowerCase()
+}
+
+function getBatchCalls(batch) {
+  return batch.transactions.map((transaction) => ({
+    to: Web3.utils.toChecksumAddress(transaction.to),
+    value: Web3.utils.toBN(transaction.value || 0).toString(),
+    data: encodeSafeTransaction(transaction)
+  }))
+}
+
+// Decodes the batch transactions into the calls `formatCalls` prints
+function decodeSafeBatch(batch, addressBook = {}) {
+  return getBatchCalls(batch).map(({ to, value, data }) => {
+    const contract = addressBook[to.toLowerCase()] || null
+    const decoded = decodeCalldata(data, contract && contract.abiName, addressBook)
+    return {
+      to,
+      toName: contract ? contract.name : null,
+      value,
+      calldata: data,
+      ...(decoded || { method: null, signature: null, abiName: null, guessed: false, args: [] })
+    }
+  })
+}
+
+// The same as `calculateChecksum` of the Transaction Builder app: solidity keccak256 of the batch
+// serialized as `serializeJSON` does, without the checksum and with the batch name set to null
+function calculateBatchChecksum(batch) {
+  const { checksum, ...meta } = batch.meta || {}
+  return Web3.utils.soliditySha3({ t: 'string', v: serializeJSON({ ...batch, meta: { ...meta, name: null } }) })
+}
+
+// Ported from `serializeJSONObject` of the app, which isn't JSON: objects are written as the JSON
+// array of their sorted keys followed by each value and a comma, `{"b":[1],"a":2}` as `{["a","b"]2,[1],}`
+function serializeJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serializeJSON).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort()
+    return `{${JSON.stringify(keys)}${keys.map((key) => `${serializeJSON(value[key])},`).join('')}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+// Parses a batch file, throwing if it's not a Transaction Builder batch or its checksum doesn't match
+function readSafeBatch(json) {
+  const batch = typeof json === 'string' ? JSON.parse(json) : json
+  if (!batch || !batch.chainId || !Array.isArray(batch.transactions)) {
+    throw new Error(`not a Safe Transaction Builder batch: chainId and transactions are required`)
+  }
+  if (batch.meta && batch.meta.checksum && calculateBatchChecksum(batch) !== batch.meta.checksum) {
+    throw new Error(`batch checksum mismatch: the file was changed after it was exported`)
+  }
+  return batch
+}
+
+// Compares the batch to the expected calls and returns a list of mismatches, empty if the batch
+// does exactly the expected calls in the same order on the given chain
+function verifySafeBatch(batch, expectedCalls, { chainId = null } = {}) {
+  const errors = []
+  if (chainId !== null && String(batch.chainId) !== String(chainId)) {
+    errors.push(`the batch is for chain ${batch.chainId}, expected ${chainId}`)
+  }
+  const actual = getBatchCalls(batch)
+  const expected = expectedCalls.map(toBatchCall)
+  if (actual.length !== expected.length) {
+    errors.push(`the batch has ${actual.length} transactions, expected ${expected.length}`)
+  }
+  for (let i = 0; i < Math.min(actual.length, expected.length); ++i) {
+    if (!addressEqual(actual[i].to, expected[i].to)) {
+      errors.push(`transaction #${i} is sent to ${actual[i].to}, expected ${expected[i].to}`)
+    }
+    if (actual[i].value !== expected[i].value) {
+      errors.push(`transaction #${i} sends ${actual[i].value} wei, expected ${expected[i].value}`)
+    }
+    if (actual[i].data !== expected[i].data) {
+      errors.push(`transaction #${i} calldata differs from the expected one`)
+    }
+  }
+  return errors
+}
+
+module.exports = {
+  SAFE_BATCH_VERSION,
+  toBatchCall,
+  createSafeBatch,
+  encodeSafeTransaction,
+  getBatchCalls,
+  decodeSafeBatch,
+  calculateBatchChecksum,
+  readSafeBatch,
+  verifySafeBatch
+}
@@ -0,0 +1,188 @@
+const BN = require('bn.js')
+
+const { getContract } = require('./abi')
+const { getSenderAddr, addressEqual } = require('./utils')
+const { callAction } = require('./dao')
+const { sendTx, skippedDryRun } = require('./revert-reasons')
+const { createSharesSnapshot, getPooledEthByShares } = require('./share-math')
+
+const SelfOwnedStETHBurner = getContract('SelfOwnedStETHBurner')
+const StETH = getContract('StETH')
+
+const MAX_BASIS_POINTS = new BN(10000)
+const E18 = new BN(10).pow(new BN(18))
+
+async function getSelfOwnedStETHBurner(web3, address) {
+  SelfOwnedStETHBurner.setProvider(web3.currentProvider)
+  return await SelfOwnedStETHBurner.at(address)
+}
+
+async function getBurnerStETH(burner) {
+  StETH.setProvider(burner.contract.currentProvider)
+  return await StETH.at(await burner.LIDO())
+}
+
+// Transfers `stETHAmount` of the sender to the burner, approving it first if needed. The burner only
+// accepts requests from the voting, so the sender must be the voting agent; in the DAO use `requestBurnActions`.
+async function requestBurnMyStETH(burner, stETHAmount, { isCover = false, log, ...txOpts } = {}) {
+  const amount = toBN(stETHAmount)
+  if (amount.isZero()) {
+    throw new Error(`the amount of stETH to burn must be non-zero`)
+  }
+
+  const [fromAddr, voting, steth] = await Promise.all([getSenderAddr(burner, txOpts), burner.VOTING(), getBurnerStETH(burner)])
+  if (!addressEqual(fromAddr, voting)) {
+    throw new Error(`only the voting ${voting} can request burning stETH, not ${fromAddr}`)
+  }
+
+  const balance = await steth.balanceOf(fromAddr)
+  if (balance.lt(amount)) {
+    throw new Error(`insufficient stETH balance: ${balance} < ${amount}`)
+  }
+
+  let approveResult = null
+  const allowance = await steth.allowance(fromAddr, burner.address)
+  if (allowance.lt(amount)) {
+    log && log(`approving ${amount} stETH to ${burner.address}...`)
+    approveResult = await sendTx(steth, 'approve', [burner.address, amount], { ...txOpts, from: fromAddr })
+    if (txOpts.dryRun) {
+      return { approveResult, requestResult: skippedDryRun(`the burn request needs the approval to be mined first`) }
+    }
+    log && log(`done, tx: ${approveResult.tx}`)
+  }
+
+  const method = isCover ? 'requestBurnMyStETHForCover' : 'requestBurnMyStETH'
+  const requestResult = await sendTx(burner, method, [amount], { ...txOpts, from: fromAddr })
+  return { approveResult, requestResult }
+}
+
+async function requestBurnMyStETHForCover(burner, stETHAmount, txOpts = {}) {
+  return await requestBurnMyStETH(burner, stETHAmount, { ...txOpts, isCover: true })
+}
+
+// Vote actions approving `stETHAmount` of the voting's stETH to the burner and requesting to burn it
+async function requestBurnActions(burner, stETHAmount, { isCover = false } = {}) {
+  const steth = await getBurnerStETH(burner)
+  const kind = isCover ? 'cover' : 'non-cover'
+  return [
+    callAction(steth, 'approve', [burner.address, String(stETHAmount)], `Approve ${stETHAmount} stETH to the burner ${burner.address}`),
+    callAction(
+      burner,
+      isCover ? 'requestBurnMyStETHForCover' : 'requestBurnMyStETH',
+      [String(stETHAmount)],
+      `Request to burn ${stETHAmount} stETH (${kind})`
+    )
+  ]
+}
+
+// Shares requested to burn but not burnt yet. The burner doesn't expose the pending counters, so they
+// are restored from the StETHBurnRequested and StETHBurnt events since `fromBlock`, which must be
+// not later than the burner deployment block.
+async function getPendingBurnRequests(burner, { fromBlock = 0, toBlock = 'latest' } = {}) {
+  const [requested, burnt] = await Promise.all([
+    burner.getPastEvents('StETHBurnRequested', { fromBlock, toBlock }),
+    burner.getPastEvents('StETHBurnt', { fromBlock, toBlock })
+  ])
+  const pending = { coverShares: new BN(0), nonCoverShares: new BN(0) }
+  const add = (evt, sign) => {
+    const { isCover, sharesAmount } = evt.args || evt.returnValues
+    const key = isCover ? 'coverShares' : 'nonCoverShares'
+    pending[key] = pending[key].add(toBN(sharesAmount).muln(sign))
+  }
+  requested.forEach((evt) => add(evt, 1))
+  burnt.forEach((evt) => add(evt, -1))
+  return pending
+}
+
+async function getBurnerState(burner, opts = {}) {
+  const [coverSharesBurnt, nonCoverSharesBurnt, excessStETH, burnAmountPerRunQuota, pending] = await Promise.all([
+    burner.getCoverSharesBurnt(),
+    burner.getNonCoverSharesBurnt(),
+    burner.getExcessStETH(),
+    burner.getBurnAmountPerRunQuota(),
+    getPendingBurnRequests(burner, opts)
+  ])
+  return {
+    coverSharesBurnt: toBN(coverSharesBurnt),
+    nonCoverSharesBurnt: toBN(nonCoverSharesBurnt),
+    excessStETH: toBN(excessStETH),
+    burnAmountPerRunQuota: +burnAmountPerRunQuota,
+    pending
+  }
+}
+
+// Predicts the burns SelfOwnedStETHBurner.processLidoOracleReport does on the following oracle reports,
+// one run per report, for `pending` `{ coverShares, nonCoverShares }` requests and the `snapshot` of the
+// stETH totals. Rewards are not accounted for, so only the burning changes the share rate (wei of pooled
+// ether per 10^18 shares). Returns `{ reports, runs, shareRate }`, `reports` being the number of reports
+// it takes to burn everything and `shareRate` the rate before the first run.
+function planBurns(pending, snapshot, burnAmountPerRunQuota) {
+  let coverShares = toBN(pending.coverShares)
+  let nonCoverShares = toBN(pending.nonCoverShares)
+  const initial = createSharesSnapshot(snapshot.totalPooledEther, snapshot.totalShares)
+  let state = initial
+  const runs = []
+
+  while (!coverShares.isZero() || !nonCoverShares.isZero()) {
+    const maxSharesToBurnNow = state.totalShares.muln(+burnAmountPerRunQuota).div(MAX_BASIS_POINTS)
+    if (maxSharesToBurnNow.isZero()) {
+      throw new Error(`nothing can be burnt per run with the quota of ${burnAmountPerRunQuota} basis points`)
+    }
+
+    // cover requests go first, the rest of the quota is used for non-cover ones
+    const coverSharesBurnt = BN.min(maxSharesToBurnNow, coverShares)
+    const nonCoverSharesBurnt = BN.min(maxSharesToBurnNow.sub(coverSharesBurnt), nonCoverShares)
+    // the burnt amounts are calculated before the shares are burnt
+    const coverStETHBurnt = getPooledEthByShares(state, coverSharesBurnt)
+    const nonCoverStETHBurnt = getPooledEthByShares(state, nonCoverSharesBurnt)
+
+    coverShares = coverShares.sub(coverSharesBurnt)
+    nonCoverShares = nonCoverShares.sub(nonCoverSharesBurnt)
+    state = createSharesSnapshot(state.totalPooledEther, state.totalShares.sub(coverSharesBurnt).sub(nonCoverSharesBurnt))
+
+    runs.push({
+      run: runs.length + 1,
+      coverSharesBurnt,
+      nonCoverSharesBurnt,
+      coverStETHBurnt,
+      nonCoverStETHBurnt,
+      coverSharesLeft: coverShares,
+      nonCoverSharesLeft: nonCoverShares,
+      totalShares: state.totalShares,
+      shareRate: getShareRate(state)
+    })
+  }
+
+  return { reports: runs.length, runs, shareRate: getShareRate(initial) }
+}
+
+async function getBurnPlan(burner, opts = {}) {
+  const steth = await getBurnerStETH(burner)
+  const [pending, burnAmountPerRunQuota, totalPooledEther, totalShares] = await Promise.all([
+    getPendingBurnRequests(burner, opts),
+    burner.getBurnAmountPerRunQuota(),
+    steth.getTotalPooledEther(),
+    steth.getTotalShares()
+  ])
+  return planBurns(pending, { totalPooledEther, totalShares }, burnAmountPerRunQuota)
+}
+
+function getShareRate({ totalPooledEther, totalShares }) {
+  return totalShares.isZero() ? new BN(0) : totalPooledEther.mul(E18).div(totalShares)
+}
+
+function toBN(value) {
+  return BN.isBN(value) ? value : new BN(String(value))
+}
+
+module.exports = {
+  SelfOwnedStETHBurner,
+  getSelfOwnedStETHBurner,
+  requestBurnMyStETH,
+  requestBurnMyStETHForCover,
+  requestBurnActions,
+  getPendingBurnRequests,
+  getBurnerState,
+  planBurns,
+  getBurnPlan
+}
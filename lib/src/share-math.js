@@ -0,0 +1,89 @@
+const BN = require('bn.js')
+
+// Offline counterpart of the StETH share accounting. All amounts are wei/share
+// integers and every division truncates exactly like SafeMath.div in StETH.sol.
+
+async function getSharesSnapshot(steth) {
+  const [totalPooledEther, totalShares] = await Promise.all([steth.getTotalPooledEther(), steth.getTotalShares()])
+  return createSharesSnapshot(totalPooledEther, totalShares)
+}
+
+function createSharesSnapshot(totalPooledEther, totalShares) {
+  return { totalPooledEther: toBN(totalPooledEther), totalShares: toBN(totalShares) }
+}
+
+function getSharesByPooledEth(snapshot, ethAmount) {
+  const { totalPooledEther, totalShares } = snapshot
+  if (totalPooledEther.isZero()) {
+    return new BN(0)
+  }
+  return toBN(ethAmount).mul(totalShares).div(totalPooledEther)
+}
+
+function getPooledEthByShares(snapshot, sharesAmount) {
+  const { totalPooledEther, totalShares } = snapshot
+  if (totalShares.isZero()) {
+    return new BN(0)
+  }
+  return toBN(sharesAmount).mul(totalPooledEther).div(totalShares)
+}
+
+function balanceOf(snapshot, shares) {
+  return getPooledEthByShares(snapshot, shares)
+}
+
+function transfer(snapshot, senderShares, recipientShares, amount) {
+  const sharesToTransfer = getSharesByPooledEth(snapshot, amount)
+  const result = moveShares(snapshot, senderShares, recipientShares, sharesToTransfer)
+  // the part of the requested amount lost to rounding, it stays with the sender
+  return { ...result, dust: toBN(amount).sub(result.transferredEth) }
+}
+
+function transferShares(snapshot, senderShares, recipientShares, sharesAmount) {
+  return moveShares(snapshot, senderShares, recipientShares, toBN(sharesAmount))
+}
+
+function moveShares(snapshot, senderShares, recipientShares, sharesToTransfer) {
+  if (sharesToTransfer.gt(toBN(senderShares))) {
+    throw new Error(`transfer amount exceeds balance`)
+  }
+
+  const newSenderShares = toBN(senderShares).sub(sharesToTransfer)
+  const newRecipientShares = toBN(recipientShares).add(sharesToTransfer)
+
+  return {
+    sharesToTransfer,
+    transferredEth: getPooledEthByShares(snapshot, sharesToTransfer),
+    senderShares: newSenderShares,
+    recipientShares: newRecipientShares,
+    senderBalance: balanceOf(snapshot, newSenderShares),
+    recipientBalance: balanceOf(snapshot, newRecipientShares)
+  }
+}
+
+function rebase(snapshot, { totalPooledEther = snapshot.totalPooledEther, totalShares = snapshot.totalShares } = {}) {
+  return createSharesSnapshot(totalPooledEther, totalShares)
+}
+
+function getPostRebaseBalance(snapshot, shares, newState) {
+  const postRebase = rebase(snapshot, newState)
+  const preBalance = balanceOf(snapshot, shares)
+  const postBalance = balanceOf(postRebase, shares)
+  return { preBalance, postBalance, change: postBalance.sub(preBalance) }
+}
+
+function toBN(value) {
+  return BN.isBN(value) ? value : new BN(String(value))
+}
+
+module.exports = {
+  getSharesSnapshot,
+  createSharesSnapshot,
+  getSharesByPooledEth,
+  getPooledEthByShares,
+  balanceOf,
+  transfer,
+  transferShares,
+  rebase,
+  getPostRebaseBalance
+}
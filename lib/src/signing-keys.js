@@ -0,0 +1,76 @@
+const { toDepositDataJson } = require('./deposit-data')
+
+// Reads signing keys of node operators. Only relies on `getNodeOperator` and `getSigningKey` of the
+// registry, so it works with a truffle instance as well as with any object exposing these calls,
+// e.g. the Aragon app api.
+
+const DEFAULT_KEYS_PAGE_SIZE = 100
+const DEFAULT_KEYS_CONCURRENCY = 8
+
+// Lists up to `limit` keys of an operator starting at the key #`offset`, fetching at most `concurrency`
+// keys at a time. Used keys always come before unused ones, so `used: true` or `used: false` pages
+// through only one of the groups, offsets still being key indexes. Returns `{ operatorId, total, offset,
+// keys, nextOffset }`, `keys` being `{ index, pubkey, signature, used }` and `nextOffset` null on the last page.
+async function listSigningKeys(
+  registry,
+  operatorId,
+  { offset = 0, limit = DEFAULT_KEYS_PAGE_SIZE, concurrency = DEFAULT_KEYS_CONCURRENCY, used = null } = {}
+) {
+  if (limit <= 0 || concurrency <= 0) {
+    throw new Error(`limit and concurrency must be positive`)
+  }
+  const op = await registry.getNodeOperator(operatorId, false)
+  const usedSigningKeys = +op.usedSigningKeys
+  const totalSigningKeys = +op.totalSigningKeys
+
+  const from = used === false ? Math.max(offset, usedSigningKeys) : offset
+  const end = used === true ? usedSigningKeys : totalSigningKeys
+  const to = Math.min(end, from + limit)
+  const total = used === null ? totalSigningKeys : used ? usedSigningKeys : totalSigningKeys - usedSigningKeys
+
+  const indexes = Array.from({ length: Math.max(to - from, 0) }, (_, i) => from + i)
+  const keys = await mapWithConcurrency(indexes, concurrency, async (index) => {
+    const signingKey = await registry.getSigningKey(operatorId, index)
+    return { index, pubkey: signingKey.key, signature: signingKey.depositSignature, used: signingKey.used }
+  })
+
+  return { operatorId: +operatorId, total, offset: from, keys, nextOffset: to < end ? to : null }
+}
+
+async function getAllSigningKeys(registry, operatorId, opts = {}) {
+  const keys = []
+  let offset = opts.offset || 0
+  while (offset !== null) {
+    const page = await listSigningKeys(registry, operatorId, { ...opts, offset })
+    keys.push(...page.keys)
+    offset = page.nextOffset
+  }
+  return keys
+}
+
+// Keys of an operator in the `deposit_data.json` format of the deposit CLI, `params` being the
+// withdrawal credentials and the fork version as returned by `getDepositVerificationParams`
+async function exportDepositData(registry, operatorId, params, opts = {}) {
+  return toDepositDataJson(await getAllSigningKeys(registry, operatorId, opts), params)
+}
+
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker))
+  return results
+}
+
+module.exports = {
+  DEFAULT_KEYS_PAGE_SIZE,
+  DEFAULT_KEYS_CONCURRENCY,
+  listSigningKeys,
+  getAllSigningKeys,
+  exportDepositData
+}
@@ -0,0 +1,129 @@
+const BN = require('bn.js')
+
+// Offline counterpart of StakeLimitUtils. Predicts the stake limit of Lido at any block from the
+// state returned by `Lido.getStakeLimitFullInfo`, truncating exactly like the contract does.
+
+const MAX_UINT256 = new BN(2).pow(new BN(256)).subn(1)
+
+async function getStakeLimitState(lido) {
+  return createStakeLimitState(await lido.getStakeLimitFullInfo())
+}
+
+function createStakeLimitState(info) {
+  return {
+    maxStakeLimit: toBN(info.maxStakeLimit),
+    maxStakeLimitGrowthBlocks: +info.maxStakeLimitGrowthBlocks,
+    prevStakeLimit: toBN(info.prevStakeLimit),
+    prevStakeBlockNumber: +info.prevStakeBlockNumber
+  }
+}
+
+function isStakingPaused(state) {
+  return state.prevStakeBlockNumber === 0
+}
+
+function isStakingLimitSet(state) {
+  return !state.maxStakeLimit.isZero()
+}
+
+function getStakeLimitIncreasePerBlock(state) {
+  if (state.maxStakeLimitGrowthBlocks === 0) {
+    return new BN(0)
+  }
+  return state.maxStakeLimit.divn(state.maxStakeLimitGrowthBlocks)
+}
+
+// Same as StakeLimitUtils.calculateCurrentStakeLimit evaluated at `blockNumber`
+function calculateStakeLimit(state, blockNumber) {
+  if (blockNumber < state.prevStakeBlockNumber) {
+    throw new Error(`block ${blockNumber} is before the last stake at block ${state.prevStakeBlockNumber}`)
+  }
+  const limit = state.prevStakeLimit.add(getStakeLimitIncreasePerBlock(state).muln(blockNumber - state.prevStakeBlockNumber))
+  return BN.min(limit, state.maxStakeLimit)
+}
+
+// Same as Lido.getCurrentStakeLimit evaluated at `blockNumber`: zero when staking is paused and
+// MAX_UINT256 when the limit is not set
+function getCurrentStakeLimit(state, blockNumber) {
+  if (isStakingPaused(state)) {
+    return new BN(0)
+  }
+  if (!isStakingLimitSet(state)) {
+    return MAX_UINT256
+  }
+  return calculateStakeLimit(state, blockNumber)
+}
+
+// Number of blocks after `blockNumber` until `amount` can be submitted at once, null if it never can
+// be with the current settings (staking is paused, the amount is above the max limit or the limit
+// doesn't restore)
+function getBlocksUntilStakeLimit(state, amount, blockNumber) {
+  amount = toBN(amount)
+  if (isStakingPaused(state)) {
+    return null
+  }
+  if (!isStakingLimitSet(state) || calculateStakeLimit(state, blockNumber).gte(amount)) {
+    return 0
+  }
+  const increasePerBlock = getStakeLimitIncreasePerBlock(state)
+  if (amount.gt(state.maxStakeLimit) || increasePerBlock.isZero()) {
+    return null
+  }
+  // ceil((amount - prevStakeLimit) / increasePerBlock) blocks after the last stake
+  const growthBlocks = amount.sub(state.prevStakeLimit).add(increasePerBlock).subn(1).div(increasePerBlock).toNumber()
+  return state.prevStakeBlockNumber + growthBlocks - blockNumber
+}
+
+// Returns the state after submitting `amount` at `blockNumber`, as Lido._submit updates it
+function submitToStakeLimit(state, amount, blockNumber) {
+  amount = toBN(amount)
+  if (isStakingPaused(state)) {
+    throw new Error(`staking is paused`)
+  }
+  if (!isStakingLimitSet(state)) {
+    return state
+  }
+  const currentStakeLimit = calculateStakeLimit(state, blockNumber)
+  if (amount.gt(currentStakeLimit)) {
+    throw new Error(`amount ${amount} exceeds the stake limit ${currentStakeLimit} at block ${blockNumber}`)
+  }
+  return { ...state, prevStakeLimit: currentStakeLimit.sub(amount), prevStakeBlockNumber: blockNumber }
+}
+
+// Schedules submissions of `amounts` in the given order, each at the earliest block not before
+// `fromBlock` and the previous submission, and returns `{ amount, blockNumber, stakeLimit }`
+// entries, `stakeLimit` being the limit left right after the submission. Throws if some amount
+// can never be submitted at once.
+function planSubmissions(state, amounts, fromBlock) {
+  const plan = []
+  let blockNumber = Math.max(fromBlock, state.prevStakeBlockNumber)
+  for (const value of amounts) {
+    const amount = toBN(value)
+    const blocks = getBlocksUntilStakeLimit(state, amount, blockNumber)
+    if (blocks === null) {
+      throw new Error(`amount ${amount} can't be submitted at once, max stake limit is ${state.maxStakeLimit}`)
+    }
+    blockNumber += blocks
+    state = submitToStakeLimit(state, amount, blockNumber)
+    plan.push({ amount, blockNumber, stakeLimit: getCurrentStakeLimit(state, blockNumber) })
+  }
+  return plan
+}
+
+function toBN(value) {
+  return BN.isBN(value) ? value : new BN(String(value))
+}
+
+module.exports = {
+  MAX_UINT256,
+  getStakeLimitState,
+  createStakeLimitState,
+  isStakingPaused,
+  isStakingLimitSet,
+  getStakeLimitIncreasePerBlock,
+  calculateStakeLimit,
+  getCurrentStakeLimit,
+  getBlocksUntilStakeLimit,
+  submitToStakeLimit,
+  planSubmissions
+}
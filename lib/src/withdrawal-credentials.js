@@ -0,0 +1,108 @@
+const { sha256, isValidAddress, toChecksumAddress } = require('ethereumjs-util')
+
+const { trim0x } = require('./utils')
+
+// Beacon chain withdrawal credentials, see `BLS_WITHDRAWAL_PREFIX` and `ETH1_ADDRESS_WITHDRAWAL_PREFIX`
+// in the consensus specs. The deposit signatures of all unused keys commit to the credentials, so
+// Lido.setWithdrawalCredentials trims them in NodeOperatorsRegistry.
+
+const BLS_WITHDRAWAL_PREFIX = '0x00'
+const ETH1_ADDRESS_WITHDRAWAL_PREFIX = '0x01'
+
+// 0x01 credentials withdrawing to `executionAddress`
+function deriveWithdrawalCredentials(executionAddress) {
+  if (!isValidAddress(executionAddress)) {
+    throw new Error(`invalid execution address ${executionAddress}`)
+  }
+  return ETH1_ADDRESS_WITHDRAWAL_PREFIX + '00'.repeat(11) + trim0x(executionAddress).toLowerCase()
+}
+
+// 0x00 credentials of the BLS withdrawal key `withdrawalPubkey`
+function deriveBlsWithdrawalCredentials(withdrawalPubkey) {
+  if (!isHex(withdrawalPubkey, 48)) {
+    throw new Error(`withdrawal pubkey must be 48 bytes long`)
+  }
+  const hash = sha256(Buffer.from(trim0x(withdrawalPubkey), 'hex'))
+  return BLS_WITHDRAWAL_PREFIX + hash.slice(1).toString('hex')
+}
+
+// Returns `{ credentials, type, address }`, `type` being the prefix byte and `address` the checksummed
+// execution address of 0x01 credentials, null for other types
+function decodeWithdrawalCredentials(credentials) {
+  if (!isHex(credentials, 32)) {
+    throw new Error(`withdrawal credentials must be 32 bytes long, got ${credentials}`)
+  }
+  const hex = trim0x(credentials).toLowerCase()
+  const type = '0x' + hex.slice(0, 2)
+  return {
+    credentials: '0x' + hex,
+    type,
+    address: type === ETH1_ADDRESS_WITHDRAWAL_PREFIX ? toChecksumAddress('0x' + hex.slice(24)) : null
+  }
+}
+
+// Returns the reasons the credentials can't be withdrawn to, an empty list if there are none
+function validateWithdrawalCredentials(credentials) {
+  if (!isHex(credentials, 32)) {
+    return [`withdrawal credentials must be 32 bytes long`]
+  }
+  const hex = trim0x(credentials)
+  const { type } = decodeWithdrawalCredentials(credentials)
+  if (type === BLS_WITHDRAWAL_PREFIX) {
+    return isZero(hex.slice(2)) ? [`BLS withdrawal key hash is zero`] : []
+  }
+  if (type === ETH1_ADDRESS_WITHDRAWAL_PREFIX) {
+    const errors = []
+    if (!isZero(hex.slice(2, 24))) {
+      errors.push(`bytes 1 to 11 of 0x01 withdrawal credentials must be zero`)
+    }
+    if (isZero(hex.slice(24))) {
+      errors.push(`withdrawal address is zero`)
+    }
+    return errors
+  }
+  return [`unknown withdrawal credentials type ${type}`]
+}
+
+function compareWithdrawalCredentials(current, next) {
+  const from = decodeWithdrawalCredentials(current)
+  const to = decodeWithdrawalCredentials(next)
+  return {
+    from,
+    to,
+    changed: from.credentials !== to.credentials,
+    typeChanged: from.type !== to.type,
+    addressChanged: from.address !== to.address
+  }
+}
+
+// Signing keys NodeOperatorsRegistry.trimUnusedKeys would remove, `operators` are in the `listOperators`
+// format, ids are their indexes in the list
+function getUnusedSigningKeys(operators) {
+  const withUnusedKeys = operators
+    .map((op, id) => ({ id, name: op.name, unusedSigningKeys: op.totalSigningKeys - op.usedSigningKeys }))
+    .filter((op) => op.unusedSigningKeys > 0)
+  return {
+    total: withUnusedKeys.reduce((sum, op) => sum + op.unusedSigningKeys, 0),
+    operators: withUnusedKeys
+  }
+}
+
+function isHex(value, length) {
+  return typeof value === 'string' && new RegExp(`^(0x)?[0-9a-fA-F]{${length * 2}}$`).test(value)
+}
+
+function isZero(hex) {
+  return /^0*$/.test(hex)
+}
+
+module.exports = {
+  BLS_WITHDRAWAL_PREFIX,
+  ETH1_ADDRESS_WITHDRAWAL_PREFIX,
+  deriveWithdrawalCredentials,
+  deriveBlsWithdrawalCredentials,
+  decodeWithdrawalCredentials,
+  validateWithdrawalCredentials,
+  compareWithdrawalCredentials,
+  getUnusedSigningKeys
+}
@@ -0,0 +1,167 @@
+const Web3 = require('web3')
+const { ecsign } = require('ethereumjs-util')
+
+const { getContract } = require('./abi')
+const { getSenderAddr, trim0x } = require('./utils')
+const { sendTx, skippedDryRun } = require('./revert-reasons')
+
+const WstETH = getContract('WstETH')
+const StETH = getContract('StETH')
+
+const PERMIT_DOMAIN_VERSION = '1'
+
+const PERMIT_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+const PERMIT_TYPEHASH = Web3.utils.keccak256('Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)')
+
+const abiCoder = new Web3().eth.abi
+
+async function getWstETH(web3, address) {
+  WstETH.setProvider(web3.currentProvider)
+  return await WstETH.at(address)
+}
+
+async function getWrappedStETH(wsteth) {
+  StETH.setProvider(wsteth.contract.currentProvider)
+  return await StETH.at(await wsteth.stETH())
+}
+
+async function wrap(wsteth, stETHAmount, { log, ...txOpts } = {}) {
+  const amount = Web3.utils.toBN(stETHAmount)
+  if (amount.isZero()) {
+    throw new Error(`the amount of stETH to wrap must be non-zero`)
+  }
+
+  const fromAddr = await getSenderAddr(wsteth, txOpts)
+  const steth = await getWrappedStETH(wsteth)
+
+  const balance = await steth.balanceOf(fromAddr)
+  if (balance.lt(amount)) {
+    throw new Error(`insufficient stETH balance: ${balance} < ${amount}`)
+  }
+
+  let approveResult = null
+  const allowance = await steth.allowance(fromAddr, wsteth.address)
+  if (allowance.lt(amount)) {
+    log && log(`approving ${amount} stETH to ${wsteth.address}...`)
+    approveResult = await sendTx(steth, 'approve', [wsteth.address, amount], { ...txOpts, from: fromAddr })
+    if (txOpts.dryRun) {
+      return { approveResult, wrapResult: skippedDryRun(`wrapping needs the approval to be mined first`) }
+    }
+    log && log(`done, tx: ${approveResult.tx}`)
+  }
+
+  const wrapResult = await sendTx(wsteth, 'wrap', [amount], { ...txOpts, from: fromAddr })
+  return { approveResult, wrapResult }
+}
+
+async function unwrap(wsteth, wstETHAmount, txOpts = {}) {
+  const amount = Web3.utils.toBN(wstETHAmount)
+  if (amount.isZero()) {
+    throw new Error(`the amount of wstETH to unwrap must be non-zero`)
+  }
+
+  const fromAddr = await getSenderAddr(wsteth, txOpts)
+  const balance = await wsteth.balanceOf(fromAddr)
+  if (balance.lt(amount)) {
+    throw new Error(`insufficient wstETH balance: ${balance} < ${amount}`)
+  }
+
+  return await sendTx(wsteth, 'unwrap', [amount], { ...txOpts, from: fromAddr })
+}
+
+async function previewWrap(wsteth, stETHAmount) {
+  return await wsteth.getWstETHByStETH(stETHAmount)
+}
+
+async function previewUnwrap(wsteth, wstETHAmount) {
+  return await wsteth.getStETHByWstETH(wstETHAmount)
+}
+
+// typed data for `eth_signTypedData_v4`, `nonce` is read from the contract when omitted
+async function getPermitTypedData(wsteth, { owner, spender, value, deadline, nonce }) {
+  const web3 = new Web3(wsteth.contract.currentProvider)
+  const [name, chainId, currentNonce] = await Promise.all([wsteth.name(), web3.eth.getChainId(), wsteth.nonces(owner)])
+  return {
+    types: PERMIT_TYPES,
+    primaryType: 'Permit',
+    domain: { name, version: PERMIT_DOMAIN_VERSION, chainId, verifyingContract: wsteth.address },
+    message: {
+      owner,
+      spender,
+      value: String(value),
+      nonce: String(nonce === undefined ? currentNonce : nonce),
+      deadline: String(deadline)
+    }
+  }
+}
+
+function makeDomainSeparator(name, version, chainId, verifyingContract) {
+  return Web3.utils.keccak256(
+    abiCoder.encodeParameters(
+      ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+      [
+        Web3.utils.keccak256('EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'),
+        Web3.utils.keccak256(name),
+        Web3.utils.keccak256(version),
+        chainId,
+        verifyingContract
+      ]
+    )
+  )
+}
+
+function getPermitDigest({ owner, spender, value, nonce, deadline }, domainSeparator) {
+  const structHash = Web3.utils.keccak256(
+    abiCoder.encodeParameters(
+      ['bytes32', 'address', 'address', 'uint256', 'uint256', 'uint256'],
+      [PERMIT_TYPEHASH, owner, spender, String(value), String(nonce), String(deadline)]
+    )
+  )
+  return Web3.utils.keccak256('0x1901' + trim0x(domainSeparator) + trim0x(structHash))
+}
+
+function signPermitDigest(digest, privateKey) {
+  const { v, r, s } = ecsign(Buffer.from(trim0x(digest), 'hex'), Buffer.from(trim0x(privateKey), 'hex'))
+  return { v, r: '0x' + r.toString('hex'), s: '0x' + s.toString('hex') }
+}
+
+function signPermit(typedData, privateKey) {
+  const { domain, message } = typedData
+  const domainSeparator = makeDomainSeparator(domain.name, domain.version, domain.chainId, domain.verifyingContract)
+  return signPermitDigest(getPermitDigest(message, domainSeparator), privateKey)
+}
+
+async function permit(wsteth, typedData, { v, r, s }, txOpts = {}) {
+  const { owner, spender, value, deadline } = typedData.message
+  return await sendTx(wsteth, 'permit', [owner, spender, value, deadline, v, r, s], txOpts)
+}
+
+module.exports = {
+  PERMIT_TYPEHASH,
+  WstETH,
+  getWstETH,
+  wrap,
+  unwrap,
+  previewWrap,
+  previewUnwrap,
+  getPermitTypedData,
+  makeDomainSeparator,
+  getPermitDigest,
+  signPermit,
+  permit
+}
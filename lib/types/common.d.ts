@@ -0,0 +1,49 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+
+export type NumberLike = number | string | BN
+
+export interface TransactionDetails {
+  from?: string
+  gas?: NumberLike
+  gasPrice?: NumberLike
+  value?: NumberLike
+  nonce?: number
+}
+
+export interface TransactionLog {
+  address: string
+  event: string
+  args: any
+  logIndex: number
+  transactionHash: string
+  blockNumber: number
+}
+
+export interface TransactionResult {
+  tx: string
+  receipt: any
+  logs: TransactionLog[]
+}
+
+export interface ContractMethod<Args extends any[], Result, CallResult = Result> {
+  (...args: Args): Promise<Result>
+  (...args: [...Args, TransactionDetails]): Promise<Result>
+  call(...args: Args): Promise<CallResult>
+  call(...args: [...Args, TransactionDetails]): Promise<CallResult>
+  estimateGas(...args: Args): Promise<number>
+  estimateGas(...args: [...Args, TransactionDetails]): Promise<number>
+  sendTransaction(...args: [...Args, TransactionDetails]): Promise<TransactionResult>
+}
+
+export interface ContractInstance {
+  address: string
+  contract: any
+  getPastEvents(event: string, options?: { fromBlock?: number | string; toBlock?: number | string; filter?: object }): Promise<any[]>
+}
+
+export interface TruffleContract<Instance> {
+  setProvider(provider: any): void
+  at(address: string): Promise<Instance>
+}
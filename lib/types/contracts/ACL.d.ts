@@ -0,0 +1,41 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type ACLEvent = 'SetPermission' | 'SetPermissionParams' | 'ChangePermissionManager' | 'ScriptResult' | 'RecoverToVault'
+
+export interface ACLInstance extends ContractInstance {
+  hasInitialized: ContractMethod<[], boolean>
+  NO_PERMISSION: ContractMethod<[], string>
+  getEVMScriptExecutor: ContractMethod<[_script: string], string>
+  getRecoveryVault: ContractMethod<[], string>
+  CREATE_PERMISSIONS_ROLE: ContractMethod<[], string>
+  allowRecoverability: ContractMethod<[token: string], boolean>
+  appId: ContractMethod<[], string>
+  getInitializationBlock: ContractMethod<[], BN>
+  transferToVault: ContractMethod<[_token: string], TransactionResult, void>
+  canPerform: ContractMethod<[_sender: string, _role: string, _params: NumberLike[]], boolean>
+  getEVMScriptRegistry: ContractMethod<[], string>
+  ANY_ENTITY: ContractMethod<[], string>
+  EMPTY_PARAM_HASH: ContractMethod<[], string>
+  kernel: ContractMethod<[], string>
+  isPetrified: ContractMethod<[], boolean>
+  BURN_ENTITY: ContractMethod<[], string>
+  initialize: ContractMethod<[_permissionsCreator: string], TransactionResult, void>
+  createPermission: ContractMethod<[_entity: string, _app: string, _role: string, _manager: string], TransactionResult, void>
+  grantPermission: ContractMethod<[_entity: string, _app: string, _role: string], TransactionResult, void>
+  grantPermissionP: ContractMethod<[_entity: string, _app: string, _role: string, _params: NumberLike[]], TransactionResult, void>
+  revokePermission: ContractMethod<[_entity: string, _app: string, _role: string], TransactionResult, void>
+  setPermissionManager: ContractMethod<[_newManager: string, _app: string, _role: string], TransactionResult, void>
+  removePermissionManager: ContractMethod<[_app: string, _role: string], TransactionResult, void>
+  createBurnedPermission: ContractMethod<[_app: string, _role: string], TransactionResult, void>
+  burnPermissionManager: ContractMethod<[_app: string, _role: string], TransactionResult, void>
+  getPermissionParamsLength: ContractMethod<[_entity: string, _app: string, _role: string], BN>
+  getPermissionParam: ContractMethod<[_entity: string, _app: string, _role: string, _index: NumberLike], { 0: BN; 1: BN; 2: BN }>
+  getPermissionManager: ContractMethod<[_app: string, _role: string], string>
+  hasPermission: ContractMethod<[_who: string, _where: string, _what: string], boolean> & ContractMethod<[_who: string, _where: string, _what: string, _how: NumberLike[]], boolean> & ContractMethod<[_who: string, _where: string, _what: string, _how: string], boolean>
+  evalParams: ContractMethod<[_paramsHash: string, _who: string, _where: string, _what: string, _how: NumberLike[]], boolean>
+}
+
+export type ACLContract = TruffleContract<ACLInstance>
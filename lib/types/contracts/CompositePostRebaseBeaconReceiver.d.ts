@@ -0,0 +1,22 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type CompositePostRebaseBeaconReceiverEvent = 'CallbackAdded' | 'CallbackRemoved'
+
+export interface CompositePostRebaseBeaconReceiverInstance extends ContractInstance {
+  MAX_CALLBACKS_COUNT: ContractMethod<[], BN>
+  ORACLE: ContractMethod<[], string>
+  REQUIRED_INTERFACE: ContractMethod<[], string>
+  VOTING: ContractMethod<[], string>
+  addCallback: ContractMethod<[_callback: string], TransactionResult, void>
+  callbacks: ContractMethod<[arg0: NumberLike], string>
+  callbacksLength: ContractMethod<[], BN>
+  insertCallback: ContractMethod<[_callback: string, _atIndex: NumberLike], TransactionResult, void>
+  processLidoOracleReport: ContractMethod<[_postTotalPooledEther: NumberLike, _preTotalPooledEther: NumberLike, _timeElapsed: NumberLike], TransactionResult, void>
+  removeCallback: ContractMethod<[_atIndex: NumberLike], TransactionResult, void>
+  supportsInterface: ContractMethod<[_interfaceId: string], boolean>
+}
+
+export type CompositePostRebaseBeaconReceiverContract = TruffleContract<CompositePostRebaseBeaconReceiverInstance>
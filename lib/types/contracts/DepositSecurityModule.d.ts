@@ -0,0 +1,40 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type DepositSecurityModuleEvent = 'DepositsPaused' | 'DepositsUnpaused' | 'GuardianAdded' | 'GuardianQuorumChanged' | 'GuardianRemoved' | 'MaxDepositsChanged' | 'MinDepositBlockDistanceChanged' | 'NodeOperatorsRegistryChanged' | 'OwnerChanged' | 'PauseIntentValidityPeriodBlocksChanged'
+
+export interface DepositSecurityModuleInstance extends ContractInstance {
+  ATTEST_MESSAGE_PREFIX: ContractMethod<[], string>
+  DEPOSIT_CONTRACT: ContractMethod<[], string>
+  LIDO: ContractMethod<[], string>
+  PAUSE_MESSAGE_PREFIX: ContractMethod<[], string>
+  addGuardian: ContractMethod<[addr: string, newQuorum: NumberLike], TransactionResult, void>
+  addGuardians: ContractMethod<[addresses: string[], newQuorum: NumberLike], TransactionResult, void>
+  canDeposit: ContractMethod<[], boolean>
+  depositBufferedEther: ContractMethod<[depositRoot: string, keysOpIndex: NumberLike, blockNumber: NumberLike, blockHash: string, sortedGuardianSignatures: ({ r: string; vs: string } | [string, string])[]], TransactionResult, void>
+  getGuardianIndex: ContractMethod<[addr: string], BN>
+  getGuardianQuorum: ContractMethod<[], BN>
+  getGuardians: ContractMethod<[], string[]>
+  getLastDepositBlock: ContractMethod<[], BN>
+  getMaxDeposits: ContractMethod<[], BN>
+  getMinDepositBlockDistance: ContractMethod<[], BN>
+  getNodeOperatorsRegistry: ContractMethod<[], string>
+  getOwner: ContractMethod<[], string>
+  getPauseIntentValidityPeriodBlocks: ContractMethod<[], BN>
+  isGuardian: ContractMethod<[addr: string], boolean>
+  isPaused: ContractMethod<[], boolean>
+  pauseDeposits: ContractMethod<[blockNumber: NumberLike, sig: { r: string; vs: string } | [string, string]], TransactionResult, void>
+  removeGuardian: ContractMethod<[addr: string, newQuorum: NumberLike], TransactionResult, void>
+  setGuardianQuorum: ContractMethod<[newValue: NumberLike], TransactionResult, void>
+  setLastDepositBlock: ContractMethod<[newLastDepositBlock: NumberLike], TransactionResult, void>
+  setMaxDeposits: ContractMethod<[newValue: NumberLike], TransactionResult, void>
+  setMinDepositBlockDistance: ContractMethod<[newValue: NumberLike], TransactionResult, void>
+  setNodeOperatorsRegistry: ContractMethod<[newValue: string], TransactionResult, void>
+  setOwner: ContractMethod<[newValue: string], TransactionResult, void>
+  setPauseIntentValidityPeriodBlocks: ContractMethod<[newValue: NumberLike], TransactionResult, void>
+  unpauseDeposits: ContractMethod<[], TransactionResult, void>
+}
+
+export type DepositSecurityModuleContract = TruffleContract<DepositSecurityModuleInstance>
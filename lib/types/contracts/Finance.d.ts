@@ -0,0 +1,53 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type FinanceEvent = 'NewPeriod' | 'SetBudget' | 'NewPayment' | 'NewTransaction' | 'ChangePaymentState' | 'ChangePeriodDuration' | 'PaymentFailure' | 'ScriptResult' | 'RecoverToVault'
+
+export interface FinanceInstance extends ContractInstance {
+  hasInitialized: ContractMethod<[], boolean>
+  CREATE_PAYMENTS_ROLE: ContractMethod<[], string>
+  newScheduledPayment: ContractMethod<[_token: string, _receiver: string, _amount: NumberLike, _initialPaymentTime: NumberLike, _interval: NumberLike, _maxExecutions: NumberLike, _reference: string], TransactionResult, BN>
+  executePayment: ContractMethod<[_paymentId: NumberLike], TransactionResult, void>
+  initialize: ContractMethod<[_vault: string, _periodDuration: NumberLike], TransactionResult, void>
+  removeBudget: ContractMethod<[_token: string], TransactionResult, void>
+  getBudget: ContractMethod<[_token: string], { budget: BN; 0: BN; hasBudget: boolean; 1: boolean }>
+  getEVMScriptExecutor: ContractMethod<[_script: string], string>
+  setPaymentStatus: ContractMethod<[_paymentId: NumberLike, _active: boolean], TransactionResult, void>
+  getPayment: ContractMethod<[_paymentId: NumberLike], { token: string; 0: string; receiver: string; 1: string; amount: BN; 2: BN; initialPaymentTime: BN; 3: BN; interval: BN; 4: BN; maxExecutions: BN; 5: BN; inactive: boolean; 6: boolean; executions: BN; 7: BN; createdBy: string; 8: string }>
+  getRecoveryVault: ContractMethod<[], string>
+  getTransaction: ContractMethod<[_transactionId: NumberLike], { periodId: BN; 0: BN; amount: BN; 1: BN; paymentId: BN; 2: BN; paymentExecutionNumber: BN; 3: BN; token: string; 4: string; entity: string; 5: string; isIncoming: boolean; 6: boolean; date: BN; 7: BN }>
+  CHANGE_PERIOD_ROLE: ContractMethod<[], string>
+  CHANGE_BUDGETS_ROLE: ContractMethod<[], string>
+  receiverExecutePayment: ContractMethod<[_paymentId: NumberLike], TransactionResult, void>
+  getPeriod: ContractMethod<[_periodId: NumberLike], { isCurrent: boolean; 0: boolean; startTime: BN; 1: BN; endTime: BN; 2: BN; firstTransactionId: BN; 3: BN; lastTransactionId: BN; 4: BN }>
+  setPeriodDuration: ContractMethod<[_periodDuration: NumberLike], TransactionResult, void>
+  periodsLength: ContractMethod<[], BN>
+  setBudget: ContractMethod<[_token: string, _amount: NumberLike], TransactionResult, void>
+  allowRecoverability: ContractMethod<[arg0: string], boolean>
+  appId: ContractMethod<[], string>
+  getInitializationBlock: ContractMethod<[], BN>
+  recoverToVault: ContractMethod<[_token: string], TransactionResult, void>
+  EXECUTE_PAYMENTS_ROLE: ContractMethod<[], string>
+  currentPeriodId: ContractMethod<[], BN>
+  transferToVault: ContractMethod<[_token: string], TransactionResult, void>
+  canPerform: ContractMethod<[_sender: string, _role: string, _params: NumberLike[]], boolean>
+  getEVMScriptRegistry: ContractMethod<[], string>
+  tryTransitionAccountingPeriod: ContractMethod<[_maxTransitions: NumberLike], TransactionResult, boolean>
+  getPeriodDuration: ContractMethod<[], BN>
+  deposit: ContractMethod<[_token: string, _amount: NumberLike, _reference: string], TransactionResult, void>
+  nextPaymentTime: ContractMethod<[_paymentId: NumberLike], BN>
+  getPeriodTokenStatement: ContractMethod<[_periodId: NumberLike, _token: string], { expenses: BN; 0: BN; income: BN; 1: BN }>
+  kernel: ContractMethod<[], string>
+  paymentsNextIndex: ContractMethod<[], BN>
+  isPetrified: ContractMethod<[], boolean>
+  canMakePayment: ContractMethod<[_token: string, _amount: NumberLike], boolean>
+  MANAGE_PAYMENTS_ROLE: ContractMethod<[], string>
+  transactionsNextIndex: ContractMethod<[], BN>
+  getRemainingBudget: ContractMethod<[_token: string], BN>
+  newImmediatePayment: ContractMethod<[_token: string, _receiver: string, _amount: NumberLike, _reference: string], TransactionResult, void>
+  vault: ContractMethod<[], string>
+}
+
+export type FinanceContract = TruffleContract<FinanceInstance>
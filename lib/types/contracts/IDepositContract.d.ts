@@ -0,0 +1,11 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type IDepositContractEvent = never
+
+export interface IDepositContractInstance extends ContractInstance {
+  get_deposit_root: ContractMethod<[], string>
+}
+
+export type IDepositContractContract = TruffleContract<IDepositContractInstance>
@@ -0,0 +1,11 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type IERC721Event = never
+
+export interface IERC721Instance extends ContractInstance {
+  transferFrom: ContractMethod<[_from: string, _to: string, _tokenId: NumberLike], TransactionResult, void>
+}
+
+export type IERC721Contract = TruffleContract<IERC721Instance>
@@ -0,0 +1,20 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type IETHRegistrarControllerEvent = never
+
+export interface IETHRegistrarControllerInstance extends ContractInstance {
+  rentPrice: ContractMethod<[name: string, duration: NumberLike], BN>
+  register: ContractMethod<[name: string, owner: string, duration: NumberLike, secret: string], TransactionResult, void>
+  MIN_REGISTRATION_DURATION: ContractMethod<[], BN>
+  minCommitmentAge: ContractMethod<[], BN>
+  valid: ContractMethod<[name: string], boolean>
+  available: ContractMethod<[name: string], boolean>
+  maxCommitmentAge: ContractMethod<[], BN>
+  commit: ContractMethod<[commitment: string], TransactionResult, void>
+  makeCommitment: ContractMethod<[name: string, owner: string, secret: string], string>
+}
+
+export type IETHRegistrarControllerContract = TruffleContract<IETHRegistrarControllerInstance>
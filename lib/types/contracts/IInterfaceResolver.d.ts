@@ -0,0 +1,11 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type IInterfaceResolverEvent = never
+
+export interface IInterfaceResolverInstance extends ContractInstance {
+  interfaceImplementer: ContractMethod<[node: string, interfaceID: string], string>
+}
+
+export type IInterfaceResolverContract = TruffleContract<IInterfaceResolverInstance>
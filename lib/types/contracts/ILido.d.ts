@@ -0,0 +1,17 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type ILidoEvent = never
+
+export interface ILidoInstance extends ContractInstance {
+  burnShares: ContractMethod<[_account: string, _sharesAmount: NumberLike], TransactionResult, BN>
+  getOracle: ContractMethod<[], string>
+  getPooledEthByShares: ContractMethod<[_sharesAmount: NumberLike], BN>
+  getSharesByPooledEth: ContractMethod<[_pooledEthAmount: NumberLike], BN>
+  getTotalShares: ContractMethod<[], BN>
+  sharesOf: ContractMethod<[_account: string], BN>
+}
+
+export type ILidoContract = TruffleContract<ILidoInstance>
@@ -0,0 +1,12 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type INodeOperatorsRegistryEvent = never
+
+export interface INodeOperatorsRegistryInstance extends ContractInstance {
+  getKeysOpIndex: ContractMethod<[], BN>
+}
+
+export type INodeOperatorsRegistryContract = TruffleContract<INodeOperatorsRegistryInstance>
@@ -0,0 +1,11 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type IOracleEvent = never
+
+export interface IOracleInstance extends ContractInstance {
+  getBeaconReportReceiver: ContractMethod<[], string>
+}
+
+export type IOracleContract = TruffleContract<IOracleInstance>
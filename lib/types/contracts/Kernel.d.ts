@@ -0,0 +1,35 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type KernelEvent = 'NewAppProxy' | 'RecoverToVault' | 'SetApp'
+
+export interface KernelInstance extends ContractInstance {
+  hasInitialized: ContractMethod<[], boolean>
+  apps: ContractMethod<[arg0: string, arg1: string], string>
+  allowRecoverability: ContractMethod<[token: string], boolean>
+  recoveryVaultAppId: ContractMethod<[], string>
+  getInitializationBlock: ContractMethod<[], BN>
+  APP_MANAGER_ROLE: ContractMethod<[], string>
+  transferToVault: ContractMethod<[_token: string], TransactionResult, void>
+  newAppProxyPinned: ContractMethod<[_kernel: string, _appId: string, _initializePayload: string], TransactionResult, string> & ContractMethod<[_kernel: string, _appId: string], TransactionResult, string>
+  isPetrified: ContractMethod<[], boolean>
+  newAppProxy: ContractMethod<[_kernel: string, _appId: string], TransactionResult, string> & ContractMethod<[_kernel: string, _appId: string, _initializePayload: string], TransactionResult, string>
+  initialize: ContractMethod<[_baseAcl: string, _permissionsCreator: string], TransactionResult, void>
+  newAppInstance: ContractMethod<[_appId: string, _appBase: string, _initializePayload: string, _setDefault: boolean], TransactionResult, string> & ContractMethod<[_appId: string, _appBase: string], TransactionResult, string>
+  newPinnedAppInstance: ContractMethod<[_appId: string, _appBase: string], TransactionResult, string> & ContractMethod<[_appId: string, _appBase: string, _initializePayload: string, _setDefault: boolean], TransactionResult, string>
+  setApp: ContractMethod<[_namespace: string, _appId: string, _app: string], TransactionResult, void>
+  setRecoveryVaultAppId: ContractMethod<[_recoveryVaultAppId: string], TransactionResult, void>
+  CORE_NAMESPACE: ContractMethod<[], string>
+  APP_BASES_NAMESPACE: ContractMethod<[], string>
+  APP_ADDR_NAMESPACE: ContractMethod<[], string>
+  KERNEL_APP_ID: ContractMethod<[], string>
+  DEFAULT_ACL_APP_ID: ContractMethod<[], string>
+  getApp: ContractMethod<[_namespace: string, _appId: string], string>
+  getRecoveryVault: ContractMethod<[], string>
+  acl: ContractMethod<[], string>
+  hasPermission: ContractMethod<[_who: string, _where: string, _what: string, _how: string], boolean>
+}
+
+export type KernelContract = TruffleContract<KernelInstance>
@@ -0,0 +1,89 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type LidoEvent = 'ScriptResult' | 'RecoverToVault' | 'TransferShares' | 'SharesBurnt' | 'Stopped' | 'Resumed' | 'Transfer' | 'Approval' | 'StakingPaused' | 'StakingResumed' | 'StakingLimitSet' | 'StakingLimitRemoved' | 'ProtocolContactsSet' | 'FeeSet' | 'FeeDistributionSet' | 'ELRewardsReceived' | 'ELRewardsWithdrawalLimitSet' | 'WithdrawalCredentialsSet' | 'ELRewardsVaultSet' | 'Submitted' | 'Unbuffered' | 'Withdrawal'
+
+export interface LidoInstance extends ContractInstance {
+  resume: ContractMethod<[], TransactionResult, void>
+  name: ContractMethod<[], string>
+  stop: ContractMethod<[], TransactionResult, void>
+  hasInitialized: ContractMethod<[], boolean>
+  approve: ContractMethod<[_spender: string, _amount: NumberLike], TransactionResult, boolean>
+  STAKING_CONTROL_ROLE: ContractMethod<[], string>
+  initialize: ContractMethod<[_depositContract: string, _oracle: string, _operators: string, _treasury: string, _insuranceFund: string], TransactionResult, void>
+  getInsuranceFund: ContractMethod<[], string>
+  totalSupply: ContractMethod<[], BN>
+  getSharesByPooledEth: ContractMethod<[_ethAmount: NumberLike], BN>
+  isStakingPaused: ContractMethod<[], boolean>
+  transferFrom: ContractMethod<[_sender: string, _recipient: string, _amount: NumberLike], TransactionResult, boolean>
+  getOperators: ContractMethod<[], string>
+  getEVMScriptExecutor: ContractMethod<[_script: string], string>
+  setStakingLimit: ContractMethod<[_maxStakeLimit: NumberLike, _stakeLimitIncreasePerBlock: NumberLike], TransactionResult, void>
+  RESUME_ROLE: ContractMethod<[], string>
+  decimals: ContractMethod<[], BN>
+  getRecoveryVault: ContractMethod<[], string>
+  DEPOSIT_ROLE: ContractMethod<[], string>
+  DEPOSIT_SIZE: ContractMethod<[], BN>
+  getTotalPooledEther: ContractMethod<[], BN>
+  PAUSE_ROLE: ContractMethod<[], string>
+  increaseAllowance: ContractMethod<[_spender: string, _addedValue: NumberLike], TransactionResult, boolean>
+  getTreasury: ContractMethod<[], string>
+  isStopped: ContractMethod<[], boolean>
+  MANAGE_WITHDRAWAL_KEY: ContractMethod<[], string>
+  getBufferedEther: ContractMethod<[], BN>
+  receiveELRewards: ContractMethod<[], TransactionResult, void>
+  getELRewardsWithdrawalLimit: ContractMethod<[], BN>
+  SIGNATURE_LENGTH: ContractMethod<[], BN>
+  getWithdrawalCredentials: ContractMethod<[], string>
+  getCurrentStakeLimit: ContractMethod<[], BN>
+  setELRewardsWithdrawalLimit: ContractMethod<[_limitPoints: NumberLike], TransactionResult, void>
+  handleOracleReport: ContractMethod<[_beaconValidators: NumberLike, _beaconBalance: NumberLike], TransactionResult, void>
+  getStakeLimitFullInfo: ContractMethod<[], { isStakingPaused: boolean; 0: boolean; isStakingLimitSet: boolean; 1: boolean; currentStakeLimit: BN; 2: BN; maxStakeLimit: BN; 3: BN; maxStakeLimitGrowthBlocks: BN; 4: BN; prevStakeLimit: BN; 5: BN; prevStakeBlockNumber: BN; 6: BN }>
+  SET_EL_REWARDS_WITHDRAWAL_LIMIT_ROLE: ContractMethod<[], string>
+  getELRewardsVault: ContractMethod<[], string>
+  balanceOf: ContractMethod<[_account: string], BN>
+  resumeStaking: ContractMethod<[], TransactionResult, void>
+  getFeeDistribution: ContractMethod<[], { treasuryFeeBasisPoints: BN; 0: BN; insuranceFeeBasisPoints: BN; 1: BN; operatorsFeeBasisPoints: BN; 2: BN }>
+  getPooledEthByShares: ContractMethod<[_sharesAmount: NumberLike], BN>
+  setELRewardsVault: ContractMethod<[_executionLayerRewardsVault: string], TransactionResult, void>
+  allowRecoverability: ContractMethod<[token: string], boolean>
+  MANAGE_PROTOCOL_CONTRACTS_ROLE: ContractMethod<[], string>
+  appId: ContractMethod<[], string>
+  getOracle: ContractMethod<[], string>
+  getInitializationBlock: ContractMethod<[], BN>
+  setFeeDistribution: ContractMethod<[_treasuryFeeBasisPoints: NumberLike, _insuranceFeeBasisPoints: NumberLike, _operatorsFeeBasisPoints: NumberLike], TransactionResult, void>
+  setFee: ContractMethod<[_feeBasisPoints: NumberLike], TransactionResult, void>
+  transferShares: ContractMethod<[_recipient: string, _sharesAmount: NumberLike], TransactionResult, BN>
+  depositBufferedEther: ContractMethod<[_maxDeposits: NumberLike], TransactionResult, void> & ContractMethod<[], TransactionResult, void>
+  symbol: ContractMethod<[], string>
+  MANAGE_FEE: ContractMethod<[], string>
+  transferToVault: ContractMethod<[_token: string], TransactionResult, void>
+  canPerform: ContractMethod<[_sender: string, _role: string, _params: NumberLike[]], boolean>
+  submit: ContractMethod<[_referral: string], TransactionResult, BN>
+  WITHDRAWAL_CREDENTIALS_LENGTH: ContractMethod<[], BN>
+  decreaseAllowance: ContractMethod<[_spender: string, _subtractedValue: NumberLike], TransactionResult, boolean>
+  getEVMScriptRegistry: ContractMethod<[], string>
+  PUBKEY_LENGTH: ContractMethod<[], BN>
+  SET_EL_REWARDS_VAULT_ROLE: ContractMethod<[], string>
+  transfer: ContractMethod<[_recipient: string, _amount: NumberLike], TransactionResult, boolean>
+  getDepositContract: ContractMethod<[], string>
+  getBeaconStat: ContractMethod<[], { depositedValidators: BN; 0: BN; beaconValidators: BN; 1: BN; beaconBalance: BN; 2: BN }>
+  removeStakingLimit: ContractMethod<[], TransactionResult, void>
+  BURN_ROLE: ContractMethod<[], string>
+  getFee: ContractMethod<[], BN>
+  kernel: ContractMethod<[], string>
+  getTotalShares: ContractMethod<[], BN>
+  allowance: ContractMethod<[_owner: string, _spender: string], BN>
+  isPetrified: ContractMethod<[], boolean>
+  setProtocolContracts: ContractMethod<[_oracle: string, _treasury: string, _insuranceFund: string], TransactionResult, void>
+  setWithdrawalCredentials: ContractMethod<[_withdrawalCredentials: string], TransactionResult, void>
+  STAKING_PAUSE_ROLE: ContractMethod<[], string>
+  burnShares: ContractMethod<[_account: string, _sharesAmount: NumberLike], TransactionResult, BN>
+  sharesOf: ContractMethod<[_account: string], BN>
+  pauseStaking: ContractMethod<[], TransactionResult, void>
+  getTotalELRewardsCollected: ContractMethod<[], BN>
+}
+
+export type LidoContract = TruffleContract<LidoInstance>
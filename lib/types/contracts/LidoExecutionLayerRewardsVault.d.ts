@@ -0,0 +1,16 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type LidoExecutionLayerRewardsVaultEvent = 'ERC20Recovered' | 'ERC721Recovered' | 'ETHReceived'
+
+export interface LidoExecutionLayerRewardsVaultInstance extends ContractInstance {
+  LIDO: ContractMethod<[], string>
+  TREASURY: ContractMethod<[], string>
+  recoverERC20: ContractMethod<[_token: string, _amount: NumberLike], TransactionResult, void>
+  recoverERC721: ContractMethod<[_token: string, _tokenId: NumberLike], TransactionResult, void>
+  withdrawRewards: ContractMethod<[_maxAmount: NumberLike], TransactionResult, BN>
+}
+
+export type LidoExecutionLayerRewardsVaultContract = TruffleContract<LidoExecutionLayerRewardsVaultInstance>
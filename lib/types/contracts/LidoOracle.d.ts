@@ -0,0 +1,54 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type LidoOracleEvent = 'ScriptResult' | 'RecoverToVault' | 'AllowedBeaconBalanceAnnualRelativeIncreaseSet' | 'AllowedBeaconBalanceRelativeDecreaseSet' | 'BeaconReportReceiverSet' | 'MemberAdded' | 'MemberRemoved' | 'QuorumChanged' | 'ExpectedEpochIdUpdated' | 'BeaconSpecSet' | 'BeaconReported' | 'Completed' | 'PostTotalShares' | 'ContractVersionSet'
+
+export interface LidoOracleInstance extends ContractInstance {
+  getCurrentOraclesReportStatus: ContractMethod<[], BN>
+  setAllowedBeaconBalanceAnnualRelativeIncrease: ContractMethod<[_value: NumberLike], TransactionResult, void>
+  hasInitialized: ContractMethod<[], boolean>
+  getVersion: ContractMethod<[], BN>
+  getEVMScriptExecutor: ContractMethod<[_script: string], string>
+  MANAGE_QUORUM: ContractMethod<[], string>
+  reportBeacon: ContractMethod<[_epochId: NumberLike, _beaconBalance: NumberLike, _beaconValidators: NumberLike], TransactionResult, void>
+  getRecoveryVault: ContractMethod<[], string>
+  getAllowedBeaconBalanceAnnualRelativeIncrease: ContractMethod<[], BN>
+  getAllowedBeaconBalanceRelativeDecrease: ContractMethod<[], BN>
+  getExpectedEpochId: ContractMethod<[], BN>
+  getLastCompletedReportDelta: ContractMethod<[], { postTotalPooledEther: BN; 0: BN; preTotalPooledEther: BN; 1: BN; timeElapsed: BN; 2: BN }>
+  initialize: ContractMethod<[_lido: string, _epochsPerFrame: NumberLike, _slotsPerEpoch: NumberLike, _secondsPerSlot: NumberLike, _genesisTime: NumberLike, _allowedBeaconBalanceAnnualRelativeIncrease: NumberLike, _allowedBeaconBalanceRelativeDecrease: NumberLike], TransactionResult, void>
+  getLido: ContractMethod<[], string>
+  SET_BEACON_REPORT_RECEIVER: ContractMethod<[], string>
+  finalizeUpgrade_v3: ContractMethod<[], TransactionResult, void>
+  MANAGE_MEMBERS: ContractMethod<[], string>
+  getCurrentFrame: ContractMethod<[], { frameEpochId: BN; 0: BN; frameStartTime: BN; 1: BN; frameEndTime: BN; 2: BN }>
+  allowRecoverability: ContractMethod<[token: string], boolean>
+  getCurrentReportVariant: ContractMethod<[_index: NumberLike], { beaconBalance: BN; 0: BN; beaconValidators: BN; 1: BN; count: BN; 2: BN }>
+  appId: ContractMethod<[], string>
+  getLastCompletedEpochId: ContractMethod<[], BN>
+  getInitializationBlock: ContractMethod<[], BN>
+  setBeaconReportReceiver: ContractMethod<[_addr: string], TransactionResult, void>
+  transferToVault: ContractMethod<[_token: string], TransactionResult, void>
+  SET_BEACON_SPEC: ContractMethod<[], string>
+  canPerform: ContractMethod<[_sender: string, _role: string, _params: NumberLike[]], boolean>
+  getCurrentEpochId: ContractMethod<[], BN>
+  getEVMScriptRegistry: ContractMethod<[], string>
+  addOracleMember: ContractMethod<[_member: string], TransactionResult, void>
+  getBeaconReportReceiver: ContractMethod<[], string>
+  SET_REPORT_BOUNDARIES: ContractMethod<[], string>
+  setQuorum: ContractMethod<[_quorum: NumberLike], TransactionResult, void>
+  getQuorum: ContractMethod<[], BN>
+  kernel: ContractMethod<[], string>
+  getOracleMembers: ContractMethod<[], string[]>
+  isPetrified: ContractMethod<[], boolean>
+  setAllowedBeaconBalanceRelativeDecrease: ContractMethod<[_value: NumberLike], TransactionResult, void>
+  getBeaconSpec: ContractMethod<[], { epochsPerFrame: BN; 0: BN; slotsPerEpoch: BN; 1: BN; secondsPerSlot: BN; 2: BN; genesisTime: BN; 3: BN }>
+  setBeaconSpec: ContractMethod<[_epochsPerFrame: NumberLike, _slotsPerEpoch: NumberLike, _secondsPerSlot: NumberLike, _genesisTime: NumberLike], TransactionResult, void>
+  MAX_MEMBERS: ContractMethod<[], BN>
+  getCurrentReportVariantsSize: ContractMethod<[], BN>
+  removeOracleMember: ContractMethod<[_member: string], TransactionResult, void>
+}
+
+export type LidoOracleContract = TruffleContract<LidoOracleInstance>
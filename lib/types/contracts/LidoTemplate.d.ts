@@ -0,0 +1,18 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type LidoTemplateEvent = 'TmplAPMDeployed' | 'TmplReposCreated' | 'TmplAppInstalled' | 'TmplDAOAndTokenDeployed' | 'TmplTokensIssued' | 'TmplDaoFinalized'
+
+export interface LidoTemplateInstance extends ContractInstance {
+  setOwner: ContractMethod<[_newOwner: string], TransactionResult, void>
+  finalizeDAO: ContractMethod<[_daoName: string, _totalFeeBP: NumberLike, _treasuryFeeBP: NumberLike, _insuranceFeeBP: NumberLike, _operatorsFeeBP: NumberLike, _unvestedTokensAmount: NumberLike], TransactionResult, void>
+  deployLidoAPM: ContractMethod<[_tld: string, _label: string], TransactionResult, void>
+  issueTokens: ContractMethod<[_holders: string[], _amounts: NumberLike[], _vestingStart: NumberLike, _vestingCliff: NumberLike, _vestingEnd: NumberLike, _vestingRevokable: boolean, _expectedFinalTotalSupply: NumberLike], TransactionResult, void>
+  cancelAndTransferDomain: ContractMethod<[node: string, _to: string], TransactionResult, void>
+  createRepos: ContractMethod<[_initialSemanticVersion: NumberLike[], _lidoImplAddress: string, _lidoContentURI: string, _nodeOperatorsRegistryImplAddress: string, _nodeOperatorsRegistryContentURI: string, _oracleImplAddress: string, _oracleContentURI: string], TransactionResult, void>
+  getConfig: ContractMethod<[], { _owner: string; 0: string; _daoFactory: string; 1: string; _ens: string; 2: string; _miniMeFactory: string; 3: string; _aragonID: string; 4: string; _apmRegistryFactory: string; 5: string }>
+  newDAO: ContractMethod<[_tokenName: string, _tokenSymbol: string, _votingSettings: NumberLike[], _beaconDepositContract: string, _beaconSpec: NumberLike[]], TransactionResult, void>
+}
+
+export type LidoTemplateContract = TruffleContract<LidoTemplateInstance>
@@ -0,0 +1,55 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type NodeOperatorsRegistryEvent = 'ScriptResult' | 'RecoverToVault' | 'NodeOperatorAdded' | 'NodeOperatorActiveSet' | 'NodeOperatorNameSet' | 'NodeOperatorRewardAddressSet' | 'NodeOperatorStakingLimitSet' | 'NodeOperatorTotalStoppedValidatorsReported' | 'NodeOperatorTotalKeysTrimmed' | 'SigningKeyAdded' | 'SigningKeyRemoved' | 'KeysOpIndexSet'
+
+export interface NodeOperatorsRegistryInstance extends ContractInstance {
+  hasInitialized: ContractMethod<[], boolean>
+  addSigningKeys: ContractMethod<[_operator_id: NumberLike, _quantity: NumberLike, _pubkeys: string, _signatures: string], TransactionResult, void>
+  getEVMScriptExecutor: ContractMethod<[_script: string], string>
+  getRecoveryVault: ContractMethod<[], string>
+  assignNextSigningKeys: ContractMethod<[_numKeys: NumberLike], TransactionResult, { pubkeys: string; 0: string; signatures: string; 1: string }>
+  SIGNATURE_LENGTH: ContractMethod<[], BN>
+  SET_NODE_OPERATOR_ADDRESS_ROLE: ContractMethod<[], string>
+  removeSigningKeysOperatorBH: ContractMethod<[_operator_id: NumberLike, _index: NumberLike, _amount: NumberLike], TransactionResult, void>
+  setNodeOperatorName: ContractMethod<[_id: NumberLike, _name: string], TransactionResult, void>
+  getRewardsDistribution: ContractMethod<[_totalRewardShares: NumberLike], { recipients: string[]; 0: string[]; shares: BN[]; 1: BN[] }>
+  setNodeOperatorActive: ContractMethod<[_id: NumberLike, _active: boolean], TransactionResult, void>
+  SET_NODE_OPERATOR_NAME_ROLE: ContractMethod<[], string>
+  removeSigningKey: ContractMethod<[_operator_id: NumberLike, _index: NumberLike], TransactionResult, void>
+  removeSigningKeys: ContractMethod<[_operator_id: NumberLike, _index: NumberLike, _amount: NumberLike], TransactionResult, void>
+  ADD_NODE_OPERATOR_ROLE: ContractMethod<[], string>
+  allowRecoverability: ContractMethod<[token: string], boolean>
+  addSigningKeysOperatorBH: ContractMethod<[_operator_id: NumberLike, _quantity: NumberLike, _pubkeys: string, _signatures: string], TransactionResult, void>
+  appId: ContractMethod<[], string>
+  getActiveNodeOperatorsCount: ContractMethod<[], BN>
+  addNodeOperator: ContractMethod<[_name: string, _rewardAddress: string], TransactionResult, BN>
+  getInitializationBlock: ContractMethod<[], BN>
+  getUnusedSigningKeyCount: ContractMethod<[_operator_id: NumberLike], BN>
+  setNodeOperatorRewardAddress: ContractMethod<[_id: NumberLike, _rewardAddress: string], TransactionResult, void>
+  getNodeOperator: ContractMethod<[_id: NumberLike, _fullInfo: boolean], { active: boolean; 0: boolean; name: string; 1: string; rewardAddress: string; 2: string; stakingLimit: BN; 3: BN; stoppedValidators: BN; 4: BN; totalSigningKeys: BN; 5: BN; usedSigningKeys: BN; 6: BN }>
+  transferToVault: ContractMethod<[_token: string], TransactionResult, void>
+  canPerform: ContractMethod<[_sender: string, _role: string, _params: NumberLike[]], boolean>
+  getEVMScriptRegistry: ContractMethod<[], string>
+  PUBKEY_LENGTH: ContractMethod<[], BN>
+  getNodeOperatorsCount: ContractMethod<[], BN>
+  setNodeOperatorStakingLimit: ContractMethod<[_id: NumberLike, _stakingLimit: NumberLike], TransactionResult, void>
+  getSigningKey: ContractMethod<[_operator_id: NumberLike, _index: NumberLike], { key: string; 0: string; depositSignature: string; 1: string; used: boolean; 2: boolean }>
+  reportStoppedValidators: ContractMethod<[_id: NumberLike, _stoppedIncrement: NumberLike], TransactionResult, void>
+  initialize: ContractMethod<[_lido: string], TransactionResult, void>
+  REPORT_STOPPED_VALIDATORS_ROLE: ContractMethod<[], string>
+  getKeysOpIndex: ContractMethod<[], BN>
+  kernel: ContractMethod<[], string>
+  SET_NODE_OPERATOR_ACTIVE_ROLE: ContractMethod<[], string>
+  SET_NODE_OPERATOR_LIMIT_ROLE: ContractMethod<[], string>
+  getTotalSigningKeyCount: ContractMethod<[_operator_id: NumberLike], BN>
+  isPetrified: ContractMethod<[], boolean>
+  MAX_NODE_OPERATORS_COUNT: ContractMethod<[], BN>
+  removeSigningKeyOperatorBH: ContractMethod<[_operator_id: NumberLike, _index: NumberLike], TransactionResult, void>
+  MANAGE_SIGNING_KEYS: ContractMethod<[], string>
+  trimUnusedKeys: ContractMethod<[], TransactionResult, void>
+}
+
+export type NodeOperatorsRegistryContract = TruffleContract<NodeOperatorsRegistryInstance>
@@ -0,0 +1,19 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type OrderedCallbacksArrayEvent = 'CallbackAdded' | 'CallbackRemoved'
+
+export interface OrderedCallbacksArrayInstance extends ContractInstance {
+  MAX_CALLBACKS_COUNT: ContractMethod<[], BN>
+  REQUIRED_INTERFACE: ContractMethod<[], string>
+  VOTING: ContractMethod<[], string>
+  addCallback: ContractMethod<[_callback: string], TransactionResult, void>
+  callbacks: ContractMethod<[arg0: NumberLike], string>
+  callbacksLength: ContractMethod<[], BN>
+  insertCallback: ContractMethod<[_callback: string, _atIndex: NumberLike], TransactionResult, void>
+  removeCallback: ContractMethod<[_atIndex: NumberLike], TransactionResult, void>
+}
+
+export type OrderedCallbacksArrayContract = TruffleContract<OrderedCallbacksArrayInstance>
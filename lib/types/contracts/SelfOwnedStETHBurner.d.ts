@@ -0,0 +1,26 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type SelfOwnedStETHBurnerEvent = 'BurnAmountPerRunQuotaChanged' | 'ERC20Recovered' | 'ERC721Recovered' | 'ExcessStETHRecovered' | 'StETHBurnRequested' | 'StETHBurnt'
+
+export interface SelfOwnedStETHBurnerInstance extends ContractInstance {
+  LIDO: ContractMethod<[], string>
+  TREASURY: ContractMethod<[], string>
+  VOTING: ContractMethod<[], string>
+  getBurnAmountPerRunQuota: ContractMethod<[], BN>
+  getCoverSharesBurnt: ContractMethod<[], BN>
+  getExcessStETH: ContractMethod<[], BN>
+  getNonCoverSharesBurnt: ContractMethod<[], BN>
+  processLidoOracleReport: ContractMethod<[arg0: NumberLike, arg1: NumberLike, arg2: NumberLike], TransactionResult, void>
+  recoverERC20: ContractMethod<[_token: string, _amount: NumberLike], TransactionResult, void>
+  recoverERC721: ContractMethod<[_token: string, _tokenId: NumberLike], TransactionResult, void>
+  recoverExcessStETH: ContractMethod<[], TransactionResult, void>
+  requestBurnMyStETH: ContractMethod<[_stETH2Burn: NumberLike], TransactionResult, void>
+  requestBurnMyStETHForCover: ContractMethod<[_stETH2Burn: NumberLike], TransactionResult, void>
+  setBurnAmountPerRunQuota: ContractMethod<[_maxBurnAmountPerRunBasisPoints: NumberLike], TransactionResult, void>
+  supportsInterface: ContractMethod<[_interfaceId: string], boolean>
+}
+
+export type SelfOwnedStETHBurnerContract = TruffleContract<SelfOwnedStETHBurnerInstance>
@@ -0,0 +1,29 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type StETHEvent = 'TransferShares' | 'SharesBurnt' | 'Stopped' | 'Resumed' | 'Transfer' | 'Approval'
+
+export interface StETHInstance extends ContractInstance {
+  name: ContractMethod<[], string>
+  approve: ContractMethod<[_spender: string, _amount: NumberLike], TransactionResult, boolean>
+  totalSupply: ContractMethod<[], BN>
+  getSharesByPooledEth: ContractMethod<[_ethAmount: NumberLike], BN>
+  transferFrom: ContractMethod<[_sender: string, _recipient: string, _amount: NumberLike], TransactionResult, boolean>
+  decimals: ContractMethod<[], BN>
+  getTotalPooledEther: ContractMethod<[], BN>
+  increaseAllowance: ContractMethod<[_spender: string, _addedValue: NumberLike], TransactionResult, boolean>
+  isStopped: ContractMethod<[], boolean>
+  balanceOf: ContractMethod<[_account: string], BN>
+  getPooledEthByShares: ContractMethod<[_sharesAmount: NumberLike], BN>
+  transferShares: ContractMethod<[_recipient: string, _sharesAmount: NumberLike], TransactionResult, BN>
+  symbol: ContractMethod<[], string>
+  decreaseAllowance: ContractMethod<[_spender: string, _subtractedValue: NumberLike], TransactionResult, boolean>
+  transfer: ContractMethod<[_recipient: string, _amount: NumberLike], TransactionResult, boolean>
+  getTotalShares: ContractMethod<[], BN>
+  allowance: ContractMethod<[_owner: string, _spender: string], BN>
+  sharesOf: ContractMethod<[_account: string], BN>
+}
+
+export type StETHContract = TruffleContract<StETHInstance>
@@ -0,0 +1,47 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type TokenManagerEvent = 'NewVesting' | 'RevokeVesting' | 'ScriptResult' | 'RecoverToVault'
+
+export interface TokenManagerInstance extends ContractInstance {
+  hasInitialized: ContractMethod<[], boolean>
+  MAX_VESTINGS_PER_ADDRESS: ContractMethod<[], BN>
+  spendableBalanceOf: ContractMethod<[_holder: string], BN>
+  assignVested: ContractMethod<[_receiver: string, _amount: NumberLike, _start: NumberLike, _cliff: NumberLike, _vested: NumberLike, _revokable: boolean], TransactionResult, BN>
+  getEVMScriptExecutor: ContractMethod<[_script: string], string>
+  getRecoveryVault: ContractMethod<[], string>
+  getVesting: ContractMethod<[_recipient: string, _vestingId: NumberLike], { amount: BN; 0: BN; start: BN; 1: BN; cliff: BN; 2: BN; vesting: BN; 3: BN; revokable: boolean; 4: boolean }>
+  mint: ContractMethod<[_receiver: string, _amount: NumberLike], TransactionResult, void>
+  onTransfer: ContractMethod<[_from: string, _to: string, _amount: NumberLike], TransactionResult, boolean>
+  transferableBalance: ContractMethod<[_holder: string, _time: NumberLike], BN>
+  allowRecoverability: ContractMethod<[_token: string], boolean>
+  appId: ContractMethod<[], string>
+  ISSUE_ROLE: ContractMethod<[], string>
+  getInitializationBlock: ContractMethod<[], BN>
+  vestingsLengths: ContractMethod<[arg0: string], BN>
+  transferToVault: ContractMethod<[_token: string], TransactionResult, void>
+  burn: ContractMethod<[_holder: string, _amount: NumberLike], TransactionResult, void>
+  canPerform: ContractMethod<[_sender: string, _role: string, _params: NumberLike[]], boolean>
+  getEVMScriptRegistry: ContractMethod<[], string>
+  ASSIGN_ROLE: ContractMethod<[], string>
+  BURN_ROLE: ContractMethod<[], string>
+  assign: ContractMethod<[_receiver: string, _amount: NumberLike], TransactionResult, void>
+  canForward: ContractMethod<[_sender: string, arg1: string], boolean>
+  issue: ContractMethod<[_amount: NumberLike], TransactionResult, void>
+  kernel: ContractMethod<[], string>
+  forward: ContractMethod<[_evmScript: string], TransactionResult, void>
+  onApprove: ContractMethod<[arg0: string, arg1: string, arg2: NumberLike], TransactionResult, boolean>
+  isPetrified: ContractMethod<[], boolean>
+  initialize: ContractMethod<[_token: string, _transferable: boolean, _maxAccountTokens: NumberLike], TransactionResult, void>
+  MINT_ROLE: ContractMethod<[], string>
+  maxAccountTokens: ContractMethod<[], BN>
+  REVOKE_VESTINGS_ROLE: ContractMethod<[], string>
+  proxyPayment: ContractMethod<[arg0: string], TransactionResult, boolean>
+  revokeVesting: ContractMethod<[_holder: string, _vestingId: NumberLike], TransactionResult, void>
+  token: ContractMethod<[], string>
+  isForwarder: ContractMethod<[], boolean>
+}
+
+export type TokenManagerContract = TruffleContract<TokenManagerInstance>
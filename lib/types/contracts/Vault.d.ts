@@ -0,0 +1,28 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type VaultEvent = 'VaultTransfer' | 'VaultDeposit' | 'ScriptResult' | 'RecoverToVault'
+
+export interface VaultInstance extends ContractInstance {
+  hasInitialized: ContractMethod<[], boolean>
+  TRANSFER_ROLE: ContractMethod<[], string>
+  getEVMScriptExecutor: ContractMethod<[_script: string], string>
+  getRecoveryVault: ContractMethod<[], string>
+  deposit: ContractMethod<[_token: string, _value: NumberLike], TransactionResult, void>
+  isDepositable: ContractMethod<[], boolean>
+  allowRecoverability: ContractMethod<[arg0: string], boolean>
+  appId: ContractMethod<[], string>
+  initialize: ContractMethod<[], TransactionResult, void>
+  getInitializationBlock: ContractMethod<[], BN>
+  transferToVault: ContractMethod<[_token: string], TransactionResult, void>
+  canPerform: ContractMethod<[_sender: string, _role: string, _params: NumberLike[]], boolean>
+  getEVMScriptRegistry: ContractMethod<[], string>
+  transfer: ContractMethod<[_token: string, _to: string, _value: NumberLike], TransactionResult, void>
+  kernel: ContractMethod<[], string>
+  isPetrified: ContractMethod<[], boolean>
+  balance: ContractMethod<[_token: string], BN>
+}
+
+export type VaultContract = TruffleContract<VaultInstance>
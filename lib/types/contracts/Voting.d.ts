@@ -0,0 +1,44 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type VotingEvent = 'StartVote' | 'CastVote' | 'ExecuteVote' | 'ChangeSupportRequired' | 'ChangeMinQuorum' | 'ScriptResult' | 'RecoverToVault'
+
+export interface VotingInstance extends ContractInstance {
+  hasInitialized: ContractMethod<[], boolean>
+  getEVMScriptExecutor: ContractMethod<[_script: string], string>
+  getRecoveryVault: ContractMethod<[], string>
+  MODIFY_QUORUM_ROLE: ContractMethod<[], string>
+  getVoterState: ContractMethod<[_voteId: NumberLike, _voter: string], BN>
+  getVote: ContractMethod<[_voteId: NumberLike], { open: boolean; 0: boolean; executed: boolean; 1: boolean; startDate: BN; 2: BN; snapshotBlock: BN; 3: BN; supportRequired: BN; 4: BN; minAcceptQuorum: BN; 5: BN; yea: BN; 6: BN; nay: BN; 7: BN; votingPower: BN; 8: BN; script: string; 9: string }>
+  changeMinAcceptQuorumPct: ContractMethod<[_minAcceptQuorumPct: NumberLike], TransactionResult, void>
+  MODIFY_SUPPORT_ROLE: ContractMethod<[], string>
+  changeSupportRequiredPct: ContractMethod<[_supportRequiredPct: NumberLike], TransactionResult, void>
+  allowRecoverability: ContractMethod<[token: string], boolean>
+  appId: ContractMethod<[], string>
+  getInitializationBlock: ContractMethod<[], BN>
+  transferToVault: ContractMethod<[_token: string], TransactionResult, void>
+  canPerform: ContractMethod<[_sender: string, _role: string, _params: NumberLike[]], boolean>
+  getEVMScriptRegistry: ContractMethod<[], string>
+  voteTime: ContractMethod<[], BN>
+  CREATE_VOTES_ROLE: ContractMethod<[], string>
+  canForward: ContractMethod<[_sender: string, arg1: string], boolean>
+  canExecute: ContractMethod<[_voteId: NumberLike], boolean>
+  canVote: ContractMethod<[_voteId: NumberLike, _voter: string], boolean>
+  kernel: ContractMethod<[], string>
+  newVote: ContractMethod<[_executionScript: string, _metadata: string], TransactionResult, BN> & ContractMethod<[_executionScript: string, _metadata: string, _castVote: boolean, _executesIfDecided: boolean], TransactionResult, BN>
+  forward: ContractMethod<[_evmScript: string], TransactionResult, void>
+  minAcceptQuorumPct: ContractMethod<[], BN>
+  isPetrified: ContractMethod<[], boolean>
+  votesLength: ContractMethod<[], BN>
+  vote: ContractMethod<[_voteId: NumberLike, _supports: boolean, _executesIfDecided: boolean], TransactionResult, void>
+  initialize: ContractMethod<[_token: string, _supportRequiredPct: NumberLike, _minAcceptQuorumPct: NumberLike, _voteTime: NumberLike], TransactionResult, void>
+  executeVote: ContractMethod<[_voteId: NumberLike], TransactionResult, void>
+  supportRequiredPct: ContractMethod<[], BN>
+  token: ContractMethod<[], string>
+  PCT_BASE: ContractMethod<[], BN>
+  isForwarder: ContractMethod<[], boolean>
+}
+
+export type VotingContract = TruffleContract<VotingInstance>
@@ -0,0 +1,32 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+import BN from 'bn.js'
+import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'
+
+export type WstETHEvent = 'Approval' | 'Transfer'
+
+export interface WstETHInstance extends ContractInstance {
+  DOMAIN_SEPARATOR: ContractMethod<[], string>
+  allowance: ContractMethod<[owner: string, spender: string], BN>
+  approve: ContractMethod<[spender: string, amount: NumberLike], TransactionResult, boolean>
+  balanceOf: ContractMethod<[account: string], BN>
+  decimals: ContractMethod<[], BN>
+  decreaseAllowance: ContractMethod<[spender: string, subtractedValue: NumberLike], TransactionResult, boolean>
+  getStETHByWstETH: ContractMethod<[_wstETHAmount: NumberLike], BN>
+  getWstETHByStETH: ContractMethod<[_stETHAmount: NumberLike], BN>
+  increaseAllowance: ContractMethod<[spender: string, addedValue: NumberLike], TransactionResult, boolean>
+  name: ContractMethod<[], string>
+  nonces: ContractMethod<[owner: string], BN>
+  permit: ContractMethod<[owner: string, spender: string, value: NumberLike, deadline: NumberLike, v: NumberLike, r: string, s: string], TransactionResult, void>
+  stETH: ContractMethod<[], string>
+  stEthPerToken: ContractMethod<[], BN>
+  symbol: ContractMethod<[], string>
+  tokensPerStEth: ContractMethod<[], BN>
+  totalSupply: ContractMethod<[], BN>
+  transfer: ContractMethod<[recipient: string, amount: NumberLike], TransactionResult, boolean>
+  transferFrom: ContractMethod<[sender: string, recipient: string, amount: NumberLike], TransactionResult, boolean>
+  unwrap: ContractMethod<[_wstETHAmount: NumberLike], TransactionResult, BN>
+  wrap: ContractMethod<[_stETHAmount: NumberLike], TransactionResult, BN>
+}
+
+export type WstETHContract = TruffleContract<WstETHInstance>
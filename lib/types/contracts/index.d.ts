@@ -0,0 +1,26 @@
+// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.
+
+export * from './ACL'
+export * from './CompositePostRebaseBeaconReceiver'
+export * from './DepositSecurityModule'
+export * from './Finance'
+export * from './IDepositContract'
+export * from './IERC721'
+export * from './IETHRegistrarController'
+export * from './IInterfaceResolver'
+export * from './ILido'
+export * from './INodeOperatorsRegistry'
+export * from './IOracle'
+export * from './Kernel'
+export * from './Lido'
+export * from './LidoExecutionLayerRewardsVault'
+export * from './LidoOracle'
+export * from './LidoTemplate'
+export * from './NodeOperatorsRegistry'
+export * from './OrderedCallbacksArray'
+export * from './SelfOwnedStETHBurner'
+export * from './StETH'
+export * from './TokenManager'
+export * from './Vault'
+export * from './Voting'
+export * from './WstETH'
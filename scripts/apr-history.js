@@ -0,0 +1,52 @@
+const fs = require('fs')
+
+const runOrWrapScript = require('./helpers/run-or-wrap-script')
+const { log, logSplitter, logWideSplitter, yl } = require('./helpers/log')
+const { readNetworkState, assertRequiredNetworkState } = require('./helpers/persisted-network-state')
+const { getOracle } = require('../lib/src/oracle')
+const { getAprHistory, formatAprHistoryCsv } = require('../lib/src/apr')
+
+const REQUIRED_NET_STATE = ['app:oracle']
+
+// Prints APR and share rate history computed from oracle reports.
+//
+// FORMAT=json|csv (default json)
+// FROM_BLOCK=<number> to skip blocks before the oracle deployment
+// WINDOW=<number> of reports in the moving average (default 7)
+// CACHE=<path> of the event indexer cache to resume from
+// OUTPUT=<path> to write the result to a file instead of stdout
+async function aprHistory({ web3 }) {
+  const netId = await web3.eth.net.getId()
+  const format = process.env.FORMAT || 'json'
+  if (!['json', 'csv'].includes(format)) {
+    throw new Error(`unknown FORMAT ${format}, expected json or csv`)
+  }
+
+  logWideSplitter()
+  log(`Network ID:`, yl(netId))
+
+  const state = readNetworkState(network.name, netId)
+  assertRequiredNetworkState(state, REQUIRED_NET_STATE)
+
+  const oracle = await getOracle(web3, state['app:oracle'].proxyAddress)
+  log(`Using LidoOracle:`, yl(oracle.address))
+  logSplitter()
+
+  const history = await getAprHistory(oracle, {
+    fromBlock: +(process.env.FROM_BLOCK || 0),
+    window: +(process.env.WINDOW || 7),
+    cachePath: process.env.CACHE,
+    log
+  })
+  const output = format === 'csv' ? formatAprHistoryCsv(history) : JSON.stringify(history, null, 2)
+
+  logSplitter()
+  if (process.env.OUTPUT) {
+    fs.writeFileSync(process.env.OUTPUT, output + '\n')
+    log(`Written ${yl(history.length)} reports to ${yl(process.env.OUTPUT)}`)
+  } else {
+    log.stdout(output)
+  }
+}
+
+module.exports = runOrWrapScript(aprHistory, module)
@@ -1,9 +1,16 @@
 const fs = require('fs').promises
 const path = require('path')
 
+const { generateTypings, checkIndexTypings } = require('./helpers/abi-typings')
+
 const artifactsPath = path.resolve(__dirname, '..', 'artifacts')
 const contractsPath = path.resolve(__dirname, '..', 'contracts')
 const abisPath = path.resolve(__dirname, '..', 'lib', 'abi')
+const typesPath = path.resolve(__dirname, '..', 'lib', 'types')
+const libIndexPath = path.resolve(__dirname, '..', 'lib', 'src', 'index.js')
+const libTypingsPath = path.resolve(__dirname, '..', 'lib', 'src', 'index.d.ts')
+const libEthersPath = path.resolve(__dirname, '..', 'lib', 'src', 'ethers.js')
+const libEthersTypingsPath = path.resolve(__dirname, '..', 'lib', 'src', 'ethers.d.ts')
 
 async function exportAbi() {
   const allArtifactPaths = await iterToArray(getFiles(artifactsPath))
@@ -14,6 +21,8 @@ async function exportAbi() {
   const lidoArtifactPaths = artifactPaths.filter((p) => p.substr(0, 10) === 'contracts/')
 
   const aragonAtrifactPaths = [
+    '@aragon/os/contracts/acl/ACL.sol/ACL.json',
+    '@aragon/os/contracts/kernel/Kernel.sol/Kernel.json',
     '@aragon/apps-finance/contracts/Finance.sol/Finance.json',
     '@aragon/apps-token-manager/contracts/TokenManager.sol/TokenManager.json',
     '@aragon/apps-vault/contracts/Vault.sol/Vault.json',
@@ -21,6 +30,16 @@ async function exportAbi() {
   ]
 
   await extractABIs(lidoArtifactPaths.concat(aragonAtrifactPaths), abisPath)
+  await generateTypings(abisPath, typesPath)
+
+  const typingsErrors = await checkIndexTypings(libIndexPath, libTypingsPath)
+  if (typingsErrors.length) {
+    throw new Error(`lib/src/index.d.ts is out of sync with lib/src/index.js:\n${typingsErrors.join('\n')}`)
+  }
+  const ethersTypingsErrors = await checkIndexTypings(libEthersPath, libEthersTypingsPath)
+  if (ethersTypingsErrors.length) {
+    throw new Error(`lib/src/ethers.d.ts is out of sync with lib/src/ethers.js:\n${ethersTypingsErrors.join('\n')}`)
+  }
 }
 
 async function extractABIs(artifactPaths, abisPath) {
@@ -0,0 +1,374 @@
+const fs = require('fs').promises
+const path = require('path')
+
+const { log } = require('./log')
+
+const HEADER = '// This file is generated by scripts/extract-abi.js from lib/abi, do not edit it by hand.\n'
+
+const COMMON_TYPINGS = `${HEADER}
+import BN from 'bn.js'
+
+export type NumberLike = number | string | BN
+
+export interface TransactionDetails {
+  from?: string
+  gas?: NumberLike
+  gasPrice?: NumberLike
+  value?: NumberLike
+  nonce?: number
+}
+
+export interface TransactionLog {
+  address: string
+  event: string
+  args: any
+  logIndex: number
+  transactionHash: string
+  blockNumber: number
+}
+
+export interface TransactionResult {
+  tx: string
+  receipt: any
+  logs: TransactionLog[]
+}
+
+export interface ContractMethod<Args extends any[], Result, CallResult = Result> {
+  (...args: Args): Promise<Result>
+  (...args: [...Args, TransactionDetails]): Promise<Result>
+  call(...args: Args): Promise<CallResult>
+  call(...args: [...Args, TransactionDetails]): Promise<CallResult>
+  estimateGas(...args: Args): Promise<number>
+  estimateGas(...args: [...Args, TransactionDetails]): Promise<number>
+  sendTransaction(...args: [...Args, TransactionDetails]): Promise<TransactionResult>
+}
+
+export interface ContractInstance {
+  address: string
+  contract: any
+  getPastEvents(event: string, options?: { fromBlock?: number | string; toBlock?: number | string; filter?: object }): Promise<any[]>
+}
+
+export interface TruffleContract<Instance> {
+  setProvider(provider: any): void
+  at(address: string): Promise<Instance>
+}
+`
+
+// Returns `lib/types/contracts/<Name>.d.ts` contents describing the Truffle instance of the contract
+function generateContractTypings(name, abi) {
+  const functions = abi.filter((item) => item.type === 'function')
+  const events = abi.filter((item) => item.type === 'event').map((item) => `'${item.name}'`)
+  const usesBN = functions.some((fn) => fn.outputs.some((param) => /int/.test(param.type)))
+
+  const functionsByName = new Map()
+  for (const fn of functions) {
+    functionsByName.set(fn.name, [...(functionsByName.get(fn.name) || []), fn])
+  }
+
+  // Truffle dispatches overloaded functions by the number of arguments, so overloads are
+  // described as an intersection of method types
+  const members = [...functionsByName.entries()].map(([fnName, overloads]) => `  ${fnName}: ${overloads.map(methodType).join(' & ')}`)
+
+  return (
+    HEADER +
+    '\n' +
+    (usesBN ? `import BN from 'bn.js'\n` : '') +
+    `import { ContractInstance, ContractMethod, NumberLike, TransactionResult, TruffleContract } from '../common'\n` +
+    '\n' +
+    `export type ${name}Event = ${events.length ? events.join(' | ') : 'never'}\n` +
+    '\n' +
+    `export interface ${name}Instance extends ContractInstance {\n` +
+    members.join('\n') +
+    '\n}\n' +
+    '\n' +
+    `export type ${name}Contract = TruffleContract<${name}Instance>\n`
+  )
+}
+
+function methodType(fn) {
+  const isCall = fn.stateMutability === 'view' || fn.stateMutability === 'pure' || fn.constant
+  const args = fn.inputs.map((param, i) => `${safeName(param.name, i)}: ${inputType(param)}`).join(', ')
+  const callResult = outputsType(fn.outputs)
+  return isCall ? `ContractMethod<[${args}], ${callResult}>` : `ContractMethod<[${args}], TransactionResult, ${callResult}>`
+}
+
+function inputType(param) {
+  return solidityType(param, 'input')
+}
+
+function outputsType(outputs) {
+  if (outputs.length === 0) {
+    return 'void'
+  }
+  if (outputs.length === 1) {
+    return solidityType(outputs[0], 'output')
+  }
+  const fields = outputs.map((param, i) => {
+    const type = solidityType(param, 'output')
+    return param.name ? `${param.name}: ${type}; ${i}: ${type}` : `${i}: ${type}`
+  })
+  return `{ ${fields.join('; ')} }`
+}
+
+function solidityType(param, direction) {
+  const { type } = param
+  const arrayMatch = type.match(/^(.*)\[\d*\]$/)
+  if (arrayMatch) {
+    const itemType = solidityType({ ...param, type: arrayMatch[1] }, direction)
+    return itemType.includes(' | ') ? `(${itemType})[]` : `${itemType}[]`
+  }
+  if (type === 'tuple') {
+    const fields = param.components.map((component, i) => `${safeName(component.name, i)}: ${solidityType(component, direction)}`)
+    return `{ ${fields.join('; ')} } | [${param.components.map((component) => solidityType(component, direction)).join(', ')}]`
+  }
+  if (/^u?int\d*$/.test(type)) {
+    return direction === 'input' ? 'NumberLike' : 'BN'
+  }
+  if (type === 'bool') {
+    return 'boolean'
+  }
+  // address, string, bytes and bytesN are all hex or plain strings
+  return 'string'
+}
+
+function safeName(name, index) {
+  return name ? name.replace(/[^\w$]/g, '_') : `arg${index}`
+}
+
+async function generateTypings(abisPath, typesPath) {
+  const contractsTypesPath = path.join(typesPath, 'contracts')
+  if (await exists(typesPath)) {
+    await fs.rmdir(typesPath, { recursive: true })
+  }
+  await fs.mkdir(contractsTypesPath, { recursive: true })
+  await fs.writeFile(path.join(typesPath, 'common.d.ts'), COMMON_TYPINGS)
+
+  const names = (await fs.readdir(abisPath))
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => path.basename(file, '.json'))
+    .sort()
+
+  for (const name of names) {
+    const abi = JSON.parse(await fs.readFile(path.join(abisPath, `${name}.json`)))
+    log(`Generating typings for ${name}...`)
+    await fs.writeFile(path.join(contractsTypesPath, `${name}.d.ts`), generateContractTypings(name, abi))
+  }
+
+  const index = names.map((name) => `export * from './${name}'\n`).join('')
+  await fs.writeFile(path.join(contractsTypesPath, 'index.d.ts'), HEADER + '\n' + index)
+}
+
+// lib/src/index.d.ts and lib/src/ethers.d.ts describing the helpers are written by hand, so compare
+// the names they declare with the ones the entry points actually export, including the members of
+// exported namespaces, and the parameters of the declared functions with the ones the exports take
+async function checkIndexTypings(indexPath, typingsPath) {
+  const exported = getExports(require(indexPath))
+  const declared = getDeclarations(await fs.readFile(typingsPath, 'utf8'))
+  return compareDeclarations(exported, declared, { js: path.basename(indexPath), dts: path.basename(typingsPath) })
+}
+
+// Plain objects having functions among their values are treated as namespaces, other values as leaves
+function getExports(value) {
+  const exports = {}
+  for (const [key, member] of Object.entries(value)) {
+    const isNamespace =
+      member && Object.getPrototypeOf(member) === Object.prototype && Object.values(member).some((item) => typeof item === 'function')
+    exports[key] = isNamespace ? getExports(member) : member
+  }
+  return exports
+}
+
+// Relies on the prettier formatting of the typings: namespace members are indented by two
+// spaces per nesting level and nested namespaces are declared as `name: {`. Functions and
+// methods are collected as the list of their overloads' parameters, other names as `true`
+function getDeclarations(source) {
+  const declarations = {}
+  const stack = []
+  let offset = 0
+  const addSignature = (members, name, start) => {
+    const signatures = Array.isArray(members[name]) ? members[name] : (members[name] = [])
+    signatures.push(readParams(source, start, true).map(parseDeclaredParam))
+  }
+
+  for (const line of source.split('\n')) {
+    const lineOffset = offset
+    offset += line.length + 1
+
+    const topLevel = line.match(/^export (const|function) (\w+)/)
+    if (topLevel) {
+      const [match, kind, name] = topLevel
+      if (kind === 'function') {
+        addSignature(declarations, name, lineOffset + match.length)
+      } else {
+        declarations[name] = true
+      }
+      if (kind === 'const' && /: \{$/.test(line)) {
+        stack.splice(0, stack.length, (declarations[name] = {}))
+      }
+      continue
+    }
+    if (!stack.length) {
+      continue
+    }
+    const indent = line.length - line.trimStart().length
+    if (line.trim() === '}' && indent === 2 * (stack.length - 1)) {
+      stack.pop()
+      continue
+    }
+    const member = indent === 2 * stack.length && line.match(/^\s*(\w+)\??([(:<])/)
+    if (member) {
+      const members = stack[stack.length - 1]
+      if (member[2] === ':') {
+        members[member[1]] = true
+      } else {
+        addSignature(members, member[1], lineOffset + member[0].length - 1)
+      }
+      if (/^\s*\w+: \{$/.test(line)) {
+        stack.push((members[member[1]] = {}))
+      }
+    }
+  }
+  return declarations
+}
+
+// Splits the parameter list starting at the first `(` after `start` on the top-level commas,
+// angle brackets only nest in the typings as JS defaults may contain comparisons
+function readParams(source, start, angles) {
+  const open = source.indexOf('(', start)
+  const params = []
+  let depth = 0
+  let param = ''
+  for (let i = open; i < source.length; i++) {
+    const char = source[i]
+    if (char === "'" || char === '"' || char === '`') {
+      const end = skipString(source, i)
+      param += source.slice(i, end + 1)
+      i = end
+      continue
+    }
+    if ('([{'.includes(char) || (angles && char === '<')) {
+      depth++
+      if (depth === 1) {
+        continue
+      }
+    } else if (')]}'.includes(char) || (angles && char === '>' && source[i - 1] !== '=')) {
+      depth--
+      if (depth === 0) {
+        break
+      }
+    } else if (char === ',' && depth === 1) {
+      params.push(param.trim())
+      param = ''
+      continue
+    }
+    param += char
+  }
+  return params.concat(param.trim()).filter(Boolean)
+}
+
+function skipString(source, start) {
+  let i = start + 1
+  while (i < source.length && source[i] !== source[start]) {
+    i += source[i] === '\\' ? 2 : 1
+  }
+  return i
+}
+
+function parseDeclaredParam(param) {
+  const [, rest, name, optional] = param.match(/^(\.\.\.)?(\w+)(\?)?/)
+  return { name, rest: !!rest, optional: !!optional }
+}
+
+function parseExportedParams(fn) {
+  const source = fn.toString()
+  const single = source.match(/^(?:async\s*)?([\w$]+)\s*=>/)
+  const params = single ? [single[1]] : readParams(source, 0, false)
+  return params.map((param) => {
+    const name = param.match(/^(?:\.\.\.)?([\w$]+)/)
+    return {
+      name: name && name[1],
+      rest: param.startsWith('...'),
+      destructured: /^[{[]/.test(param),
+      hasDefault: /^[^=]*[^=!<>]=(?![=>])/.test(stripNested(param))
+    }
+  })
+}
+
+// Drops the contents of the brackets and strings in a parameter, leaving its top-level tokens
+function stripNested(param) {
+  let depth = 0
+  let result = ''
+  for (let i = 0; i < param.length; i++) {
+    const char = param[i]
+    if (char === "'" || char === '"' || char === '`') {
+      i = skipString(param, i)
+    } else if ('([{'.includes(char)) {
+      depth++
+    } else if (')]}'.includes(char)) {
+      depth--
+    } else if (depth === 0) {
+      result += char
+    }
+  }
+  return result
+}
+
+function compareDeclarations(exported, declared, files, prefix = '') {
+  const errors = []
+  for (const [key, value] of Object.entries(exported)) {
+    const name = `${prefix}${key}`
+    if (!(key in declared)) {
+      errors.push(`${name} is exported from ${files.js} but missing in ${files.dts}`)
+    } else if (value && Object.getPrototypeOf(value) === Object.prototype && typeof declared[key] === 'object') {
+      errors.push(...compareDeclarations(value, Array.isArray(declared[key]) ? {} : declared[key], files, `${name}.`))
+    } else if (typeof value === 'function' && Array.isArray(declared[key])) {
+      errors.push(...compareSignatures(value, declared[key], files, name))
+    }
+  }
+  for (const key of Object.keys(declared)) {
+    if (!(key in exported)) {
+      errors.push(`${prefix}${key} is declared in ${files.dts} but not exported from ${files.js}`)
+    }
+  }
+  return errors
+}
+
+// Overloads may declare fewer parameters, but the longest one should list all of them. Names
+// are compared for plain parameters only, destructured ones are usually declared as `opts`
+function compareSignatures(fn, signatures, files, name) {
+  const errors = []
+  const params = parseExportedParams(fn)
+  const declaredCount = Math.max(...signatures.map((signature) => signature.length))
+  if (declaredCount !== params.length && !params.some((param) => param.rest)) {
+    errors.push(`${name} takes ${params.length} parameters in ${files.js} but declares ${declaredCount} in ${files.dts}`)
+  }
+  params.forEach((param, i) => {
+    const declared = signatures.map((signature) => signature[i]).filter(Boolean)
+    if (!declared.length) {
+      return
+    }
+    const label = `parameter #${i + 1} of ${name}`
+    if (param.name && declared.every((item) => item.name !== param.name)) {
+      errors.push(`${label} is named ${param.name} in ${files.js} but ${declared[0].name} in ${files.dts}`)
+    }
+    if (param.hasDefault && declared.every((item) => !item.optional)) {
+      errors.push(`${label} has a default value in ${files.js} but is required in ${files.dts}`)
+    }
+    if (param.destructured && !param.hasDefault && declared.some((item) => item.optional)) {
+      errors.push(`${label} is destructured without a default value in ${files.js} but optional in ${files.dts}`)
+    }
+  })
+  return errors
+}
+
+async function exists(fileName) {
+  try {
+    await fs.access(fileName)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+module.exports = { generateTypings, generateContractTypings, checkIndexTypings }
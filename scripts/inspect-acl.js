@@ -0,0 +1,80 @@
+const path = require('path')
+
+const runOrWrapScript = require('./helpers/run-or-wrap-script')
+const { log, logSplitter, logWideSplitter, yl } = require('./helpers/log')
+const { readFile, readJSON } = require('./helpers/fs')
+const { readNetworkState, assertRequiredNetworkState } = require('./helpers/persisted-network-state')
+const { createAddressBook } = require('../lib/src/evm-script')
+const {
+  getKernel,
+  getKernelACL,
+  createRoleBook,
+  inspectPermissions,
+  getFunctionRoles,
+  findMethodPermissions,
+  formatPermissionsMarkdown
+} = require('../lib/src/acl')
+
+const REQUIRED_NET_STATE = ['daoAddress']
+
+const APP_ROOTS = ['apps/lido', 'apps/lidooracle', 'apps/node-operators-registry']
+
+// Prints the current ACL role matrix of the DAO.
+//
+// FORMAT=markdown|json (default markdown)
+// METHOD=<Contract>.<method>, e.g. `Lido.setFee`, to print only the permissions guarding the method
+// FROM_BLOCK=<number> to skip blocks before the DAO deployment
+async function inspectAcl({ web3, artifacts }) {
+  const netId = await web3.eth.net.getId()
+  const format = process.env.FORMAT || 'markdown'
+  if (!['markdown', 'json'].includes(format)) {
+    throw new Error(`unknown FORMAT ${format}, expected markdown or json`)
+  }
+
+  logWideSplitter()
+  log(`Network ID:`, yl(netId))
+
+  const state = readNetworkState(network.name, netId)
+  assertRequiredNetworkState(state, REQUIRED_NET_STATE)
+
+  const kernel = await getKernel(web3, state.daoAddress)
+  const acl = await getKernelACL(kernel)
+  log(`Using ACL:`, yl(acl.address))
+
+  const arapps = await Promise.all(APP_ROOTS.map((appRoot) => readJSON(path.join(appRoot, 'arapp.json'))))
+  const addressBook = createAddressBook(state)
+  logSplitter(`Replaying permission events...`)
+  let permissions = await inspectPermissions(acl, {
+    fromBlock: +(process.env.FROM_BLOCK || 0),
+    addressBook,
+    roleBook: createRoleBook(arapps),
+    log
+  })
+
+  if (process.env.METHOD) {
+    const [contractName, methodName] = process.env.METHOD.split('.')
+    const entry = Object.entries(addressBook).find(([, { name }]) => name === contractName)
+    if (!entry || !methodName) {
+      throw new Error(`unknown METHOD ${process.env.METHOD}, expected <Contract>.<method> with a contract from the network state file`)
+    }
+    const [appAddress, { abiName }] = entry
+    const roleIds = await getMethodRoles(artifacts, abiName, methodName)
+    log(`${process.env.METHOD} is guarded by:`, yl(roleIds.join(', ')))
+    permissions = findMethodPermissions(permissions, appAddress, roleIds)
+  }
+
+  logSplitter()
+  log.stdout(format === 'json' ? JSON.stringify(permissions, null, 2) : formatPermissionsMarkdown(permissions))
+}
+
+async function getMethodRoles(artifacts, artifactName, methodName) {
+  const { sourceName } = await artifacts.readArtifact(artifactName)
+  const sourcePath = sourceName.startsWith('contracts/') ? path.resolve(sourceName) : require.resolve(sourceName)
+  const roleIds = getFunctionRoles(await readFile(sourcePath))[methodName]
+  if (!roleIds) {
+    throw new Error(`${artifactName}.${methodName} is not guarded by an ACL role in ${sourceName}`)
+  }
+  return roleIds
+}
+
+module.exports = runOrWrapScript(inspectAcl, module)
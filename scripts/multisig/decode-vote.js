@@ -0,0 +1,41 @@
+const runOrWrapScript = require('../helpers/run-or-wrap-script')
+const { log, logSplitter, logWideSplitter, yl, gr } = require('../helpers/log')
+const { readNetworkState, assertRequiredNetworkState } = require('../helpers/persisted-network-state')
+const { createAddressBook, decodeScript, decodeVote, formatCalls } = require('../../lib/src/evm-script')
+
+const { APP_NAMES } = require('./constants')
+
+const REQUIRED_NET_STATE = [`app:${APP_NAMES.ARAGON_VOTING}`]
+
+// Prints the calls a vote would execute. Pass VOTE_ID to decode a vote (defaults to the latest one)
+// or SCRIPT to decode a raw EVM script before starting a vote with it.
+async function decodeVoteScript({ web3, artifacts }) {
+  const netId = await web3.eth.net.getId()
+
+  logWideSplitter()
+  log(`Network ID:`, yl(netId))
+
+  const state = readNetworkState(network.name, netId)
+  assertRequiredNetworkState(state, REQUIRED_NET_STATE)
+  const addressBook = createAddressBook(state)
+
+  let calls
+  if (process.env.SCRIPT) {
+    calls = decodeScript(process.env.SCRIPT, addressBook)
+    logSplitter(`Script calls:`)
+  } else {
+    const voting = await artifacts.require('Voting').at(state[`app:${APP_NAMES.ARAGON_VOTING}`].proxyAddress)
+    const voteId = process.env.VOTE_ID || String((await voting.votesLength()) - 1)
+    const vote = await decodeVote(voting, voteId, addressBook)
+    calls = vote.calls
+    logSplitter(`Vote ${yl(vote.voteId)}: open ${yl(vote.open)}, executed ${yl(vote.executed)}`)
+  }
+
+  for (const line of formatCalls(calls)) {
+    log.stdout(line)
+  }
+  logSplitter()
+  log(`Decoded ${gr(calls.length)} top-level calls`)
+}
+
+module.exports = runOrWrapScript(decodeVoteScript, module)
@@ -0,0 +1,49 @@
+const fs = require('fs').promises
+
+const runOrWrapScript = require('../helpers/run-or-wrap-script')
+const { log, logSplitter, logWideSplitter, yl, gr } = require('../helpers/log')
+const { readJSON } = require('../helpers/fs')
+const { readNetworkState } = require('../helpers/persisted-network-state')
+const { createAddressBook, formatCalls } = require('../../lib/src/evm-script')
+const { createSafeBatch, decodeSafeBatch } = require('../../lib/src/safe-batch')
+
+const TX_FILES = process.env.TX_FILES || ''
+const OUT = process.env.OUT || 'safe-batch.json'
+const NAME = process.env.NAME || 'Transactions Batch'
+
+// Collects the tx data files the other multisig steps save, e.g. `TX_FILES=tx-a.json,tx-b.json`, into a
+// single batch file for the Gnosis Safe Transaction Builder app, sent from `multisigAddress`
+async function exportSafeBatch({ web3 }) {
+  const netId = await web3.eth.net.getId()
+
+  logWideSplitter()
+  log(`Network ID:`, yl(netId))
+
+  const state = readNetworkState(network.name, netId)
+  const addressBook = createAddressBook(state)
+  const files = TX_FILES.split(',').filter(Boolean)
+  if (files.length === 0) {
+    throw new Error(`no transaction files given, pass them as TX_FILES=tx-a.json,tx-b.json`)
+  }
+
+  const calls = await Promise.all(files.map(async (file) => ({ ...(await readJSON(file)), description: `Send ${file}` })))
+  const batch = createSafeBatch(calls, {
+    chainId: await web3.eth.getChainId(),
+    safeAddress: state.multisigAddress || '',
+    name: NAME,
+    addressBook
+  })
+
+  logSplitter(`Batch transactions:`)
+  for (const line of formatCalls(decodeSafeBatch(batch, addressBook))) {
+    log.stdout(line)
+  }
+
+  logSplitter()
+  await fs.writeFile(OUT, JSON.stringify(batch, null, '  '))
+  log(`Saved ${yl(batch.transactions.length)} transactions to ${yl(OUT)}, checksum ${yl(batch.meta.checksum)}`)
+  log(gr(`Load the file in the Transaction Builder app of the Safe at ${state.multisigAddress || 'multisigAddress'}.`))
+  logSplitter()
+}
+
+module.exports = runOrWrapScript(exportSafeBatch, module)
@@ -0,0 +1,100 @@
+const chalk = require('chalk')
+const { encodeCallScript } = require('@aragon/contract-helpers-test/src/aragon-os')
+
+const runOrWrapScript = require('../helpers/run-or-wrap-script')
+const { log, logSplitter, logWideSplitter, yl, gr } = require('../helpers/log')
+const { saveCallTxData } = require('../helpers/tx-data')
+const { readNetworkState, assertRequiredNetworkState } = require('../helpers/persisted-network-state')
+const { createVoteBuilder } = require('../../lib/src/dao')
+const { createAddressBook, formatCalls } = require('../../lib/src/evm-script')
+const { getCompositeReceiver, listCallbacks, planCallbackChanges } = require('../../lib/src/composite-receiver')
+
+const { APP_NAMES } = require('./constants')
+
+const DEPLOYER = process.env.DEPLOYER || ''
+const REQUIRED_NET_STATE = [
+  'compositePostRebaseBeaconReceiverAddress',
+  `app:${APP_NAMES.ARAGON_VOTING}`,
+  `app:${APP_NAMES.ARAGON_TOKEN_MANAGER}`
+]
+
+// Lists the callbacks of CompositePostRebaseBeaconReceiver and checks they support the required
+// interface. Pass CHANGES to prepare a vote changing them, applied in the given order, e.g.
+// `CHANGES=add:0x...,insert:0x...@1,remove:0`. The vote transaction is only saved to a file.
+async function manageBeaconReportCallbacks({ web3, artifacts }) {
+  const netId = await web3.eth.net.getId()
+
+  logWideSplitter()
+  log(`Network ID:`, yl(netId))
+
+  const state = readNetworkState(network.name, netId)
+  assertRequiredNetworkState(state, REQUIRED_NET_STATE)
+  const changes = parseChanges(process.env.CHANGES || '')
+
+  const receiver = await getCompositeReceiver(web3, state.compositePostRebaseBeaconReceiverAddress)
+  log(`Using CompositePostRebaseBeaconReceiver:`, yl(receiver.address))
+
+  const { requiredInterface, maxCallbacksCount, callbacks } = await listCallbacks(receiver)
+  logSplitter(`Callbacks (required interface ${yl(requiredInterface)}, max ${yl(maxCallbacksCount)}):`)
+  for (const { index, address, supported } of callbacks) {
+    log(`${index}: ${yl(address)}`, supported ? gr('supported') : chalk.red('NOT SUPPORTED'))
+  }
+  if (callbacks.length === 0) {
+    log(`No callbacks registered`)
+  }
+
+  if (changes.length === 0) {
+    return
+  }
+
+  const plan = await planCallbackChanges(receiver, changes)
+  logSplitter(`Callbacks once the vote is executed:`)
+  plan.after.forEach((address, index) => log(`${index}: ${yl(address)}`))
+
+  const voting = await artifacts.require('Voting').at(state[`app:${APP_NAMES.ARAGON_VOTING}`].proxyAddress)
+  const tokenManager = await artifacts.require('TokenManager').at(state[`app:${APP_NAMES.ARAGON_TOKEN_MANAGER}`].proxyAddress)
+  const builder = createVoteBuilder(voting, tokenManager).add(...plan.actions)
+  const preview = builder.preview(createAddressBook(state))
+
+  logSplitter(`Vote script (${yl(preview.size)} bytes):`)
+  for (const line of formatCalls(preview.calls)) {
+    log.stdout(line)
+  }
+
+  const newVoteCallData = encodeCallScript([
+    {
+      to: voting.address,
+      calldata: await voting.contract.methods.newVote(preview.script, preview.description, false, false).encodeABI()
+    }
+  ])
+
+  logSplitter()
+  await saveCallTxData(preview.description, tokenManager, 'forward', `tx-manage-beacon-report-callbacks.json`, {
+    arguments: [newVoteCallData],
+    from: DEPLOYER || state.multisigAddress
+  })
+  log(gr(`Send the transaction from the file above to start the vote.`))
+  logSplitter()
+}
+
+function parseChanges(str) {
+  return str
+    .split(',')
+    .filter(Boolean)
+    .map((item) => {
+      const [type, arg] = item.trim().split(':')
+      if (type === 'add') {
+        return { type, callback: arg }
+      }
+      if (type === 'insert') {
+        const [callback, index] = (arg || '').split('@')
+        return { type, callback, index: +index }
+      }
+      if (type === 'remove') {
+        return { type, index: +arg }
+      }
+      throw new Error(`invalid change ${item}, expected add:<address>, insert:<address>@<index> or remove:<index>`)
+    })
+}
+
+module.exports = runOrWrapScript(manageBeaconReportCallbacks, module)
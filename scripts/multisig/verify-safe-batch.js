@@ -0,0 +1,44 @@
+const runOrWrapScript = require('../helpers/run-or-wrap-script')
+const { log, logSplitter, logWideSplitter, yl, gr } = require('../helpers/log')
+const { readFile, readJSON } = require('../helpers/fs')
+const { readNetworkState } = require('../helpers/persisted-network-state')
+const { createAddressBook, formatCalls } = require('../../lib/src/evm-script')
+const { readSafeBatch, decodeSafeBatch, verifySafeBatch } = require('../../lib/src/safe-batch')
+
+const BATCH = process.env.BATCH || 'safe-batch.json'
+const TX_FILES = process.env.TX_FILES || ''
+
+// Checks a Transaction Builder batch file, e.g. one exported from the Safe before signing, against
+// the tx data files it should consist of: `BATCH=batch.json TX_FILES=tx-a.json,tx-b.json`
+async function verifySafeBatchFile({ web3 }) {
+  const netId = await web3.eth.net.getId()
+
+  logWideSplitter()
+  log(`Network ID:`, yl(netId))
+
+  const state = readNetworkState(network.name, netId)
+  const addressBook = createAddressBook(state)
+  const files = TX_FILES.split(',').filter(Boolean)
+  if (files.length === 0) {
+    throw new Error(`no expected transaction files given, pass them as TX_FILES=tx-a.json,tx-b.json`)
+  }
+
+  const batch = readSafeBatch(await readFile(BATCH))
+  log(`Batch:`, yl(BATCH), batch.meta && batch.meta.checksum ? `(checksum ${gr('ok')})` : `(no checksum)`)
+
+  logSplitter(`Batch transactions:`)
+  for (const line of formatCalls(decodeSafeBatch(batch, addressBook))) {
+    log.stdout(line)
+  }
+
+  const expectedCalls = await Promise.all(files.map(readJSON))
+  const errors = verifySafeBatch(batch, expectedCalls, { chainId: await web3.eth.getChainId() })
+  logSplitter()
+  if (errors.length > 0) {
+    throw new Error(`the batch doesn't match the expected transactions:\n  ${errors.join('\n  ')}`)
+  }
+  log(gr(`The batch matches ${files.length} expected transactions.`))
+  logSplitter()
+}
+
+module.exports = runOrWrapScript(verifySafeBatchFile, module)
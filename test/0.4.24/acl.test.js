@@ -0,0 +1,114 @@
+const { assert } = require('chai')
+const { bn } = require('@aragon/contract-helpers-test')
+
+const { newDao } = require('./helpers/dao')
+const { getPermissionEvents, inspectPermissions, getFunctionRoles } = require('../../lib/src/acl')
+
+const APP = '0x0000000000000000000000000000000000000001'
+const MANAGE_FEE = web3.utils.keccak256('MANAGE_FEE')
+const PAUSE_ROLE = web3.utils.keccak256('PAUSE_ROLE')
+
+// ACL params pack the argument id, the operation and the value into a single uint256
+const encodeParam = (id, op, value) => bn(id).shln(248).or(bn(op).shln(240)).or(bn(value))
+
+contract('lib acl', ([appManager, voting, user1]) => {
+  let acl, fromBlock
+
+  beforeEach('deploy dao', async () => {
+    ;({ acl } = await newDao(appManager))
+    fromBlock = (await web3.eth.getBlockNumber()) + 1
+
+    await acl.createPermission(voting, APP, MANAGE_FEE, appManager, { from: appManager })
+    await acl.createPermission(user1, APP, PAUSE_ROLE, appManager, { from: appManager })
+    await acl.revokePermission(user1, APP, PAUSE_ROLE, { from: appManager })
+    // user1 may only set the fee to 1000
+    await acl.grantPermissionP(user1, APP, MANAGE_FEE, [encodeParam(0, 1, 1000)], { from: appManager })
+  })
+
+  it('fetches permission events in chunks, shrinking them when the node refuses a range', async () => {
+    const toBlock = await web3.eth.getBlockNumber()
+    const ranges = []
+    const limitedAcl = {
+      address: acl.address,
+      contract: acl.contract,
+      getPastEvents: async (event, range) => {
+        if (range.toBlock - range.fromBlock >= 2) {
+          throw new Error('query returned more than 10000 results')
+        }
+        ranges.push([range.fromBlock, range.toBlock])
+        return await acl.getPastEvents(event, range)
+      }
+    }
+
+    const events = await getPermissionEvents(limitedAcl, fromBlock, toBlock, { chunkSize: 8 })
+    assert.deepEqual(ranges[0], [fromBlock, fromBlock + 1])
+    assert.equal(ranges[ranges.length - 1][1], toBlock)
+    ranges.slice(1).forEach(([start], i) => assert.equal(start, ranges[i][1] + 1))
+
+    assert.deepEqual(
+      events.map(({ event, args }) => [event, args.entity || args.manager, args.role]),
+      [
+        ['SetPermission', voting, MANAGE_FEE],
+        ['ChangePermissionManager', appManager, MANAGE_FEE],
+        ['SetPermission', user1, PAUSE_ROLE],
+        ['ChangePermissionManager', appManager, PAUSE_ROLE],
+        ['SetPermission', user1, PAUSE_ROLE],
+        ['SetPermission', user1, MANAGE_FEE],
+        ['SetPermissionParams', user1, MANAGE_FEE]
+      ]
+    )
+    assert.deepEqual(
+      events.filter(({ event }) => event === 'SetPermission').map(({ args }) => args.allowed),
+      [true, true, false, true]
+    )
+  })
+
+  it('replays the events into the role matrix with params', async () => {
+    const permissions = await inspectPermissions(acl, {
+      fromBlock,
+      chunkSize: 2,
+      addressBook: { [APP.toLowerCase()]: { name: 'Lido', abiName: 'Lido' } }
+    })
+
+    assert.deepEqual(permissions, [
+      {
+        app: APP,
+        appName: 'Lido',
+        role: MANAGE_FEE,
+        roleId: 'MANAGE_FEE',
+        roleName: null,
+        manager: appManager,
+        managerName: null,
+        grantees: [
+          { address: voting, name: null, params: [] },
+          { address: user1, name: null, params: [{ id: 0, op: 'EQ', value: '1000' }] }
+        ]
+      },
+      {
+        app: APP,
+        appName: 'Lido',
+        role: PAUSE_ROLE,
+        roleId: 'PAUSE_ROLE',
+        roleName: null,
+        manager: appManager,
+        managerName: null,
+        grantees: []
+      }
+    ])
+  })
+
+  it('collects the roles guarding functions', async () => {
+    const source = `
+      function setFee(uint16 _feeBasisPoints) external auth(MANAGE_FEE) {}
+      function setLimit(uint256 _id, uint64 _limit) external authP(SET_LIMIT_ROLE, arr(_id, uint256(_limit))) {}
+      function pause() external { _auth(PAUSE_ROLE); }
+      function check(bytes32 _role) internal { _auth(_role); }
+      function view() external view returns (uint256) {}
+    `
+    assert.deepEqual(getFunctionRoles(source), {
+      setFee: ['MANAGE_FEE'],
+      setLimit: ['SET_LIMIT_ROLE'],
+      pause: ['PAUSE_ROLE']
+    })
+  })
+})
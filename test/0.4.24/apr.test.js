@@ -0,0 +1,128 @@
+const { assert } = require('chai')
+
+const { createCache, indexEvents } = require('../../lib/src/indexer')
+const { getOracleReports, getAprHistory, computeAprHistory, formatAprHistoryCsv } = require('../../lib/src/apr')
+
+const ORACLE = '0x0000000000000000000000000000000000000001'
+const OLD_ORACLE = '0x0000000000000000000000000000000000000002'
+const LAST_BLOCK = 30
+const ONE_DAY = 24 * 60 * 60
+
+// one frame per day
+const BEACON_SPEC = { epochsPerFrame: 225, slotsPerEpoch: 32, secondsPerSlot: 12, genesisTime: 1606824000 }
+
+const eth = (value) => web3.utils.toWei(value)
+
+// An oracle instance emitting `Completed` and `PostTotalShares` in the same tx for each report
+const createOracle = (address, reports) => {
+  const logs = []
+  reports.forEach(({ blockNumber, epochId, pre, post, timeElapsed = ONE_DAY, totalShares = eth('1000') }) => {
+    const transactionHash = web3.utils.padLeft(web3.utils.numberToHex(blockNumber), 64)
+    const log = (logIndex, event, returnValues) => logs.push({ event, address, blockNumber, transactionHash, logIndex, returnValues })
+    log(0, 'Completed', { epochId: String(epochId), beaconBalance: '0', beaconValidators: '0' })
+    log(1, 'PostTotalShares', {
+      postTotalPooledEther: post,
+      preTotalPooledEther: pre,
+      timeElapsed: String(timeElapsed),
+      totalShares
+    })
+  })
+  return {
+    address,
+    contract: { currentProvider: web3.currentProvider },
+    getPastEvents: async (event, { fromBlock, toBlock }) =>
+      logs.filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock),
+    getBeaconSpec: async () => BEACON_SPEC
+  }
+}
+
+contract('lib apr', () => {
+  const oracle = createOracle(ORACLE, [
+    { blockNumber: 10, epochId: 225, pre: eth('1000'), post: eth('1000.1') },
+    { blockNumber: 20, epochId: 450, pre: eth('1000'), post: eth('1000.2') },
+    { blockNumber: 30, epochId: 675, pre: eth('1000'), post: eth('1000.2'), timeElapsed: 0 }
+  ])
+
+  it('collects the reports of the given oracle only', async () => {
+    // a cache shared with the previous oracle deployment, its rows have the same contract name
+    const oldOracle = createOracle(OLD_ORACLE, [{ blockNumber: 5, epochId: 100, pre: eth('1'), post: eth('2') }])
+    const cache = await indexEvents([{ name: 'LidoOracle', instance: oldOracle, events: ['Completed', 'PostTotalShares'] }], {
+      cache: createCache(),
+      toBlock: LAST_BLOCK
+    })
+
+    const reports = await getOracleReports(oracle, { cache, toBlock: LAST_BLOCK })
+    assert.deepEqual(
+      reports.map(({ epochId, blockNumber, preTotalPooledEther, postTotalPooledEther, timeElapsed }) => [
+        epochId,
+        blockNumber,
+        preTotalPooledEther,
+        postTotalPooledEther,
+        timeElapsed
+      ]),
+      [
+        [225, 10, eth('1000'), eth('1000.1'), ONE_DAY],
+        [450, 20, eth('1000'), eth('1000.2'), ONE_DAY],
+        [675, 30, eth('1000'), eth('1000.2'), 0]
+      ]
+    )
+
+    const fromBlock = await getOracleReports(oracle, { cache, fromBlock: 15, toBlock: LAST_BLOCK })
+    assert.deepEqual(
+      fromBlock.map(({ epochId }) => epochId),
+      [450, 675]
+    )
+  })
+
+  it('computes the report, share rate and moving average APRs', async () => {
+    const history = await getAprHistory(oracle, { cache: createCache(), toBlock: LAST_BLOCK, window: 2 })
+
+    assert.deepEqual(
+      history.map(({ epochId, timestamp, shareRate }) => [epochId, timestamp, shareRate]),
+      [
+        [225, BEACON_SPEC.genesisTime + ONE_DAY, eth('1.0001')],
+        [450, BEACON_SPEC.genesisTime + 2 * ONE_DAY, eth('1.0002')],
+        [675, BEACON_SPEC.genesisTime + 3 * ONE_DAY, eth('1.0002')]
+      ]
+    )
+    // 0.01% and 0.02% per day
+    assert.deepEqual(
+      history.map(({ apr }) => apr),
+      [3.65, 7.3, null]
+    )
+    // the share rate grew by 0.0001 / 1.0001 on the second day
+    assert.deepEqual(
+      history.map(({ shareRateApr }) => shareRateApr),
+      [null, 3.649635, 0]
+    )
+    // the window skips reports without an APR
+    assert.deepEqual(
+      history.map(({ movingAverageApr }) => movingAverageApr),
+      [3.65, 5.475, 7.3]
+    )
+  })
+
+  it('formats the history as CSV', async () => {
+    const reports = await getOracleReports(oracle, { cache: createCache(), toBlock: 10 })
+    const lines = formatAprHistoryCsv(computeAprHistory(reports, BEACON_SPEC)).split('\n')
+
+    assert.deepEqual(lines, [
+      'epochId,timestamp,blockNumber,transactionHash,preTotalPooledEther,postTotalPooledEther,timeElapsed,' +
+        'totalShares,shareRate,apr,shareRateApr,movingAverageApr',
+      [
+        225,
+        '2020-12-02T12:00:00.000Z',
+        10,
+        web3.utils.padLeft(web3.utils.numberToHex(10), 64),
+        eth('1000'),
+        eth('1000.1'),
+        ONE_DAY,
+        eth('1000'),
+        '1.0001',
+        3.65,
+        '',
+        3.65
+      ].join(',')
+    ])
+  })
+})
@@ -0,0 +1,68 @@
+const { assert } = require('chai')
+const bls = require('@noble/bls12-381')
+
+const depositData = require('../../lib/src/deposit-data')
+
+const PRIVATE_KEY = '11'.repeat(32)
+const WITHDRAWAL_CREDENTIALS = '0x010000000000000000000000b9d7934878b5fb9610b3fe8a5e441e8fad7e293f'
+const FORK_VERSION = depositData.GENESIS_FORK_VERSIONS[1]
+
+const toHex = (bytes) => '0x' + Buffer.from(bytes).toString('hex')
+
+async function signDepositData(privateKey, withdrawalCredentials, forkVersion) {
+  const pubkey = toHex(bls.getPublicKey(privateKey))
+  const signingRoot = depositData.computeDepositSigningRoot(pubkey, withdrawalCredentials, forkVersion)
+  const message = await bls.PointG2.hashToCurve(signingRoot, { DST: 'BLS_SIG_BLS12381G2_XMD:SHA-256_SSWU_RO_POP_' })
+  const signature = toHex((await bls.sign(message, privateKey)).toSignature())
+  return { pubkey, signature }
+}
+
+contract('lib deposit-data', () => {
+  const params = { withdrawalCredentials: WITHDRAWAL_CREDENTIALS, forkVersion: FORK_VERSION }
+  let key
+
+  before(async () => {
+    key = await signDepositData(PRIVATE_KEY, WITHDRAWAL_CREDENTIALS, FORK_VERSION)
+  })
+
+  it('computes the mainnet deposit domain', async () => {
+    assert.equal(
+      depositData.computeDepositDomain(FORK_VERSION).toString('hex'),
+      '03000000f5a5fd42d16a20302798ef6ed309979b43003d2320d9f0e8ea9831a9'
+    )
+  })
+
+  it('accepts a valid signature', async () => {
+    assert.isTrue(await depositData.verifyDepositSignature(key.pubkey, key.signature, params))
+  })
+
+  it('rejects a signature for other withdrawal credentials or network', async () => {
+    const otherCredentials = { ...params, withdrawalCredentials: '0x' + '00'.repeat(31) + '01' }
+    assert.isFalse(await depositData.verifyDepositSignature(key.pubkey, key.signature, otherCredentials))
+
+    const otherNetwork = { ...params, forkVersion: depositData.GENESIS_FORK_VERSIONS[5] }
+    assert.isFalse(await depositData.verifyDepositSignature(key.pubkey, key.signature, otherNetwork))
+  })
+
+  it('reports malformed and invalid keys', async () => {
+    const invalid = await depositData.getInvalidDepositData(
+      [key, { pubkey: key.pubkey, signature: '0x' + 'ab'.repeat(96) }, { pubkey: '0x1234', signature: key.signature }],
+      params
+    )
+
+    assert.equal(invalid.length, 2)
+    assert.equal(invalid[0].signature, '0x' + 'ab'.repeat(96))
+    assert.isNull(invalid[1].depositDataRoot)
+  })
+
+  it('exports keys in the deposit_data.json format', async () => {
+    const [entry] = depositData.toDepositDataJson([key], params)
+
+    assert.equal(entry.pubkey, key.pubkey.slice(2))
+    assert.equal(entry.withdrawal_credentials, WITHDRAWAL_CREDENTIALS.slice(2))
+    assert.equal(entry.amount, 32000000000)
+    assert.equal(entry.fork_version, '00000000')
+    assert.equal(entry.deposit_message_root, depositData.computeDepositMessageRoot(key.pubkey, WITHDRAWAL_CREDENTIALS).toString('hex'))
+    assert.equal('0x' + entry.deposit_data_root, depositData.computeDepositDataRoot(key.pubkey, WITHDRAWAL_CREDENTIALS, key.signature))
+  })
+})
@@ -0,0 +1,84 @@
+const { assert } = require('chai')
+const { encodeCallScript } = require('@aragon/contract-helpers-test/src/aragon-os')
+
+const { newDao, newVoting } = require('./helpers/dao')
+const { callAction, createVote } = require('../../lib/src/dao')
+const { createAddressBook, decodeScript, decodeVote, formatCalls } = require('../../lib/src/evm-script')
+const mainnetState = require('../../deployed-mainnet.json')
+
+const LIDO = mainnetState['app:lido'].proxyAddress
+const NODE_OPERATORS_REGISTRY = mainnetState['app:node-operators-registry'].proxyAddress
+const VOTING = mainnetState['app:aragon-voting'].proxyAddress
+const UNKNOWN = '0x0000000000000000000000000000000000000001'
+
+const VOTE_DESC = 'Change fees and the staking limit of operator #3'
+
+contract('lib evm-script', ([appManager, holder]) => {
+  const addressBook = createAddressBook(mainnetState)
+
+  const voteScript = encodeCallScript([
+    callAction(LIDO, 'setFeeDistribution(uint16,uint16,uint16)', [3000, 2000, 5000]),
+    callAction(NODE_OPERATORS_REGISTRY, 'setNodeOperatorStakingLimit(uint256,uint64)', [3, 1000])
+  ])
+
+  const expectedVoteCalls = [
+    `1. Lido (${LIDO}).setFeeDistribution(_treasuryFeeBasisPoints: 3000, _insuranceFeeBasisPoints: 2000, _operatorsFeeBasisPoints: 5000)`,
+    `2. NodeOperatorsRegistry (${NODE_OPERATORS_REGISTRY}).setNodeOperatorStakingLimit(_id: 3, _stakingLimit: 1000)`
+  ]
+
+  it('decodes a newVote script with the nested vote script', async () => {
+    const newVoteScript = encodeCallScript([
+      callAction(VOTING, 'newVote(bytes,string,bool,bool)', [voteScript, VOTE_DESC, false, false]),
+      callAction(UNKNOWN, 'setFeeDistribution(uint16,uint16,uint16)', [1, 2, 3])
+    ])
+
+    const [newVoteCall, unknownCall] = decodeScript(newVoteScript, addressBook)
+    assert.equal(newVoteCall.to, VOTING)
+    assert.equal(newVoteCall.toName, 'Voting')
+    assert.equal(newVoteCall.method, 'newVote')
+    assert.equal(newVoteCall.signature, 'newVote(bytes,string,bool,bool)')
+    assert.isFalse(newVoteCall.guessed)
+    assert.deepEqual(
+      newVoteCall.args.slice(1).map(({ name, value }) => [name, value]),
+      [
+        ['_metadata', VOTE_DESC],
+        ['_castVote', false],
+        ['_executesIfDecided', false]
+      ]
+    )
+
+    const nestedCalls = newVoteCall.args[0].calls
+    assert.deepEqual(
+      nestedCalls.map(({ toName, method, abiName, guessed }) => [toName, method, abiName, guessed]),
+      [
+        ['Lido', 'setFeeDistribution', 'Lido', false],
+        ['NodeOperatorsRegistry', 'setNodeOperatorStakingLimit', 'NodeOperatorsRegistry', false]
+      ]
+    )
+
+    assert.isNull(unknownCall.toName)
+    assert.equal(unknownCall.method, 'setFeeDistribution')
+    assert.isTrue(unknownCall.guessed)
+
+    assert.deepEqual(formatCalls([newVoteCall]), [
+      `1. Voting (${VOTING}).newVote(_executionScript: <script, 2 calls>, _metadata: ${VOTE_DESC}, ` +
+        `_castVote: false, _executesIfDecided: false)`,
+      `   _executionScript script:`,
+      ...expectedVoteCalls.map((line) => `     ${line}`)
+    ])
+  })
+
+  it('decodes the script of a started vote', async () => {
+    const { dao, acl } = await newDao(appManager)
+    const { voting, tokenManager } = await newVoting(dao, acl, appManager, [holder])
+
+    const { voteId } = await createVote(voting, tokenManager, VOTE_DESC, voteScript, { from: holder })
+    const vote = await decodeVote(voting, voteId, addressBook)
+
+    assert.equal(vote.voteId, +voteId)
+    assert.isTrue(vote.open)
+    assert.isFalse(vote.executed)
+    assert.equal(vote.script, voteScript)
+    assert.deepEqual(formatCalls(vote.calls), expectedVoteCalls)
+  })
+})
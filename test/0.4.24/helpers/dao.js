@@ -1,9 +1,16 @@
 const { hash } = require('eth-ens-namehash')
-const { getEventArgument } = require('@aragon/contract-helpers-test')
+const { ZERO_ADDRESS, getEventArgument } = require('@aragon/contract-helpers-test')
 const Kernel = artifacts.require('@aragon/os/build/contracts/kernel/Kernel')
 const ACL = artifacts.require('@aragon/os/build/contracts/acl/ACL')
 const EVMScriptRegistryFactory = artifacts.require('@aragon/os/build/contracts/factory/EVMScriptRegistryFactory')
 const DAOFactory = artifacts.require('@aragon/os/build/contracts/factory/DAOFactory')
+const MiniMeToken = artifacts.require('MiniMeToken')
+const TokenManager = artifacts.require('TokenManager')
+const Voting = artifacts.require('Voting')
+
+const PCT_50 = '500000000000000000'
+const PCT_5 = '50000000000000000'
+const VOTE_TIME = 3600
 
 const newDao = async (rootAccount) => {
   // Deploy a DAOFactory.
@@ -41,7 +48,29 @@ const newApp = async (dao, appName, baseAppAddress, rootAccount) => {
   return proxyAddress
 }
 
+// Installs a token manager and a voting into the DAO and mints one governance token to each holder.
+// The token manager may create votes, so any holder can start one the same way as in the Lido DAO.
+const newVoting = async (dao, acl, rootAccount, holders) => {
+  const token = await MiniMeToken.new(ZERO_ADDRESS, ZERO_ADDRESS, 0, 'DAO Token', 18, 'DAOT', true)
+  const tokenManager = await TokenManager.at(await newApp(dao, 'token-manager', (await TokenManager.new()).address, rootAccount))
+  const voting = await Voting.at(await newApp(dao, 'voting', (await Voting.new()).address, rootAccount))
+
+  await token.changeController(tokenManager.address)
+  await tokenManager.initialize(token.address, true, 0)
+  await voting.initialize(token.address, PCT_50, PCT_5, VOTE_TIME)
+
+  await acl.createPermission(rootAccount, tokenManager.address, await tokenManager.MINT_ROLE(), rootAccount, { from: rootAccount })
+  await acl.createPermission(tokenManager.address, voting.address, await voting.CREATE_VOTES_ROLE(), rootAccount, { from: rootAccount })
+
+  for (const holder of holders) {
+    await tokenManager.mint(holder, '1000000000000000000', { from: rootAccount })
+  }
+
+  return { token, tokenManager, voting }
+}
+
 module.exports = {
   newDao,
-  newApp
+  newApp,
+  newVoting
 }
@@ -0,0 +1,89 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { assert } = require('chai')
+
+const { indexEvents, loadCache, queryEvents, getCheckpoint } = require('../../lib/src/indexer')
+
+const LIDO = '0x0000000000000000000000000000000000000001'
+const LAST_BLOCK = 9
+
+// A Lido instance emitting one Submitted event per block, `failRange` decides which ranges the node refuses
+const createSource = (failRange = () => false) => {
+  const ranges = []
+  const instance = {
+    address: LIDO,
+    contract: { currentProvider: web3.currentProvider },
+    getPastEvents: async (event, { fromBlock, toBlock }) => {
+      if (failRange(fromBlock, toBlock)) {
+        throw new Error(`can't fetch blocks ${fromBlock}..${toBlock}`)
+      }
+      ranges.push([fromBlock, toBlock])
+      return Array.from({ length: toBlock - fromBlock + 1 }, (_, i) => ({
+        event: 'Submitted',
+        address: LIDO,
+        blockNumber: fromBlock + i,
+        transactionHash: web3.utils.padLeft(web3.utils.numberToHex(fromBlock + i), 64),
+        logIndex: 0,
+        returnValues: { sender: LIDO, amount: String(fromBlock + i), referral: LIDO }
+      }))
+    }
+  }
+  return { source: { name: 'Lido', instance, events: ['Submitted'], fromBlock: 0 }, ranges }
+}
+
+contract('lib indexer', () => {
+  let cachePath
+
+  beforeEach(() => {
+    cachePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lido-indexer-')), 'cache.json')
+  })
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(cachePath), { recursive: true, force: true })
+  })
+
+  it('halves the chunk size while the node refuses the range', async () => {
+    const { source, ranges } = createSource((fromBlock, toBlock) => toBlock - fromBlock >= 3)
+    const cache = await indexEvents([source], { toBlock: LAST_BLOCK, chunkSize: 10 })
+
+    // 10 -> 5 -> 3 blocks, the smaller size is kept for the rest of the range
+    assert.deepEqual(ranges, [
+      [0, 2],
+      [3, 5],
+      [6, 8],
+      [9, 9]
+    ])
+    assert.deepEqual(
+      queryEvents(cache).map(({ blockNumber, args }) => [blockNumber, args.amount]),
+      Array.from({ length: LAST_BLOCK + 1 }, (_, i) => [i, String(i)])
+    )
+    assert.equal(getCheckpoint(cache, source), LAST_BLOCK)
+  })
+
+  it('saves a consistent checkpoint when interrupted and resumes after it', async () => {
+    const broken = createSource((fromBlock, toBlock) => fromBlock <= 6 && toBlock >= 6)
+    const error = await indexEvents([broken.source], { cachePath, toBlock: LAST_BLOCK, chunkSize: 2, saveEvery: 100 }).catch((err) => err)
+    assert.equal(error.message, `can't fetch blocks 6..6`)
+
+    const saved = loadCache(cachePath)
+    assert.equal(getCheckpoint(saved, broken.source), 5)
+    assert.deepEqual(
+      saved.rows.map(({ blockNumber }) => blockNumber),
+      [0, 1, 2, 3, 4, 5]
+    )
+
+    const working = createSource()
+    const cache = await indexEvents([working.source], { cachePath, toBlock: LAST_BLOCK, chunkSize: 2, saveEvery: 2 })
+    assert.deepEqual(working.ranges, [
+      [6, 7],
+      [8, 9]
+    ])
+    assert.deepEqual(loadCache(cachePath), cache)
+    assert.equal(getCheckpoint(cache, working.source), LAST_BLOCK)
+    assert.deepEqual(
+      queryEvents(cache).map(({ blockNumber }) => blockNumber),
+      Array.from({ length: LAST_BLOCK + 1 }, (_, i) => i)
+    )
+  })
+})
@@ -1,18 +1,38 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const { hash } = require('eth-ens-namehash')
 const { assert } = require('chai')
-const { newDao, newApp } = require('./helpers/dao')
+const { newDao, newApp, newVoting } = require('./helpers/dao')
 const { getInstalledApp } = require('@aragon/contract-helpers-test/src/aragon-os')
 const { assertBn, assertRevert, assertEvent } = require('@aragon/contract-helpers-test/src/asserts')
 const { ZERO_ADDRESS, bn, getEventAt } = require('@aragon/contract-helpers-test')
 const { BN } = require('bn.js')
 const { formatEther } = require('ethers/lib/utils')
 const { getEthBalance, formatStEth: formamtStEth, formatBN } = require('../helpers/utils')
+const { computeDepositDataRoot } = require('../../lib/src/deposit-data')
+const { deriveWithdrawalCredentials } = require('../../lib/src/withdrawal-credentials')
+const {
+  checkWithdrawalCredentialsChange,
+  submitEther,
+  setWithdrawalCredentials,
+  setFeeDistributionAction,
+  setWithdrawalCredentialsAction
+} = require('../../lib/src/lido')
+const { dryRunTx, decodeRevertReason, explainRevert } = require('../../lib/src/revert-reasons')
+const { createSafeBatch, readSafeBatch, verifySafeBatch, getBatchCalls } = require('../../lib/src/safe-batch')
+const { getELRewardsState, projectELRewardsWithdrawals, compareELRewardsWithdrawalLimits } = require('../../lib/src/el-rewards')
+const { decodeVote } = require('../../lib/src/evm-script')
+const { percentToBp18, createVoteBuilder, createSingleActionVote } = require('../../lib/src/dao')
+const ethersLib = require('../../lib/src/ethers')
+const { runCli } = require('../../lib/src/cli')
 
 const NodeOperatorsRegistry = artifacts.require('NodeOperatorsRegistry')
 
 const Lido = artifacts.require('LidoMock.sol')
 const ELRewardsVault = artifacts.require('LidoExecutionLayerRewardsVault.sol')
 const OracleMock = artifacts.require('OracleMock.sol')
+const LidoOracle = artifacts.require('LidoOracle.sol')
 const DepositContractMock = artifacts.require('DepositContractMock.sol')
 const ERC20Mock = artifacts.require('ERC20Mock.sol')
 const ERC721Mock = artifacts.require('ERC721Mock.sol')
@@ -277,6 +297,37 @@ contract('Lido', ([appManager, voting, user1, user2, user3, nobody, depositor])
     assertBn(await app.getTotalELRewardsCollected(), ETH(elRewards))
   })
 
+  it('lib projects execution layer rewards withdrawals like the reports make them', async () => {
+    const depositAmount = 32
+    await setupNodeOperatorsForELRewardsVaultTests(user2, ETH(depositAmount))
+    await oracle.reportBeacon(100, 1, ETH(depositAmount))
+    await rewarder.reward({ from: user1, value: ETH(0.025) })
+
+    const state = await getELRewardsState(app)
+    assertBn(state.vaultBalance, ETH(0.025))
+    assert.equal(state.withdrawalLimitPoints, 3)
+
+    const projection = projectELRewardsWithdrawals(state)
+    assert.isTrue(projection.drained)
+    assert.equal(projection.reports, 3)
+    assertBn(projection.totalWithdrawn, ETH(0.025))
+
+    for (const { report, amount, vaultBalance, totalPooledEther } of projection.withdrawals) {
+      const collected = await app.getTotalELRewardsCollected()
+      await oracle.reportBeacon(100 + report, 1, ETH(depositAmount))
+      assertBn((await app.getTotalELRewardsCollected()).sub(collected), amount)
+      assertBn(await web3.eth.getBalance(elRewardsVault.address), vaultBalance)
+      assertBn(await app.getTotalPooledEther(), totalPooledEther)
+    }
+
+    await rewarder.reward({ from: user1, value: ETH(0.025) })
+    const { current, proposed } = compareELRewardsWithdrawalLimits(await getELRewardsState(app), 10)
+    assert.equal(current.reports, 3)
+    assert.equal(proposed.reports, 1)
+    assertBn(proposed.withdrawals[0].amount, ETH(0.025))
+    assert.throws(() => projectELRewardsWithdrawals(state, { withdrawalLimitPoints: 10001 }), /basis points/)
+  })
+
   it('Attempt to set invalid execution layer rewards withdrawal limit', async () => {
     const initialValue = await app.getELRewardsWithdrawalLimit()
 
@@ -326,6 +377,99 @@ contract('Lido', ([appManager, voting, user1, user2, user3, nobody, depositor])
     assert.equal(await app.getWithdrawalCredentials({ from: nobody }), pad('0x0202', 32))
   })
 
+  it('lib exports vote actions as a Safe batch and verifies it against the expected calls', async () => {
+    const actions = [setFeeDistributionAction(app, 3000, 2000, 5000), setWithdrawalCredentialsAction(app, pad('0x0202', 32))]
+    const chainId = await web3.eth.getChainId()
+    const batch = createSafeBatch(actions, { chainId, safeAddress: voting })
+
+    assert.equal(batch.chainId, String(chainId))
+    assert.equal(batch.meta.createdFromSafeAddress, voting)
+    assert.equal(batch.transactions[0].contractMethod.name, 'setFeeDistribution')
+    assert.deepEqual(batch.transactions[0].contractInputsValues, {
+      _treasuryFeeBasisPoints: '3000',
+      _insuranceFeeBasisPoints: '2000',
+      _operatorsFeeBasisPoints: '5000'
+    })
+
+    const imported = readSafeBatch(JSON.stringify(batch))
+    assert.deepEqual(verifySafeBatch(imported, actions, { chainId }), [])
+    assert.deepEqual(verifySafeBatch(imported, [actions[1], actions[0]], { chainId: chainId + 1 }), [
+      `the batch is for chain ${chainId}, expected ${chainId + 1}`,
+      `transaction #0 calldata differs from the expected one`,
+      `transaction #1 calldata differs from the expected one`
+    ])
+
+    const tampered = JSON.parse(JSON.stringify(batch))
+    tampered.transactions[0].contractInputsValues._treasuryFeeBasisPoints = '4000'
+    assert.throws(() => readSafeBatch(tampered), /checksum mismatch/)
+
+    for (const { to, value, data } of getBatchCalls(imported)) {
+      await web3.eth.sendTransaction({ from: voting, to, value, data })
+    }
+    const distribution = await app.getFeeDistribution()
+    assertBn(distribution.treasuryFeeBasisPoints, 3000)
+    assertBn(distribution.operatorsFeeBasisPoints, 5000)
+    assert.equal(await app.getWithdrawalCredentials(), pad('0x0202', 32))
+  })
+
+  it('lib builds a multi-action vote and executes it through the DAO voting', async () => {
+    const { voting: votingApp, tokenManager } = await newVoting(dao, acl, appManager, [user3])
+    for (const role of [await app.MANAGE_FEE(), await app.MANAGE_WITHDRAWAL_KEY(), await app.STAKING_CONTROL_ROLE()]) {
+      await acl.grantPermission(votingApp.address, app.address, role, { from: appManager })
+    }
+
+    const builder = createVoteBuilder(votingApp, tokenManager)
+    assert.throws(() => builder.getScript(), 'the vote has no actions')
+    assert.throws(() => builder.add({ to: app.address }), 'a vote action must have to, calldata and description')
+
+    builder
+      .add(setFeeDistributionAction(app, 3000, 2000, 5000), setWithdrawalCredentialsAction(app, pad('0x0202', 32)))
+      .addCall(app, 'setFee', [1000], 'Set the total fee to 10%')
+      .addCall(app.address, 'setStakingLimit(uint256,uint256)', [ETH(10), ETH(0.1)], 'Limit staking to 10 ETH')
+
+    const preview = builder.preview({ [app.address.toLowerCase()]: { name: 'Lido', abiName: 'Lido' } })
+    assert.equal(
+      preview.description,
+      [
+        '1) Set fee distribution to: (treasury 3000, insurance 2000, operators 5000)',
+        `2) Set withdrawal credentials to ${pad('0x0202', 32)}`,
+        '3) Set the total fee to 10%',
+        '4) Limit staking to 10 ETH'
+      ].join('\n')
+    )
+    assert.equal(preview.size, (preview.script.length - 2) / 2)
+    assert.deepEqual(
+      preview.calls.map(({ toName, method }) => [toName, method]),
+      [
+        ['Lido', 'setFeeDistribution'],
+        ['Lido', 'setWithdrawalCredentials'],
+        ['Lido', 'setFee'],
+        ['Lido', 'setStakingLimit']
+      ]
+    )
+
+    const { voteId } = await builder.submit({ from: user3 })
+    assert.equal((await votingApp.getVote(voteId)).script, preview.script)
+    await votingApp.vote(voteId, true, false, { from: user3 })
+    await votingApp.executeVote(voteId, { from: user3 })
+
+    const distribution = await app.getFeeDistribution()
+    assertBn(distribution.treasuryFeeBasisPoints, 3000)
+    assertBn(distribution.insuranceFeeBasisPoints, 2000)
+    assertBn(distribution.operatorsFeeBasisPoints, 5000)
+    assert.equal(await app.getWithdrawalCredentials(), pad('0x0202', 32))
+    assertBn(await app.getFee(), 1000)
+    assertBn((await app.getStakeLimitFullInfo()).maxStakeLimit, ETH(10))
+
+    const single = await createSingleActionVote(votingApp, tokenManager, setWithdrawalCredentialsAction(app, pad('0x0303', 32)), {
+      from: user3
+    })
+    assertBn(single.voteId, +voteId + 1)
+    await votingApp.vote(single.voteId, true, false, { from: user3 })
+    await votingApp.executeVote(single.voteId, { from: user3 })
+    assert.equal(await app.getWithdrawalCredentials(), pad('0x0303', 32))
+  })
+
   it('setOracle works', async () => {
     await assertRevert(app.setProtocolContracts(ZERO_ADDRESS, user2, user3, { from: voting }), 'ORACLE_ZERO_ADDRESS')
     const receipt = await app.setProtocolContracts(yetAnotherOracle.address, oracle.address, oracle.address, { from: voting })
@@ -351,6 +495,23 @@ contract('Lido', ([appManager, voting, user1, user2, user3, nobody, depositor])
     assertBn(await operators.getTotalSigningKeyCount(1, { from: nobody }), 2)
     assertBn(await operators.getUnusedSigningKeyCount(1, { from: nobody }), 2)
 
+    const change = await checkWithdrawalCredentialsChange(app, deriveWithdrawalCredentials(ADDRESS_1))
+    assert.isTrue(change.changed)
+    assert.equal(change.to.address, web3.utils.toChecksumAddress(ADDRESS_1))
+    assert.equal(change.unusedSigningKeys.total, 3)
+    assert.deepEqual(
+      change.unusedSigningKeys.operators.map(({ id, unusedSigningKeys }) => [id, unusedSigningKeys]),
+      [
+        [0, 1],
+        [1, 2]
+      ]
+    )
+
+    const { voting: votingApp, tokenManager } = await newVoting(dao, acl, appManager, [user3])
+    const vote = await setWithdrawalCredentials(app, votingApp, tokenManager, deriveWithdrawalCredentials(ADDRESS_1), { from: user3 })
+    assert.equal(vote.unusedSigningKeys.total, 3)
+    assert.equal((await decodeVote(votingApp, vote.voteId)).calls[0].method, 'setWithdrawalCredentials')
+
     await app.setWithdrawalCredentials(pad('0x0203', 32), { from: voting })
 
     assertBn(await operators.getTotalSigningKeyCount(0, { from: nobody }), 0)
@@ -463,6 +624,7 @@ contract('Lido', ([appManager, voting, user1, user2, user3, nobody, depositor])
     assert.equal(c0.withdrawal_credentials, pad('0x0202', 32))
     assert.equal(c0.signature, pad('0x01', 96))
     assertBn(c0.value, ETH(32))
+    assert.equal(c0.deposit_data_root, computeDepositDataRoot(c0.pubkey, c0.withdrawal_credentials, c0.signature))
 
     // +100 ETH, test partial unbuffering
     await web3.eth.sendTransaction({ to: app.address, from: user1, value: ETH(100) })
@@ -627,6 +789,152 @@ contract('Lido', ([appManager, voting, user1, user2, user3, nobody, depositor])
     assertEvent(receipt, 'Submitted', { expectedArgs: { sender: user2, amount: ETH(1.4), referral: ZERO_ADDRESS } })
   })
 
+  it('lib dry-runs submissions and decodes the revert reason', async () => {
+    const dryRun = await submitEther(app, ETH(1), { from: user2, dryRun: true })
+    assert.isTrue(dryRun.ok)
+    assert.isAbove(dryRun.gas, 0)
+    assertBn(dryRun.returnValue, ETH(1))
+    assertBn(await app.balanceOf(user2), 0)
+
+    await app.pauseStaking({ from: voting })
+    const paused = await submitEther(app, ETH(1), { from: user2, dryRun: true })
+    assert.isFalse(paused.ok)
+    assert.equal(paused.revert.code, 'STAKING_PAUSED')
+    assert.deepEqual(paused.revert.contracts, ['Lido'])
+
+    await app.resumeStaking({ from: voting })
+    await app.setStakingLimit(ETH(3), ETH(0.01), { from: voting })
+    const overLimit = await submitEther(app, ETH(4), { from: user2, dryRun: true })
+    assert.equal(overLimit.revert.code, 'STAKE_LIMIT')
+
+    const unauthorized = await dryRunTx(app, 'pauseStaking', [], { from: user1 })
+    assert.equal(unauthorized.revert.code, 'APP_AUTH_FAILED')
+    assert.equal(explainRevert(decodeRevertReason('0x')).code, 'NO_REASON')
+  })
+
+  it('lib ethers helpers dry-run transactions and decode the revert reason', async () => {
+    // ethers errors of JSON-RPC providers keep the node message prefix in `reason`
+    assert.equal(decodeRevertReason({ reason: 'execution reverted: STAKING_PAUSED' }), 'STAKING_PAUSED')
+    assert.equal(decodeRevertReason({ reason: "reverted with reason string 'STAKE_LIMIT'" }), 'STAKE_LIMIT')
+    assert.equal(decodeRevertReason({ reason: 'STAKING_PAUSED' }), 'STAKING_PAUSED')
+    assert.isNull(decodeRevertReason({ reason: 'execution reverted', data: '0x' }))
+
+    const [operatorSigner, stakerSigner] = await Promise.all([user1, user2].map((addr) => ethers.getSigner(addr)))
+    const lido = ethersLib.getLido(stakerSigner, app.address)
+
+    const dryRun = await ethersLib.submitEther(lido, ETH(1), { dryRun: true })
+    assert.isTrue(dryRun.ok)
+    assert.isAbove(dryRun.gas, 0)
+    assertBn(dryRun.returnValue.toString(), ETH(1))
+    assertBn(await app.balanceOf(user2), 0)
+
+    await app.pauseStaking({ from: voting })
+    const paused = await ethersLib.submitEther(lido, ETH(1), { dryRun: true })
+    assert.isFalse(paused.ok)
+    assert.isNull(paused.gas)
+    assert.deepEqual(paused.revert, explainRevert('STAKING_PAUSED'))
+
+    await app.resumeStaking({ from: voting })
+    await app.setStakingLimit(ETH(3), ETH(0.01), { from: voting })
+    const overLimit = await ethersLib.submitEther(lido, ETH(4), { dryRun: true })
+    assert.equal(overLimit.revert.code, 'STAKE_LIMIT')
+
+    await operators.addNodeOperator('fo o', user1, { from: voting })
+    const registry = ethersLib.getNodeOperatorsRegistry(operatorSigner, operators.address)
+    await ethersLib.nodeOperators.addSigningKeys(registry, [pad('0xaa0101', 48)], [pad('0xa1', 96)])
+    const [removeDryRun] = await ethersLib.nodeOperators.removeSigningKeys(registry, 0, 0, { dryRun: true })
+    assert.isTrue(removeDryRun.ok)
+    assertBn((await operators.getNodeOperator(0, false)).totalSigningKeys, 1)
+  })
+
+  it('lib ethers helpers submit ether, manage keys and create votes', async () => {
+    const { voting: votingApp, tokenManager } = await newVoting(dao, acl, appManager, [user3])
+    const [operatorSigner, stakerSigner, holderSigner] = await Promise.all([user1, user2, user3].map((addr) => ethers.getSigner(addr)))
+
+    const lido = ethersLib.getLido(stakerSigner, app.address)
+    const submitReceipt = await ethersLib.submitEther(lido, ETH(2))
+    assert.equal(submitReceipt.status, 1)
+    assertBn(await app.balanceOf(user2), ETH(2))
+
+    await operators.addNodeOperator('fo o', user1, { from: voting })
+    await operators.addNodeOperator(' bar', ADDRESS_2, { from: voting })
+    const registry = ethersLib.getNodeOperatorsRegistry(operatorSigner, operators.address)
+
+    const keys = [pad('0xaa0101', 48), pad('0xaa0202', 48), pad('0xaa0303', 48)]
+    const sigs = [pad('0xa1', 96), pad('0xa2', 96), pad('0xa3', 96)]
+    await ethersLib.nodeOperators.addSigningKeys(registry, keys, sigs)
+    const [removeReceipt] = await ethersLib.nodeOperators.removeSigningKeys(registry, 1, 2)
+    assert.equal(removeReceipt.status, 1)
+
+    assert.deepEqual(await ethersLib.nodeOperators.list(registry), [
+      {
+        name: 'fo o',
+        active: true,
+        rewardAddress: user1,
+        stakingLimit: 0,
+        stoppedValidators: 0,
+        totalSigningKeys: 1,
+        usedSigningKeys: 0
+      },
+      {
+        name: ' bar',
+        active: true,
+        rewardAddress: ADDRESS_2,
+        stakingLimit: 0,
+        stoppedValidators: 0,
+        totalSigningKeys: 0,
+        usedSigningKeys: 0
+      }
+    ])
+    assert.equal((await operators.getSigningKey(0, 0)).key, keys[0])
+
+    const holderRegistry = ethersLib.getNodeOperatorsRegistry(holderSigner, operators.address)
+    const ethersVoting = ethersLib.getVoting(holderSigner, votingApp.address)
+    const ethersTokenManager = ethersLib.getTokenManager(holderSigner, tokenManager.address)
+
+    const error = await ethersLib.nodeOperators.addSigningKeys(holderRegistry, [keys[1]], [sigs[1]], { operatorId: 1 }).catch((err) => err)
+    assert.equal(
+      error.message,
+      'only node operators are allowed to add signing keys directly, pass voting and tokenManager to create a vote'
+    )
+
+    const keysVote = await ethersLib.nodeOperators.addSigningKeys(holderRegistry, [keys[1]], [sigs[1]], {
+      operatorId: 1,
+      voting: ethersVoting,
+      tokenManager: ethersTokenManager
+    })
+    const [keysCall] = (await decodeVote(votingApp, keysVote.voteId)).calls
+    assert.equal(keysCall.to, operators.address)
+    assert.equal(keysCall.method, 'addSigningKeys')
+    assert.deepEqual(
+      keysCall.args.map(({ value }) => value),
+      ['1', '1', keys[1], sigs[1]]
+    )
+
+    const quorumVote = await ethersLib.dao.proposeChangingVotingQuorum(ethersVoting, ethersTokenManager, 10)
+    assert.equal(quorumVote.voteId, keysVote.voteId + 1)
+    const [quorumCall] = (await decodeVote(votingApp, quorumVote.voteId)).calls
+    assert.equal(quorumCall.to, votingApp.address)
+    assert.equal(quorumCall.method, 'changeMinAcceptQuorumPct')
+    assert.equal(quorumCall.args[0].value, percentToBp18(10))
+
+    const holderLido = ethersLib.getLido(holderSigner, app.address)
+    const credentialsError = await ethersLib
+      .setWithdrawalCredentials(holderLido, ethersVoting, ethersTokenManager, '0x0202')
+      .catch((err) => err)
+    assert.equal(credentialsError.message, 'invalid withdrawal credentials 0x0202: withdrawal credentials must be 32 bytes long')
+
+    const credentialsVote = await ethersLib.setWithdrawalCredentials(
+      holderLido,
+      ethersVoting,
+      ethersTokenManager,
+      deriveWithdrawalCredentials(ADDRESS_1)
+    )
+    assert.deepEqual(credentialsVote.unusedSigningKeys, { total: 1, operators: [{ id: 0, name: 'fo o', unusedSigningKeys: 1 }] })
+    const [credentialsCall] = (await decodeVote(votingApp, credentialsVote.voteId)).calls
+    assert.equal(credentialsCall.method, 'setWithdrawalCredentials')
+  })
+
   const mineNBlocks = async (n) => {
     for (let index = 0; index < n; index++) {
       await ethers.provider.send('evm_mine')
@@ -1512,4 +1820,204 @@ contract('Lido', ([appManager, voting, user1, user2, user3, nobody, depositor])
       })
     })
   })
+
+  context('lib cli', () => {
+    let votingApp, tokenManager, lidoOracle, state, dir
+
+    const run = async (...argv) => {
+      const lines = []
+      await runCli(argv, { web3, state, stdout: (line) => lines.push(line), stderr: () => {} })
+      return lines
+    }
+    const runJSON = async (...argv) => JSON.parse((await run(...argv, '--json')).join('\n'))
+    const writeJSON = (fileName, content) => {
+      const file = path.join(dir, fileName)
+      fs.writeFileSync(file, JSON.stringify(content))
+      return file
+    }
+
+    const keys = [pad('0xaa0101', 48), pad('0xaa0202', 48), pad('0xaa0303', 48)]
+    const sigs = [pad('0xa1', 96), pad('0xa2', 96), pad('0xa3', 96)]
+
+    beforeEach('deploy the voting and write the network state', async () => {
+      ;({ voting: votingApp, tokenManager } = await newVoting(dao, acl, appManager, [user3]))
+      await acl.grantPermission(votingApp.address, app.address, await app.MANAGE_FEE(), { from: appManager })
+      await acl.grantPermission(votingApp.address, operators.address, await operators.MANAGE_SIGNING_KEYS(), { from: appManager })
+      await acl.grantPermission(votingApp.address, operators.address, await operators.SET_NODE_OPERATOR_NAME_ROLE(), { from: appManager })
+      await operators.addNodeOperator('fo o', user1, { from: voting })
+      lidoOracle = await LidoOracle.new()
+
+      state = {
+        'app:lido': { proxyAddress: app.address },
+        'app:oracle': { proxyAddress: lidoOracle.address },
+        'app:node-operators-registry': { proxyAddress: operators.address },
+        'app:aragon-voting': { proxyAddress: votingApp.address },
+        'app:aragon-token-manager': { proxyAddress: tokenManager.address }
+      }
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lido-cli-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('adds and removes signing keys from the operator address or via a vote', async () => {
+      // the deposit CLI writes hex strings without the 0x prefix
+      const depositDataFile = writeJSON(
+        'deposit_data.json',
+        keys.map((pubkey, i) => ({ pubkey: pubkey.slice(2), signature: sigs[i].slice(2), amount: 32000000000 }))
+      )
+      const emptyFile = writeJSON('empty.json', [])
+      const noSignatureFile = writeJSON('no-signature.json', [{ pubkey: keys[0].slice(2) }])
+
+      let error = await run('keys', 'add', '0', emptyFile).catch((err) => err)
+      assert.equal(error.message, `${emptyFile} must contain a non-empty array of deposit data entries`)
+      error = await run('keys', 'add', '0', noSignatureFile).catch((err) => err)
+      assert.equal(error.message, `entry #0 of ${noSignatureFile} has no pubkey or signature`)
+      // signatures are verified against the genesis fork version, the test chain has none
+      error = await run('keys', 'add', '0', depositDataFile, '--from', user1).catch((err) => err)
+      assert.equal(error.message, `unknown genesis fork version for chain ${await web3.eth.getChainId()}, pass forkVersion explicitly`)
+      error = await run('keys', 'add', '0', depositDataFile, '--fork-version', '0x0000', '--from', user1).catch((err) => err)
+      assert.equal(error.message, 'fork-version must be 4 bytes hex, got 0x0000')
+      // the test keys are not signed
+      error = await run('keys', 'add', '0', depositDataFile, '--fork-version', '0x00000000', '--from', user1).catch((err) => err)
+      assert.equal(error.message, `3 of 3 keys have invalid deposit signatures, the first one is ${keys[0]}`)
+
+      const added = await runJSON('keys', 'add', '0', depositDataFile, '--skip-verify', '--from', user1)
+      assert.deepEqual(Object.keys(added), ['tx'])
+      const operatorKeys = async () => {
+        const { totalSigningKeys } = await operators.getNodeOperator(0, false)
+        return await Promise.all(Array.from({ length: +totalSigningKeys }, (_, i) => operators.getSigningKey(0, i).then(({ key }) => key)))
+      }
+      assert.deepEqual(await operatorKeys(), keys)
+
+      error = await run('keys', 'remove', '0', '1', '3', '--from', user1).catch((err) => err)
+      assert.equal(error.message, `operator 0 has only 3 signing keys, key #3 doesn't exist`)
+      error = await run('keys', 'remove', '0', 'first', '--from', user1).catch((err) => err)
+      assert.equal(error.message, `fromIndex must be a non-negative integer, got first`)
+
+      const [dryRunLine] = await run('keys', 'remove', '0', '1', '2', '--from', user1, '--dry-run')
+      assert.match(dryRunLine, /^dry run succeeded, estimated gas \d+$/)
+      assert.deepEqual(await operatorKeys(), keys)
+
+      const removed = await runJSON('keys', 'remove', '0', '1', '2', '--from', user1)
+      assert.equal(removed.txs.length, 1)
+      assert.deepEqual(await operatorKeys(), [keys[0]])
+
+      // an account without DAO tokens can't start the vote
+      const [revertLine] = await run('keys', 'remove', '0', '0', '--from', user2, '--dry-run')
+      assert.equal(revertLine, 'dry run reverted with TM_CAN_NOT_FORWARD: the sender holds no DAO tokens, so it cannot create votes')
+
+      const vote = await runJSON('keys', 'add', '0', depositDataFile, '--skip-verify', '--from', user3)
+      assert.deepEqual(Object.keys(vote), ['voteId', 'tx'])
+      assert.equal(vote.voteId, 0)
+
+      const decoded = await runJSON('vote', 'decode')
+      assert.equal(decoded.voteId, 0)
+      assert.isTrue(decoded.open)
+      assert.deepEqual(
+        decoded.calls.map(({ toName, method, args }) => [toName, method, args.map(({ value }) => value)]),
+        [['NodeOperatorsRegistry', 'addSigningKeys', ['0', '3', hexConcat(...keys), hexConcat(...sigs)]]]
+      )
+
+      error = await run('vote', 'execute', '0', '--from', user3).catch((err) => err)
+      assert.equal(error.message, `vote 0 can't be executed: still open`)
+      await votingApp.vote(0, true, false, { from: user3 })
+      assert.deepEqual(Object.keys(await runJSON('vote', 'execute', '0', '--from', user3)), ['tx'])
+      assert.deepEqual(await operatorKeys(), [keys[0], ...keys])
+      error = await run('vote', 'execute', '0', '--from', user3).catch((err) => err)
+      assert.equal(error.message, `vote 0 can't be executed: already executed`)
+    })
+
+    it('starts a vote from an actions file resolving contract names and decodes it', async () => {
+      const setNameCalldata = operators.contract.methods.setNodeOperatorName(0, 'foo').encodeABI()
+      const actionsFile = writeJSON('actions.json', [
+        { to: 'Lido', method: 'setFee(uint16)', args: [500], description: 'Set the fee to 5%' },
+        { to: operators.address, calldata: setNameCalldata }
+      ])
+      const unknownContractFile = writeJSON('unknown-contract.json', [{ to: 'Treasury', method: 'setFee(uint16)', args: [500] }])
+      const noMethodFile = writeJSON('no-method.json', [{ to: 'Lido' }])
+
+      let error = await run('vote', 'create', unknownContractFile, '--from', user3).catch((err) => err)
+      assert.equal(error.message, `unknown contract Treasury, expected an address or a name from the network state file`)
+      error = await run('vote', 'create', noMethodFile, '--from', user3).catch((err) => err)
+      assert.equal(error.message, `action #0 of ${noMethodFile} must have either method or calldata`)
+      error = await run('vote', 'decode').catch((err) => err)
+      assert.equal(error.message, `there are no votes yet`)
+
+      const [startedLine] = await run('vote', 'create', actionsFile, '--from', user3)
+      assert.match(startedLine, /^started vote #0, tx 0x[0-9a-f]{64}$/)
+      const vote = await runJSON('vote', 'create', actionsFile, '--from', user3)
+      assert.equal(vote.voteId, 1)
+      assert.equal(vote.description, `1) Set the fee to 5%\n2) Call ${operators.address} with ${setNameCalldata}`)
+
+      const decoded = await runJSON('vote', 'decode', '0')
+      assert.deepEqual(
+        decoded.calls.map(({ to, toName, method, args }) => [to, toName, method, args.map(({ value }) => value)]),
+        [
+          [app.address, 'Lido', 'setFee', ['500']],
+          [operators.address, 'NodeOperatorsRegistry', 'setNodeOperatorName', ['0', 'foo']]
+        ]
+      )
+      assert.deepEqual((await runJSON('vote', 'decode', '--script', decoded.script)).calls, decoded.calls)
+
+      const lines = await run('vote', 'decode', '0')
+      assert.equal(lines.length, 3)
+      assert.equal(lines[0], 'vote #0: open true, executed false')
+      assert.equal(lines[1], `1. Lido (${app.address}).setFee(_feeBasisPoints: 500)`)
+
+      await votingApp.vote(0, true, false, { from: user3 })
+      await run('vote', 'execute', '0', '--from', user3)
+      assertBn(await app.getFee(), 500)
+      assert.equal((await operators.getNodeOperator(0, true)).name, 'foo')
+    })
+
+    it('submits ether checking the staking state and prints the status', async () => {
+      const submitted = await runJSON('submit', '1', '--from', user2)
+      assert.deepEqual(Object.keys(submitted), ['tx', 'amount'])
+      assert.equal(submitted.amount, ETH(1))
+      assertBn(await app.balanceOf(user2), ETH(1))
+
+      const {
+        dryRuns: [dryRun]
+      } = await runJSON('submit', '1', '--from', user2, '--dry-run')
+      assert.isTrue(dryRun.ok)
+      assert.isNull(dryRun.revert)
+      assertBn(await app.balanceOf(user2), ETH(1))
+
+      await app.setStakingLimit(ETH(1), ETH(1), { from: voting })
+      let error = await run('submit', '2', '--from', user2).catch((err) => err)
+      assert.equal(error.message, `2 ether exceeds the current stake limit of 1 ether`)
+
+      await app.pauseStaking({ from: voting })
+      error = await run('submit', '1', '--from', user2).catch((err) => err)
+      assert.equal(error.message, `staking is paused`)
+
+      const status = await runJSON('status')
+      assert.deepEqual(status, {
+        lido: {
+          address: app.address,
+          isStopped: false,
+          isStakingPaused: true,
+          currentStakeLimit: '0',
+          totalPooledEther: String(await app.getTotalPooledEther()),
+          bufferedEther: String(await app.getBufferedEther()),
+          totalShares: String(await app.getTotalShares()),
+          feeBasisPoints: +(await app.getFee()),
+          withdrawalCredentials: await app.getWithdrawalCredentials(),
+          depositedValidators: 0,
+          beaconValidators: 0,
+          beaconBalance: '0',
+          totalELRewardsCollected: '0'
+        },
+        oracle: { address: lidoOracle.address, lastCompletedEpochId: 0, quorum: 0 },
+        nodeOperatorsRegistry: { address: operators.address, operatorsCount: 1, activeOperatorsCount: 1 }
+      })
+
+      const lines = await run('status')
+      assert.equal(lines[0], 'lido:')
+      assert.include(lines, '  isStakingPaused: true')
+      assert.include(lines, `  address: ${lidoOracle.address}`)
+    })
+  })
 })
@@ -1,14 +1,20 @@
 const { assert } = require('chai')
 const { newDao, newApp } = require('./helpers/dao')
 const { assertBn, assertRevert, assertEvent } = require('@aragon/contract-helpers-test/src/asserts')
-const { toBN } = require('../helpers/utils')
+const { toBN, pad, hexConcat, ETH } = require('../helpers/utils')
 const { ZERO_ADDRESS } = require('@aragon/contract-helpers-test')
 const keccak256 = require('js-sha3').keccak_256
+const oracleLib = require('../../lib/src/oracle')
 
 const LidoOracle = artifacts.require('LidoOracleMock.sol')
 const Lido = artifacts.require('LidoMockForOracle.sol')
 const BeaconReportReceiver = artifacts.require('BeaconReportReceiverMock')
 const BeaconReportReceiverWithoutERC165 = artifacts.require('BeaconReportReceiverMockWithoutERC165')
+const LidoPool = artifacts.require('LidoMock.sol')
+const NodeOperatorsRegistry = artifacts.require('NodeOperatorsRegistry')
+const DepositContractMock = artifacts.require('DepositContractMock.sol')
+const ELRewardsVault = artifacts.require('LidoExecutionLayerRewardsVault.sol')
+const RewardEmulatorMock = artifacts.require('RewardEmulatorMock.sol')
 
 const GENESIS_TIME = 1606824000
 const EPOCH_LENGTH = 32 * 12
@@ -854,3 +860,114 @@ contract('LidoOracle', ([appManager, voting, user1, user2, user3, user4, user5,
     })
   })
 })
+
+contract('LidoOracle lib', ([appManager, voting, member, user, nobody]) => {
+  const EPOCH_ID = 20000
+  const ADDRESS_1 = '0x0000000000000000000000000000000000000001'
+  let oracle, lido, operators, elRewardsVault, rewarder
+
+  beforeEach('deploy dao with the pool and the oracle', async () => {
+    const { dao, acl } = await newDao(appManager)
+    const [oracleBase, lidoBase, operatorsBase, depositContract] = await Promise.all([
+      LidoOracle.new(),
+      LidoPool.new(),
+      NodeOperatorsRegistry.new(),
+      DepositContractMock.new()
+    ])
+    oracle = await LidoOracle.at(await newApp(dao, 'lidooracle', oracleBase.address, appManager))
+    lido = await LidoPool.at(await newApp(dao, 'lido', lidoBase.address, appManager))
+    operators = await NodeOperatorsRegistry.at(await newApp(dao, 'node-operators-registry', operatorsBase.address, appManager))
+
+    for (const role of [
+      'RESUME_ROLE',
+      'MANAGE_WITHDRAWAL_KEY',
+      'DEPOSIT_ROLE',
+      'SET_EL_REWARDS_VAULT_ROLE',
+      'SET_EL_REWARDS_WITHDRAWAL_LIMIT_ROLE'
+    ]) {
+      await acl.createPermission(voting, lido.address, await lido[role](), appManager, { from: appManager })
+    }
+    for (const role of ['ADD_NODE_OPERATOR_ROLE', 'MANAGE_SIGNING_KEYS', 'SET_NODE_OPERATOR_LIMIT_ROLE']) {
+      await acl.createPermission(voting, operators.address, await operators[role](), appManager, { from: appManager })
+    }
+    await acl.createPermission(voting, oracle.address, await oracle.MANAGE_MEMBERS(), appManager, { from: appManager })
+
+    await oracle.setTime(GENESIS_TIME)
+    await oracle.initialize(lido.address, 1, 32, 12, GENESIS_TIME, 1000, 500)
+    await oracle.addOracleMember(member, { from: voting })
+    await operators.initialize(lido.address)
+    await lido.initialize(depositContract.address, oracle.address, operators.address)
+    await lido.resume({ from: voting })
+
+    elRewardsVault = await ELRewardsVault.new(lido.address, await lido.getTreasury())
+    rewarder = await RewardEmulatorMock.new(elRewardsVault.address)
+    await lido.setELRewardsVault(elRewardsVault.address, { from: voting })
+    await lido.setELRewardsWithdrawalLimit(100, { from: voting })
+
+    // two validators deposited and 2 ETH left in the buffer, 66 ETH pooled in total
+    await lido.setWithdrawalCredentials(pad('0x0202', 32), { from: voting })
+    await operators.addNodeOperator('1', ADDRESS_1, { from: voting })
+    await operators.setNodeOperatorStakingLimit(0, 1000, { from: voting })
+    await operators.addSigningKeys(0, 2, hexConcat(pad('0x010203', 48), pad('0x010204', 48)), hexConcat(pad('0x01', 96), pad('0x01', 96)), {
+      from: voting
+    })
+    await web3.eth.sendTransaction({ to: lido.address, from: user, value: ETH(66) })
+    await lido.methods['depositBufferedEther()']({ from: voting })
+    assertBn((await lido.getBeaconStat()).depositedValidators, 2)
+
+    await oracle.setTime(GENESIS_TIME + EPOCH_LENGTH * EPOCH_ID)
+  })
+
+  const reportAndCompare = async (report) => {
+    const instance = await oracleLib.getOracle(web3, oracle.address)
+    const delta = await oracleLib.predictReportDelta(instance, report.epochId, report.beaconBalanceGwei, report.beaconValidators)
+
+    const { reported, reasons } = await oracleLib.reportBeacon(instance, report, { from: member })
+    assert.isTrue(reported, JSON.stringify(reasons))
+
+    const lastDelta = await oracleLib.getLastCompletedReportDelta(instance)
+    assert.equal(lastDelta.preTotalPooledEther, delta.preTotalPooledEther.toString())
+    assert.equal(lastDelta.postTotalPooledEther, delta.postTotalPooledEther.toString())
+    assert.equal(lastDelta.timeElapsed, delta.timeElapsed)
+    return delta
+  }
+
+  it('predicts the delta of a report with transient validators', async () => {
+    const delta = await reportAndCompare({ epochId: EPOCH_ID, beaconBalanceGwei: 32.2e9, beaconValidators: 1 })
+    assertBn(delta.preTotalPooledEther, ETH(66))
+    // 2 ETH buffered, 32.2 ETH on the beacon chain and 32 ETH of the validator not seen there yet
+    assertBn(delta.postTotalPooledEther, ETH(66.2))
+    assert.equal(delta.timeElapsed, EPOCH_LENGTH * EPOCH_ID)
+  })
+
+  it('predicts the delta of a report withdrawing execution layer rewards', async () => {
+    await rewarder.reward({ from: user, value: ETH(1) })
+
+    const delta = await reportAndCompare({ epochId: EPOCH_ID, beaconBalanceGwei: 64.5e9, beaconValidators: 2 })
+    // the withdrawal limit is 1% of the 66.5 ETH pooled after the beacon stat update, not of the 66 ETH before the report
+    assertBn(delta.postTotalPooledEther, ETH('67.165'))
+    assertBn(await web3.eth.getBalance(elRewardsVault.address), ETH('0.335'))
+  })
+
+  it('reports the checks the contract reverts on', async () => {
+    await rewarder.reward({ from: user, value: ETH(1) })
+    const instance = await oracleLib.getOracle(web3, oracle.address)
+
+    const tooHigh = { epochId: EPOCH_ID, beaconBalanceGwei: 70e9, beaconValidators: 2 }
+    const { reasons } = await oracleLib.validateReport(instance, member, tooHigh)
+    assert.deepEqual(
+      reasons.map(({ code }) => code),
+      ['ALLOWED_BEACON_BALANCE_INCREASE']
+    )
+    assert.isFalse((await oracleLib.reportBeacon(instance, tooHigh, { from: member })).reported)
+    await assertRevert(oracle.reportBeacon(EPOCH_ID, 70e9, 2, { from: member }), 'ALLOWED_BEACON_BALANCE_INCREASE')
+
+    const moreDeposited = { epochId: EPOCH_ID, beaconBalanceGwei: 64e9, beaconValidators: 3 }
+    const { reasons: moreDepositedReasons } = await oracleLib.validateReport(instance, nobody, moreDeposited)
+    assert.deepEqual(
+      moreDepositedReasons.map(({ code }) => code),
+      ['MEMBER_NOT_FOUND', 'REPORTED_MORE_DEPOSITED']
+    )
+    await assertRevert(oracle.reportBeacon(EPOCH_ID, 64e9, 3, { from: member }), 'REPORTED_MORE_DEPOSITED')
+  })
+})
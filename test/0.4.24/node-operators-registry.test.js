@@ -1,9 +1,13 @@
 const { assert } = require('chai')
 const { hexSplit, toBN } = require('../helpers/utils')
-const { newDao, newApp } = require('./helpers/dao')
+const { newDao, newApp, newVoting } = require('./helpers/dao')
 const { ZERO_ADDRESS, getEventAt, getEventArgument } = require('@aragon/contract-helpers-test')
 const { assertBn, assertRevert, assertEvent } = require('@aragon/contract-helpers-test/src/asserts')
 const keccak256 = require('js-sha3').keccak_256
+const { listSigningKeys, getAllSigningKeys } = require('../../lib/src/signing-keys')
+const { runCli } = require('../../lib/src/cli')
+const { addSigningKeys, removeSigningKeys } = require('../../lib/src/node-operators-registry')
+const { decodeVote } = require('../../lib/src/evm-script')
 
 const NodeOperatorsRegistry = artifacts.require('NodeOperatorsRegistry.sol')
 const PoolMock = artifacts.require('PoolMock.sol')
@@ -41,7 +45,7 @@ const ETH = (value) => web3.utils.toWei(value + '', 'ether')
 const tokens = ETH
 
 contract('NodeOperatorsRegistry', ([appManager, voting, user1, user2, user3, nobody]) => {
-  let appBase, app, pool
+  let appBase, app, pool, dao, acl
 
   before('deploy base app', async () => {
     // Deploy the app's base contract.
@@ -49,7 +53,7 @@ contract('NodeOperatorsRegistry', ([appManager, voting, user1, user2, user3, nob
   })
 
   beforeEach('deploy dao and app', async () => {
-    const { dao, acl } = await newDao(appManager)
+    ;({ dao, acl } = await newDao(appManager))
 
     // Instantiate a proxy for the app, using the base contract as its logic implementation.
     const proxyAddress = await newApp(dao, 'node-operators-registry', appBase.address, appManager)
@@ -871,4 +875,173 @@ contract('NodeOperatorsRegistry', ([appManager, voting, user1, user2, user3, nob
       assertBn(await app.getKeysOpIndex(), 1)
     })
   })
+
+  it('lib cli lists operators', async () => {
+    await app.addNodeOperator('fo o', ADDRESS_1, { from: voting })
+    await app.addNodeOperator(' bar', ADDRESS_2, { from: voting })
+    await app.setNodeOperatorActive(1, false, { from: voting })
+
+    const state = { 'app:node-operators-registry': { proxyAddress: app.address } }
+    const run = async (...argv) => {
+      const lines = []
+      await runCli(argv, { web3, state, stdout: (line) => lines.push(line), stderr: () => {} })
+      return lines
+    }
+
+    const [json] = await run('operators', 'list', '--active', '--json')
+    assert.deepEqual(JSON.parse(json), [
+      {
+        id: 0,
+        name: 'fo o',
+        active: true,
+        rewardAddress: ADDRESS_1,
+        stakingLimit: 0,
+        stoppedValidators: 0,
+        totalSigningKeys: 0,
+        usedSigningKeys: 0
+      }
+    ])
+    assert.deepEqual(await run('operators', 'list'), [
+      `#0 fo o (active) ${ADDRESS_1}: keys 0 used / 0 total, limit 0, stopped 0`,
+      `#1  bar (inactive) ${ADDRESS_2}: keys 0 used / 0 total, limit 0, stopped 0`
+    ])
+
+    const error = await run('oracle', 'spec').catch((err) => err)
+    assert.match(error.message, /app:oracle address is missing/)
+  })
+
+  it('lib listSigningKeys pages through keys with their used status', async () => {
+    await app.addNodeOperator('fo o', ADDRESS_1, { from: voting })
+    await app.setNodeOperatorStakingLimit(0, UNLIMITED, { from: voting })
+
+    const keys = [pad('0xaa0101', 48), pad('0xaa0202', 48), pad('0xaa0303', 48), pad('0xaa0404', 48), pad('0xaa0505', 48)]
+    const sigs = [pad('0xa1', 96), pad('0xa2', 96), pad('0xa3', 96), pad('0xa4', 96), pad('0xa5', 96)]
+    await app.addSigningKeys(0, 5, hexConcat(...keys), hexConcat(...sigs), { from: voting })
+    await pool.assignNextSigningKeys(2)
+
+    const page = await listSigningKeys(app, 0, { offset: 1, limit: 3, concurrency: 2 })
+    assert.equal(page.total, 5)
+    assert.equal(page.nextOffset, 4)
+    assert.deepEqual(
+      page.keys.map(({ index, pubkey, signature, used }) => [index, pubkey, signature, used]),
+      [
+        [1, keys[1], sigs[1], true],
+        [2, keys[2], sigs[2], false],
+        [3, keys[3], sigs[3], false]
+      ]
+    )
+
+    const unused = await listSigningKeys(app, 0, { limit: 2, used: false })
+    assert.equal(unused.total, 3)
+    assert.deepEqual(
+      unused.keys.map(({ index }) => index),
+      [2, 3]
+    )
+    assert.equal(unused.nextOffset, 4)
+
+    const all = await getAllSigningKeys(app, 0, { limit: 2 })
+    assert.deepEqual(
+      all.map(({ pubkey }) => pubkey),
+      keys
+    )
+    assert.deepEqual(
+      all.map(({ used }) => used),
+      [true, true, false, false, false]
+    )
+  })
+
+  it('lib adds and removes keys of an operator via a DAO vote when the sender is not the operator', async () => {
+    const { voting: votingApp, tokenManager } = await newVoting(dao, acl, appManager, [nobody])
+    await acl.grantPermission(votingApp.address, app.address, await app.MANAGE_SIGNING_KEYS(), { from: appManager })
+
+    await app.addNodeOperator('fo o', user1, { from: voting })
+    const keys = [pad('0xaa0101', 48), pad('0xaa0202', 48)]
+    const sigs = [pad('0xa1', 96), pad('0xa2', 96)]
+
+    const addError = await addSigningKeys(app, keys, sigs, { operatorId: 0, from: nobody }).catch((err) => err)
+    assert.equal(
+      addError.message,
+      'only node operators are allowed to add signing keys directly, pass voting and tokenManager to create a vote'
+    )
+
+    const addVote = await addSigningKeys(app, keys, sigs, { operatorId: 0, voting: votingApp, tokenManager, from: nobody })
+    const [addCall] = (await decodeVote(votingApp, addVote.voteId)).calls
+    assert.equal(addCall.to, app.address)
+    assert.equal(addCall.method, 'addSigningKeys')
+    assert.deepEqual(
+      addCall.args.map(({ value }) => value),
+      ['0', '2', hexConcat(...keys), hexConcat(...sigs)]
+    )
+
+    await votingApp.vote(addVote.voteId, true, false, { from: nobody })
+    await votingApp.executeVote(addVote.voteId, { from: nobody })
+    assertBn(await app.getTotalSigningKeyCount(0, { from: nobody }), 2)
+
+    const removeError = await removeSigningKeys(app, 0, 0, { operatorId: 0, from: nobody }).catch((err) => err)
+    assert.equal(
+      removeError.message,
+      'only node operators are allowed to remove signing keys directly, pass voting and tokenManager to create a vote'
+    )
+
+    const removeVote = await removeSigningKeys(app, 0, 0, { operatorId: 0, voting: votingApp, tokenManager, from: nobody })
+    const [removeCall] = (await decodeVote(votingApp, removeVote.voteId)).calls
+    assert.equal(removeCall.to, app.address)
+    assert.equal(removeCall.method, 'removeSigningKeys')
+    assert.deepEqual(
+      removeCall.args.map(({ value }) => value),
+      ['0', '0', '1']
+    )
+
+    await votingApp.vote(removeVote.voteId, true, false, { from: nobody })
+    await votingApp.executeVote(removeVote.voteId, { from: nobody })
+    assertBn(await app.getTotalSigningKeyCount(0, { from: nobody }), 1)
+    assert.equal((await app.getSigningKey(0, 0, { from: nobody })).key, keys[1])
+  })
+
+  it('lib removes a key range in batches from the highest index down', async () => {
+    await app.addNodeOperator('fo o', user1, { from: voting })
+    await app.setNodeOperatorStakingLimit(0, UNLIMITED, { from: voting })
+
+    const keys = Array.from({ length: 8 }, (_, i) => pad(`0xaa0${i}`, 48))
+    const sigs = Array.from({ length: 8 }, (_, i) => pad(`0xa${i}`, 96))
+    await app.addSigningKeys(0, 8, hexConcat(...keys), hexConcat(...sigs), { from: voting })
+    await pool.assignNextSigningKeys(2)
+
+    let error = await removeSigningKeys(app, 2, 8, { from: user1 }).catch((err) => err)
+    assert.equal(error.message, `operator 0 has only 8 signing keys, key #8 doesn't exist`)
+    error = await removeSigningKeys(app, 1, 3, { from: user1 }).catch((err) => err)
+    assert.equal(error.message, `keys #1..#1 of operator 0 were already used and can't be removed`)
+
+    // any two keys fit into a batch, three keys don't
+    const twoKeysGas = await app.removeSigningKeysOperatorBH.estimateGas(0, 5, 2, { from: user1 })
+    const threeKeysGas = await app.removeSigningKeysOperatorBH.estimateGas(0, 4, 3, { from: user1 })
+    const maxBatchGas = Math.floor((twoKeysGas + threeKeysGas) / 2)
+
+    const estimateGas = app.removeSigningKeysOperatorBH.estimateGas
+    const estimates = []
+    app.removeSigningKeysOperatorBH.estimateGas = (opIndex, index, amount, opts) => {
+      estimates.push([index, amount])
+      return estimateGas(opIndex, index, amount, opts)
+    }
+
+    const results = await removeSigningKeys(app, 2, 6, { from: user1, maxBatchGas })
+    assert.deepEqual(estimates, [
+      [2, 5],
+      [4, 3],
+      [5, 2],
+      [3, 2],
+      [2, 1]
+    ])
+    assert.deepEqual(
+      results.map((result) => result.logs.filter((log) => log.event === 'SigningKeyRemoved').map((log) => log.args.pubkey)),
+      [[keys[6], keys[5]], [keys[4], keys[3]], [keys[2]]]
+    )
+
+    assertBn(await app.getTotalSigningKeyCount(0, { from: nobody }), 3)
+    const remaining = await getAllSigningKeys(app, 0)
+    assert.deepEqual(
+      remaining.map(({ pubkey }) => pubkey),
+      [keys[0], keys[1], keys[7]]
+    )
+  })
 })
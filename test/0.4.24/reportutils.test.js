@@ -2,6 +2,7 @@ const { assert } = require('chai')
 const { assertBn } = require('@aragon/contract-helpers-test/src/asserts')
 const { bn } = require('@aragon/contract-helpers-test')
 const { toBN } = require('../helpers/utils')
+const reportUtils = require('../../lib/src/report-utils')
 
 const ReportUtils = artifacts.require('ReportUtilsMock.sol')
 
@@ -72,4 +73,54 @@ contract('ReportUtils', ([testUser]) => {
     assert((await utils.isDifferent(one.add(noice), tri)) === false)
     assert((await utils.isDifferent(two.add(noice), tri)) === true)
   })
+
+  context('lib/src/report-utils', () => {
+    it('encodes the same as the contract', async () => {
+      const MAX_BALLANCE = toBN(10).pow(toBN(18))
+      assertBn(reportUtils.encode(0, 0), await utils.encode(0, 0))
+      assertBn(reportUtils.encode(32 * 1e9, 1), await utils.encode(32 * 1e9, 1))
+      assertBn(reportUtils.encode(MAX_BALLANCE, 1e9), await utils.encode(MAX_BALLANCE, 1e9))
+      assertBn(reportUtils.encode(MAX_BALLANCE, 1e9, 255), (await utils.encode(MAX_BALLANCE, 1e9)).add(toBN(255)))
+    })
+
+    it('decodes contract-encoded values', async () => {
+      const raw = (await utils.encode(toBN(10).pow(toBN(18)), 1e9)).add(toBN(255))
+      const expected = await utils.decodeWithCount(raw)
+
+      const report = reportUtils.decodeWithCount(raw)
+      assertBn(report.beaconBalance, expected.beaconBalance)
+      assertBn(report.beaconValidators, expected.beaconValidators)
+      assertBn(report.count, expected.count)
+      assertBn(reportUtils.getCount(raw), await utils.getCount(raw))
+    })
+
+    it('compares the same way as the contract', async () => {
+      const one = await utils.encode(32 * 1e9, 1)
+      const two = await utils.encode(32 * 1e9, 2)
+
+      assert.equal(reportUtils.isDifferent(one.add(toBN(1)), one), await utils.isDifferent(one.add(toBN(1)), one))
+      assert.equal(reportUtils.isDifferent(one.add(toBN(1)), two), await utils.isDifferent(one.add(toBN(1)), two))
+    })
+
+    it('reports quorum progress', async () => {
+      const raw = (await utils.encode(32 * 1e9, 1)).add(toBN(2))
+
+      const variant = reportUtils.normalizeReportVariant(raw, 3)
+      assert.equal(variant.beaconBalance, String(32 * 1e9))
+      assert.equal(
+        variant.beaconBalanceEth1,
+        bn(32)
+          .mul(bn(10).pow(bn(18)))
+          .toString()
+      )
+      assert.equal(variant.votesToQuorum, 1)
+      assert.isFalse(variant.isQuorum)
+      assert.isTrue(reportUtils.normalizeReportVariant(raw, 2).isQuorum)
+    })
+
+    it('rejects values that overflow their fields', async () => {
+      assert.throws(() => reportUtils.encode(toBN(2).pow(toBN(64)), 0), /uint64/)
+      assert.throws(() => reportUtils.encode(0, 2 ** 32), /uint32/)
+    })
+  })
 })
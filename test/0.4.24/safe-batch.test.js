@@ -0,0 +1,65 @@
+const { assert } = require('chai')
+
+const { calculateBatchChecksum, readSafeBatch, getBatchCalls, createSafeBatch } = require('../../lib/src/safe-batch')
+
+const LIDO = '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84'
+const RECIPIENT = '0x8B3f33234ABD88493c0Cd28De33D583B70beDe35'
+
+// A batch as the Transaction Builder app exports it, the checksum is the one `calculateChecksum` of the app gives
+const EXPORTED_BATCH = {
+  version: '1.0',
+  chainId: '1',
+  createdAt: 1667300000000,
+  meta: {
+    name: 'Transactions Batch',
+    description: '',
+    txBuilderVersion: '1.10.0',
+    createdFromSafeAddress: '0x3e40D73EB977Dc6a537aF587D48316feE66E9C8c',
+    createdFromOwnerAddress: '',
+    checksum: '0xeb570b9e9bea1f88d6a6fdc5d93ed4fa54bfd18488f269ec568555dc151c28c5'
+  },
+  transactions: [
+    {
+      to: LIDO,
+      value: '0',
+      data: null,
+      contractMethod: {
+        inputs: [{ internalType: 'uint16', name: '_feeBasisPoints', type: 'uint16' }],
+        name: 'setFee',
+        payable: false
+      },
+      contractInputsValues: { _feeBasisPoints: '1000' }
+    },
+    {
+      to: RECIPIENT,
+      value: '1000000000000000000',
+      data: '0x',
+      contractMethod: null,
+      contractInputsValues: null
+    }
+  ]
+}
+
+contract('lib safe-batch', () => {
+  it('computes the checksum of the Transaction Builder app', async () => {
+    assert.equal(calculateBatchChecksum(EXPORTED_BATCH), EXPORTED_BATCH.meta.checksum)
+    // the app leaves the batch name out of the checksum
+    const renamed = { ...EXPORTED_BATCH, meta: { ...EXPORTED_BATCH.meta, name: 'Set the fee' } }
+    assert.equal(calculateBatchChecksum(renamed), EXPORTED_BATCH.meta.checksum)
+
+    const created = createSafeBatch(getBatchCalls(EXPORTED_BATCH), { chainId: 1, createdAt: EXPORTED_BATCH.createdAt })
+    assert.equal(created.meta.checksum, calculateBatchChecksum(created))
+  })
+
+  it('reads a batch exported by the app and rejects a changed one', async () => {
+    const batch = readSafeBatch(JSON.stringify(EXPORTED_BATCH))
+    assert.deepEqual(getBatchCalls(batch), [
+      { to: LIDO, value: '0', data: web3.eth.abi.encodeFunctionCall(batch.transactions[0].contractMethod, ['1000']) },
+      { to: RECIPIENT, value: '1000000000000000000', data: '0x' }
+    ])
+
+    const changed = JSON.parse(JSON.stringify(EXPORTED_BATCH))
+    changed.transactions[1].value = '2000000000000000000'
+    assert.throws(() => readSafeBatch(changed), 'batch checksum mismatch: the file was changed after it was exported')
+  })
+})
@@ -0,0 +1,94 @@
+const { assert } = require('chai')
+const { assertBn } = require('@aragon/contract-helpers-test/src/asserts')
+const { bn } = require('@aragon/contract-helpers-test')
+
+const shareMath = require('../../lib/src/share-math')
+
+const StETH = artifacts.require('StETHMock')
+
+const tokens = (value) => web3.utils.toWei(value + '', 'ether')
+
+contract('lib share-math', ([user1, user2]) => {
+  let stEth
+
+  beforeEach('deploy mock token', async () => {
+    stEth = await StETH.new()
+  })
+
+  it('returns zero with empty pool', async () => {
+    const snapshot = await shareMath.getSharesSnapshot(stEth)
+
+    assertBn(shareMath.getSharesByPooledEth(snapshot, tokens(1)), await stEth.getSharesByPooledEth(tokens(1)))
+    assertBn(shareMath.getPooledEthByShares(snapshot, tokens(1)), await stEth.getPooledEthByShares(tokens(1)))
+  })
+
+  context('with uneven share rate', async () => {
+    // 7 ether per 3 shares makes most conversions truncate
+    beforeEach(async () => {
+      await stEth.setTotalPooledEther(bn(tokens(7)).addn(1))
+      await stEth.mintShares(user1, tokens(3))
+    })
+
+    it('conversions match the contract', async () => {
+      const snapshot = await shareMath.getSharesSnapshot(stEth)
+      const amounts = ['1', '2', '3', '1000000007', tokens(1), bn(tokens(2)).subn(1).toString(), tokens(3)]
+
+      for (const amount of amounts) {
+        assertBn(shareMath.getSharesByPooledEth(snapshot, amount), await stEth.getSharesByPooledEth(amount))
+        assertBn(shareMath.getPooledEthByShares(snapshot, amount), await stEth.getPooledEthByShares(amount))
+      }
+      assertBn(shareMath.balanceOf(snapshot, await stEth.sharesOf(user1)), await stEth.balanceOf(user1))
+    })
+
+    it('transfer matches the contract including dust', async () => {
+      const snapshot = await shareMath.getSharesSnapshot(stEth)
+      const amount = bn(tokens(1)).addn(1)
+
+      const predicted = shareMath.transfer(snapshot, await stEth.sharesOf(user1), await stEth.sharesOf(user2), amount)
+      await stEth.transfer(user2, amount, { from: user1 })
+
+      assertBn(predicted.senderShares, await stEth.sharesOf(user1))
+      assertBn(predicted.recipientShares, await stEth.sharesOf(user2))
+      assertBn(predicted.senderBalance, await stEth.balanceOf(user1))
+      assertBn(predicted.recipientBalance, await stEth.balanceOf(user2))
+      assertBn(predicted.dust, amount.sub(predicted.transferredEth))
+      assert(predicted.dust.gtn(0), 'expected rounding dust')
+    })
+
+    it('transferShares matches the contract', async () => {
+      const snapshot = await shareMath.getSharesSnapshot(stEth)
+      const sharesAmount = bn(tokens(1)).addn(3)
+
+      const predicted = shareMath.transferShares(snapshot, await stEth.sharesOf(user1), 0, sharesAmount)
+      const tokensAmount = await stEth.transferShares.call(user2, sharesAmount, { from: user1 })
+      await stEth.transferShares(user2, sharesAmount, { from: user1 })
+
+      assertBn(predicted.transferredEth, tokensAmount)
+      assertBn(predicted.senderBalance, await stEth.balanceOf(user1))
+      assertBn(predicted.recipientBalance, await stEth.balanceOf(user2))
+    })
+
+    it('post-rebase balances match the contract', async () => {
+      const snapshot = await shareMath.getSharesSnapshot(stEth)
+      const shares = await stEth.sharesOf(user1)
+      const newTotalPooledEther = bn(tokens(7)).add(bn(tokens(1)).divn(3))
+
+      const predicted = shareMath.getPostRebaseBalance(snapshot, shares, { totalPooledEther: newTotalPooledEther })
+      assertBn(predicted.preBalance, await stEth.balanceOf(user1))
+
+      await stEth.setTotalPooledEther(newTotalPooledEther)
+      assertBn(predicted.postBalance, await stEth.balanceOf(user1))
+    })
+
+    it('predicts balances after burning shares', async () => {
+      await stEth.transfer(user2, tokens(1), { from: user1 })
+      const snapshot = await shareMath.getSharesSnapshot(stEth)
+      const burnt = await stEth.sharesOf(user2)
+
+      const postRebase = shareMath.rebase(snapshot, { totalShares: snapshot.totalShares.sub(burnt) })
+      await stEth.burnShares(user2, burnt)
+
+      assertBn(shareMath.balanceOf(postRebase, await stEth.sharesOf(user1)), await stEth.balanceOf(user1))
+    })
+  })
+})
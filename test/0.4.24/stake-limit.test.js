@@ -0,0 +1,97 @@
+const { assert } = require('chai')
+const { assertBn } = require('@aragon/contract-helpers-test/src/asserts')
+const { bn } = require('@aragon/contract-helpers-test')
+const { waitBlocks } = require('../helpers/blockchain')
+
+const stakeLimit = require('../../lib/src/stake-limit')
+
+const StakeLimitUtils = artifacts.require('StakeLimitUtilsMock.sol')
+
+const ETH = (value) => web3.utils.toWei(value + '', 'ether')
+
+contract('lib stake-limit', () => {
+  let limits
+
+  before('deploy mock', async () => {
+    limits = await StakeLimitUtils.new()
+  })
+
+  it('predicts the limit at future blocks like the contract', async () => {
+    const block = await web3.eth.getBlock('latest')
+    // 7 blocks to restore 15 ether makes the per-block increase truncate
+    const state = stakeLimit.createStakeLimitState({
+      maxStakeLimit: ETH(15),
+      maxStakeLimitGrowthBlocks: 7,
+      prevStakeLimit: ETH(1),
+      prevStakeBlockNumber: block.number
+    })
+    const slot = await limits.setStorageStakeLimitStruct(block.number, ETH(1), 7, ETH(15))
+
+    for (let i = 0; i < 9; ++i) {
+      const { number } = await web3.eth.getBlock('latest')
+      assertBn(stakeLimit.calculateStakeLimit(state, number), await limits.calculateCurrentStakeLimit(slot), `limit at block ${number}`)
+      await waitBlocks(1)
+    }
+  })
+
+  it('predicts when an amount can be submitted', async () => {
+    const block = await web3.eth.getBlock('latest')
+    const state = stakeLimit.createStakeLimitState({
+      maxStakeLimit: ETH(10),
+      maxStakeLimitGrowthBlocks: 4,
+      prevStakeLimit: 0,
+      prevStakeBlockNumber: block.number
+    })
+    const slot = await limits.setStorageStakeLimitStruct(block.number, 0, 4, ETH(10))
+    const amount = bn(ETH(5)).addn(1)
+
+    const blocks = stakeLimit.getBlocksUntilStakeLimit(state, amount, block.number)
+    assert.equal(blocks, 3)
+
+    await waitBlocks(blocks - 1)
+    assert.isTrue(bn(await limits.calculateCurrentStakeLimit(slot)).lt(amount), 'amount is not available a block earlier')
+    await waitBlocks(1)
+    assert.isTrue(bn(await limits.calculateCurrentStakeLimit(slot)).gte(amount), 'amount is available at the predicted block')
+
+    assert.isNull(stakeLimit.getBlocksUntilStakeLimit(state, bn(ETH(10)).addn(1), block.number), 'above the max limit')
+  })
+
+  it('plans a sequence of submissions', async () => {
+    const state = stakeLimit.createStakeLimitState({
+      maxStakeLimit: 100,
+      maxStakeLimitGrowthBlocks: 2,
+      prevStakeLimit: 13,
+      prevStakeBlockNumber: 10
+    })
+
+    const plan = stakeLimit.planSubmissions(state, [60, 100, 10], 10)
+
+    assert.deepEqual(
+      plan.map(({ blockNumber }) => blockNumber),
+      [11, 13, 14]
+    )
+    assertBn(plan[0].stakeLimit, 3)
+    assertBn(plan[1].stakeLimit, 0)
+    assertBn(plan[2].stakeLimit, 40)
+  })
+
+  it('handles paused and unlimited staking', async () => {
+    const paused = stakeLimit.createStakeLimitState({
+      maxStakeLimit: 100,
+      maxStakeLimitGrowthBlocks: 2,
+      prevStakeLimit: 0,
+      prevStakeBlockNumber: 0
+    })
+    assertBn(stakeLimit.getCurrentStakeLimit(paused, 100), 0)
+    assert.isNull(stakeLimit.getBlocksUntilStakeLimit(paused, 1, 100))
+
+    const unlimited = stakeLimit.createStakeLimitState({
+      maxStakeLimit: 0,
+      maxStakeLimitGrowthBlocks: 0,
+      prevStakeLimit: 0,
+      prevStakeBlockNumber: 1
+    })
+    assertBn(stakeLimit.getCurrentStakeLimit(unlimited, 100), stakeLimit.MAX_UINT256)
+    assert.equal(stakeLimit.getBlocksUntilStakeLimit(unlimited, ETH(1000000), 100), 0)
+  })
+})
@@ -0,0 +1,51 @@
+const { assert } = require('chai')
+
+const withdrawalCredentials = require('../../lib/src/withdrawal-credentials')
+
+const EXECUTION_ADDRESS = '0xB9D7934878B5FB9610B3fE8A5e441e8fad7E293f'
+const CREDENTIALS = '0x010000000000000000000000b9d7934878b5fb9610b3fe8a5e441e8fad7e293f'
+
+contract('lib withdrawal-credentials', () => {
+  it('derives and decodes 0x01 credentials', async () => {
+    assert.equal(withdrawalCredentials.deriveWithdrawalCredentials(EXECUTION_ADDRESS.toLowerCase()), CREDENTIALS)
+    assert.deepEqual(withdrawalCredentials.decodeWithdrawalCredentials(CREDENTIALS), {
+      credentials: CREDENTIALS,
+      type: '0x01',
+      address: EXECUTION_ADDRESS
+    })
+    assert.throws(() => withdrawalCredentials.deriveWithdrawalCredentials('0x1234'), 'invalid execution address 0x1234')
+  })
+
+  it('derives 0x00 credentials from a BLS withdrawal key', async () => {
+    const credentials = withdrawalCredentials.deriveBlsWithdrawalCredentials('0x' + 'ab'.repeat(48))
+    assert.equal(credentials, '0x005194b12b01058a369ef70fdb8b9b3e1fbadf6d08b23c1d602d7b567163cffc')
+    assert.isNull(withdrawalCredentials.decodeWithdrawalCredentials(credentials).address)
+  })
+
+  it('validates credentials', async () => {
+    assert.deepEqual(withdrawalCredentials.validateWithdrawalCredentials(CREDENTIALS), [])
+    assert.deepEqual(withdrawalCredentials.validateWithdrawalCredentials('0x0202'), ['withdrawal credentials must be 32 bytes long'])
+    assert.deepEqual(withdrawalCredentials.validateWithdrawalCredentials('0x02' + '00'.repeat(31)), [
+      'unknown withdrawal credentials type 0x02'
+    ])
+    assert.deepEqual(withdrawalCredentials.validateWithdrawalCredentials('0x01' + '11'.repeat(31)), [
+      'bytes 1 to 11 of 0x01 withdrawal credentials must be zero'
+    ])
+    assert.deepEqual(withdrawalCredentials.validateWithdrawalCredentials('0x01' + '00'.repeat(31)), ['withdrawal address is zero'])
+  })
+
+  it('counts the keys trimmed on a change', async () => {
+    const operators = [
+      { name: 'a', totalSigningKeys: 5, usedSigningKeys: 2 },
+      { name: 'b', totalSigningKeys: 3, usedSigningKeys: 3 },
+      { name: 'c', totalSigningKeys: 1, usedSigningKeys: 0 }
+    ]
+    assert.deepEqual(withdrawalCredentials.getUnusedSigningKeys(operators), {
+      total: 4,
+      operators: [
+        { id: 0, name: 'a', unusedSigningKeys: 3 },
+        { id: 2, name: 'c', unusedSigningKeys: 1 }
+      ]
+    })
+  })
+})
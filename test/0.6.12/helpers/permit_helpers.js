@@ -1,11 +1,10 @@
 const { ecSign, strip0x } = require('./index')
+const { PERMIT_TYPEHASH: permitTypeHash, makeDomainSeparator, getPermitDigest } = require('../../../lib/src/wsteth')
 
 const transferWithAuthorizationTypeHash = web3.utils.keccak256(
   'TransferWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)'
 )
 
-const permitTypeHash = web3.utils.keccak256('Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)')
-
 function signTransferAuthorization(from, to, value, validAfter, validBefore, nonce, domainSeparator, privateKey) {
   return signEIP712(
     domainSeparator,
@@ -17,13 +16,7 @@ function signTransferAuthorization(from, to, value, validAfter, validBefore, non
 }
 
 function signPermit(owner, spender, value, nonce, deadline, domainSeparator, privateKey) {
-  return signEIP712(
-    domainSeparator,
-    permitTypeHash,
-    ['address', 'address', 'uint256', 'uint256', 'uint256'],
-    [owner, spender, value, nonce, deadline],
-    privateKey
-  )
+  return ecSign(getPermitDigest({ owner, spender, value, nonce, deadline }, domainSeparator), privateKey)
 }
 
 function signEIP712(domainSeparator, typeHash, types, parameters, privateKey) {
@@ -36,21 +29,6 @@ function signEIP712(domainSeparator, typeHash, types, parameters, privateKey) {
   return ecSign(digest, privateKey)
 }
 
-function makeDomainSeparator(name, version, chainId, verifyingContract) {
-  return web3.utils.keccak256(
-    web3.eth.abi.encodeParameters(
-      ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
-      [
-        web3.utils.keccak256('EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'),
-        web3.utils.keccak256(name),
-        web3.utils.keccak256(version),
-        chainId,
-        verifyingContract
-      ]
-    )
-  )
-}
-
 module.exports = {
   signPermit,
   permitTypeHash,
@@ -2,6 +2,7 @@ const crypto = require('crypto')
 const { ACCOUNTS_AND_KEYS, MAX_UINT256, ZERO_ADDRESS } = require('./helpers/constants')
 const { expectRevert, hexStringFromBuffer } = require('./helpers')
 const { signPermit, signTransferAuthorization, permitTypeHash, makeDomainSeparator } = require('./helpers/permit_helpers')
+const wstethLib = require('../../lib/src/wsteth')
 
 const WstETH = artifacts.require('WstETHMock')
 const StETH = artifacts.require('StETHMockERC20')
@@ -87,6 +88,29 @@ contract('WstETH.permit', function ([deployer, ...accounts]) {
       expect(log.args[2].toNumber()).to.equal(1e6)
     })
 
+    it('lib signs a permit the contract accepts', async () => {
+      const { owner, spender, value, deadline } = permitParams
+      const instance = await wstethLib.getWstETH(web3, wsteth.address)
+
+      // the nonce is read from the contract
+      const typedData = await wstethLib.getPermitTypedData(instance, { owner, spender, value, deadline })
+      expect(typedData.message.nonce).to.equal('0')
+      const { name, version, chainId, verifyingContract } = typedData.domain
+      expect(makeDomainSeparator(name, version, chainId, verifyingContract)).to.equal(domainSeparator)
+
+      const signature = wstethLib.signPermit(typedData, alice.key)
+      expect(signature).to.deep.equal(signPermit(owner, spender, value, 0, deadline, domainSeparator, alice.key))
+
+      await wstethLib.permit(instance, typedData, signature, { from: charlie })
+      expect((await wsteth.allowance(owner, spender)).toNumber()).to.equal(value)
+      expect((await wsteth.nonces(owner)).toNumber()).to.equal(1)
+
+      // the signature is spent with the nonce
+      const nextTypedData = await wstethLib.getPermitTypedData(instance, { owner, spender, value: 1e6, deadline })
+      expect(nextTypedData.message.nonce).to.equal('1')
+      await expectRevert(wstethLib.permit(instance, typedData, signature, { from: charlie }), 'ERC20Permit: invalid signature')
+    })
+
     it('reverts if the signature does not match given parameters', async () => {
       const { owner, spender, value, nonce, deadline } = permitParams
       // create a signed permit
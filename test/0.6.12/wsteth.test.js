@@ -3,6 +3,7 @@ const { expect } = require('chai')
 const { ZERO_ADDRESS } = constants
 
 const { shouldBehaveLikeERC20 } = require('./helpers/ERC20.behavior')
+const { getWstETH, wrap, unwrap, previewWrap, previewUnwrap } = require('../../lib/src/wsteth')
 
 const WstETH = artifacts.require('WstETHMock')
 const StETH = artifacts.require('StETHMockERC20')
@@ -50,6 +51,36 @@ contract('WstETH', function ([deployer, initialHolder, recipient, anotherAccount
       await expectRevert(this.wsteth.wrap(1, { from: user2 }), 'ERC20: transfer amount exceeds balance')
     })
 
+    it(`lib wraps with an allowance top-up, unwraps and previews like the contract`, async function () {
+      const wsteth = await getWstETH(web3, this.wsteth.address)
+      await this.steth.setTotalPooledEther(new BN(110), { from: deployer })
+
+      const expectedWstETH = await this.wsteth.getWstETHByStETH(80)
+      expect(await previewWrap(wsteth, 80)).to.be.bignumber.equal(expectedWstETH)
+      expect(await previewUnwrap(wsteth, expectedWstETH)).to.be.bignumber.equal(await this.wsteth.getStETHByWstETH(expectedWstETH))
+
+      // the allowance of 50 is less than the amount, so the lib approves it first
+      const { approveResult, wrapResult } = await wrap(wsteth, 80, { from: user1 })
+      expect(approveResult).to.not.equal(null)
+      expect(wrapResult.receipt.status).to.equal(true)
+      expect(await this.wsteth.balanceOf(user1)).to.be.bignumber.equal(expectedWstETH)
+      expect(await this.steth.balanceOf(user1)).to.be.bignumber.equal('20')
+
+      // the allowance is spent by the wrap, so the next one with enough allowance sends a single tx
+      await this.steth.approve(this.wsteth.address, 10, { from: user1 })
+      const secondWrap = await wrap(wsteth, 10, { from: user1 })
+      expect(secondWrap.approveResult).to.equal(null)
+
+      const wstETHBalance = await this.wsteth.balanceOf(user1)
+      const expectedStETH = await previewUnwrap(wsteth, wstETHBalance)
+      await unwrap(wsteth, wstETHBalance, { from: user1 })
+      expect(await this.wsteth.balanceOf(user1)).to.be.bignumber.equal('0')
+      expect(await this.steth.balanceOf(user1)).to.be.bignumber.equal(expectedStETH.addn(10))
+
+      const error = await unwrap(wsteth, 1, { from: user1 }).catch((err) => err)
+      expect(error.message).to.equal('insufficient wstETH balance: 0 < 1')
+    })
+
     describe(`After successful wrap`, function () {
       beforeEach(async function () {
         const shouldMintWstETHAmount = await this.wsteth.wrap.call(50, { from: user1 })
@@ -2,6 +2,8 @@
 
 const { assertBn, assertRevert, assertEvent, assertAmountOfEvents } = require('@aragon/contract-helpers-test/src/asserts')
 const { ZERO_ADDRESS, bn } = require('@aragon/contract-helpers-test')
+const { assert } = require('chai')
+const receiverLib = require('../../lib/src/composite-receiver')
 
 const CompositePostRebaseBeaconReceiver = artifacts.require('CompositePostRebaseBeaconReceiver.sol')
 const BeaconReceiverMock = artifacts.require('BeaconReceiverMock')
@@ -372,4 +374,45 @@ contract('CompositePostRebaseBeaconReceiver', ([deployer, voting, oracle, anothe
       }
     })
   })
+
+  describe('lib', async () => {
+    it(`lists callbacks and plans changes like the receiver applies them`, async () => {
+      const invalidCallback = await BeaconReceiverMockWithoutERC165.new()
+      assert.isFalse(await receiverLib.supportsInterface(web3, invalidCallback.address, await compositeReceiver.REQUIRED_INTERFACE()))
+      assert.isFalse(await receiverLib.supportsInterface(web3, anotherAccount, await compositeReceiver.REQUIRED_INTERFACE()))
+
+      for (const callback of callbackMocks.slice(0, 3)) {
+        await compositeReceiver.addCallback(callback, { from: voting })
+      }
+      const { callbacks, maxCallbacksCount } = await receiverLib.listCallbacks(compositeReceiver)
+      assert.equal(maxCallbacksCount, 16)
+      assert.deepEqual(
+        callbacks,
+        callbackMocks.slice(0, 3).map((address, index) => ({ index, address, supported: true }))
+      )
+
+      const error = await receiverLib
+        .planCallbackChanges(compositeReceiver, [{ type: 'add', callback: invalidCallback.address }])
+        .catch((err) => err)
+      assert.match(error.message, /doesn't support the required interface/)
+      assert.throws(() => receiverLib.applyCallbackChange(callbackMocks.slice(0, 3), { type: 'remove', index: 3 }), /out of range/)
+
+      const plan = await receiverLib.planCallbackChanges(compositeReceiver, [
+        { type: 'insert', callback: callbackMocks[3], index: 1 },
+        { type: 'remove', index: 0 },
+        { type: 'add', callback: callbackMocks[4] }
+      ])
+      assert.deepEqual(plan.before, callbackMocks.slice(0, 3))
+      assert.deepEqual(plan.after, [callbackMocks[3], callbackMocks[1], callbackMocks[2], callbackMocks[4]])
+
+      for (const { to, calldata } of plan.actions) {
+        await web3.eth.sendTransaction({ from: voting, to, data: calldata })
+      }
+      const after = await receiverLib.listCallbacks(compositeReceiver)
+      assert.deepEqual(
+        after.callbacks.map(({ address }) => address),
+        plan.after
+      )
+    })
+  })
 })
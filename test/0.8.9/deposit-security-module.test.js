@@ -2,6 +2,7 @@ const { assertRevert, assertEvent } = require('@aragon/contract-helpers-test/src
 const { assert } = require('chai')
 const { signDepositData, signPauseData } = require('./helpers/signatures')
 const { ZERO_ADDRESS } = require('@aragon/contract-helpers-test')
+const dsmLib = require('../../lib/src/deposit-security-module')
 
 // generateGuardianSignatures
 
@@ -291,6 +292,62 @@ contract('DepositSecurityModule', ([owner, stranger, guardian]) => {
           'signatures not sorted'
         )
       })
+      it('lib assembles guardian sigs sorted by address and deposits', async () => {
+        const dsm = await dsmLib.getDepositSecurityModule(web3, depositSecurityModule.address)
+        const attestData = await dsmLib.getAttestData(dsm)
+        assert.equal(attestData.attestMessagePrefix, ATTEST_MESSAGE_PREFIX)
+        assert.equal(attestData.depositRoot, DEPOSIT_ROOT)
+        assert.equal(attestData.keysOpIndex, KEYS_OP_INDEX)
+        assert.equal(attestData.blockHash, (await web3.eth.getBlock(attestData.blockNumber)).hash)
+
+        // the signatures are compact and recover to the signer
+        const message = dsmLib.encodeAttestMessage(attestData)
+        const signatures = [GUARDIAN3, GUARDIAN1, GUARDIAN2].map((addr) =>
+          dsmLib.signAttestMessage(attestData, GUARDIAN_PRIVATE_KEYS[addr])
+        )
+        assert.deepEqual(
+          signatures.map((sig) => dsmLib.recoverSigner(message, sig)),
+          [GUARDIAN3, GUARDIAN1, GUARDIAN2]
+        )
+
+        const sorted = await dsmLib.assembleGuardianSignatures(dsm, attestData, signatures)
+        assert.deepEqual(
+          sorted.map((sig) => dsmLib.recoverSigner(message, sig)),
+          [GUARDIAN1, GUARDIAN2, GUARDIAN3]
+        )
+
+        const tx = await dsmLib.depositBufferedEther(dsm, attestData, signatures, { from: stranger })
+        assertEvent(tx.receipt, 'Deposited', {
+          expectedArgs: { maxDeposits: MAX_DEPOSITS_PER_BLOCK },
+          decodeForAbi: LidoMockForDepositSecurityModule._json.abi
+        })
+
+        const error = await dsmLib.depositBufferedEther(dsm, attestData, signatures, { from: stranger }).catch((err) => err)
+        assert.equal(error.message, 'deposits are paused, no guardian quorum is set or the last deposit was too recent')
+      })
+      it('lib checks the attest data and guardian sigs before sending', async () => {
+        const dsm = await dsmLib.getDepositSecurityModule(web3, depositSecurityModule.address)
+        const attestData = await dsmLib.getAttestData(dsm)
+        const sign = (addr, keys = GUARDIAN_PRIVATE_KEYS) => dsmLib.signAttestMessage(attestData, keys[addr])
+
+        let error = await dsmLib.depositBufferedEther(dsm, attestData, [sign(GUARDIAN1)]).catch((err) => err)
+        assert.equal(error.message, 'no guardian quorum: got 1 signatures, required 2')
+
+        // duplicates count once
+        error = await dsmLib.depositBufferedEther(dsm, attestData, [sign(GUARDIAN1), sign(GUARDIAN1)]).catch((err) => err)
+        assert.equal(error.message, 'no guardian quorum: got 1 signatures, required 2')
+
+        const unrelatedSig = sign(UNRELATED_SIGNER1, UNRELATED_SIGNER_PRIVATE_KEYS)
+        error = await dsmLib.depositBufferedEther(dsm, attestData, [sign(GUARDIAN1), unrelatedSig]).catch((err) => err)
+        assert.equal(error.message, `signature by ${UNRELATED_SIGNER1.toLowerCase()} is not a guardian signature`)
+
+        await nodeOperatorsRegistryMock.setKeysOpIndex(KEYS_OP_INDEX + 1)
+        error = await dsmLib.depositBufferedEther(dsm, attestData, [sign(GUARDIAN1), sign(GUARDIAN2)]).catch((err) => err)
+        assert.equal(error.message, `keys op index changed: attested ${KEYS_OP_INDEX}, current ${KEYS_OP_INDEX + 1}`)
+
+        // s values in the upper half of the curve order can't be packed into vs
+        assert.throws(() => dsmLib.toEip2098({ v: 27, r: attestData.blockHash, s: '0x80' + '0'.repeat(62) }), `invalid signature 's' value`)
+      })
       it('cannot deposit with partially-unrelated sigs, e.g. (0,U,U)', async () => {
         const signature = [
           signDepositData(ATTEST_MESSAGE_PREFIX, DEPOSIT_ROOT, KEYS_OP_INDEX, block.number, block.hash, GUARDIAN_PRIVATE_KEYS[GUARDIAN1]),
@@ -357,6 +414,32 @@ contract('DepositSecurityModule', ([owner, stranger, guardian]) => {
       const sig = signPauseData(PAUSE_MESSAGE_PREFIX, futureBlockNumber, GUARDIAN_PRIVATE_KEYS[GUARDIAN2])
       await assertRevert(depositSecurityModule.pauseDeposits(futureBlockNumber, sig, { from: guardian }))
     })
+    it('lib pauses with a guardian sig sent by anyone', async () => {
+      const dsm = await dsmLib.getDepositSecurityModule(web3, depositSecurityModule.address)
+      const sig = dsmLib.signPauseMessage(PAUSE_MESSAGE_PREFIX, block.number, GUARDIAN_PRIVATE_KEYS[GUARDIAN2])
+      assert.equal(dsmLib.recoverSigner(dsmLib.encodePauseMessage(PAUSE_MESSAGE_PREFIX, block.number), sig), GUARDIAN2)
+
+      const tx = await dsmLib.pauseDeposits(dsm, block.number, sig, { from: stranger })
+      assertEvent(tx, 'DepositsPaused', { expectedArgs: { guardian: GUARDIAN2 } })
+      assert.isTrue(await depositSecurityModule.isPaused())
+
+      // nothing is sent when already paused
+      assert.isNull(await dsmLib.pauseDeposits(dsm, block.number, sig, { from: stranger }))
+    })
+    it('lib rejects an expired pause intent before sending', async () => {
+      const dsm = await dsmLib.getDepositSecurityModule(web3, depositSecurityModule.address)
+      // the pause tx gets into the next block at the earliest
+      const oldestValidBlockNumber = (await web3.eth.getBlockNumber()) + 1 - PAUSE_INTENT_VALIDITY_PERIOD_BLOCKS
+      const staleBlockNumber = oldestValidBlockNumber - 1
+      const error = await dsmLib.pauseDeposits(dsm, staleBlockNumber, null, { from: guardian }).catch((err) => err)
+      assert.equal(
+        error.message,
+        `pause intent expired: block ${staleBlockNumber} is older than ${PAUSE_INTENT_VALIDITY_PERIOD_BLOCKS} blocks`
+      )
+
+      await dsmLib.pauseDeposits(dsm, oldestValidBlockNumber, null, { from: guardian })
+      assert.isTrue(await depositSecurityModule.isPaused())
+    })
     it("pauseDeposits emits DepositsPaused(guardianAddr) event if wasn't paused before", async () => {
       assert.isFalse(await depositSecurityModule.isPaused(), 'invariant failed: isPaused != true')
       const tx = await depositSecurityModule.pauseDeposits(block.number, ['0x', '0x'], { from: guardian })
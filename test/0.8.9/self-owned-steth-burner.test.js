@@ -3,6 +3,7 @@ const { ZERO_ADDRESS, bn } = require('@aragon/contract-helpers-test')
 const { newDao, newApp } = require('../0.4.24/helpers/dao')
 
 const { assert } = require('chai')
+const burnerLib = require('../../lib/src/self-owned-steth-burner')
 
 const SelfOwnerStETHBurner = artifacts.require('SelfOwnedStETHBurner.sol')
 
@@ -515,6 +516,44 @@ contract('SelfOwnedStETHBurner', ([appManager, voting, deployer, depositor, anot
       assertBn(bnRound10(await burner.getCoverSharesBurnt()), bnRound10(stETHShares(1.12)))
       assertBn(bnRound10(await burner.getNonCoverSharesBurnt()), bnRound10(stETHShares(0.88)))
     })
+
+    it(`lib plans the burn runs like the contract`, async () => {
+      await burner.setBurnAmountPerRunQuota(bn(120), { from: voting })
+      await acl.grantPermission(burner.address, lido.address, await lido.BURN_ROLE(), { from: appManager })
+
+      const error = await burnerLib.requestBurnMyStETH(burner, stETH(1), { from: deployer }).catch((err) => err)
+      assert.match(error.message, /only the voting/)
+      const { approveResult } = await burnerLib.requestBurnMyStETH(burner, stETH(1.5), { from: voting })
+      assert.isNotNull(approveResult)
+      await burnerLib.requestBurnMyStETHForCover(burner, stETH(0.5), { from: voting })
+
+      const pending = await burnerLib.getPendingBurnRequests(burner)
+      assertBn(pending.coverShares, stETHShares(0.5))
+      assertBn(pending.nonCoverShares, stETHShares(1.5))
+
+      // 0.9 shares per run at first, the quota shrinks with the total shares
+      const plan = await burnerLib.getBurnPlan(burner)
+      assert.equal(plan.reports, 3)
+
+      for (const run of plan.runs) {
+        const receipt = await burner.processLidoOracleReport(bn(1), bn(2), bn(3), { from: oracle.address })
+        const burnt = receipt.logs.filter(({ event }) => event === 'StETHBurnt').map(({ args }) => args)
+        const cover = burnt.find(({ isCover }) => isCover)
+        const nonCover = burnt.find(({ isCover }) => !isCover)
+
+        assertBn(cover ? cover.sharesAmount : bn(0), run.coverSharesBurnt, `cover shares burnt on run ${run.run}`)
+        assertBn(nonCover ? nonCover.sharesAmount : bn(0), run.nonCoverSharesBurnt, `non-cover shares burnt on run ${run.run}`)
+        assertBn(await lido.getTotalShares(), run.totalShares, `total shares after run ${run.run}`)
+        assertBn(await lido.getPooledEthByShares(stETHShares(1)), run.shareRate, `share rate after run ${run.run}`)
+      }
+
+      assertBn(await lido.sharesOf(burner.address), bn(0))
+      const state = await burnerLib.getBurnerState(burner)
+      assertBn(state.pending.coverShares, bn(0))
+      assertBn(state.pending.nonCoverShares, bn(0))
+      assertBn(state.coverSharesBurnt, stETHShares(0.5))
+      assertBn(state.nonCoverSharesBurnt, stETHShares(1.5))
+    })
   })
 
   describe('Granular permissions setup works', () => {
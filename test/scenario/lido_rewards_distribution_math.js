@@ -7,6 +7,7 @@ const { pad, ETH } = require('../helpers/utils')
 const { deployDaoAndPool } = require('./helpers/deploy')
 const { signDepositData } = require('../0.8.9/helpers/signatures')
 const { waitBlocks } = require('../helpers/blockchain')
+const { getRewardsSnapshot, simulateOracleReport } = require('../../lib/src/rewards-distribution')
 
 const NodeOperatorsRegistry = artifacts.require('NodeOperatorsRegistry')
 
@@ -226,6 +227,10 @@ contract('Lido: rewards distribution math', (addresses) => {
     const profitAmount = ETH(profitAmountEth)
     const reportingValue = ETH(32 + profitAmountEth)
     const prevTotalShares = await pool.getTotalShares()
+    const simulated = simulateOracleReport(await getRewardsSnapshot(pool, nodeOperatorRegistry), {
+      beaconValidators: 1,
+      beaconBalance: reportingValue
+    })
     // for some reason there's nothing in this receipt's log, so we're not going to use it
     const [{ receipt }, deltas] = await getSharesTokenDeltas(
       () => reportBeacon(1, reportingValue),
@@ -270,6 +275,16 @@ contract('Lido: rewards distribution math', (addresses) => {
     assertBn(values[1], nodeOperatorsFeeToMint, 'operator transfer amount is correct')
     assert.equal(tos[2], treasuryAddr, 'third transfer to treasury address')
     assertBn(values[2], treasuryFeeToMint, 'treasury transfer amount is correct')
+
+    // the offline simulator predicts the same distribution
+    assertBn(simulated.insuranceFund.shares, insuranceSharesDelta, 'simulated insurance shares')
+    assertBn(simulated.nodeOperators[0].shares, nodeOperator1SharesDelta, 'simulated nodeOperator1 shares')
+    assertBn(simulated.treasury.shares, treasurySharesDelta, 'simulated treasury shares')
+    assertBn(simulated.insuranceFund.amount, values[0], 'simulated insurance transfer amount')
+    assertBn(simulated.nodeOperators[0].amount, values[1], 'simulated operator transfer amount')
+    assertBn(simulated.treasury.amount, values[2], 'simulated treasury transfer amount')
+    assertBn(simulated.totalShares, await pool.getTotalShares(), 'simulated total shares')
+
     // URURU
     assertBn(
       await token.balanceOf(user1),
@@ -407,6 +422,10 @@ contract('Lido: rewards distribution math', (addresses) => {
     // note no buffered eth values
     const reportingValue = ETH(32 + 1 + 32 + profitAmountEth)
     const prevTotalShares = await pool.getTotalShares()
+    const simulated = simulateOracleReport(await getRewardsSnapshot(pool, nodeOperatorRegistry), {
+      beaconValidators: 2,
+      beaconBalance: reportingValue
+    })
 
     const [{ valuesBefore, valuesAfter }, deltas] = await getSharesTokenDeltas(
       () => reportBeacon(2, reportingValue),
@@ -467,6 +486,19 @@ contract('Lido: rewards distribution math', (addresses) => {
 
     assertBn(nodeOperator1SharesDelta, nodeOperator2SharesDelta, 'operators with equal amount of validators received equal shares')
 
+    // the offline simulator predicts the same distribution, including the operators rounding dust
+    assertBn(simulated.insuranceFund.shares, insuranceSharesDelta, 'simulated insurance shares')
+    assertBn(simulated.nodeOperators[0].shares, nodeOperator1SharesDelta, 'simulated nodeOperator1 shares')
+    assertBn(simulated.nodeOperators[1].shares, nodeOperator2SharesDelta, 'simulated nodeOperator2 shares')
+    assertBn(simulated.treasury.shares, treasurySharesDelta, 'simulated treasury shares')
+    assertBn(
+      simulated.operatorsDust,
+      nodeOperatorsSharesToMint.sub(nodeOperator1SharesDelta).sub(nodeOperator2SharesDelta),
+      'simulated dust'
+    )
+    simulated.nodeOperators.forEach((op, i) => assertBn(op.amount, values[i + 1], `simulated operator ${i} transfer amount`))
+    assertBn(simulated.totalShares, await pool.getTotalShares(), 'simulated total shares')
+
     // newSharePrice = newTotalPooledEther / (prevTotalShares + shares2mint)
     // SharePriceDelta = newSharePrice - prevSharePrice
     const reportingValueBN = new BN(reportingValue)